@@ -0,0 +1,212 @@
+/**
+ * Async Validation - rules that have to look data up
+ *
+ * The schemas in validation-schema.js check a record on its own. Whether a
+ * username is still free or an assignee exists depends on what is stored,
+ * so those checks are async rules run against the repositories:
+ *
+ *   username       USERNAME_TAKEN                another user has it
+ *   email          EMAIL_TAKEN                   another user has it
+ *   assignedTo     UNKNOWN_ASSIGNEE              no such user
+ *   dependencies   UNKNOWN_DEPENDENCY            no such task
+ *                  DEPENDENCY_OUTSIDE_WORKSPACE  task of another workspace
+ *   parentTaskId   UNKNOWN_PARENT_TASK           no such task
+ *
+ * Errors have the schema shape { path, code, message }. Empty values are
+ * skipped; whether a field is required is the schema's concern. The record
+ * being edited (context.current) does not count against itself, so a user
+ * keeps their own username.
+ *
+ * RealTimeValidator (validation-strategies.js) runs these rules once the
+ * synchronous checks of a field pass.
+ */
+
+const AsyncValidationI18n = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./i18n')
+    : window.I18n;
+
+const ASYNC_ERROR_CODES = {
+    USERNAME_TAKEN: 'USERNAME_TAKEN',
+    EMAIL_TAKEN: 'EMAIL_TAKEN',
+    UNKNOWN_ASSIGNEE: 'UNKNOWN_ASSIGNEE',
+    UNKNOWN_DEPENDENCY: 'UNKNOWN_DEPENDENCY',
+    DEPENDENCY_OUTSIDE_WORKSPACE: 'DEPENDENCY_OUTSIDE_WORKSPACE',
+    UNKNOWN_PARENT_TASK: 'UNKNOWN_PARENT_TASK'
+};
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toRecord(record) {
+    return record && typeof record.toJSON === 'function' ? record.toJSON() : (record || {});
+}
+
+// The record as it will be saved: the stored one with the edited fields on top
+function editedRecord(context) {
+    return { ...toRecord(context.current), ...(context.record || {}) };
+}
+
+/**
+ * Async rules, one factory per check. A rule is
+ * { field, code, message, each, check(value, context) -> Promise<boolean> };
+ * with `each`, check runs for every item of an array value.
+ */
+const AsyncRules = {
+    uniqueUsername(userRepository) {
+        return {
+            field: 'username',
+            code: ASYNC_ERROR_CODES.USERNAME_TAKEN,
+            message: 'validation.usernameTaken',
+            check: (username, context) => userRepository.isUsernameAvailable(username, toRecord(context.current).id || null)
+        };
+    },
+
+    uniqueEmail(userRepository) {
+        return {
+            field: 'email',
+            code: ASYNC_ERROR_CODES.EMAIL_TAKEN,
+            message: 'validation.emailTaken',
+            check: (email, context) => userRepository.isEmailAvailable(email, toRecord(context.current).id || null)
+        };
+    },
+
+    existingAssignee(userRepository) {
+        return {
+            field: 'assignedTo',
+            code: ASYNC_ERROR_CODES.UNKNOWN_ASSIGNEE,
+            message: 'validation.unknownAssignee',
+            check: async userId => (await userRepository.findById(userId)) !== null
+        };
+    },
+
+    existingDependencies(taskRepository) {
+        return {
+            field: 'dependencies',
+            code: ASYNC_ERROR_CODES.UNKNOWN_DEPENDENCY,
+            message: 'validation.unknownDependency',
+            each: true,
+            check: async taskId => (await taskRepository.findById(taskId)) !== null
+        };
+    },
+
+    // Unknown dependencies are left to existingDependencies
+    sameWorkspaceDependencies(taskRepository) {
+        return {
+            field: 'dependencies',
+            code: ASYNC_ERROR_CODES.DEPENDENCY_OUTSIDE_WORKSPACE,
+            message: 'validation.dependencyOutsideWorkspace',
+            each: true,
+            check: async (taskId, context) => {
+                const dependency = await taskRepository.findById(taskId);
+                return !dependency || (dependency.workspaceId || null) === (editedRecord(context).workspaceId || null);
+            }
+        };
+    },
+
+    existingParentTask(taskRepository) {
+        return {
+            field: 'parentTaskId',
+            code: ASYNC_ERROR_CODES.UNKNOWN_PARENT_TASK,
+            message: 'validation.unknownParentTask',
+            check: async taskId => (await taskRepository.findById(taskId)) !== null
+        };
+    }
+};
+
+class AsyncValidator {
+    /**
+     * @param {object[]} rules - Rules made by the AsyncRules factories
+     */
+    constructor(rules = []) {
+        this.rules = [...rules];
+    }
+
+    /**
+     * Username and email availability
+     * @param {UserRepository} userRepository - Users to check against
+     * @returns {AsyncValidator}
+     */
+    static forUsers(userRepository) {
+        return new AsyncValidator([
+            AsyncRules.uniqueUsername(userRepository),
+            AsyncRules.uniqueEmail(userRepository)
+        ]);
+    }
+
+    /**
+     * Assignee, dependencies and parent task of a task
+     * @param {object} repositories - { taskRepository, userRepository }
+     * @returns {AsyncValidator}
+     */
+    static forTasks({ taskRepository, userRepository }) {
+        return new AsyncValidator([
+            AsyncRules.existingAssignee(userRepository),
+            AsyncRules.existingDependencies(taskRepository),
+            AsyncRules.sameWorkspaceDependencies(taskRepository),
+            AsyncRules.existingParentTask(taskRepository)
+        ]);
+    }
+
+    addRule(rule) {
+        this.rules.push(rule);
+        return this;
+    }
+
+    hasRules(field) {
+        return this.rules.some(rule => rule.field === field);
+    }
+
+    /**
+     * Run the rules of one field
+     * @param {string} field - Field name
+     * @param {*} value - Value to check
+     * @param {object} context - { current: record being edited, record: other edited fields, locale }
+     * @returns {Promise<object>} - { isValid, errors }
+     */
+    async validateField(field, value, context = {}) {
+        const errors = [];
+        const fail = (rule, path, item) => errors.push({
+            path,
+            code: rule.code,
+            message: AsyncValidationI18n.t(rule.message, { value: item }, context.locale)
+        });
+
+        for (const rule of this.rules.filter(candidate => candidate.field === field)) {
+            if (rule.each) {
+                const items = Array.isArray(value) ? value : [];
+                const results = await Promise.all(items.map(item => (isBlank(item) ? true : rule.check(item, context))));
+                results.forEach((passed, index) => {
+                    if (!passed) fail(rule, `${field}[${index}]`, items[index]);
+                });
+            } else if (!isBlank(value) && !(await rule.check(value, context))) {
+                fail(rule, field, value);
+            }
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Run the rules of every field present in a record
+     * @param {object} data - Record (or the fields of an update)
+     * @param {object} context - { current, locale }
+     * @returns {Promise<object>} - { isValid, errors }
+     */
+    async validate(data, context = {}) {
+        const source = data || {};
+        const fieldContext = { ...context, record: { ...(context.record || {}), ...source } };
+        const fields = [...new Set(this.rules.map(rule => rule.field))].filter(field => source[field] !== undefined);
+
+        const results = await Promise.all(fields.map(field => this.validateField(field, source[field], fieldContext)));
+        const errors = results.flatMap(result => result.errors);
+        return { isValid: errors.length === 0, errors };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AsyncValidator, AsyncRules, ASYNC_ERROR_CODES };
+} else {
+    window.AsyncValidation = { AsyncValidator, AsyncRules, ASYNC_ERROR_CODES };
+}
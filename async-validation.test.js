@@ -0,0 +1,222 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Async Validation Tests
+ * Username/email availability, assignee, dependency and parent task lookups,
+ * async rules in RealTimeValidator and the errors TaskView shows in its forms
+ */
+
+const { AsyncValidator, AsyncRules } = require('./async-validation');
+const { RealTimeValidator, TaskValidator } = require('./validation-strategies');
+const { USER_SCHEMA } = require('./validation-schema');
+const { TaskRepository } = require('./task-repository');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { TaskView } = require('./task-view');
+const { MockFactory } = require('./test-utilities');
+
+// Past the debounce of RealTimeValidator.validateField
+const afterTyping = () => new Promise(resolve => setTimeout(resolve, 350));
+
+const type = (input, value) => {
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+// Resolves with the first result RealTimeValidator reports
+const nextResult = (realTime, field, value) => new Promise(resolve => {
+    realTime.validateField(field, value, (name, result) => resolve(result), 0);
+});
+
+describe('Async Validation', () => {
+    let userRepository;
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        userRepository = new UserRepository(MockFactory.createKeyedStorage());
+        alice = await userRepository.create(new User('alice', 'alice@example.com', 'Alice'));
+        bob = await userRepository.create(new User('bob', 'bob@example.com', 'Bob'));
+    });
+
+    describe('Users', () => {
+        test('should report taken usernames and emails except the user\'s own', async () => {
+            const validator = AsyncValidator.forUsers(userRepository);
+
+            expect(await validator.validate({ username: 'Alice', email: 'bob@example.com' })).toEqual({
+                isValid: false,
+                errors: [
+                    { path: 'username', code: 'USERNAME_TAKEN', message: 'Username Alice is already taken' },
+                    { path: 'email', code: 'EMAIL_TAKEN', message: 'Email bob@example.com is already registered' }
+                ]
+            });
+            expect((await validator.validate({ username: 'alice', email: 'alice@example.com' }, { current: alice })).isValid).toBe(true);
+            expect((await validator.validateField('username', 'carol')).isValid).toBe(true);
+            expect((await validator.validateField('username', 'bob', { locale: 'id' })).errors[0].message)
+                .toBe('Username bob sudah dipakai');
+        });
+
+        test('should refuse taking another user\'s email on update', async () => {
+            await expect(userRepository.update(alice.id, { email: 'BOB@example.com' })).rejects.toThrow('Email bob@example.com already exists');
+            expect((await userRepository.update(alice.id, { email: 'alice@example.com', fullName: 'Alice A.' })).fullName).toBe('Alice A.');
+            expect(await userRepository.isEmailAvailable('bob@example.com', bob.id)).toBe(true);
+        });
+    });
+
+    describe('Tasks', () => {
+        test('should report unknown assignees, dependencies and parents', async () => {
+            const taskRepository = new TaskRepository();
+            const plan = await taskRepository.create(new Task('Plan', '', alice.id, { workspaceId: 'ws_core' }));
+            const other = await taskRepository.create(new Task('Other team', '', bob.id, { workspaceId: 'ws_ops' }));
+            const validator = AsyncValidator.forTasks({ taskRepository, userRepository });
+
+            const result = await validator.validate({
+                workspaceId: 'ws_core',
+                assignedTo: 'user_ghost',
+                dependencies: [plan.id, 'task_missing', other.id],
+                parentTaskId: 'task_gone'
+            });
+
+            expect(result.errors.map(error => [error.path, error.code])).toEqual([
+                ['assignedTo', 'UNKNOWN_ASSIGNEE'],
+                ['dependencies[1]', 'UNKNOWN_DEPENDENCY'],
+                ['dependencies[2]', 'DEPENDENCY_OUTSIDE_WORKSPACE'],
+                ['parentTaskId', 'UNKNOWN_PARENT_TASK']
+            ]);
+            expect(result.errors[0].message).toBe('Unknown assignee: user_ghost');
+
+            // An update sees the workspace of the task being edited
+            const update = await validator.validate({ assignedTo: bob.id, dependencies: [plan.id], parentTaskId: plan.id }, {
+                current: new Task('Review', '', alice.id, { workspaceId: 'ws_core' })
+            });
+            expect(update).toEqual({ isValid: true, errors: [] });
+        });
+
+        test('should accept custom rules', async () => {
+            const validator = new AsyncValidator().addRule({
+                ...AsyncRules.existingAssignee(userRepository),
+                message: 'Pick someone from the team'
+            });
+
+            expect((await validator.validateField('assignedTo', 'user_ghost')).errors[0].message).toBe('Pick someone from the team');
+            expect((await validator.validateField('assignedTo', '')).isValid).toBe(true);
+        });
+    });
+
+    describe('RealTimeValidator', () => {
+        let realTime;
+
+        beforeEach(() => {
+            realTime = new RealTimeValidator(new TaskValidator(USER_SCHEMA), AsyncValidator.forUsers(userRepository));
+        });
+
+        test('should show lookups once the field itself is valid', async () => {
+            expect(await nextResult(realTime, 'username', ' Alice ')).toEqual({
+                isValid: false,
+                errors: ['Username alice is already taken'],
+                details: [{ path: 'username', code: 'USERNAME_TAKEN', message: 'Username alice is already taken' }]
+            });
+            expect((await nextResult(realTime, 'username', 'al')).errors).toEqual(['Username must be at least 3 character(s)']);
+            expect(await nextResult(realTime, 'username', 'carol')).toEqual({ isValid: true, errors: [], sanitizedValue: 'carol' });
+
+            realTime.setContext({ current: alice });
+            expect((await nextResult(realTime, 'email', 'alice@example.com')).isValid).toBe(true);
+        });
+
+        test('should only report the result for the latest value', async () => {
+            let release;
+            const slowRepository = {
+                isUsernameAvailable: () => new Promise(resolve => { release = resolve; }),
+                isEmailAvailable: async () => true
+            };
+            realTime = new RealTimeValidator(new TaskValidator(USER_SCHEMA), AsyncValidator.forUsers(slowRepository));
+            const reported = [];
+            const callback = (field, result) => reported.push(result.sanitizedValue);
+
+            realTime.validateField('username', 'alice', callback, 0);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const first = release;
+            realTime.validateField('username', 'alicia', callback, 0);
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            release(true);
+            first(true);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            expect(reported).toEqual(['alicia']);
+        });
+    });
+
+    describe('Forms', () => {
+        let taskRepository;
+        let view;
+        let requests;
+
+        beforeEach(async () => {
+            document.body.innerHTML = '<div id="app"></div>';
+            taskRepository = new TaskRepository();
+            view = new TaskView('app');
+            await view.initialize(alice);
+            view.setFieldValidator(new RealTimeValidator(new TaskValidator(), AsyncValidator.forTasks({ taskRepository, userRepository })));
+            requests = [];
+            view.addListener((event, data) => requests.push([event, data]));
+        });
+
+        afterEach(() => {
+            view.fieldValidator.clearTimers();
+        });
+
+        test('should show an unknown assignee below the field and not submit it', async () => {
+            const form = document.getElementById('taskForm');
+            type(form.elements.assignedTo, 'user_ghost');
+            await afterTyping();
+
+            expect(form.querySelector('.field-error[data-field="assignedTo"]').textContent).toBe('Unknown assignee: user_ghost');
+            expect(form.elements.assignedTo.getAttribute('aria-invalid')).toBe('true');
+
+            form.elements.title.value = 'Plan';
+            await view.handleTaskFormSubmit({ preventDefault: () => {}, target: form });
+            expect(requests).toEqual([]);
+
+            form.elements.assignedTo.value = bob.id;
+            await view.handleTaskFormSubmit({ preventDefault: () => {}, target: form });
+            expect(requests).toEqual([['createTaskRequested', expect.objectContaining({ title: 'Plan', assignedTo: bob.id })]]);
+            expect(form.querySelector('.field-error[data-field="assignedTo"]').textContent).toBe('');
+        });
+
+        test('should check the assignee of an edited task', async () => {
+            const task = await taskRepository.create(new Task('Plan', '', alice.id));
+            view.currentTasks = [task];
+            const answers = ['Plan', 'user_ghost'];
+            window.prompt = jest.fn(() => answers.shift());
+
+            await view.showEditTaskModal(task.id);
+            expect(requests).toEqual([]);
+            expect(document.querySelector('.message-error').textContent).toBe('Unknown assignee: user_ghost');
+
+            answers.push('Plan it', bob.id);
+            await view.showEditTaskModal(task.id);
+            expect(requests).toEqual([['updateTaskRequested', { taskId: task.id, updates: { title: 'Plan it', assignedTo: bob.id } }]]);
+        });
+
+        test('should report a taken username on a signup form', async () => {
+            const form = document.createElement('form');
+            form.innerHTML = '<input name="username" data-validate><input name="email" data-validate>';
+            document.body.appendChild(form);
+            const signup = new RealTimeValidator(new TaskValidator(USER_SCHEMA), AsyncValidator.forUsers(userRepository));
+            view.bindFieldValidation(form, signup);
+
+            type(form.elements.username, 'Alice');
+            await afterTyping();
+            expect(form.querySelector('.field-error[data-field="username"]').textContent).toBe('Username alice is already taken');
+
+            form.elements.username.value = 'carol';
+            form.elements.email.value = 'bob@example.com';
+            expect(await view.checkForm(form, signup)).toBe(false);
+            expect(form.querySelector('.field-error[data-field="username"]').textContent).toBe('');
+            expect(form.querySelector('.field-error[data-field="email"]').textContent).toBe('Email bob@example.com is already registered');
+        });
+    });
+});
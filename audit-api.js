@@ -0,0 +1,72 @@
+/**
+ * Audit API - read-only access to the audit log
+ *
+ *   GET /api/audit   Entries, newest first. Query params: entityType, entityId,
+ *                    actorId, operation, field, from, to (ISO dates), limit
+ *
+ * The whole log is only visible to users with user:manage; everyone else
+ * gets the entries for tasks through GET /api/tasks/:id/history.
+ */
+
+const express = require('express');
+const { PERMISSIONS, assertCan } = require('./permission-policy');
+const { httpError, asyncHandler, jsonErrorHandler } = require('./task-api');
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Parse an ISO date query value
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|undefined}
+ */
+function parseDate(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw httpError(400, `${name} must be a valid date`);
+    }
+    return date;
+}
+
+/**
+ * Create the /api/audit router
+ * @param {object} deps - { auditLog }
+ * @returns {express.Router} - Configured router
+ */
+function createAuditRouter({ auditLog }) {
+    if (!auditLog) {
+        throw new Error('AuditLog is required');
+    }
+
+    const router = express.Router();
+
+    router.get('/', asyncHandler(async (req, res) => {
+        if (req.user) {
+            assertCan(req.user, PERMISSIONS.USER_MANAGE);
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw httpError(400, 'limit must be a positive integer');
+        }
+
+        const criteria = { limit };
+        ['entityType', 'entityId', 'actorId', 'operation', 'field'].forEach(key => {
+            if (typeof req.query[key] === 'string' && req.query[key].trim() !== '') {
+                criteria[key] = req.query[key].trim();
+            }
+        });
+        criteria.from = parseDate(req.query.from, 'from');
+        criteria.to = parseDate(req.query.to, 'to');
+
+        const entries = auditLog.query(criteria);
+        res.json({ entries, count: entries.length });
+    }));
+
+    router.use(jsonErrorHandler('Audit API'));
+
+    return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,224 @@
+/**
+ * Audit Log - append-only trail of task and user changes
+ *
+ * TaskRepository and UserRepository record every mutation here: who made it
+ * (null for the system, e.g. the recurrence engine), when, which entity,
+ * the operation and a field-level before/after diff. Entries are frozen and
+ * there is no API to edit or delete them; the only thing that removes
+ * entries is the retention policy (maximum count and maximum age).
+ *
+ * Operations: create, update, delete, restore (undo/redo).
+ *
+ * The log is saved in batches: recording an entry schedules one write of the
+ * whole log (saveDelay ms later), so bulk operations write once instead of
+ * once per entry. Call flush() before shutting down.
+ */
+
+const DEFAULT_RETENTION = {
+    maxEntries: 10000,
+    maxAgeDays: 365
+};
+
+const DEFAULT_SAVE_DELAY = 1000;
+
+// Fields that change on every write and say nothing on their own
+const IGNORED_FIELDS = ['updatedAt'];
+
+// Fields whose values must never end up in the log
+const REDACTED_FIELDS = ['passwordHash', 'password', 'feedToken'];
+const REDACTED = '[redacted]';
+
+// Prefixed; browser scripts share one global scope
+const AUDIT_LOG_DAY_MS = 24 * 60 * 60 * 1000;
+
+function toPlain(value) {
+    if (value === null || value === undefined) return null;
+    const json = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    return JSON.parse(JSON.stringify(json));
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+class AuditLog {
+    /**
+     * @param {object} storage - Optional storage adapter (save/load by entity type)
+     * @param {object} options - { maxEntries, maxAgeDays, saveDelay, now }
+     */
+    constructor(storage = null, options = {}) {
+        this.storage = storage;
+        this.entityKey = 'audit';
+        this.retention = {
+            maxEntries: options.maxEntries || DEFAULT_RETENTION.maxEntries,
+            maxAgeDays: options.maxAgeDays || DEFAULT_RETENTION.maxAgeDays
+        };
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : DEFAULT_SAVE_DELAY;
+        this.now = options.now || (() => new Date());
+        this.entries = [];
+        this.sequence = 0;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Field-level differences between two states of an entity
+     * @param {object|null} before - State before the change (null when created)
+     * @param {object|null} after - State after the change (null when deleted)
+     * @returns {object[]} - [{ field, before, after }]
+     */
+    static diff(before, after) {
+        const from = toPlain(before) || {};
+        const to = toPlain(after) || {};
+        const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+        return fields
+            .filter(field => !IGNORED_FIELDS.includes(field))
+            .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+            .map(field => (REDACTED_FIELDS.includes(field)
+                ? { field, before: from[field] ? REDACTED : null, after: to[field] ? REDACTED : null }
+                : { field, before: from[field] ?? null, after: to[field] ?? null }));
+    }
+
+    /**
+     * Append an entry. Updates that change nothing are not recorded.
+     * @param {object} change - { actor, entityType, entityId, operation, before, after }
+     * @returns {object|null} - Frozen entry, or null when nothing changed
+     */
+    record({ actor = null, entityType, entityId, operation, before = null, after = null }) {
+        if (!entityType || !entityId || !operation) {
+            throw new Error('Audit entries need an entity type, entity ID and operation');
+        }
+
+        const changes = AuditLog.diff(before, after);
+        if (changes.length === 0 && operation === 'update') {
+            return null;
+        }
+
+        const timestamp = this.now();
+        const entry = deepFreeze({
+            id: `audit_${timestamp.getTime()}_${++this.sequence}`,
+            timestamp: timestamp.toISOString(),
+            actorId: actor ? actor.id : null,
+            actorName: actor ? (actor.username || actor.id) : null,
+            entityType,
+            entityId,
+            operation,
+            changes
+        });
+
+        this.entries.push(entry);
+        this.applyRetention();
+        this.scheduleSave();
+        return entry;
+    }
+
+    /**
+     * Find entries, newest first
+     * @param {object} criteria - { entityType, entityId, actorId, operation, field, from, to, limit }
+     * @returns {object[]}
+     */
+    query(criteria = {}) {
+        const from = criteria.from ? new Date(criteria.from).getTime() : -Infinity;
+        const to = criteria.to ? new Date(criteria.to).getTime() : Infinity;
+
+        const matches = this.entries.filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            return (!criteria.entityType || entry.entityType === criteria.entityType) &&
+                (!criteria.entityId || entry.entityId === criteria.entityId) &&
+                (criteria.actorId === undefined || entry.actorId === criteria.actorId) &&
+                (!criteria.operation || entry.operation === criteria.operation) &&
+                (!criteria.field || entry.changes.some(change => change.field === criteria.field)) &&
+                time >= from && time <= to;
+        }).reverse();
+
+        return criteria.limit ? matches.slice(0, criteria.limit) : matches;
+    }
+
+    /**
+     * Every entry about one entity, newest first
+     * @param {string} entityType - 'task' or 'user'
+     * @param {string} entityId - Entity ID
+     * @returns {object[]}
+     */
+    getEntityHistory(entityType, entityId) {
+        return this.query({ entityType, entityId });
+    }
+
+    /**
+     * Drop entries beyond the retention limits (oldest first)
+     * @returns {number} - Number of entries removed
+     */
+    applyRetention() {
+        const cutoff = this.now().getTime() - this.retention.maxAgeDays * AUDIT_LOG_DAY_MS;
+        const before = this.entries.length;
+
+        this.entries = this.entries.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+        if (this.entries.length > this.retention.maxEntries) {
+            this.entries = this.entries.slice(this.entries.length - this.retention.maxEntries);
+        }
+        return before - this.entries.length;
+    }
+
+    // Storage operations
+    async loadFromStorage() {
+        if (!this.storage) {
+            throw new Error('No storage configured');
+        }
+
+        const data = await this.storage.load(this.entityKey, []);
+        this.entries = (Array.isArray(data) ? data : []).map(deepFreeze);
+        this.applyRetention();
+    }
+
+    async saveToStorage() {
+        if (!this.storage) {
+            throw new Error('No storage configured');
+        }
+
+        const saved = await this.storage.save(this.entityKey, this.entries);
+        if (saved === false) {
+            throw new Error('Failed to save to storage');
+        }
+    }
+
+    /**
+     * Write the log once the current burst of changes is over
+     */
+    scheduleSave() {
+        if (!this.storage || this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.flush().catch(error => console.error('Failed to save audit log:', error.message));
+        }, this.saveDelay);
+        // A pending write must not keep a Node process alive; flush() on shutdown
+        if (typeof this.saveTimer.unref === 'function') {
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Write pending entries now
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.saveTimer) {
+            return;
+        }
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.saveToStorage();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditLog, DEFAULT_RETENTION, DEFAULT_SAVE_DELAY };
+} else {
+    window.AuditLog = AuditLog;
+}
@@ -0,0 +1,200 @@
+/**
+ * Audit Log Tests
+ * Field diffs, append-only entries, queries, retention and repository/API integration
+ */
+
+const express = require('express');
+const { AuditLog } = require('./audit-log');
+const { TaskRepository } = require('./task-repository');
+const { createTaskRouter } = require('./task-api');
+const { TaskCsv } = require('./task-csv');
+const { TaskValidator } = require('./validation');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { MockFactory } = require('./test-utilities');
+
+describe('Audit Log', () => {
+    let clock;
+    let auditLog;
+
+    const alice = { id: 'user_1', username: 'alice' };
+    const bob = { id: 'user_2', username: 'bob', role: 'admin' };
+
+    beforeEach(() => {
+        clock = new Date('2030-01-01T00:00:00.000Z').getTime();
+        auditLog = new AuditLog(null, { now: () => new Date(clock) });
+    });
+
+    describe('Entries', () => {
+        test('should diff fields, skip updatedAt and redact secrets', () => {
+            const changes = AuditLog.diff(
+                { title: 'Old', tags: ['a'], updatedAt: 1, passwordHash: 'x' },
+                { title: 'New', tags: ['a'], updatedAt: 2, passwordHash: 'y', dueDate: '2030-02-01' }
+            );
+
+            expect(changes).toEqual([
+                { field: 'title', before: 'Old', after: 'New' },
+                { field: 'passwordHash', before: '[redacted]', after: '[redacted]' },
+                { field: 'dueDate', before: null, after: '2030-02-01' }
+            ]);
+        });
+
+        test('should keep frozen entries and skip updates that change nothing', () => {
+            const entry = auditLog.record({
+                actor: alice,
+                entityType: 'task',
+                entityId: 'task_1',
+                operation: 'update',
+                before: { title: 'Old' },
+                after: { title: 'New' }
+            });
+
+            expect(entry).toMatchObject({ actorId: 'user_1', actorName: 'alice', timestamp: '2030-01-01T00:00:00.000Z' });
+            expect(Object.isFrozen(entry)).toBe(true);
+            expect(Object.isFrozen(entry.changes[0])).toBe(true);
+            expect(auditLog.record({
+                entityType: 'task',
+                entityId: 'task_1',
+                operation: 'update',
+                before: { title: 'New' },
+                after: { title: 'New' }
+            })).toBeNull();
+            expect(auditLog.entries).toHaveLength(1);
+        });
+
+        test('should query by entity, actor, field and time range, newest first', () => {
+            auditLog.record({ actor: alice, entityType: 'task', entityId: 'task_1', operation: 'create', after: { title: 'A' } });
+            clock += 60000;
+            auditLog.record({ actor: bob, entityType: 'task', entityId: 'task_1', operation: 'update', before: { title: 'A' }, after: { title: 'B' } });
+            clock += 60000;
+            auditLog.record({ actor: null, entityType: 'task', entityId: 'task_2', operation: 'update', before: { dueDate: null }, after: { dueDate: 'x' } });
+
+            expect(auditLog.getEntityHistory('task', 'task_1').map(entry => entry.operation)).toEqual(['update', 'create']);
+            expect(auditLog.query({ actorId: 'user_2' })).toHaveLength(1);
+            expect(auditLog.query({ actorId: null })[0].entityId).toBe('task_2');
+            expect(auditLog.query({ field: 'dueDate' })).toHaveLength(1);
+            expect(auditLog.query({ from: '2030-01-01T00:01:00.000Z', to: '2030-01-01T00:01:30.000Z' })[0].actorName).toBe('bob');
+            expect(auditLog.query({ limit: 1 })[0].entityId).toBe('task_2');
+        });
+
+        test('should drop entries beyond the retention count and age', () => {
+            auditLog = new AuditLog(MockFactory.createKeyedStorage(), { maxEntries: 2, maxAgeDays: 1, now: () => new Date(clock) });
+            ['a', 'b', 'c'].forEach(id => auditLog.record({ entityType: 'task', entityId: id, operation: 'delete', before: { id } }));
+
+            expect(auditLog.entries.map(entry => entry.entityId)).toEqual(['b', 'c']);
+
+            clock += 2 * 24 * 60 * 60 * 1000;
+            expect(auditLog.applyRetention()).toBe(2);
+            expect(auditLog.entries).toEqual([]);
+        });
+
+        test('should survive a reload from storage', async () => {
+            const storage = MockFactory.createKeyedStorage();
+            auditLog = new AuditLog(storage, { now: () => new Date(clock) });
+            auditLog.record({ entityType: 'task', entityId: 'task_1', operation: 'create', after: { title: 'A' } });
+            await auditLog.flush();
+
+            const reloaded = new AuditLog(storage, { now: () => new Date(clock) });
+            await reloaded.loadFromStorage();
+
+            expect(reloaded.getEntityHistory('task', 'task_1')).toHaveLength(1);
+            expect(Object.isFrozen(reloaded.entries[0])).toBe(true);
+        });
+
+        test('should write a burst of entries once', async () => {
+            const storage = MockFactory.createKeyedStorage();
+            const save = jest.spyOn(storage, 'save');
+            auditLog = new AuditLog(storage, { saveDelay: 0, now: () => new Date(clock) });
+
+            ['a', 'b', 'c'].forEach(id => auditLog.record({ entityType: 'task', entityId: id, operation: 'create', after: { id } }));
+            expect(save).not.toHaveBeenCalled();
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            expect(save).toHaveBeenCalledTimes(1);
+            expect(await storage.load('audit')).toHaveLength(3);
+        });
+
+        test('should report a rejected write', async () => {
+            auditLog = new AuditLog({ save: () => false, load: () => [] }, { now: () => new Date(clock) });
+            auditLog.record({ entityType: 'task', entityId: 'task_1', operation: 'create', after: { title: 'A' } });
+
+            await expect(auditLog.flush()).rejects.toThrow('Failed to save to storage');
+        });
+    });
+
+    describe('Repositories', () => {
+        test('should record task creates, updates and deletes with the acting user', async () => {
+            const repository = new TaskRepository();
+            repository.setAuditLog(auditLog);
+            const task = await repository.create(new Task('Report', '', 'user_1'), alice);
+
+            await repository.update(task.id, { dueDate: new Date('2030-03-01T00:00:00.000Z') }, bob);
+            await repository.deleteTask(task.id, alice);
+
+            const history = auditLog.getEntityHistory('task', task.id);
+            expect(history.map(entry => [entry.operation, entry.actorName])).toEqual([
+                ['delete', 'alice'],
+                ['update', 'bob'],
+                ['create', 'alice']
+            ]);
+            expect(history[1].changes).toEqual([{ field: 'dueDate', before: null, after: '2030-03-01T00:00:00.000Z' }]);
+        });
+
+        test('should attribute bulk imports and deletes to the acting user', async () => {
+            const repository = new TaskRepository();
+            repository.setAuditLog(auditLog);
+            const { tasks } = await TaskCsv.importTasks(repository, 'title\nImported', { validator: new TaskValidator(), userId: alice.id, actor: alice });
+            await repository.deleteTasks(tasks.map(task => task.id), alice);
+
+            expect(auditLog.getEntityHistory('task', tasks[0].id).map(entry => [entry.operation, entry.actorName])).toEqual([
+                ['delete', 'alice'],
+                ['create', 'alice']
+            ]);
+        });
+
+        test('should record user changes without password hashes', async () => {
+            const users = new UserRepository(MockFactory.createKeyedStorage());
+            users.setAuditLog(auditLog);
+            const carol = new User('carol', 'carol@example.com', 'Carol Poe');
+            carol.setPassword('Correct7Horse');
+            await users.create(carol);
+
+            await users.update(carol.id, { password: 'Battery8Staple', fullName: 'Carol Moe' }, carol);
+
+            const [update] = auditLog.query({ entityType: 'user', operation: 'update' });
+            expect(update.actorName).toBe('carol');
+            expect(update.changes).toEqual(expect.arrayContaining([
+                { field: 'fullName', before: 'Carol Poe', after: 'Carol Moe' },
+                expect.objectContaining({ field: 'passwordHash', before: '[redacted]', after: '[redacted]' })
+            ]));
+            expect(JSON.stringify(auditLog.entries)).not.toContain(carol.toStorageJSON().passwordHash);
+        });
+    });
+
+    describe('API', () => {
+        test('should serve the history of a task', async () => {
+            const repository = new TaskRepository();
+            repository.setAuditLog(auditLog);
+            const task = await repository.create(new Task('Report', '', 'user_1'));
+            await repository.update(task.id, { title: 'Quarterly report' });
+
+            const app = express();
+            app.use('/api/tasks', createTaskRouter(repository));
+            const server = await new Promise(resolve => {
+                const listening = app.listen(0, () => resolve(listening));
+            });
+
+            try {
+                const response = await fetch(`http://127.0.0.1:${server.address().port}/api/tasks/${task.id}/history`);
+                const body = await response.json();
+
+                expect(response.status).toBe(200);
+                expect(body.entries.map(entry => entry.operation)).toEqual(['update', 'create']);
+                expect(body.entries[0].changes).toEqual([{ field: 'title', before: 'Report', after: 'Quarterly report' }]);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Auth API - login/logout routes and session middleware
+ *
+ *   POST /api/auth/login    { username, password } -> { token, expiresAt, user }
+ *   POST /api/auth/logout   Revokes the current session
+ *   POST /api/auth/password { currentPassword, newPassword } -> { token, expiresAt };
+ *                           ends every other session of the user
+ *   GET  /api/auth/me       Returns the authenticated user
+ *
+ * The token is returned in the body (for scripts, sent back as
+ * `Authorization: Bearer <token>`) and set as an HttpOnly cookie (for the browser).
+ */
+
+const express = require('express');
+const { AuthenticationError } = require('./auth-utils');
+const { httpError, asyncHandler, jsonErrorHandler } = require('./task-api');
+
+const SESSION_COOKIE = 'sessionToken';
+
+/**
+ * Read the session token from the Authorization header or the session cookie
+ * @param {express.Request} req - Incoming request
+ * @returns {string|null} - Raw token
+ */
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim() || null;
+    }
+
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [name, ...rest] = cookie.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(rest.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Middleware that resolves the current user from the session token.
+ * Sets req.user and req.session when the token is valid; never rejects on its own.
+ * @param {object} deps - { sessionManager, userRepository }
+ * @returns {function} - Express middleware
+ */
+function createSessionMiddleware({ sessionManager, userRepository }) {
+    return asyncHandler(async (req, res, next) => {
+        req.user = null;
+        req.session = null;
+
+        const token = getRequestToken(req);
+        const session = token ? sessionManager.resolve(token) : null;
+        if (session) {
+            const user = await userRepository.findById(session.userId);
+            if (user && user.isActive) {
+                req.user = user;
+                req.session = session;
+                req.sessionToken = token;
+            } else {
+                sessionManager.revoke(token);
+            }
+        }
+
+        next();
+    });
+}
+
+/**
+ * Middleware that rejects requests without an authenticated user
+ */
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return next(httpError(401, 'Authentication required'));
+    }
+    next();
+}
+
+/**
+ * Create the /api/auth router
+ * @param {object} deps - { userRepository, sessionManager }
+ * @returns {express.Router} - Configured router
+ */
+function createAuthRouter({ userRepository, sessionManager }) {
+    if (!userRepository || !sessionManager) {
+        throw new Error('UserRepository and SessionManager are required');
+    }
+
+    const router = express.Router();
+    router.use(express.json());
+
+    // Issue a session and hand its token to the browser as a cookie
+    const startSession = (req, res, user) => {
+        const session = sessionManager.createSession(user);
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            expires: session.expiresAt
+        });
+        return session;
+    };
+
+    router.post('/login', asyncHandler(async (req, res) => {
+        const { username, password } = req.body || {};
+
+        let user;
+        try {
+            user = await userRepository.authenticate(username, password);
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                throw httpError(error.code === 'ACCOUNT_DEACTIVATED' ? 403 : 401, error.message);
+            }
+            throw error;
+        }
+
+        const { token, expiresAt } = startSession(req, res, user);
+        res.json({ token, expiresAt, user: user.toJSON() });
+    }));
+
+    router.post('/logout', (req, res) => {
+        const token = req.sessionToken || getRequestToken(req);
+        if (token) {
+            sessionManager.revoke(token);
+        }
+        res.clearCookie(SESSION_COOKIE);
+        res.status(204).end();
+    });
+
+    router.post('/password', requireAuth, asyncHandler(async (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        if (typeof newPassword !== 'string' || newPassword === '') {
+            throw httpError(400, 'newPassword is required');
+        }
+        if (typeof currentPassword !== 'string' || !req.user.verifyPassword(currentPassword)) {
+            throw httpError(403, 'Current password is incorrect');
+        }
+
+        let user;
+        try {
+            user = await userRepository.update(req.user.id, { password: newPassword }, req.user);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+
+        // Whoever else knew the old password is signed out; this client
+        // continues with a fresh session
+        sessionManager.revokeAllForUser(user.id);
+        const { token, expiresAt } = startSession(req, res, user);
+        res.json({ token, expiresAt });
+    }));
+
+    router.get('/me', requireAuth, (req, res) => {
+        res.json({ user: req.user.toJSON(), expiresAt: new Date(req.session.expiresAt) });
+    });
+
+    router.use(jsonErrorHandler('Auth API'));
+
+    return router;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    createAuthRouter,
+    createSessionMiddleware,
+    getRequestToken,
+    requireAuth
+};
@@ -0,0 +1,247 @@
+/**
+ * Auth API Tests
+ * Session lifecycle, login/logout routes and authenticated task access
+ */
+
+const express = require('express');
+const { SessionManager } = require('./session-manager');
+const { createAuthRouter, createSessionMiddleware, requireAuth } = require('./auth-api');
+const { createTaskRouter, jsonErrorHandler } = require('./task-api');
+const { TaskRepository } = require('./task-repository');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { MockFactory } = require('./test-utilities');
+
+describe('Session Manager', () => {
+    let clock;
+    let manager;
+    const user = { id: 'user_1' };
+
+    beforeEach(() => {
+        clock = 1000000;
+        manager = new SessionManager({
+            secret: 'test-secret',
+            ttl: 60 * 60 * 1000,
+            idleTimeout: 10 * 60 * 1000,
+            now: () => clock
+        });
+    });
+
+    test('should issue opaque tokens that resolve to the user', () => {
+        const { token, expiresAt } = manager.createSession(user);
+
+        expect(token).toMatch(/^[\w-]+\.[\w-]+$/);
+        expect(expiresAt.getTime()).toBe(clock + 60 * 60 * 1000);
+        expect(manager.resolve(token).userId).toBe('user_1');
+    });
+
+    test('should reject tokens with a forged signature', () => {
+        const { token } = manager.createSession(user);
+        const [id] = token.split('.');
+
+        expect(manager.resolve(`${id}.forged`)).toBeNull();
+        expect(manager.resolve('garbage')).toBeNull();
+    });
+
+    test('should expire sessions after the idle timeout', () => {
+        const { token } = manager.createSession(user);
+
+        clock += 9 * 60 * 1000;
+        expect(manager.resolve(token)).not.toBeNull();
+
+        clock += 9 * 60 * 1000; // activity above refreshed the idle timer
+        expect(manager.resolve(token)).not.toBeNull();
+
+        clock += 11 * 60 * 1000;
+        expect(manager.resolve(token)).toBeNull();
+    });
+
+    test('should expire sessions after the absolute lifetime', () => {
+        const { token } = manager.createSession(user);
+
+        for (let i = 0; i < 6; i++) {
+            clock += 9 * 60 * 1000;
+            manager.resolve(token);
+        }
+        clock += 9 * 60 * 1000;
+
+        expect(manager.resolve(token)).toBeNull();
+    });
+
+    test('should revoke single sessions and all sessions of a user', () => {
+        const first = manager.createSession(user);
+        const second = manager.createSession(user);
+        const other = manager.createSession({ id: 'user_2' });
+
+        expect(manager.revoke(first.token)).toBe(true);
+        expect(manager.isRevoked(first.token)).toBe(true);
+        expect(manager.resolve(first.token)).toBeNull();
+
+        expect(manager.revokeAllForUser('user_1')).toBe(1);
+        expect(manager.resolve(second.token)).toBeNull();
+        expect(manager.resolve(other.token)).not.toBeNull();
+    });
+});
+
+describe('Auth API', () => {
+    let server;
+    let baseUrl;
+    let userRepository;
+    let taskRepository;
+    let alice;
+    let bob;
+
+    const request = async (method, path, { body, token } = {}) => {
+        const headers = {};
+        if (body) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    };
+
+    const login = async (username, password) => {
+        const { body } = await request('POST', '/api/auth/login', { body: { username, password } });
+        return body.token;
+    };
+
+    beforeEach(async () => {
+        userRepository = new UserRepository(MockFactory.createKeyedStorage());
+        taskRepository = new TaskRepository();
+        const sessionManager = new SessionManager({ secret: 'test-secret' });
+
+        alice = new User('alice', 'alice@example.com', 'Alice Doe');
+        alice.setPassword('Correct7Horse');
+        bob = new User('bob', 'bob@example.com', 'Bob Roe');
+        bob.setPassword('Battery8Staple');
+        await userRepository.create(alice);
+        await userRepository.create(bob);
+
+        const app = express();
+        app.use('/api', createSessionMiddleware({ sessionManager, userRepository }));
+        app.use('/api/auth', createAuthRouter({ userRepository, sessionManager }));
+        app.use('/api/tasks', requireAuth, createTaskRouter(taskRepository));
+        app.use('/api', jsonErrorHandler('API'));
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    describe('Login and logout', () => {
+        test('should log in and return a token, cookie and safe user data', async () => {
+            const { status, headers, body } = await request('POST', '/api/auth/login', {
+                body: { username: 'alice', password: 'Correct7Horse' }
+            });
+
+            expect(status).toBe(200);
+            expect(body.token).toBeDefined();
+            expect(body.user.username).toBe('alice');
+            expect(body.user).not.toHaveProperty('passwordHash');
+            expect(headers.get('set-cookie')).toMatch(/sessionToken=.*HttpOnly/);
+        });
+
+        test('should reject bad credentials with 401', async () => {
+            const { status, body } = await request('POST', '/api/auth/login', {
+                body: { username: 'alice', password: 'nope' }
+            });
+
+            expect(status).toBe(401);
+            expect(body.error).toBe('Invalid username or password');
+        });
+
+        test('should resolve the current user and end the session on logout', async () => {
+            const token = await login('alice', 'Correct7Horse');
+
+            const me = await request('GET', '/api/auth/me', { token });
+            expect(me.body.user.id).toBe(alice.id);
+
+            const logout = await request('POST', '/api/auth/logout', { token });
+            expect(logout.status).toBe(204);
+
+            const after = await request('GET', '/api/auth/me', { token });
+            expect(after.status).toBe(401);
+        });
+    });
+
+    describe('Password change', () => {
+        const changePassword = (token, currentPassword, newPassword) =>
+            request('POST', '/api/auth/password', { token, body: { currentPassword, newPassword } });
+
+        test('should end the other sessions and continue with a new one', async () => {
+            const laptop = await login('alice', 'Correct7Horse');
+            const phone = await login('alice', 'Correct7Horse');
+            const bobToken = await login('bob', 'Battery8Staple');
+
+            const changed = await changePassword(laptop, 'Correct7Horse', 'Purple9Giraffe');
+            expect(changed.status).toBe(200);
+            expect(changed.headers.get('set-cookie')).toMatch(/sessionToken=/);
+
+            expect((await request('GET', '/api/auth/me', { token: phone })).status).toBe(401);
+            expect((await request('GET', '/api/auth/me', { token: laptop })).status).toBe(401);
+            expect((await request('GET', '/api/auth/me', { token: changed.body.token })).body.user.id).toBe(alice.id);
+            expect((await request('GET', '/api/auth/me', { token: bobToken })).status).toBe(200);
+            expect(await login('alice', 'Purple9Giraffe')).toBeDefined();
+        });
+
+        test('should keep the sessions when the change is refused', async () => {
+            const token = await login('alice', 'Correct7Horse');
+
+            expect((await changePassword(token, 'wrong', 'Purple9Giraffe')).status).toBe(403);
+            expect((await changePassword(token, 'Correct7Horse', 'short')).status).toBe(400);
+            expect((await changePassword(null, 'Correct7Horse', 'Purple9Giraffe')).status).toBe(401);
+
+            expect((await request('GET', '/api/auth/me', { token })).status).toBe(200);
+            expect(await login('alice', 'Correct7Horse')).toBeDefined();
+        });
+    });
+
+    describe('Authenticated task routes', () => {
+        test('should require a session', async () => {
+            const { status, body } = await request('GET', '/api/tasks');
+
+            expect(status).toBe(401);
+            expect(body.error).toBe('Authentication required');
+        });
+
+        test('should create tasks owned by the authenticated user', async () => {
+            const token = await login('alice', 'Correct7Horse');
+
+            const { status, body } = await request('POST', '/api/tasks', {
+                token,
+                body: { title: 'Mine', userId: bob.id }
+            });
+
+            expect(status).toBe(201);
+            expect(body.userId).toBe(alice.id);
+        });
+
+        test('should apply canViewTask and canModifyTask to other users\' tasks', async () => {
+            const bobsTask = new Task('Private', '', bob.id);
+            const sharedTask = new Task('Shared', '', bob.id, { assignedTo: alice.id });
+            await taskRepository.create(bobsTask);
+            await taskRepository.create(sharedTask);
+            const token = await login('alice', 'Correct7Horse');
+
+            const list = await request('GET', '/api/tasks', { token });
+            expect(list.body.tasks.map(t => t.title)).toEqual(['Shared']);
+
+            const hidden = await request('GET', `/api/tasks/${bobsTask.id}`, { token });
+            expect(hidden.status).toBe(404);
+
+            const toggled = await request('POST', `/api/tasks/${sharedTask.id}/toggle`, { token });
+            expect(toggled.status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Authentication Utilities
+ *
+ * Password hashing (salted scrypt from Node's built-in crypto module),
+ * password strength rules and the error type used for failed logins.
+ *
+ * Hashes are stored as a single self-describing string:
+ *   scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+ * so the cost parameters can be raised later without breaking old hashes.
+ */
+
+const crypto = require('crypto');
+const I18n = require('./i18n');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const TOKEN_BYTES = 32;
+
+/**
+ * Raised when a login attempt fails. `code` tells callers why without
+ * having to parse the message:
+ * - INVALID_CREDENTIALS: unknown user or wrong password
+ * - ACCOUNT_DEACTIVATED: the account exists but is not active
+ */
+class AuthenticationError extends Error {
+    constructor(message = I18n.t('auth.invalidCredentials'), code = 'INVALID_CREDENTIALS') {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} - Encoded hash
+ */
+function hashPassword(password) {
+    if (typeof password !== 'string' || password === '') {
+        throw new Error(I18n.t('password.required'));
+    }
+
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p });
+
+    return ['scrypt', N, r, p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {boolean} - Whether the password matches
+ */
+function verifyPassword(password, encodedHash) {
+    if (typeof password !== 'string' || typeof encodedHash !== 'string') {
+        return false;
+    }
+
+    const parts = encodedHash.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return false;
+    }
+
+    const [, N, r, p, saltHex, hashHex] = parts;
+    const expected = Buffer.from(hashHex, 'hex');
+    if (expected.length === 0) {
+        return false;
+    }
+
+    try {
+        const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length, {
+            N: Number(N),
+            r: Number(r),
+            p: Number(p)
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Random token for links that have to work without a session (calendar feeds)
+ * @returns {string} - URL-safe token
+ */
+function generateToken() {
+    return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * Compare a given token with the stored one in constant time
+ * @param {string} given - Token from the request
+ * @param {string} expected - Stored token
+ * @returns {boolean}
+ */
+function tokensMatch(given, expected) {
+    if (typeof given !== 'string' || typeof expected !== 'string' || expected === '') {
+        return false;
+    }
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Password Validation Strategy
+ * Same result shape as the strategies in validation.js
+ */
+class PasswordValidationStrategy {
+    constructor(minLength = 8, maxLength = 128) {
+        this.minLength = minLength;
+        this.maxLength = maxLength;
+    }
+
+    /**
+     * @param {string} password - Password to check
+     * @param {object} context - Optional { username, email } the password must not contain
+     * @returns {object} - { isValid, errors }
+     */
+    validate(password, context = {}) {
+        const errors = [];
+
+        if (typeof password !== 'string' || password === '') {
+            errors.push(I18n.t('password.required'));
+            return { isValid: false, errors };
+        }
+
+        if (password.length < this.minLength) {
+            errors.push(I18n.t('password.tooShort', { min: this.minLength }));
+        }
+
+        if (password.length > this.maxLength) {
+            errors.push(I18n.t('password.tooLong', { max: this.maxLength }));
+        }
+
+        if (!/[a-z]/.test(password)) {
+            errors.push(I18n.t('password.lowercase'));
+        }
+
+        if (!/[A-Z]/.test(password)) {
+            errors.push(I18n.t('password.uppercase'));
+        }
+
+        if (!/[0-9]/.test(password)) {
+            errors.push(I18n.t('password.number'));
+        }
+
+        const lowered = password.toLowerCase();
+        const emailName = context.email ? context.email.split('@')[0].toLowerCase() : '';
+        if ((context.username && lowered.includes(context.username.toLowerCase())) ||
+            (emailName.length >= 3 && lowered.includes(emailName))) {
+            errors.push(I18n.t('password.personal'));
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+}
+
+module.exports = {
+    AuthenticationError,
+    PasswordValidationStrategy,
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    tokensMatch
+};
@@ -0,0 +1,149 @@
+/**
+ * Authentication Tests
+ * Password hashing, strength rules, User password API and UserRepository.authenticate
+ */
+
+const {
+    AuthenticationError,
+    PasswordValidationStrategy,
+    hashPassword,
+    verifyPassword
+} = require('./auth-utils');
+const User = require('./user-model');
+const UserRepository = require('./user-repository');
+const { MockFactory } = require('./test-utilities');
+
+describe('Authentication', () => {
+    describe('Password hashing', () => {
+        test('should produce salted hashes that verify', () => {
+            const first = hashPassword('Secret123');
+            const second = hashPassword('Secret123');
+
+            expect(first).toMatch(/^scrypt\$/);
+            expect(first).not.toBe(second);
+            expect(verifyPassword('Secret123', first)).toBe(true);
+            expect(verifyPassword('Secret124', first)).toBe(false);
+        });
+
+        test('should reject malformed hashes', () => {
+            expect(verifyPassword('Secret123', 'not-a-hash')).toBe(false);
+            expect(verifyPassword('Secret123', null)).toBe(false);
+        });
+    });
+
+    describe('PasswordValidationStrategy', () => {
+        const strategy = new PasswordValidationStrategy();
+
+        test('should accept a strong password', () => {
+            expect(strategy.validate('Correct7Horse').isValid).toBe(true);
+        });
+
+        test('should report each broken rule', () => {
+            const result = strategy.validate('short');
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toEqual([
+                'Password must be at least 8 characters',
+                'Password must contain an uppercase letter',
+                'Password must contain a number'
+            ]);
+        });
+
+        test('should reject passwords containing the username', () => {
+            const result = strategy.validate('Alice12345', { username: 'alice' });
+
+            expect(result.errors).toContain('Password must not contain your username or email');
+        });
+    });
+
+    describe('User password API', () => {
+        let user;
+
+        beforeEach(() => {
+            user = new User('alice', 'alice@example.com', 'Alice Doe');
+        });
+
+        test('should set and verify a password', () => {
+            expect(user.hasPassword).toBe(false);
+
+            user.setPassword('Correct7Horse');
+
+            expect(user.hasPassword).toBe(true);
+            expect(user.verifyPassword('Correct7Horse')).toBe(true);
+            expect(user.verifyPassword('wrong')).toBe(false);
+        });
+
+        test('should refuse weak passwords', () => {
+            expect(() => user.setPassword('weak')).toThrow('Password does not meet the requirements');
+        });
+
+        test('should never expose the hash through toJSON', () => {
+            user.setPassword('Correct7Horse');
+
+            expect(user.toJSON()).not.toHaveProperty('passwordHash');
+            expect(JSON.stringify(user)).not.toContain('scrypt');
+        });
+
+        test('should keep the hash through storage serialization', () => {
+            user.setPassword('Correct7Horse');
+
+            const restored = User.fromJSON(user.toStorageJSON());
+
+            expect(restored.verifyPassword('Correct7Horse')).toBe(true);
+        });
+    });
+
+    describe('UserRepository.authenticate', () => {
+        let repository;
+        let user;
+
+        beforeEach(async () => {
+            repository = new UserRepository(MockFactory.createKeyedStorage());
+            user = new User('alice', 'alice@example.com', 'Alice Doe');
+            user.setPassword('Correct7Horse');
+            await repository.create(user);
+        });
+
+        test('should authenticate by username or email with the right password', async () => {
+            const byUsername = await repository.authenticate('alice', 'Correct7Horse');
+            const byEmail = await repository.authenticate('alice@example.com', 'Correct7Horse');
+
+            expect(byUsername.id).toBe(user.id);
+            expect(byEmail.id).toBe(user.id);
+            expect(byUsername.lastLoginAt).toBeInstanceOf(Date);
+        });
+
+        test('should reject a wrong password with AuthenticationError', async () => {
+            await expect(repository.authenticate('alice', 'Wrong7Horse'))
+                .rejects.toBeInstanceOf(AuthenticationError);
+        });
+
+        test('should reject unknown users with the same error', async () => {
+            await expect(repository.authenticate('bob', 'Correct7Horse'))
+                .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+        });
+
+        test('should reject users without a password', async () => {
+            await repository.create(new User('nopass', 'nopass@example.com'));
+
+            await expect(repository.authenticate('nopass', 'anything'))
+                .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+        });
+
+        test('should reject deactivated accounts with a distinct code', async () => {
+            await repository.update(user.id, { isActive: false });
+
+            await expect(repository.authenticate('alice', 'Correct7Horse'))
+                .rejects.toMatchObject({ code: 'ACCOUNT_DEACTIVATED' });
+        });
+
+        test('should keep the hash after profile updates and allow password changes', async () => {
+            await repository.update(user.id, { fullName: 'Alice Smith' });
+            await expect(repository.authenticate('alice', 'Correct7Horse')).resolves.toBeDefined();
+
+            await repository.update(user.id, { password: 'Another9Pass' });
+            await expect(repository.authenticate('alice', 'Another9Pass')).resolves.toBeDefined();
+            await expect(repository.authenticate('alice', 'Correct7Horse')).rejects.toThrow();
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Calendar API - iCalendar export, import and subscription feeds
+ *
+ *   GET    /api/calendar/feed              Subscription URL for the current user's feed
+ *   POST   /api/calendar/feed              New subscription URL; the old one stops working
+ *   DELETE /api/calendar/feed              Revoke the feed token
+ *   GET    /api/calendar/feeds/:userId.ics Feed of the user's tasks (?token=<feed token>, no session needed)
+ *   GET    /api/calendar/export.ics        Download the current user's tasks
+ *   POST   /api/calendar/import            Import VTODO/VEVENT items (text/calendar body);
+ *                                           ?dryRun=true only previews
+ *
+ * Feeds contain the tasks a user owns or is assigned that have a due date.
+ * Calendar apps poll feed URLs without logging in, so feeds are authorized
+ * by a random per-user feed token (stored with the user, so feed URLs
+ * survive restarts) instead of a session.
+ *
+ * Like the CSV import, an import reports per item: the tasks that were
+ * stored and, with their line and UID, the items that were not, whether
+ * they failed to parse or the repository refused them. A client retries
+ * only the failed items instead of the whole calendar.
+ */
+
+const express = require('express');
+const { ICalendar, ICalendarError } = require('./icalendar');
+const { TaskFactory } = require('./task-factory');
+const { TaskValidator } = require('./validation');
+const { requireAuth } = require('./auth-api');
+const { parseBoolean, httpError, asyncHandler, jsonErrorHandler } = require('./task-api');
+
+const CALENDAR_TYPE = 'text/calendar; charset=utf-8';
+const MAX_IMPORT_SIZE = '1mb';
+
+/**
+ * Create the /api/calendar router
+ * @param {object} deps - { taskRepository, userRepository }
+ * @returns {express.Router} - Configured router
+ */
+function createCalendarRouter({ taskRepository, userRepository }) {
+    if (!taskRepository || !userRepository) {
+        throw new Error('TaskRepository and UserRepository are required');
+    }
+
+    const router = express.Router();
+    const factory = new TaskFactory(new TaskValidator());
+
+    const tasksFor = userId => taskRepository.getAllTasks()
+        .filter(task => task.userId === userId || task.assignedTo === userId);
+
+    const sendCalendar = (res, user, filename) => {
+        if (filename) {
+            res.attachment(filename);
+        }
+        res.type(CALENDAR_TYPE);
+        res.send(ICalendar.serialize(tasksFor(user.id), { name: `Tasks - ${user.fullName || user.username}` }));
+    };
+
+    const feedUrl = (req, token) => `${req.baseUrl}/feeds/${encodeURIComponent(req.user.id)}.ics?token=${token}`;
+
+    router.get('/feed', requireAuth, asyncHandler(async (req, res) => {
+        res.json({ url: feedUrl(req, await userRepository.getFeedToken(req.user.id)) });
+    }));
+
+    router.post('/feed', requireAuth, asyncHandler(async (req, res) => {
+        res.status(201).json({ url: feedUrl(req, await userRepository.regenerateFeedToken(req.user.id, req.user)) });
+    }));
+
+    router.delete('/feed', requireAuth, asyncHandler(async (req, res) => {
+        await userRepository.revokeFeedToken(req.user.id, req.user);
+        res.status(204).end();
+    }));
+
+    router.get('/feeds/:userId.ics', asyncHandler(async (req, res) => {
+        if (!(await userRepository.verifyFeedToken(req.params.userId, req.query.token))) {
+            throw httpError(401, 'Invalid feed token');
+        }
+
+        const user = await userRepository.findById(req.params.userId);
+        if (!user || !user.isActive) {
+            throw httpError(404, 'Feed not found');
+        }
+        sendCalendar(res, user);
+    }));
+
+    router.get('/export.ics', requireAuth, (req, res) => {
+        sendCalendar(res, req.user, 'tasks.ics');
+    });
+
+    router.post('/import',
+        requireAuth,
+        express.text({ type: ['text/calendar', 'text/plain'], limit: MAX_IMPORT_SIZE }),
+        asyncHandler(async (req, res) => {
+            const dryRun = parseBoolean(req.query.dryRun) === true;
+            let result;
+            try {
+                result = ICalendar.importTasks(typeof req.body === 'string' ? req.body : '', {
+                    factory,
+                    userId: req.user.id
+                });
+            } catch (error) {
+                if (error instanceof ICalendarError) {
+                    throw httpError(400, error.message);
+                }
+                throw error;
+            }
+
+            let imported = result.tasks;
+            const errors = result.errors;
+            if (!dryRun) {
+                const added = await taskRepository.addTasks(result.tasks, req.user);
+                imported = added.results;
+                added.errors.forEach(({ task, error }) => errors.push({ ...result.sources.get(task), error }));
+                errors.sort((a, b) => a.line - b.line);
+            }
+
+            res.status(dryRun ? 200 : 201).json({
+                dryRun,
+                imported: imported.map(task => task.toJSON()),
+                errors
+            });
+        })
+    );
+
+    router.use(jsonErrorHandler('Calendar API'));
+
+    return router;
+}
+
+module.exports = { createCalendarRouter };
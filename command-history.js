@@ -0,0 +1,212 @@
+/**
+ * Command History - Undo/redo for task operations
+ *
+ * Every mutation the TaskController performs is recorded as a command: what
+ * it changed on each task it touched. Comparing snapshots of the repository
+ * (instead of inverting each operation by hand) also covers the side effects
+ * of an operation, like cascaded subtask completion, reparented subtasks,
+ * dependencies dropped on delete or the next occurrence of a recurring task.
+ *
+ * A created or deleted task is kept whole; for an updated task only the
+ * fields the operation changed are kept, so undo and redo leave everybody
+ * else's edits alone. A command is only replayed while its tasks still look
+ * the way it left them (see findConflicts).
+ *
+ * Each user has a separate, bounded undo and redo stack.
+ */
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+// Task fields a command reverts; the rest (timestamps, notes, status history) only ever grows
+const TRACKED_FIELDS = [
+    'title', 'description', 'priority', 'category', 'dueDate', 'estimatedHours', 'actualHours',
+    'tags', 'assignedTo', 'projectId', 'workspaceId', 'parentTaskId', 'recurrence', 'dependencies',
+    'status', 'completed'
+];
+
+/**
+ * Raised when a command cannot be replayed because its tasks changed since.
+ * code is TASK_CHANGED; taskIds lists the tasks that no longer match
+ */
+class CommandConflictError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'CommandConflictError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+class CommandHistory {
+    /**
+     * @param {object} options - { limit } maximum commands kept per user
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || DEFAULT_HISTORY_LIMIT;
+        this.stacks = new Map();
+    }
+
+    /**
+     * Serialized state of every task, keyed by ID
+     * @param {Task[]} tasks - Tasks to capture
+     * @returns {Map<string, string>}
+     */
+    static snapshot(tasks) {
+        return new Map(tasks.map(task => [
+            task.id,
+            JSON.stringify(typeof task.toJSON === 'function' ? task.toJSON() : task)
+        ]));
+    }
+
+    /**
+     * Tasks that differ between two snapshots
+     * @param {Map<string, string>} before - Snapshot taken before the operation
+     * @param {Map<string, string>} after - Snapshot taken after the operation
+     * @returns {object[]} - { id, before, after }: whole task JSON, null for a
+     *                       missing task, or just the changed fields of an update
+     */
+    static diff(before, after) {
+        const ids = new Set([...before.keys(), ...after.keys()]);
+        return Array.from(ids)
+            .filter(id => before.get(id) !== after.get(id))
+            .map(id => {
+                const from = before.has(id) ? JSON.parse(before.get(id)) : null;
+                const to = after.has(id) ? JSON.parse(after.get(id)) : null;
+                if (!from || !to) {
+                    return { id, before: from, after: to };
+                }
+
+                const fields = TRACKED_FIELDS.filter(field => !sameValue(from[field], to[field]));
+                const pick = state => Object.fromEntries(fields.map(field => [field, state[field]]));
+                return { id, before: pick(from), after: pick(to) };
+            })
+            .filter(change => !change.before || !change.after || Object.keys(change.after).length > 0);
+    }
+
+    /**
+     * Changes that replay a command in one direction
+     * @param {object} command - Recorded command
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {object[]} - { id, from, to }
+     */
+    static replayChanges(command, direction) {
+        return command.changes.map(change => (direction === 'undo'
+            ? { id: change.id, from: change.after, to: change.before }
+            : { id: change.id, from: change.before, to: change.after }));
+    }
+
+    /**
+     * Tasks that no longer are in the state a replay starts from: a task to
+     * recreate exists again, or a tracked field was changed since
+     * @param {object[]} changes - From replayChanges
+     * @param {function} getTask - Current task by ID, or null
+     * @returns {string[]} - IDs of the conflicting tasks
+     */
+    static findConflicts(changes, getTask) {
+        return changes.filter(({ id, from }) => {
+            const task = getTask(id);
+            if (!from || !task) {
+                return Boolean(from) !== Boolean(task);
+            }
+
+            const current = JSON.parse(JSON.stringify(typeof task.toJSON === 'function' ? task.toJSON() : task));
+            return Object.keys(from)
+                .filter(field => TRACKED_FIELDS.includes(field))
+                .some(field => !sameValue(current[field], from[field]));
+        }).map(change => change.id);
+    }
+
+    _stacksFor(userId) {
+        if (!this.stacks.has(userId)) {
+            this.stacks.set(userId, { undo: [], redo: [] });
+        }
+        return this.stacks.get(userId);
+    }
+
+    /**
+     * Record a command; a new command discards everything that could be redone
+     * @param {string} userId - User who performed the operation
+     * @param {object} command - { label, changes }
+     */
+    record(userId, command) {
+        const stacks = this._stacksFor(userId);
+        stacks.undo.push({ ...command, recordedAt: new Date() });
+        if (stacks.undo.length > this.limit) {
+            stacks.undo.shift();
+        }
+        stacks.redo = [];
+    }
+
+    /**
+     * Take the latest command off the undo stack
+     * @param {string} userId - User ID
+     * @returns {object|null} - Command to revert, or null when there is none
+     */
+    popUndo(userId) {
+        const stacks = this._stacksFor(userId);
+        const command = stacks.undo.pop() || null;
+        if (command) {
+            stacks.redo.push(command);
+        }
+        return command;
+    }
+
+    /**
+     * Take the latest undone command off the redo stack
+     * @param {string} userId - User ID
+     * @returns {object|null} - Command to apply again, or null when there is none
+     */
+    popRedo(userId) {
+        const stacks = this._stacksFor(userId);
+        const command = stacks.redo.pop() || null;
+        if (command) {
+            stacks.undo.push(command);
+        }
+        return command;
+    }
+
+    /**
+     * Drop a command from both stacks, e.g. once it can no longer be replayed
+     * @param {string} userId - User ID
+     * @param {object} command - Command taken with popUndo or popRedo
+     */
+    discard(userId, command) {
+        const stacks = this._stacksFor(userId);
+        stacks.undo = stacks.undo.filter(entry => entry !== command);
+        stacks.redo = stacks.redo.filter(entry => entry !== command);
+    }
+
+    canUndo(userId) {
+        return this._stacksFor(userId).undo.length > 0;
+    }
+
+    canRedo(userId) {
+        return this._stacksFor(userId).redo.length > 0;
+    }
+
+    /**
+     * Label of the command the next undo would revert
+     * @param {string} userId - User ID
+     * @returns {string|null}
+     */
+    peekUndo(userId) {
+        const { undo } = this._stacksFor(userId);
+        return undo.length > 0 ? undo[undo.length - 1].label : null;
+    }
+
+    clear(userId) {
+        this.stacks.delete(userId);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandHistory, CommandConflictError, DEFAULT_HISTORY_LIMIT, TRACKED_FIELDS };
+} else {
+    window.CommandHistory = CommandHistory;
+    window.CommandConflictError = CommandConflictError;
+}
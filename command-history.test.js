@@ -0,0 +1,196 @@
+/**
+ * Command History Tests
+ * Bounded per-user undo/redo stacks and reversible TaskController operations
+ */
+
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { TaskRepository } = require('./task-repository');
+const { TaskController } = require('./task-controller');
+const { CommandHistory } = require('./command-history');
+const { RecurrenceEngine } = require('./recurrence-engine');
+
+// Minimal TaskService over a real repository, like the one in day2-complete-app.js
+const createTaskService = repository => ({
+    taskRepository: repository,
+    async createTask(taskData) {
+        const task = new Task(taskData.title, taskData.description || '', taskData.userId, {
+            assignedTo: taskData.assignedTo,
+            dueDate: taskData.dueDate,
+            recurrence: taskData.recurrence
+        });
+        return repository.create(task);
+    },
+    async getTaskById(taskId) {
+        return repository.findById(taskId);
+    },
+    async getTasksForUser(userId) {
+        return repository.findAll({ userId });
+    },
+    async getTaskStats(userId) {
+        return repository.getTaskStats(userId);
+    },
+    async updateTask(taskId, updates, options = {}) {
+        return repository.update(taskId, updates, null, options);
+    },
+    async deleteTask(taskId, options = {}) {
+        return repository.deleteTask(taskId, null, options);
+    }
+});
+
+describe('Command History', () => {
+    describe('Stacks', () => {
+        test('should keep a bounded stack per user', () => {
+            const history = new CommandHistory({ limit: 2 });
+            ['one', 'two', 'three'].forEach(label => history.record('user_1', { label, changes: [] }));
+
+            expect(history.popUndo('user_1').label).toBe('three');
+            expect(history.popUndo('user_1').label).toBe('two');
+            expect(history.popUndo('user_1')).toBeNull();
+            expect(history.canUndo('user_2')).toBe(false);
+        });
+
+        test('should clear the redo stack when a new command is recorded', () => {
+            const history = new CommandHistory();
+            history.record('user_1', { label: 'one', changes: [] });
+            history.popUndo('user_1');
+            expect(history.canRedo('user_1')).toBe(true);
+
+            history.record('user_1', { label: 'two', changes: [] });
+            expect(history.canRedo('user_1')).toBe(false);
+            expect(history.peekUndo('user_1')).toBe('two');
+        });
+    });
+
+    describe('TaskController', () => {
+        let user;
+        let other;
+        let repository;
+        let controller;
+
+        beforeEach(async () => {
+            user = new User('alice', 'alice@example.com', 'Alice');
+            other = new User('bob', 'bob@example.com', 'Bob');
+            const users = new Map([[user.id, user], [other.id, other]]);
+            repository = new TaskRepository();
+            controller = new TaskController(createTaskService(repository), {
+                getUserById: async id => users.get(id) || null
+            }, null);
+            await controller.initialize(user);
+        });
+
+        test('should undo and redo task creation', async () => {
+            const task = await controller.createTask({ title: 'Write report' });
+
+            await controller.undo();
+            expect(repository.getTask(task.id)).toBeNull();
+
+            await controller.redo();
+            expect(repository.getTask(task.id).title).toBe('Write report');
+        });
+
+        test('should restore every field of a multi-field update', async () => {
+            const task = await controller.createTask({ title: 'Draft', dueDate: '2030-01-01' });
+            await controller.updateTask(task.id, { title: 'Final', priority: 'high', dueDate: '2030-02-01', tags: ['docs'] });
+
+            await controller.undo();
+
+            const restored = repository.getTask(task.id);
+            expect(restored.title).toBe('Draft');
+            expect(restored.priority).toBe('medium');
+            expect(restored.dueDate.toISOString().slice(0, 10)).toBe('2030-01-01');
+            expect(restored.tags).toEqual([]);
+        });
+
+        test('should record nested operations as one command', async () => {
+            const task = await controller.createTask({ title: 'Review' });
+            await controller.toggleTaskCompletion(task.id);
+            await controller.assignTask(task.id, other.id);
+            await controller.addTaskTag(task.id, 'Urgent');
+            await controller.setDueDate(task.id, '2030-03-01');
+
+            expect(controller.history.peekUndo(user.id)).toBe('Set due date');
+            for (let i = 0; i < 3; i++) {
+                await controller.undo();
+            }
+            expect(repository.getTask(task.id)).toMatchObject({ assignedTo: user.id, completed: true });
+
+            await controller.undo();
+            expect(repository.getTask(task.id)).toMatchObject({ completed: false, status: 'pending' });
+            expect(repository.getTask(task.id).statusHistory.map(entry => entry.to)).toEqual(['completed', 'pending']);
+        });
+
+        test('should keep later edits by others to fields the command did not touch', async () => {
+            const task = await controller.createTask({ title: 'Draft' });
+            await controller.updateTask(task.id, { title: 'Final' });
+            await repository.update(task.id, { priority: 'high' });
+
+            await controller.undo();
+
+            expect(repository.getTask(task.id)).toMatchObject({ title: 'Draft', priority: 'high' });
+        });
+
+        test('should refuse to undo over a later edit of the same field', async () => {
+            const task = await controller.createTask({ title: 'Draft' });
+            await controller.updateTask(task.id, { title: 'Final' });
+            await repository.update(task.id, { title: 'Final v2' });
+
+            await expect(controller.undo()).rejects.toMatchObject({
+                name: 'CommandConflictError',
+                code: 'TASK_CHANGED',
+                taskIds: [task.id]
+            });
+            expect(repository.getTask(task.id).title).toBe('Final v2');
+            expect(controller.canRedo()).toBe(false);
+            expect(controller.history.peekUndo(user.id)).toBe('Create task');
+        });
+
+        test('should run the workflow checks when replaying', async () => {
+            const task = await controller.createTask({ title: 'Review' });
+            await controller.updateTask(task.id, { status: 'on-hold' });
+            await controller.updateTask(task.id, { status: 'cancelled' });
+
+            await expect(controller.undo()).rejects.toMatchObject({ code: 'TRANSITION_NOT_ALLOWED' });
+
+            // cancelled -> on-hold is not a transition of the default workflow
+            expect(repository.getTask(task.id).status).toBe('cancelled');
+            expect(controller.canRedo()).toBe(false);
+        });
+
+        test('should bring back a deleted task with its subtasks and dependents', async () => {
+            const parent = await controller.createTask({ title: 'Parent' });
+            const child = new Task('Child', '', user.id, { parentTaskId: parent.id });
+            const dependent = new Task('Dependent', '', user.id);
+            await repository.create(child);
+            await repository.create(dependent);
+            await repository.dependencyGraph.addDependency(dependent.id, parent.id);
+
+            await controller.deleteTask(parent.id, { subtasks: 'cascade' });
+            expect(repository.getAllTasks().map(task => task.title)).toEqual(['Dependent']);
+
+            await controller.undo();
+            expect(repository.getTask(child.id).parentTaskId).toBe(parent.id);
+            expect(repository.getTask(dependent.id).dependencies).toEqual([parent.id]);
+        });
+
+        test('should remove the next occurrence when completing a recurring task is undone', async () => {
+            new RecurrenceEngine(repository).start();
+            const task = await controller.createTask({ title: 'Standup', dueDate: '2030-01-07', recurrence: 'FREQ=WEEKLY' });
+
+            await controller.toggleTaskCompletion(task.id);
+            expect(repository.getAllTasks()).toHaveLength(2);
+
+            await controller.undo();
+            expect(repository.getAllTasks()).toHaveLength(1);
+            expect(repository.getTask(task.id).recurrence).toBe('FREQ=WEEKLY');
+        });
+
+        test('should keep separate histories per user', async () => {
+            await controller.createTask({ title: 'Mine' });
+            controller.currentUser = other;
+
+            expect(controller.canUndo()).toBe(false);
+            expect(await controller.undo()).toBeNull();
+        });
+    });
+});
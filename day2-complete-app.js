@@ -34,7 +34,8 @@ class TaskService {
                 dueDate: taskData.dueDate,
                 estimatedHours: taskData.estimatedHours,
                 tags: taskData.tags || [],
-                assignedTo: taskData.assignedTo || taskData.userId
+                assignedTo: taskData.assignedTo || taskData.userId,
+                workspaceId: taskData.workspaceId
             }
         );
 
@@ -79,22 +80,21 @@ class TaskService {
         return this.taskRepository.findAll({ assignedTo: userId });
     }
 
+    async getTasksByFilter(filter) {
+        return this.taskRepository.getTasksByFilter(filter);
+    }
+
+    // Ranked full-text search; supports tag:, priority:, due:<date, "phrases" and -exclusions
     async searchTasks(userId, query) {
-        const allTasks = await this.taskRepository.findAll({ userId });
-        const searchTerm = query.toLowerCase();
-        return allTasks.filter(task =>
-            task.title.toLowerCase().includes(searchTerm) ||
-            task.description.toLowerCase().includes(searchTerm) ||
-            (task.tags && task.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-        );
+        return this.taskRepository.search(query, { userId });
     }
 
-    async updateTask(taskId, updates) {
-        return this.taskRepository.update(taskId, updates);
+    async updateTask(taskId, updates, options = {}) {
+        return this.taskRepository.update(taskId, updates, null, options);
     }
 
-    async deleteTask(taskId) {
-        return this.taskRepository.delete(taskId);
+    async deleteTask(taskId, options = {}) {
+        return this.taskRepository.deleteTask(taskId, null, options);
     }
 }
 
@@ -104,7 +104,9 @@ class UserService {
     }
 
     async createUser(data) {
-        const user = new User(data.username, data.email, data.fullName);
+        // Throws SchemaValidationError with per-field errors
+        const valid = ValidationSchema.USER_SCHEMA.assert(data);
+        const user = new User(valid.username, valid.email, valid.fullName);
         return this.userRepository.create(user);
     }
 
@@ -115,6 +117,10 @@ class UserService {
     async getUserById(id) {
         return this.userRepository.findById(id);
     }
+
+    async updatePreferences(userId, preferences) {
+        return this.userRepository.update(userId, { preferences });
+    }
 }
 
 /* ===================== APPLICATION ===================== */
@@ -129,6 +135,30 @@ class Day2TaskManagementApp {
         this.taskRepository = new TaskRepository(this.storageManager);
         this.userRepository = new UserRepository(this.storageManager);
 
+        // Audit trail of every task and user change (shown in the task history panel)
+        if (typeof AuditLog !== 'undefined') {
+            this.auditLog = new AuditLog(this.storageManager);
+            await this.auditLog.loadFromStorage();
+            this.taskRepository.setAuditLog(this.auditLog);
+            this.userRepository.setAuditLog(this.auditLog);
+            // Entries are saved in batches; write the last ones before the page goes away
+            window.addEventListener('pagehide', () => {
+                this.auditLog.flush().catch(error => console.error('Failed to save audit log:', error.message));
+            });
+        }
+
+        // Teams sharing tasks ("team tasks" filters, workspace roles)
+        if (typeof WorkspaceRepository !== 'undefined') {
+            this.workspaceRepository = new WorkspaceRepository(this.storageManager);
+            await this.workspaceRepository.loadFromStorage();
+            this.taskRepository.setWorkspaceRepository(this.workspaceRepository);
+        }
+
+        // Completing a recurring task creates its next occurrence
+        if (typeof RecurrenceEngine !== 'undefined') {
+            this.recurrenceEngine = new RecurrenceEngine(this.taskRepository).start();
+        }
+
         this.taskService = new TaskService(
             this.taskRepository,
             this.userRepository
@@ -143,6 +173,27 @@ class Day2TaskManagementApp {
             this.taskView
         );
 
+        if (this.workspaceRepository) {
+            this.taskController.setWorkspaceRepository(this.workspaceRepository);
+        }
+
+        // Forms report "username taken" or "unknown assignee" while the user types
+        if (typeof RealTimeValidator !== 'undefined' && typeof AsyncValidation !== 'undefined') {
+            this.taskView.setFieldValidator(new RealTimeValidator(
+                new TaskValidator(),
+                AsyncValidation.AsyncValidator.forTasks({
+                    taskRepository: this.taskRepository,
+                    userRepository: this.userRepository
+                })
+            ));
+            this.bindSignupForm();
+        }
+
+        // Named filters in the user's preferences, pinned to the filter bar
+        if (typeof SavedViews !== 'undefined') {
+            this.taskController.setSavedViews(new SavedViews(this.userRepository));
+        }
+
         await this.initializeUser();
 
         console.log('✅ Day 2 App Ready');
@@ -151,6 +202,20 @@ class Day2TaskManagementApp {
     async initializeUser() {
         try {
             console.log('Initializing user...');
+
+            // Prefer the identity of the logged-in session when the API server is available
+            const sessionUser = await this.getAuthenticatedUser();
+            if (sessionUser) {
+                this.currentUser = sessionUser;
+                console.log('Authenticated as:', this.currentUser.username);
+                I18n.setLocale(I18n.localeForUser(this.currentUser));
+                await this.taskController.setCurrentUser(this.currentUser);
+                console.log('Task controller initialized');
+                this.startLiveUpdates();
+                return;
+            }
+
+            // Offline/static mode: fall back to a local demo user
             let users = await this.userService.getAllUsers();
             console.log('Found', users.length, 'existing users');
 
@@ -167,6 +232,8 @@ class Day2TaskManagementApp {
 
             this.currentUser = users[0];
             console.log('Current user set to:', this.currentUser);
+            // Validation and model messages follow the user's language too, not only the view
+            I18n.setLocale(I18n.localeForUser(this.currentUser));
 
             await this.taskController.initialize(this.currentUser.id);
             console.log('Task controller initialized');
@@ -175,6 +242,61 @@ class Day2TaskManagementApp {
             throw error;
         }
     }
+
+    // Registration in the header bar; username and email are checked as they are typed
+    bindSignupForm() {
+        const form = document.getElementById('signupForm');
+        if (!form) return;
+
+        const validator = new RealTimeValidator(
+            new TaskValidator(ValidationSchema.USER_SCHEMA),
+            AsyncValidation.AsyncValidator.forUsers(this.userRepository)
+        );
+        this.taskView.bindFieldValidation(form, validator);
+
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            if (!(await this.taskView.checkForm(form, validator))) return;
+
+            try {
+                const user = await this.userService.createUser({
+                    username: form.elements.username.value,
+                    email: form.elements.email.value
+                });
+                this.taskView.showSuccess(I18n.t('view.signup.registered', { username: user.username }));
+                form.reset();
+            } catch (error) {
+                this.taskView.showError(error.message);
+            }
+        });
+    }
+
+    // Teammates' task changes arrive over Server-Sent Events (needs the API server)
+    startLiveUpdates() {
+        if (typeof TaskEventClient === 'undefined' || typeof EventSource === 'undefined') return;
+
+        this.eventClient = new TaskEventClient(this.taskView, {
+            onResync: () => this.taskController.refreshTasks()
+        }).connect();
+    }
+
+    async getAuthenticatedUser() {
+        if (typeof fetch !== 'function') return null;
+
+        try {
+            const response = await fetch('/api/auth/me', { credentials: 'same-origin' });
+            if (!response.ok) return null;
+
+            const { user } = await response.json();
+
+            // Keep a local copy so task ownership checks in the repositories find the user
+            const existing = await this.userRepository.findById(user.id);
+            return existing || await this.userRepository.create(User.fromJSON(user));
+        } catch (error) {
+            console.warn('No authenticated session:', error.message);
+            return null;
+        }
+    }
 }
 
 /* ===================== BOOTSTRAP ===================== */
@@ -197,8 +319,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.body.innerHTML = `
             <div class="error-container">
                 <h1>Application Error</h1>
-                <pre>${e.message}</pre>
+                <pre></pre>
             </div>
         `;
+        document.querySelector('.error-container pre').textContent = e.message;
     }
 });
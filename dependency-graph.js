@@ -0,0 +1,281 @@
+/**
+ * Dependency Graph - Task prerequisites across a TaskRepository
+ *
+ * A task's `dependencies` are the IDs of the tasks that must be finished
+ * before it. Task.addDependency only knows about a single task, so this
+ * service looks at the whole repository to:
+ * - reject dependencies that would close a cycle (A → B → A)
+ * - derive the "blocked" state of tasks with incomplete prerequisites
+ * - refuse completing blocked tasks unless forced
+ * - order tasks topologically and find the critical path by estimatedHours
+ *
+ * Dependencies on tasks that no longer exist are ignored.
+ */
+
+/**
+ * Raised for invalid dependencies or completing a blocked task.
+ * code is one of: DEPENDENCY_NOT_FOUND, DEPENDENCY_CYCLE, TASK_BLOCKED
+ */
+class DependencyError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'DependencyError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+// Tolerates plain task objects without a dependencies array
+const dependenciesOf = task => (Array.isArray(task.dependencies) ? task.dependencies : []);
+
+class DependencyGraph {
+    /**
+     * @param {TaskRepository} taskRepository - Repository holding the tasks
+     */
+    constructor(taskRepository) {
+        if (!taskRepository) {
+            throw new Error('TaskRepository is required');
+        }
+        this.taskRepository = taskRepository;
+    }
+
+    /**
+     * Tasks that must be completed before the given task
+     * @param {string} taskId - Task ID
+     * @returns {Task[]}
+     */
+    getPrerequisites(taskId) {
+        const task = this.taskRepository.getTask(taskId);
+        if (!task) {
+            return [];
+        }
+        return dependenciesOf(task)
+            .map(id => this.taskRepository.getTask(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Tasks that depend directly on the given task
+     * @param {string} taskId - Task ID
+     * @returns {Task[]}
+     */
+    getDependents(taskId) {
+        return this.taskRepository.getAllTasks().filter(task => dependenciesOf(task).includes(taskId));
+    }
+
+    /**
+     * Incomplete prerequisites of a task
+     * @param {string} taskId - Task ID
+     * @returns {Task[]}
+     */
+    getBlockingTasks(taskId) {
+        return this.getPrerequisites(taskId).filter(task => !task.completed);
+    }
+
+    /**
+     * Whether a task still waits for one of its prerequisites
+     * @param {string} taskId - Task ID
+     * @returns {boolean}
+     */
+    isBlocked(taskId) {
+        return this.getBlockingTasks(taskId).length > 0;
+    }
+
+    /**
+     * Find a dependency path from one task to another
+     * @param {string} fromId - Start task ID
+     * @param {string} toId - Target task ID
+     * @returns {string[]|null} - Task IDs from start to target, or null
+     */
+    findPath(fromId, toId) {
+        const visited = new Set();
+
+        const visit = (taskId, path) => {
+            if (taskId === toId) {
+                return [...path, taskId];
+            }
+            if (visited.has(taskId)) {
+                return null;
+            }
+            visited.add(taskId);
+
+            for (const prerequisite of this.getPrerequisites(taskId)) {
+                const found = visit(prerequisite.id, [...path, taskId]);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        return visit(fromId, []);
+    }
+
+    /**
+     * Throw unless a task may depend on all of the given tasks
+     * @param {string} taskId - Dependent task ID
+     * @param {string[]} dependencyIds - Prerequisite task IDs
+     */
+    assertValidDependencies(taskId, dependencyIds = []) {
+        dependencyIds.forEach(dependencyId => {
+            if (dependencyId === taskId) {
+                throw new DependencyError('Task cannot depend on itself', 'DEPENDENCY_CYCLE', {
+                    cycle: [taskId, taskId]
+                });
+            }
+            if (!this.taskRepository.getTask(dependencyId)) {
+                throw new DependencyError(`Dependency not found: ${dependencyId}`, 'DEPENDENCY_NOT_FOUND');
+            }
+
+            // A path back from the prerequisite to the task closes a cycle
+            const path = this.findPath(dependencyId, taskId);
+            if (path) {
+                throw new DependencyError('Dependency would create a cycle', 'DEPENDENCY_CYCLE', {
+                    cycle: [taskId, ...path]
+                });
+            }
+        });
+    }
+
+    /**
+     * Add a prerequisite to a task after checking for cycles
+     * @param {string} taskId - Dependent task ID
+     * @param {string} dependencyId - Prerequisite task ID
+     * @param {User} actor - Optional acting user, checked by the repository
+     * @returns {Promise<Task>} - Updated task
+     */
+    async addDependency(taskId, dependencyId, actor = null) {
+        const task = this.taskRepository.getTask(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+        return this.taskRepository.update(taskId, {
+            dependencies: [...dependenciesOf(task), dependencyId]
+        }, actor);
+    }
+
+    /**
+     * Remove a prerequisite from a task
+     * @param {string} taskId - Dependent task ID
+     * @param {string} dependencyId - Prerequisite task ID
+     * @param {User} actor - Optional acting user
+     * @returns {Promise<Task>} - Updated task
+     */
+    async removeDependency(taskId, dependencyId, actor = null) {
+        const task = this.taskRepository.getTask(taskId);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+        return this.taskRepository.update(taskId, {
+            dependencies: dependenciesOf(task).filter(id => id !== dependencyId)
+        }, actor);
+    }
+
+    /**
+     * Complete a task, refusing while it is blocked unless forced
+     * @param {string} taskId - Task ID
+     * @param {object} options - { force, actor, ...repository update options }
+     * @returns {Promise<Task>} - Updated task
+     */
+    async markComplete(taskId, options = {}) {
+        const { actor = null, ...updateOptions } = options;
+        return this.taskRepository.update(taskId, { completed: true }, actor, updateOptions);
+    }
+
+    /**
+     * Throw a TASK_BLOCKED error if the task has incomplete prerequisites
+     * @param {string} taskId - Task ID
+     * @param {string[]} completing - Tasks completed in the same operation, which do not block
+     */
+    assertNotBlocked(taskId, completing = []) {
+        const blockers = this.getBlockingTasks(taskId).filter(task => !completing.includes(task.id));
+        if (blockers.length > 0) {
+            throw new DependencyError(
+                `Task is blocked by ${blockers.length} incomplete task(s)`,
+                'TASK_BLOCKED',
+                { blockers }
+            );
+        }
+    }
+
+    /**
+     * Order tasks so every task comes after its prerequisites
+     * @param {Task[]} tasks - Tasks to order (default: all tasks); edges leaving the set are ignored
+     * @returns {Task[]}
+     */
+    getTopologicalOrder(tasks = this.taskRepository.getAllTasks()) {
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        const remaining = new Map(tasks.map(task => [
+            task.id,
+            new Set(dependenciesOf(task).filter(id => byId.has(id) && id !== task.id))
+        ]));
+        const order = [];
+
+        // Kahn's algorithm; ties keep the input order so the result is stable
+        while (remaining.size > 0) {
+            const ready = tasks.filter(task => remaining.has(task.id) && remaining.get(task.id).size === 0);
+            if (ready.length === 0) {
+                throw new DependencyError('Dependencies contain a cycle', 'DEPENDENCY_CYCLE', {
+                    cycle: Array.from(remaining.keys())
+                });
+            }
+
+            ready.forEach(task => {
+                order.push(task);
+                remaining.delete(task.id);
+                remaining.forEach(pending => pending.delete(task.id));
+            });
+        }
+
+        return order;
+    }
+
+    /**
+     * Longest chain of dependent tasks, weighted by estimatedHours
+     * @param {Task[]} tasks - Tasks to consider (default: all tasks)
+     * @returns {{tasks: Task[], totalHours: number}}
+     */
+    getCriticalPath(tasks = this.taskRepository.getAllTasks()) {
+        const order = this.getTopologicalOrder(tasks);
+        const finish = new Map();
+        const previous = new Map();
+
+        order.forEach(task => {
+            let start = 0;
+            let from = null;
+            dependenciesOf(task).forEach(id => {
+                if (finish.has(id) && (from === null || finish.get(id) > start)) {
+                    start = finish.get(id);
+                    from = id;
+                }
+            });
+            if (from) {
+                previous.set(task.id, from);
+            }
+            finish.set(task.id, start + (task.estimatedHours || 0));
+        });
+
+        let last = null;
+        order.forEach(task => {
+            if (!last || finish.get(task.id) > finish.get(last.id)) {
+                last = task;
+            }
+        });
+
+        const path = [];
+        for (let current = last; current; current = order.find(task => task.id === previous.get(current.id))) {
+            path.unshift(current);
+        }
+
+        return {
+            tasks: path,
+            totalHours: last ? finish.get(last.id) : 0
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DependencyGraph, DependencyError };
+} else {
+    window.DependencyGraph = DependencyGraph;
+    window.DependencyError = DependencyError;
+}
@@ -0,0 +1,178 @@
+/**
+ * Dependency Graph Tests
+ * Cycle detection, blocked state, topological order and critical path
+ */
+
+const express = require('express');
+const Task = require('./enhanced-task-model');
+const { TaskRepository } = require('./task-repository');
+const { DependencyError } = require('./dependency-graph');
+const { createTaskRouter } = require('./task-api');
+
+describe('Dependency Graph', () => {
+    let repository;
+    let graph;
+    let design;
+    let build;
+    let docs;
+    let release;
+
+    beforeEach(async () => {
+        repository = new TaskRepository();
+        graph = repository.dependencyGraph;
+
+        design = new Task('Design', '', 'user_1', { estimatedHours: 4 });
+        build = new Task('Build', '', 'user_1', { estimatedHours: 10 });
+        docs = new Task('Docs', '', 'user_1', { estimatedHours: 3 });
+        release = new Task('Release', '', 'user_1', { estimatedHours: 1 });
+
+        for (const task of [release, docs, build, design]) {
+            await repository.create(task);
+        }
+        await graph.addDependency(build.id, design.id);
+        await graph.addDependency(docs.id, design.id);
+        await graph.addDependency(release.id, build.id);
+        await graph.addDependency(release.id, docs.id);
+    });
+
+    describe('Cycles', () => {
+        test('should store dependencies on the task', () => {
+            expect(repository.getTask(release.id).dependencies).toEqual([build.id, docs.id]);
+            expect(graph.getDependents(design.id)).toEqual([docs, build]);
+        });
+
+        test('should reject dependencies that close a cycle', async () => {
+            const error = await graph.addDependency(design.id, release.id).catch(e => e);
+
+            expect(error).toBeInstanceOf(DependencyError);
+            expect(error.code).toBe('DEPENDENCY_CYCLE');
+            expect(error.cycle[0]).toBe(design.id);
+            expect(error.cycle[error.cycle.length - 1]).toBe(design.id);
+            expect(repository.getTask(design.id).dependencies).toEqual([]);
+        });
+
+        test('should reject unknown and self dependencies', async () => {
+            await expect(graph.addDependency(design.id, 'task_missing'))
+                .rejects.toMatchObject({ code: 'DEPENDENCY_NOT_FOUND' });
+            await expect(repository.update(design.id, { dependencies: [design.id] }))
+                .rejects.toMatchObject({ code: 'DEPENDENCY_CYCLE' });
+        });
+    });
+
+    describe('Blocked state', () => {
+        test('should derive blocked tasks from incomplete prerequisites', async () => {
+            expect(graph.isBlocked(build.id)).toBe(true);
+            expect(graph.getBlockingTasks(release.id)).toEqual([build, docs]);
+
+            await graph.markComplete(design.id);
+            expect(graph.isBlocked(build.id)).toBe(false);
+        });
+
+        test('should refuse completing a blocked task unless forced', async () => {
+            const error = await graph.markComplete(build.id).catch(e => e);
+            expect(error.code).toBe('TASK_BLOCKED');
+            expect(error.blockers).toEqual([design]);
+            expect(build.completed).toBe(false);
+
+            await graph.markComplete(build.id, { force: true });
+            expect(build.completed).toBe(true);
+        });
+
+        test('should drop deleted tasks from their dependents', async () => {
+            await repository.deleteTask(design.id);
+
+            expect(repository.getTask(build.id).dependencies).toEqual([]);
+            expect(graph.isBlocked(build.id)).toBe(false);
+        });
+    });
+
+    describe('Ordering', () => {
+        test('should order prerequisites first', () => {
+            const order = graph.getTopologicalOrder().map(task => task.title);
+
+            expect(order).toEqual(['Design', 'Docs', 'Build', 'Release']);
+        });
+
+        test('should find the critical path by estimated hours', () => {
+            const { tasks, totalHours } = graph.getCriticalPath();
+
+            expect(tasks.map(task => task.title)).toEqual(['Design', 'Build', 'Release']);
+            expect(totalHours).toBe(15);
+        });
+
+        test('should report cycles found in stored data', () => {
+            design.dependencies = [release.id]; // bypasses the checks, like legacy data
+
+            expect(() => graph.getTopologicalOrder()).toThrow(DependencyError);
+        });
+    });
+
+    describe('REST API', () => {
+        let server;
+        let baseUrl;
+        let currentUser;
+
+        beforeEach(async () => {
+            currentUser = null;
+            const app = express();
+            app.use((req, res, next) => {
+                req.user = currentUser;
+                next();
+            });
+            app.use('/api/tasks', createTaskRouter(repository));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should report dependencies and blocked state', async () => {
+            const response = await fetch(`${baseUrl}/api/tasks/${release.id}/dependencies`);
+            const body = await response.json();
+
+            expect(body.prerequisites.map(t => t.id)).toEqual([build.id, docs.id]);
+            expect(body.blocked).toBe(true);
+        });
+
+        test('should list prerequisites the user may not see by id only', async () => {
+            await repository.update(release.id, { assignedTo: 'user_2' });
+            await repository.update(docs.id, { assignedTo: 'user_2' });
+            currentUser = { id: 'user_2', username: 'bob', role: 'user' };
+
+            const response = await fetch(`${baseUrl}/api/tasks/${release.id}/dependencies`);
+            const body = await response.json();
+
+            expect(body.prerequisites).toEqual([{ id: build.id }, expect.objectContaining({ id: docs.id, title: 'Docs' })]);
+            expect(body.blockers).toEqual([build.id, docs.id]);
+        });
+
+        test('should answer 400 for cycles and 409 for blocked completion', async () => {
+            const cycle = await fetch(`${baseUrl}/api/tasks/${design.id}/dependencies`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ taskId: release.id })
+            });
+            expect(cycle.status).toBe(400);
+            expect((await cycle.json()).code).toBe('DEPENDENCY_CYCLE');
+
+            const blocked = await fetch(`${baseUrl}/api/tasks/${build.id}/toggle`, { method: 'POST' });
+            expect(blocked.status).toBe(409);
+            expect((await blocked.json()).blockers).toEqual([design.id]);
+
+            const forced = await fetch(`${baseUrl}/api/tasks/${build.id}/toggle?force=true`, { method: 'POST' });
+            expect(forced.status).toBe(200);
+        });
+
+        test('should return the plan', async () => {
+            const response = await fetch(`${baseUrl}/api/tasks/plan`);
+            const body = await response.json();
+
+            expect(body.order[0]).toBe(design.id);
+            expect(body.criticalPath).toEqual({ tasks: [design.id, build.id, release.id], totalHours: 15 });
+        });
+    });
+});
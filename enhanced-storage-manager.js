@@ -1,15 +1,31 @@
 /**
  * Enhanced Storage Manager - Day 2 Implementation
  * FIXED VERSION (No Web API Conflict)
+ *
+ * Collections stored with an older schema version are upgraded on load
+ * (see schema-migrations.js); the original value is kept first under
+ * `<key>_backup_v<version>`.
  */
 
+// Migration registry is a global in the browser
+const StorageMigrations = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./schema-migrations')
+    : window;
+
 class EnhancedStorageManager {
-    constructor(storageKey = 'taskManagementApp_v2') {
+    /**
+     * @param {string} storageKey - localStorage key prefix
+     * @param {object} options - { migrations, migrationContext, legacyStorageKey: prefix read when a key is missing }
+     */
+    constructor(storageKey = 'taskManagementApp_v2', options = {}) {
         this.storageKey = storageKey;
         this.isAvailable = this._checkStorageAvailability();
         this.cache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
         this.version = '2.0';
+        this.migrations = options.migrations || StorageMigrations.createDefaultMigrations();
+        this.migrationContext = options.migrationContext || {};
+        this.legacyStorageKey = options.legacyStorageKey || null;
 
         this._initializeStorage();
     }
@@ -23,6 +39,7 @@ class EnhancedStorageManager {
             const fullKey = `${this.storageKey}_${entityType}`;
             const payload = {
                 version: this.version,
+                schemaVersion: this.migrations.latestVersion(entityType),
                 timestamp: new Date().toISOString(),
                 data
             };
@@ -44,16 +61,17 @@ class EnhancedStorageManager {
 
         try {
             const fullKey = `${this.storageKey}_${entityType}`;
-            const raw = localStorage.getItem(fullKey);
+            const raw = localStorage.getItem(fullKey) ||
+                (this.legacyStorageKey && localStorage.getItem(`${this.legacyStorageKey}_${entityType}`));
             if (!raw) return defaultValue;
 
-            const parsed = this._migrateData(JSON.parse(raw));
+            const data = this._migrateData(entityType, raw);
             this.cache.set(entityType, {
-                data: parsed.data,
+                data,
                 timestamp: Date.now()
             });
 
-            return parsed.data;
+            return data;
         } catch (error) {
             this._handleStorageError(error, 'load', entityType);
             return defaultValue;
@@ -113,15 +131,33 @@ class EnhancedStorageManager {
         return cached.data;
     }
 
-    _migrateData(storedData) {
-        if (!storedData.version) {
-            return {
-                version: this.version,
-                timestamp: new Date().toISOString(),
-                data: storedData
-            };
+    _migrateData(entityType, raw) {
+        const { data, schemaVersion } = StorageMigrations.MigrationRegistry.readEnvelope(JSON.parse(raw));
+        if (!this.migrations.needsMigration(entityType, schemaVersion)) {
+            return data;
         }
-        return storedData;
+
+        const backupKey = `${this.storageKey}_${entityType}_backup_v${schemaVersion}`;
+        localStorage.setItem(backupKey, raw);
+
+        const result = this.migrations.migrate(entityType, data, schemaVersion, this.migrationContext);
+        if (!this.save(entityType, result.data)) {
+            throw new Error(`Could not store migrated ${entityType}`);
+        }
+        this._recordMigration(entityType, result, backupKey);
+        return result.data;
+    }
+
+    _recordMigration(entityType, result, backup) {
+        const metaKey = `${this.storageKey}_meta`;
+        const meta = JSON.parse(localStorage.getItem(metaKey) || 'null') || { version: this.version };
+
+        meta.schemaVersions = { ...meta.schemaVersions, [entityType]: result.version };
+        meta.migrations = [
+            ...(meta.migrations || []),
+            ...result.applied.map(step => ({ entityType, ...step, backup, migratedAt: new Date().toISOString() }))
+        ];
+        localStorage.setItem(metaKey, JSON.stringify(meta));
     }
 
     _handleStorageError(error, operation, entityType) {
@@ -135,13 +171,19 @@ class EnhancedStorageManager {
 /* ================= BACKWARD COMPATIBLE WRAPPER ================= */
 
 // ✅ GANTI NAMA — JANGAN "StorageManager"
+// Picks up tasks saved by the day 1 StorageManager ('taskManagementApp_tasks')
 class AppStorageManager extends EnhancedStorageManager {
-    constructor(storageKey = 'taskManagementApp_v2') {
-        super(storageKey);
+    constructor(storageKey = 'taskManagementApp_v2', options = {}) {
+        super(storageKey, { legacyStorageKey: 'taskManagementApp', ...options });
     }
 }
 
-/* ================= GLOBAL EXPORT ================= */
+/* ================= EXPORT ================= */
 
-window.EnhancedStorageManager = EnhancedStorageManager;
-window.AppStorageManager = AppStorageManager;
+// Export for use in other modules (Node) or as globals (browser)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnhancedStorageManager, AppStorageManager };
+} else {
+    window.EnhancedStorageManager = EnhancedStorageManager;
+    window.AppStorageManager = AppStorageManager;
+}
@@ -4,15 +4,16 @@
  */
 
 const { TaskValidator } = require('./validation');
+const TaskI18n = require('./i18n');
 
 class Task {
     constructor(title, description = '', userId, options = {}) {
         // Validate required parameters
         if (!title || typeof title !== 'string' || title.trim() === '') {
-            throw new Error('Task title is required');
+            throw new Error(TaskI18n.t('task.titleRequired'));
         }
         if (!userId || typeof userId !== 'string' || userId.trim() === '') {
-            throw new Error('User ID is required');
+            throw new Error(TaskI18n.t('task.userIdRequired'));
         }
 
         // Core properties
@@ -42,9 +43,11 @@ class Task {
         this._tags = [];
         this._notes = [];
         this._dependencies = [];
+        this._statusHistory = [];
 
         // Additional metadata
         this.projectId = options.projectId || null;
+        this.workspaceId = options.workspaceId || null;
         this.parentTaskId = options.parentTaskId || null;
         this.recurrence = options.recurrence || null;
     }
@@ -56,7 +59,7 @@ class Task {
     validatePriority(priority) {
         const validPriorities = ['low', 'medium', 'high', 'urgent'];
         if (!validPriorities.includes(priority)) {
-            throw new Error('Invalid priority');
+            throw new Error(TaskI18n.t('task.invalidPriority'));
         }
         return priority;
     }
@@ -68,7 +71,7 @@ class Task {
     // Title management
     updateTitle(newTitle) {
         if (!newTitle || typeof newTitle !== 'string' || newTitle.trim() === '') {
-            throw new Error('Task title cannot be empty');
+            throw new Error(TaskI18n.t('task.titleEmpty'));
         }
         this.title = newTitle.trim();
         this.updatedAt = new Date();
@@ -113,7 +116,7 @@ class Task {
     // Assignment management
     assignTo(userId) {
         if (!userId || typeof userId !== 'string' || userId.trim() === '') {
-            throw new Error('Valid user ID is required');
+            throw new Error(TaskI18n.t('task.validUserIdRequired'));
         }
         this.assignedTo = userId.trim();
         this.updatedAt = new Date();
@@ -129,7 +132,7 @@ class Task {
     // Category management
     setCategory(category) {
         if (!category || typeof category !== 'string' || category.trim() === '') {
-            throw new Error('Category must be a non-empty string');
+            throw new Error(TaskI18n.t('task.invalidCategory'));
         }
         this.category = this.normalizeCategory(category);
         this.updatedAt = new Date();
@@ -139,7 +142,7 @@ class Task {
     // Tag management
     addTag(tag) {
         if (!tag || typeof tag !== 'string' || tag.trim() === '') {
-            throw new Error('Tag must be a non-empty string');
+            throw new Error(TaskI18n.t('task.invalidTag'));
         }
         const normalizedTag = tag.trim().toLowerCase();
         if (!this._tags.includes(normalizedTag)) {
@@ -175,7 +178,7 @@ class Task {
         if (dueDate) {
             const date = new Date(dueDate);
             if (isNaN(date.getTime())) {
-                throw new Error('Invalid due date');
+                throw new Error(TaskI18n.t('task.invalidDueDate'));
             }
             this.dueDate = date;
         } else {
@@ -213,7 +216,7 @@ class Task {
     // Time tracking
     setEstimatedHours(hours) {
         if (hours !== null && (typeof hours !== 'number' || hours < 0)) {
-            throw new Error('Hours must be a positive number');
+            throw new Error(TaskI18n.t('task.invalidHours'));
         }
         this.estimatedHours = hours;
         this.updatedAt = new Date();
@@ -222,7 +225,7 @@ class Task {
 
     setActualHours(hours) {
         if (hours !== null && (typeof hours !== 'number' || hours < 0)) {
-            throw new Error('Hours must be a positive number');
+            throw new Error(TaskI18n.t('task.invalidHours'));
         }
         this.actualHours = hours;
         this.updatedAt = new Date();
@@ -231,7 +234,7 @@ class Task {
 
     addTimeSpent(hours) {
         if (typeof hours !== 'number' || hours < 0) {
-            throw new Error('Hours must be a positive number');
+            throw new Error(TaskI18n.t('task.invalidHours'));
         }
         this.actualHours = (this.actualHours || 0) + hours;
         this.updatedAt = new Date();
@@ -249,7 +252,7 @@ class Task {
     setStatus(status) {
         const validStatuses = ['pending', 'in-progress', 'completed', 'cancelled', 'on-hold'];
         if (!validStatuses.includes(status)) {
-            throw new Error('Invalid status');
+            throw new Error(TaskI18n.t('task.invalidStatus'));
         }
         this.status = status;
 
@@ -264,10 +267,60 @@ class Task {
         return this;
     }
 
+    // Bulk update through the individual setters so every field keeps its validation.
+    // Protected properties (id, userId, createdAt, ...) and undefined values are ignored.
+    update(updates = {}) {
+        const has = key => Object.prototype.hasOwnProperty.call(updates, key) && updates[key] !== undefined;
+
+        if (has('title')) this.updateTitle(updates.title);
+        if (has('description')) this.updateDescription(updates.description);
+        if (has('priority')) this.updatePriority(updates.priority);
+        if (has('category')) this.setCategory(updates.category);
+        if (has('dueDate')) this.setDueDate(updates.dueDate);
+        if (has('estimatedHours')) this.setEstimatedHours(updates.estimatedHours);
+        if (has('actualHours')) this.setActualHours(updates.actualHours);
+        if (has('tags')) {
+            this.clearTags();
+            (updates.tags || []).forEach(tag => this.addTag(tag));
+        }
+        if (has('assignedTo')) {
+            if (updates.assignedTo) {
+                this.assignTo(updates.assignedTo);
+            } else {
+                this.reassignToOwner();
+            }
+        }
+        if (has('projectId')) this.projectId = updates.projectId || null;
+        if (has('workspaceId')) this.workspaceId = updates.workspaceId || null;
+        if (has('parentTaskId')) this.parentTaskId = updates.parentTaskId || null;
+        if (has('recurrence')) this.recurrence = updates.recurrence || null;
+        if (has('dependencies')) {
+            const previous = this.dependencies;
+            this._dependencies = [];
+            try {
+                (updates.dependencies || []).forEach(taskId => this.addDependency(taskId));
+            } catch (error) {
+                this._dependencies = previous;
+                throw error;
+            }
+        }
+        if (has('status')) this.setStatus(updates.status);
+        if (has('completed')) {
+            if (updates.completed) {
+                this.markComplete();
+            } else {
+                this.markIncomplete();
+            }
+        }
+
+        this.updatedAt = new Date();
+        return this;
+    }
+
     // Notes management
     addNote(content, author = this.userId) {
         if (!content || typeof content !== 'string' || content.trim() === '') {
-            throw new Error('Note must be a non-empty string');
+            throw new Error(TaskI18n.t('task.invalidNote'));
         }
         const note = {
             id: this.generateId(),
@@ -275,15 +328,15 @@ class Task {
             author: author,
             createdAt: new Date()
         };
-        this.notes.push(note);
+        this._notes.push(note);
         this.updatedAt = new Date();
         return this;
     }
 
     removeNote(noteId) {
-        const index = this.notes.findIndex(note => note.id === noteId);
+        const index = this._notes.findIndex(note => note.id === noteId);
         if (index > -1) {
-            this.notes.splice(index, 1);
+            this._notes.splice(index, 1);
             this.updatedAt = new Date();
         }
         return this;
@@ -292,19 +345,19 @@ class Task {
     // Dependencies management
     addDependency(taskId) {
         if (taskId === this.id) {
-            throw new Error('Task cannot depend on itself');
+            throw new Error(TaskI18n.t('task.selfDependency'));
         }
-        if (!this.dependencies.includes(taskId)) {
-            this.dependencies.push(taskId);
+        if (!this._dependencies.includes(taskId)) {
+            this._dependencies.push(taskId);
             this.updatedAt = new Date();
         }
         return this;
     }
 
     removeDependency(taskId) {
-        const index = this.dependencies.indexOf(taskId);
+        const index = this._dependencies.indexOf(taskId);
         if (index > -1) {
-            this.dependencies.splice(index, 1);
+            this._dependencies.splice(index, 1);
             this.updatedAt = new Date();
         }
         return this;
@@ -314,6 +367,18 @@ class Task {
         return this.dependencies.includes(taskId);
     }
 
+    // Status history (written by the workflow, see task-workflow.js)
+    recordStatusChange(from, to, changedBy = null, note = null) {
+        this._statusHistory.push({
+            from,
+            to,
+            changedBy,
+            note: note || null,
+            changedAt: new Date()
+        });
+        return this;
+    }
+
     // Serialization
     toJSON() {
         return {
@@ -335,7 +400,9 @@ class Task {
             tags: [...this.tags],
             notes: [...this.notes],
             dependencies: [...this.dependencies],
+            statusHistory: this.statusHistory,
             projectId: this.projectId,
+            workspaceId: this.workspaceId,
             parentTaskId: this.parentTaskId,
             recurrence: this.recurrence
         };
@@ -350,6 +417,7 @@ class Task {
             estimatedHours: json.estimatedHours,
             actualHours: json.actualHours,
             projectId: json.projectId,
+            workspaceId: json.workspaceId,
             parentTaskId: json.parentTaskId,
             recurrence: json.recurrence
         });
@@ -364,10 +432,52 @@ class Task {
         task._tags = [...(json.tags || [])];
         task._notes = [...(json.notes || [])];
         task._dependencies = [...(json.dependencies || [])];
+        task._statusHistory = (json.statusHistory || []).map(entry => ({
+            ...entry,
+            changedAt: new Date(entry.changedAt)
+        }));
 
         return task;
     }
 
+    // Subtask roll-up
+    // Combines a parent with its descendants (any depth, in any order):
+    // hours are summed over the whole tree and progress is the average of the
+    // direct children's rolled-up progress (100 once the parent itself is completed).
+    static calculateRollup(task, descendants = []) {
+        const childrenOf = parentId => descendants.filter(t => t.parentTaskId === parentId);
+        const sumHours = (value, extra) => (value === null && extra === null ? null : (value || 0) + (extra || 0));
+
+        const rollup = node => {
+            const children = childrenOf(node.id);
+            let estimatedHours = node.estimatedHours ?? null;
+            let actualHours = node.actualHours ?? null;
+            let totalSubtasks = 0;
+            let completedSubtasks = 0;
+            let childProgress = 0;
+
+            children.forEach(child => {
+                const childRollup = rollup(child);
+                estimatedHours = sumHours(estimatedHours, childRollup.estimatedHours);
+                actualHours = sumHours(actualHours, childRollup.actualHours);
+                totalSubtasks += 1 + childRollup.totalSubtasks;
+                completedSubtasks += (child.completed ? 1 : 0) + childRollup.completedSubtasks;
+                childProgress += childRollup.progress;
+            });
+
+            let progress = node.progress || 0;
+            if (node.completed) {
+                progress = 100;
+            } else if (children.length > 0) {
+                progress = childProgress / children.length;
+            }
+
+            return { progress, estimatedHours, actualHours, totalSubtasks, completedSubtasks };
+        };
+
+        return rollup(task);
+    }
+
     // Cloning
     clone() {
         const json = this.toJSON();
@@ -378,6 +488,7 @@ class Task {
         cloned.completedAt = null;
         cloned.completed = false;
         cloned.status = 'pending';
+        cloned._statusHistory = [];
         return cloned;
     }
 
@@ -398,6 +509,10 @@ class Task {
         this._notes = Array.isArray(value) ? [...value] : [];
     }
 
+    get statusHistory() {
+        return (this._statusHistory || []).map(entry => ({ ...entry }));
+    }
+
     get dependencies() {
         return [...(this._dependencies || [])];
     }
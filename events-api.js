@@ -0,0 +1,149 @@
+/**
+ * Events API - task changes pushed to the browser as Server-Sent Events
+ *
+ *   GET /api/events   text/event-stream of task:created, task:updated,
+ *                     task:deleted and task:completed (see task-event-stream.js)
+ *
+ * Each message carries the event id, the event name and { id, task } as
+ * JSON data. A reconnecting client sends the last id it saw (the
+ * Last-Event-ID header, or ?lastEventId= when it reconnects by itself) and
+ * first receives the events it missed. When those are no longer buffered
+ * it gets a single "stream:resync" event and should reload its tasks.
+ *
+ * Only tasks the authenticated user may see are sent; a ": keep-alive"
+ * comment keeps idle connections open through proxies. The session and the
+ * user are checked again before every write, so a stream ends with its
+ * session (logout, revocation, idle timeout) and visibility follows the
+ * user's current role and workspace memberships.
+ */
+
+const express = require('express');
+const { PERMISSIONS } = require('./permission-policy');
+const { httpError, jsonErrorHandler } = require('./task-api');
+
+const RESYNC_EVENT = 'stream:resync';
+const RETRY_MS = 3000;
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+/**
+ * Format one Server-Sent Events message
+ * @param {object} message - { id, event, data }
+ * @returns {string}
+ */
+function formatEvent({ id, event, data }) {
+    const lines = [];
+    if (id !== undefined) lines.push(`id: ${id}`);
+    if (event) lines.push(`event: ${event}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+    return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Read the id a reconnecting client has seen last
+ * @param {express.Request} req - Request
+ * @returns {number|null} - Last event id, or null for a fresh connection
+ */
+function parseLastEventId(req) {
+    const raw = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (raw === undefined || raw === '') return null;
+    const id = Number(raw);
+    if (!Number.isInteger(id) || id < 0) {
+        throw httpError(400, 'Last event id must be a non-negative integer');
+    }
+    return id;
+}
+
+/**
+ * Create the /api/events router
+ * @param {object} deps - { eventStream, taskRepository, sessionManager, userRepository, heartbeatMs }
+ * @returns {express.Router} - Configured router
+ */
+function createEventsRouter({ eventStream, taskRepository, sessionManager = null, userRepository = null, heartbeatMs = DEFAULT_HEARTBEAT_MS }) {
+    if (!eventStream || !taskRepository) {
+        throw new Error('TaskEventStream and TaskRepository are required');
+    }
+
+    const router = express.Router();
+
+    router.get('/', (req, res, next) => {
+        let lastEventId;
+        try {
+            lastEventId = parseLastEventId(req);
+        } catch (error) {
+            return next(error);
+        }
+
+        let user = req.user;
+        let closed = false;
+        let writes = Promise.resolve();
+        let heartbeat = null;
+        let unsubscribe = () => {};
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        };
+
+        // The user as of now, or null once the session or the account is gone;
+        // the idle timer is left alone so an open stream does not keep a session alive
+        const currentUser = async () => {
+            if (sessionManager && req.sessionToken && !sessionManager.resolve(req.sessionToken, { touch: false })) {
+                return null;
+            }
+            if (!userRepository) {
+                return user;
+            }
+            const found = await userRepository.findById(user.id);
+            return found && found.isActive ? found : null;
+        };
+
+        // Writes are queued so events keep their order across the checks
+        const write = format => {
+            writes = writes.then(async () => {
+                if (closed) return;
+                if (user) {
+                    user = await currentUser();
+                    if (!user) return close();
+                }
+                const chunk = format();
+                if (chunk && !closed) res.write(chunk);
+            }).catch(close);
+        };
+
+        const visible = event => !user || taskRepository.can(user, PERMISSIONS.TASK_VIEW, event.task);
+        const send = event => write(() => visible(event)
+            ? formatEvent({ id: event.id, event: event.type, data: { id: event.task.id, task: event.task } })
+            : null);
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        // Replay and subscribe in the same tick so no event falls in between
+        if (lastEventId !== null) {
+            const { events, complete } = eventStream.since(lastEventId);
+            if (complete) {
+                events.forEach(send);
+            } else {
+                write(() => formatEvent({ id: eventStream.lastId, event: RESYNC_EVENT, data: { lastEventId: eventStream.lastId } }));
+            }
+        }
+        unsubscribe = eventStream.subscribe(send);
+
+        heartbeat = setInterval(() => write(() => ': keep-alive\n\n'), heartbeatMs);
+        req.on('close', close);
+    });
+
+    router.use(jsonErrorHandler('Events API'));
+
+    return router;
+}
+
+module.exports = { createEventsRouter, formatEvent, RESYNC_EVENT };
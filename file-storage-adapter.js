@@ -0,0 +1,180 @@
+/**
+ * File Storage Adapter - Node.js storage backend
+ *
+ * Same save/load/remove/clear contract as EnhancedStorageManager, but each
+ * entity collection is persisted as a JSON file on disk instead of in
+ * localStorage. This lets TaskRepository and UserRepository run inside
+ * server.js, CLI scripts and Jest without a browser.
+ *
+ * Writes are atomic: data goes to a temporary file in the same directory
+ * which is then renamed over the target, so readers never see a half
+ * written file.
+ *
+ * Collections stored with an older schema version are upgraded on load
+ * (see schema-migrations.js). The original file is first copied to
+ * `<storageKey>_<entity>.v<version>.backup.json`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MigrationRegistry, createDefaultMigrations } = require('./schema-migrations');
+
+class FileStorageAdapter {
+    /**
+     * @param {string} directory - Directory holding the JSON files
+     * @param {string} storageKey - File name prefix
+     * @param {object} options - { migrations: MigrationRegistry, migrationContext: passed to each migration }
+     */
+    constructor(directory = path.join(process.cwd(), 'data'), storageKey = 'taskManagementApp_v2', options = {}) {
+        this.directory = path.resolve(directory);
+        this.storageKey = storageKey;
+        this.version = '2.0';
+        this.migrations = options.migrations || createDefaultMigrations();
+        this.migrationContext = options.migrationContext || {};
+        this.isAvailable = this._checkStorageAvailability();
+
+        this._initializeStorage();
+    }
+
+    /* ================= PUBLIC API ================= */
+
+    save(entityType, data) {
+        if (!this.isAvailable) return false;
+
+        try {
+            const payload = {
+                version: this.version,
+                schemaVersion: this.migrations.latestVersion(entityType),
+                timestamp: new Date().toISOString(),
+                data
+            };
+
+            this._writeFileAtomic(this._filePath(entityType), JSON.stringify(payload, null, 2));
+            return true;
+        } catch (error) {
+            this._handleStorageError(error, 'save', entityType);
+            return false;
+        }
+    }
+
+    load(entityType, defaultValue = null) {
+        if (!this.isAvailable) return defaultValue;
+
+        try {
+            const filePath = this._filePath(entityType);
+            if (!fs.existsSync(filePath)) return defaultValue;
+
+            const raw = fs.readFileSync(filePath, 'utf8');
+            if (!raw.trim()) return defaultValue;
+
+            return this._migrateData(entityType, JSON.parse(raw), filePath);
+        } catch (error) {
+            this._handleStorageError(error, 'load', entityType);
+            return defaultValue;
+        }
+    }
+
+    remove(entityType) {
+        if (!this.isAvailable) return false;
+
+        try {
+            fs.rmSync(this._filePath(entityType), { force: true });
+            return true;
+        } catch (error) {
+            this._handleStorageError(error, 'remove', entityType);
+            return false;
+        }
+    }
+
+    clear() {
+        if (!this.isAvailable) return false;
+
+        try {
+            fs.readdirSync(this.directory)
+                .filter(file => file.startsWith(`${this.storageKey}_`) && file.endsWith('.json'))
+                .forEach(file => fs.rmSync(path.join(this.directory, file), { force: true }));
+            return true;
+        } catch (error) {
+            this._handleStorageError(error, 'clear', 'all');
+            return false;
+        }
+    }
+
+    /* ================= PRIVATE ================= */
+
+    _filePath(entityType) {
+        if (!entityType || !/^[\w-]+$/.test(entityType)) {
+            throw new Error(`Invalid entity type: ${entityType}`);
+        }
+        return path.join(this.directory, `${this.storageKey}_${entityType}.json`);
+    }
+
+    _writeFileAtomic(filePath, contents) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+
+        try {
+            fs.writeFileSync(tempPath, contents, 'utf8');
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    _checkStorageAvailability() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.accessSync(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    _initializeStorage() {
+        if (!this.isAvailable) return;
+
+        const metaPath = this._filePath('meta');
+        if (!fs.existsSync(metaPath)) {
+            this._writeFileAtomic(metaPath, JSON.stringify({
+                version: this.version,
+                createdAt: new Date().toISOString()
+            }, null, 2));
+        }
+    }
+
+    _migrateData(entityType, storedData, filePath) {
+        const { data, schemaVersion } = MigrationRegistry.readEnvelope(storedData);
+        if (!this.migrations.needsMigration(entityType, schemaVersion)) {
+            return data;
+        }
+
+        const backupPath = filePath.replace(/\.json$/, `.v${schemaVersion}.backup.json`);
+        fs.copyFileSync(filePath, backupPath);
+
+        const result = this.migrations.migrate(entityType, data, schemaVersion, this.migrationContext);
+        if (!this.save(entityType, result.data)) {
+            throw new Error(`Could not store migrated ${entityType}`);
+        }
+        this._recordMigration(entityType, result, path.basename(backupPath));
+        return result.data;
+    }
+
+    _recordMigration(entityType, result, backup) {
+        const metaPath = this._filePath('meta');
+        const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : { version: this.version };
+
+        meta.schemaVersions = { ...meta.schemaVersions, [entityType]: result.version };
+        meta.migrations = [
+            ...(meta.migrations || []),
+            ...result.applied.map(step => ({ entityType, ...step, backup, migratedAt: new Date().toISOString() }))
+        ];
+        this._writeFileAtomic(metaPath, JSON.stringify(meta, null, 2));
+    }
+
+    _handleStorageError(error, operation, entityType) {
+        console.error(`[Storage Error] ${operation}`, entityType, error.message);
+    }
+}
+
+module.exports = { FileStorageAdapter };
@@ -0,0 +1,125 @@
+/**
+ * File Storage Adapter Tests
+ * Verifies the disk-backed storage contract and that repositories run on top of it in Node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileStorageAdapter } = require('./file-storage-adapter');
+const { TaskRepository } = require('./task-repository');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+
+describe('File Storage Adapter', () => {
+    let directory;
+    let storage;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'task-storage-'));
+        storage = new FileStorageAdapter(directory, 'testApp');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('Storage contract', () => {
+        test('should be available and write a meta file', () => {
+            expect(storage.isAvailable).toBe(true);
+            expect(fs.existsSync(path.join(directory, 'testApp_meta.json'))).toBe(true);
+        });
+
+        test('should save and load entity collections', () => {
+            expect(storage.save('tasks', [{ id: 'a' }])).toBe(true);
+            expect(storage.load('tasks')).toEqual([{ id: 'a' }]);
+        });
+
+        test('should wrap data in a versioned envelope on disk', () => {
+            storage.save('tasks', [1, 2]);
+
+            const raw = JSON.parse(fs.readFileSync(path.join(directory, 'testApp_tasks.json'), 'utf8'));
+            expect(raw.version).toBe('2.0');
+            expect(raw.data).toEqual([1, 2]);
+        });
+
+        test('should return the default value for missing entities', () => {
+            expect(storage.load('missing', [])).toEqual([]);
+            expect(storage.load('missing')).toBeNull();
+        });
+
+        test('should remove a single entity type', () => {
+            storage.save('tasks', []);
+            storage.save('users', []);
+
+            storage.remove('tasks');
+
+            expect(storage.load('tasks', 'gone')).toBe('gone');
+            expect(storage.load('users')).toEqual([]);
+        });
+
+        test('should clear only files belonging to its storage key', () => {
+            const other = new FileStorageAdapter(directory, 'otherApp');
+            storage.save('tasks', []);
+            other.save('tasks', ['kept']);
+
+            storage.clear();
+
+            expect(storage.load('tasks')).toBeNull();
+            expect(other.load('tasks')).toEqual(['kept']);
+        });
+
+        test('should not leave temporary files behind', () => {
+            storage.save('tasks', [{ id: 'a' }]);
+            storage.save('tasks', [{ id: 'b' }]);
+
+            expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).toEqual([]);
+        });
+
+        test('should upgrade unversioned payloads on load', () => {
+            fs.writeFileSync(path.join(directory, 'testApp_legacy.json'), JSON.stringify([{ id: 'x' }]));
+
+            expect(storage.load('legacy')).toEqual([{ id: 'x' }]);
+        });
+
+        test('should reject entity types that could escape the directory', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(storage.save('../evil', {})).toBe(false);
+
+            console.error.mockRestore();
+        });
+    });
+
+    describe('Repositories in Node', () => {
+        test('should persist and reload tasks through TaskRepository', async () => {
+            const repository = new TaskRepository(storage);
+            const task = new Task('Persisted task', 'On disk', 'user123', { priority: 'high' });
+            task.addTag('node');
+            await repository.create(task);
+
+            const reloaded = new TaskRepository(new FileStorageAdapter(directory, 'testApp'));
+            await reloaded.loadFromStorage();
+
+            const restored = reloaded.getTask(task.id);
+            expect(restored).toBeInstanceOf(Task);
+            expect(restored.title).toBe('Persisted task');
+            expect(restored.tags).toEqual(['node']);
+        });
+
+        test('should persist users through UserRepository', async () => {
+            const repository = new UserRepository(storage);
+            const user = new User('alice', 'alice@example.com', 'Alice Doe');
+            await repository.create(user);
+
+            const reloaded = new UserRepository(new FileStorageAdapter(directory, 'testApp'));
+            const found = await reloaded.findByUsername('alice');
+
+            expect(found).toBeInstanceOf(User);
+            expect(found.id).toBe(user.id);
+            expect(found.fullName).toBe('Alice Doe');
+        });
+    });
+});
@@ -0,0 +1,591 @@
+/**
+ * I18n - message catalogue and locale-aware formatting
+ *
+ * Every message shown to users (validation errors, model errors, TaskView
+ * labels and notifications) is looked up here by key, so one locale is used
+ * throughout instead of a mix of English and Indonesian:
+ *
+ *   I18n.t('validation.tooLong', { label: 'Title', max: 100 })
+ *   // 'Title must be no more than 100 characters'
+ *
+ * Values are interpolated into {placeholders}. A key missing from a locale
+ * falls back to English, and a key missing from English is returned as is,
+ * so plain text can be passed where a key is expected.
+ *
+ * The current locale comes from the signed-in user's preferences
+ * (user.preferences.locale); see localeForUser and setLocale.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+// Intl locale used to format dates in each supported locale
+const DATE_LOCALES = {
+    en: 'en-US',
+    id: 'id-ID'
+};
+
+const SUPPORTED_LOCALES = Object.keys(DATE_LOCALES);
+
+const MESSAGES = {
+    en: {
+        // Validation schemas (validation-schema.js)
+        'validation.required': '{label} is required',
+        'validation.blank': '{label} cannot be empty or only whitespace',
+        'validation.invalidType': '{label} must be {type}',
+        'validation.tooShort': '{label} must be at least {min} character(s)',
+        'validation.tooLong': '{label} must be no more than {max} characters',
+        'validation.tooSmall': '{label} must be at least {min}',
+        'validation.tooLarge': '{label} must be no more than {max}',
+        'validation.notAllowed': '{label} must be one of: {values}',
+        'validation.patternMismatch': '{label} has an invalid format',
+        'validation.htmlNotAllowed': '{label} cannot contain HTML tags',
+        'validation.dateInPast': '{label} must be today or in the future',
+        'validation.tooManyItems': '{label} cannot have more than {max} items',
+        'validation.weekdayFormat': 'Weekday must look like MO, TU or 2TU (second Tuesday)',
+        'validation.categoryFormat': 'Category may only contain letters, numbers, spaces, dashes and underscores',
+        'validation.usernameFormat': 'Username may only contain letters, numbers, dots, dashes and underscores',
+        'validation.emailFormat': 'Email must be a valid email address',
+        'validation.monthlyOnly': 'Numbered weekdays (e.g. 2TU) are only supported for monthly rules',
+        'validation.yearlyByDay': 'Yearly rules repeat on the day of the first occurrence',
+        'validation.invalidMonthDay': 'Month days must be between 1 and 31 (or -1 to -31 from the end)',
+        'validation.estimateRequired': 'Actual hours can only be tracked once estimated hours are set',
+        'validation.dueBeforeCreated': 'Due date cannot be before the creation date',
+        'validation.statusMismatch': 'Completed tasks must have the completed status',
+        'validation.usernameTaken': 'Username {value} is already taken',
+        'validation.emailTaken': 'Email {value} is already registered',
+        'validation.unknownAssignee': 'Unknown assignee: {value}',
+        'validation.unknownDependency': 'Unknown dependency: {value}',
+        'validation.dependencyOutsideWorkspace': 'Dependency {value} belongs to another workspace',
+        'validation.unknownParentTask': 'Unknown parent task: {value}',
+
+        'type.string': 'text',
+        'type.number': 'a number',
+        'type.integer': 'a whole number',
+        'type.boolean': 'true or false',
+        'type.date': 'a valid date',
+        'type.array': 'a list',
+        'type.object': 'an object',
+
+        // Field labels used in validation messages
+        'field.title': 'Title',
+        'field.description': 'Description',
+        'field.owner': 'Owner',
+        'field.assignee': 'Assignee',
+        'field.priority': 'Priority',
+        'field.status': 'Status',
+        'field.completed': 'Completed',
+        'field.category': 'Category',
+        'field.tags': 'Tags',
+        'field.tag': 'Tag',
+        'field.createdAt': 'Creation date',
+        'field.dueDate': 'Due date',
+        'field.estimatedHours': 'Estimated hours',
+        'field.actualHours': 'Actual hours',
+        'field.project': 'Project',
+        'field.workspace': 'Workspace',
+        'field.parentTask': 'Parent task',
+        'field.recurrence': 'Recurrence',
+        'field.frequency': 'Frequency',
+        'field.interval': 'Interval',
+        'field.occurrenceCount': 'Occurrence count',
+        'field.endDate': 'End date',
+        'field.weekdays': 'Weekdays',
+        'field.weekday': 'Weekday',
+        'field.monthDays': 'Days of the month',
+        'field.monthDay': 'Day of the month',
+        'field.projectName': 'Project name',
+        'field.milestone': 'Milestone',
+        'field.dependencies': 'Dependencies',
+        'field.dependency': 'Dependency',
+        'field.progress': 'Progress',
+        'field.recurrencePattern': 'Recurrence pattern',
+        'field.recurrenceInterval': 'Recurrence interval',
+        'field.maxOccurrences': 'Max occurrences',
+        'field.username': 'Username',
+        'field.email': 'Email',
+        'field.fullName': 'Full name',
+        'field.role': 'Role',
+        'field.active': 'Active',
+        'field.preferences': 'Preferences',
+        'field.theme': 'Theme',
+        'field.defaultCategory': 'Default category',
+        'field.emailNotifications': 'Email notifications',
+        'field.locale': 'Language',
+
+        // Task model (enhanced-task-model.js)
+        'task.titleRequired': 'Task title is required',
+        'task.titleEmpty': 'Task title cannot be empty',
+        'task.userIdRequired': 'User ID is required',
+        'task.validUserIdRequired': 'Valid user ID is required',
+        'task.invalidPriority': 'Invalid priority',
+        'task.invalidCategory': 'Category must be a non-empty string',
+        'task.invalidTag': 'Tag must be a non-empty string',
+        'task.invalidDueDate': 'Invalid due date',
+        'task.invalidHours': 'Hours must be a positive number',
+        'task.invalidStatus': 'Invalid status',
+        'task.invalidNote': 'Note must be a non-empty string',
+        'task.selfDependency': 'Task cannot depend on itself',
+
+        // User model (user-model.js) and passwords (auth-utils.js)
+        'user.usernameRequired': 'Username is required',
+        'user.invalidEmail': 'Invalid email',
+        'user.passwordHashingUnavailable': 'Password hashing is not available in this environment',
+        'user.feedTokenUnavailable': 'Feed tokens are not available in this environment',
+        'user.weakPassword': 'Password does not meet the requirements: {reasons}',
+        'user.invalidRole': 'Invalid role: {role}',
+        'auth.invalidCredentials': 'Invalid username or password',
+        'password.required': 'Password is required',
+        'password.tooShort': 'Password must be at least {min} characters',
+        'password.tooLong': 'Password must be no more than {max} characters',
+        'password.lowercase': 'Password must contain a lowercase letter',
+        'password.uppercase': 'Password must contain an uppercase letter',
+        'password.number': 'Password must contain a number',
+        'password.personal': 'Password must not contain your username or email',
+
+        // Status workflow (task-workflow.js)
+        'workflow.invalidStatus': 'Invalid status',
+        'workflow.notAllowed': 'Cannot change status from {from} to {to}',
+        'workflow.guardFailed': 'Cannot change status to {to}',
+        'workflow.actualHoursRequired': 'Actual hours must be recorded first',
+        'workflow.noteRequired': 'A note is required',
+        'workflow.assigneeRequired': 'Task must be assigned first',
+
+        'status.pending': 'Pending',
+        'status.in-progress': 'In Progress',
+        'status.on-hold': 'On Hold',
+        'status.completed': 'Completed',
+        'status.cancelled': 'Cancelled',
+
+        'priority.low': 'low',
+        'priority.medium': 'medium',
+        'priority.high': 'high',
+        'priority.urgent': 'urgent',
+
+        // Task view (task-view.js)
+        'view.loading': 'Loading...',
+        'view.heading': 'Task Management',
+        'view.welcome': 'Welcome, {name}',
+        'view.form.title': 'Task title',
+        'view.form.description': 'Task description (optional)',
+        'view.form.category': 'Category (e.g., work, personal)',
+        'view.form.estimatedHours': 'Est. hours',
+        'view.form.tags': 'Tags (comma-separated)',
+        'view.form.assignee': 'Assign to (user ID, optional)',
+        'view.form.submit': 'Add Task',
+        'view.priority.low': 'Low Priority',
+        'view.priority.medium': 'Medium Priority',
+        'view.priority.high': 'High Priority',
+        'view.priority.urgent': 'Urgent',
+        'view.filter.all': 'All Tasks',
+        'view.filter.mine': 'My Tasks',
+        'view.filter.pending': 'Pending',
+        'view.filter.completed': 'Completed',
+        'view.filter.overdue': 'Overdue',
+        'view.search.placeholder': 'Search tasks... (e.g. tag:work priority:high -done)',
+        'view.search.clear': 'Clear',
+        'view.refresh': 'Refresh',
+        'view.layout.list': 'List',
+        'view.layout.board': 'Board',
+        'view.layout.calendar': 'Calendar',
+        'view.noTasks': 'No tasks found',
+        'view.empty.default': 'Create your first task using the form above',
+        'view.empty.pending': 'No pending tasks. Great job!',
+        'view.empty.completed': 'No completed tasks yet. Start working on your tasks!',
+        'view.empty.overdue': 'No overdue tasks. You\'re on track!',
+        'view.empty.search': 'No tasks match your search. Try different keywords.',
+        'view.empty.view': 'No tasks match this view.',
+        'view.empty.mine': 'Nothing owned by or assigned to you.',
+        'view.empty.team': 'This team has no tasks yet. Tasks you add now go to the team.',
+        'view.undo': 'Undo',
+        'view.savedViews.namePrompt': 'Name for this view:',
+        'view.savedViews.sharePrompt': 'Share with (comma-separated usernames):',
+        'view.savedViews.deleteConfirm': 'Delete this view?',
+        'view.savedViews.pin': 'Pin',
+        'view.savedViews.unpin': 'Unpin',
+        'view.savedViews.share': 'Share',
+        'view.savedViews.sharedWith': 'Shared with {count} user(s)',
+        'view.savedViews.delete': 'Delete',
+        'view.savedViews.placeholder': 'Saved views...',
+        'view.savedViews.save': 'Save view',
+        'view.savedViews.saveTitle': 'Save the current filter as a view',
+        'view.board.empty': 'No tasks',
+        'view.board.wipExceeded': 'WIP limit of {limit} exceeded',
+        'view.board.wipWarning': '{column} already has {count} task(s); the WIP limit is {limit}',
+        'view.calendar.previous': 'Previous',
+        'view.calendar.today': 'Today',
+        'view.calendar.next': 'Next',
+        'view.calendar.month': 'Month',
+        'view.calendar.week': 'Week',
+        'view.calendar.occurrence': 'Upcoming occurrence',
+        'view.task.due': 'Due: {date}',
+        'view.task.overdue': 'OVERDUE',
+        'view.task.filterByTag': 'Filter by {tag}',
+        'view.task.created': 'Created: {date}',
+        'view.task.estimated': 'Est: {hours}h',
+        'view.task.actual': 'Actual: {hours}h',
+        'view.task.subtasks': 'Subtasks: {completed}/{total}',
+        'view.task.assignedTo': 'Assigned to: {user}',
+        'view.task.markComplete': 'Mark complete',
+        'view.task.markIncomplete': 'Mark incomplete',
+        'view.task.addTime': 'Add time spent',
+        'view.task.edit': 'Edit task',
+        'view.task.history': 'Show history',
+        'view.task.delete': 'Delete task',
+        'view.stats.total': 'Total Tasks',
+        'view.stats.pending': 'Pending',
+        'view.stats.completed': 'Completed',
+        'view.stats.overdue': 'Overdue',
+        'view.stats.completionRate': 'Completion Rate',
+        'view.stats.byPriority': 'By Priority',
+        'view.stats.high': 'High',
+        'view.stats.medium': 'Medium',
+        'view.stats.low': 'Low',
+        'view.notify.remoteCreated': 'New task "{title}"',
+        'view.notify.created': 'Task "{title}" created successfully!',
+        'view.notify.deleted': 'Task deleted successfully',
+        'view.confirm.delete': 'Are you sure you want to delete "{title}"?',
+        'view.confirm.cascade': '"{title}" has {count} incomplete subtask(s). Complete them as well?',
+        'view.confirm.force': '"{title}" is blocked by {titles}. Complete it anyway?',
+        'view.prompt.transitionNote': 'Add a note for moving "{title}" to {status}:',
+        'view.prompt.editTitle': 'Edit task title:',
+        'view.prompt.editAssignee': 'Assign to (user ID):',
+        'view.signup.registered': 'Account {username} created',
+        'view.prompt.hours': 'Hours spent on this task:',
+        'view.history.title': 'History: {title}',
+        'view.history.system': 'System',
+        'view.history.close': 'Close',
+        'view.history.empty': 'No changes recorded yet.'
+    },
+
+    id: {
+        'validation.required': '{label} wajib diisi',
+        'validation.blank': '{label} tidak boleh kosong atau hanya berisi spasi',
+        'validation.invalidType': '{label} harus berupa {type}',
+        'validation.tooShort': '{label} minimal {min} karakter',
+        'validation.tooLong': '{label} maksimal {max} karakter',
+        'validation.tooSmall': '{label} minimal {min}',
+        'validation.tooLarge': '{label} maksimal {max}',
+        'validation.notAllowed': '{label} harus salah satu dari: {values}',
+        'validation.patternMismatch': 'Format {label} tidak valid',
+        'validation.htmlNotAllowed': '{label} tidak boleh berisi tag HTML',
+        'validation.dateInPast': '{label} harus hari ini atau setelahnya',
+        'validation.tooManyItems': '{label} tidak boleh lebih dari {max} item',
+        'validation.weekdayFormat': 'Hari harus berbentuk MO, TU atau 2TU (Selasa kedua)',
+        'validation.categoryFormat': 'Kategori hanya boleh berisi huruf, angka, spasi, tanda hubung dan garis bawah',
+        'validation.usernameFormat': 'Username hanya boleh berisi huruf, angka, titik, tanda hubung dan garis bawah',
+        'validation.emailFormat': 'Email harus berupa alamat email yang valid',
+        'validation.monthlyOnly': 'Hari bernomor (mis. 2TU) hanya didukung untuk aturan bulanan',
+        'validation.yearlyByDay': 'Aturan tahunan berulang pada tanggal kemunculan pertama',
+        'validation.invalidMonthDay': 'Tanggal dalam bulan harus antara 1 dan 31 (atau -1 sampai -31 dari akhir bulan)',
+        'validation.estimateRequired': 'Jam aktual baru bisa dicatat setelah estimasi jam diisi',
+        'validation.dueBeforeCreated': 'Tenggat tidak boleh sebelum tanggal pembuatan',
+        'validation.statusMismatch': 'Tugas yang sudah selesai harus berstatus completed',
+        'validation.usernameTaken': 'Username {value} sudah dipakai',
+        'validation.emailTaken': 'Email {value} sudah terdaftar',
+        'validation.unknownAssignee': 'Penanggung jawab tidak dikenal: {value}',
+        'validation.unknownDependency': 'Dependensi tidak dikenal: {value}',
+        'validation.dependencyOutsideWorkspace': 'Dependensi {value} berada di ruang kerja lain',
+        'validation.unknownParentTask': 'Tugas induk tidak dikenal: {value}',
+
+        'type.string': 'teks',
+        'type.number': 'angka',
+        'type.integer': 'bilangan bulat',
+        'type.boolean': 'true atau false',
+        'type.date': 'tanggal yang valid',
+        'type.array': 'daftar',
+        'type.object': 'objek',
+
+        'field.title': 'Judul',
+        'field.description': 'Deskripsi',
+        'field.owner': 'Pemilik',
+        'field.assignee': 'Penanggung jawab',
+        'field.priority': 'Prioritas',
+        'field.status': 'Status',
+        'field.completed': 'Selesai',
+        'field.category': 'Kategori',
+        'field.tags': 'Tag',
+        'field.tag': 'Tag',
+        'field.createdAt': 'Tanggal dibuat',
+        'field.dueDate': 'Tenggat',
+        'field.estimatedHours': 'Estimasi jam',
+        'field.actualHours': 'Jam aktual',
+        'field.project': 'Proyek',
+        'field.workspace': 'Ruang kerja',
+        'field.parentTask': 'Tugas induk',
+        'field.recurrence': 'Pengulangan',
+        'field.frequency': 'Frekuensi',
+        'field.interval': 'Interval',
+        'field.occurrenceCount': 'Jumlah kemunculan',
+        'field.endDate': 'Tanggal akhir',
+        'field.weekdays': 'Hari',
+        'field.weekday': 'Hari',
+        'field.monthDays': 'Tanggal dalam bulan',
+        'field.monthDay': 'Tanggal dalam bulan',
+        'field.projectName': 'Nama proyek',
+        'field.milestone': 'Milestone',
+        'field.dependencies': 'Dependensi',
+        'field.dependency': 'Dependensi',
+        'field.progress': 'Progres',
+        'field.recurrencePattern': 'Pola pengulangan',
+        'field.recurrenceInterval': 'Interval pengulangan',
+        'field.maxOccurrences': 'Maksimum kemunculan',
+        'field.username': 'Username',
+        'field.email': 'Email',
+        'field.fullName': 'Nama lengkap',
+        'field.role': 'Role',
+        'field.active': 'Aktif',
+        'field.preferences': 'Preferensi',
+        'field.theme': 'Tema',
+        'field.defaultCategory': 'Kategori default',
+        'field.emailNotifications': 'Notifikasi email',
+        'field.locale': 'Bahasa',
+
+        'task.titleRequired': 'Judul tugas wajib diisi',
+        'task.titleEmpty': 'Judul tugas tidak boleh kosong',
+        'task.userIdRequired': 'ID pengguna wajib diisi',
+        'task.validUserIdRequired': 'ID pengguna yang valid wajib diisi',
+        'task.invalidPriority': 'Prioritas tidak valid',
+        'task.invalidCategory': 'Kategori harus berupa teks yang tidak kosong',
+        'task.invalidTag': 'Tag harus berupa teks yang tidak kosong',
+        'task.invalidDueDate': 'Tenggat tidak valid',
+        'task.invalidHours': 'Jam harus berupa angka positif',
+        'task.invalidStatus': 'Status tidak valid',
+        'task.invalidNote': 'Catatan harus berupa teks yang tidak kosong',
+        'task.selfDependency': 'Tugas tidak bisa bergantung pada dirinya sendiri',
+
+        'user.usernameRequired': 'Username wajib diisi',
+        'user.invalidEmail': 'Email tidak valid',
+        'user.passwordHashingUnavailable': 'Password hashing tidak tersedia di lingkungan ini',
+        'user.feedTokenUnavailable': 'Token feed tidak tersedia di lingkungan ini',
+        'user.weakPassword': 'Password tidak memenuhi syarat: {reasons}',
+        'user.invalidRole': 'Role tidak valid: {role}',
+        'auth.invalidCredentials': 'Username atau password salah',
+        'password.required': 'Password wajib diisi',
+        'password.tooShort': 'Password minimal {min} karakter',
+        'password.tooLong': 'Password maksimal {max} karakter',
+        'password.lowercase': 'Password harus mengandung huruf kecil',
+        'password.uppercase': 'Password harus mengandung huruf besar',
+        'password.number': 'Password harus mengandung angka',
+        'password.personal': 'Password tidak boleh mengandung username atau email Anda',
+
+        'workflow.invalidStatus': 'Status tidak valid',
+        'workflow.notAllowed': 'Status tidak bisa diubah dari {from} ke {to}',
+        'workflow.guardFailed': 'Status tidak bisa diubah ke {to}',
+        'workflow.actualHoursRequired': 'Jam aktual harus dicatat terlebih dahulu',
+        'workflow.noteRequired': 'Catatan wajib diisi',
+        'workflow.assigneeRequired': 'Tugas harus ditugaskan terlebih dahulu',
+
+        'status.pending': 'Tertunda',
+        'status.in-progress': 'Sedang Dikerjakan',
+        'status.on-hold': 'Ditahan',
+        'status.completed': 'Selesai',
+        'status.cancelled': 'Dibatalkan',
+
+        'priority.low': 'rendah',
+        'priority.medium': 'sedang',
+        'priority.high': 'tinggi',
+        'priority.urgent': 'mendesak',
+
+        'view.loading': 'Memuat...',
+        'view.heading': 'Manajemen Tugas',
+        'view.welcome': 'Selamat datang, {name}',
+        'view.form.title': 'Judul tugas',
+        'view.form.description': 'Deskripsi tugas (opsional)',
+        'view.form.category': 'Kategori (mis. work, personal)',
+        'view.form.estimatedHours': 'Estimasi jam',
+        'view.form.tags': 'Tag (pisahkan dengan koma)',
+        'view.form.assignee': 'Tugaskan ke (ID pengguna, opsional)',
+        'view.form.submit': 'Tambah Tugas',
+        'view.priority.low': 'Prioritas Rendah',
+        'view.priority.medium': 'Prioritas Sedang',
+        'view.priority.high': 'Prioritas Tinggi',
+        'view.priority.urgent': 'Mendesak',
+        'view.filter.all': 'Semua Tugas',
+        'view.filter.mine': 'Tugas Saya',
+        'view.filter.pending': 'Tertunda',
+        'view.filter.completed': 'Selesai',
+        'view.filter.overdue': 'Terlambat',
+        'view.search.placeholder': 'Cari tugas... (mis. tag:work priority:high -done)',
+        'view.search.clear': 'Bersihkan',
+        'view.refresh': 'Muat ulang',
+        'view.layout.list': 'Daftar',
+        'view.layout.board': 'Papan',
+        'view.layout.calendar': 'Kalender',
+        'view.noTasks': 'Tidak ada tugas',
+        'view.empty.default': 'Buat tugas pertama Anda dengan formulir di atas',
+        'view.empty.pending': 'Tidak ada tugas tertunda. Kerja bagus!',
+        'view.empty.completed': 'Belum ada tugas yang selesai. Ayo mulai kerjakan!',
+        'view.empty.overdue': 'Tidak ada tugas yang terlambat. Anda sesuai jadwal!',
+        'view.empty.search': 'Tidak ada tugas yang cocok dengan pencarian. Coba kata kunci lain.',
+        'view.empty.view': 'Tidak ada tugas yang cocok dengan tampilan ini.',
+        'view.empty.mine': 'Tidak ada tugas milik Anda atau yang ditugaskan ke Anda.',
+        'view.empty.team': 'Tim ini belum punya tugas. Tugas yang Anda tambahkan sekarang masuk ke tim.',
+        'view.undo': 'Urungkan',
+        'view.savedViews.namePrompt': 'Nama untuk tampilan ini:',
+        'view.savedViews.sharePrompt': 'Bagikan ke (username, pisahkan dengan koma):',
+        'view.savedViews.deleteConfirm': 'Hapus tampilan ini?',
+        'view.savedViews.pin': 'Sematkan',
+        'view.savedViews.unpin': 'Lepas sematan',
+        'view.savedViews.share': 'Bagikan',
+        'view.savedViews.sharedWith': 'Dibagikan ke {count} pengguna',
+        'view.savedViews.delete': 'Hapus',
+        'view.savedViews.placeholder': 'Tampilan tersimpan...',
+        'view.savedViews.save': 'Simpan tampilan',
+        'view.savedViews.saveTitle': 'Simpan filter saat ini sebagai tampilan',
+        'view.board.empty': 'Tidak ada tugas',
+        'view.board.wipExceeded': 'Batas WIP {limit} terlampaui',
+        'view.board.wipWarning': '{column} sudah berisi {count} tugas; batas WIP adalah {limit}',
+        'view.calendar.previous': 'Sebelumnya',
+        'view.calendar.today': 'Hari ini',
+        'view.calendar.next': 'Berikutnya',
+        'view.calendar.month': 'Bulan',
+        'view.calendar.week': 'Minggu',
+        'view.calendar.occurrence': 'Kemunculan berikutnya',
+        'view.task.due': 'Tenggat: {date}',
+        'view.task.overdue': 'TERLAMBAT',
+        'view.task.filterByTag': 'Saring dengan {tag}',
+        'view.task.created': 'Dibuat: {date}',
+        'view.task.estimated': 'Estimasi: {hours} jam',
+        'view.task.actual': 'Aktual: {hours} jam',
+        'view.task.subtasks': 'Subtugas: {completed}/{total}',
+        'view.task.assignedTo': 'Ditugaskan ke: {user}',
+        'view.task.markComplete': 'Tandai selesai',
+        'view.task.markIncomplete': 'Tandai belum selesai',
+        'view.task.addTime': 'Tambah waktu kerja',
+        'view.task.edit': 'Ubah tugas',
+        'view.task.history': 'Lihat riwayat',
+        'view.task.delete': 'Hapus tugas',
+        'view.stats.total': 'Total Tugas',
+        'view.stats.pending': 'Tertunda',
+        'view.stats.completed': 'Selesai',
+        'view.stats.overdue': 'Terlambat',
+        'view.stats.completionRate': 'Tingkat Penyelesaian',
+        'view.stats.byPriority': 'Per Prioritas',
+        'view.stats.high': 'Tinggi',
+        'view.stats.medium': 'Sedang',
+        'view.stats.low': 'Rendah',
+        'view.notify.remoteCreated': 'Tugas baru "{title}"',
+        'view.notify.created': 'Tugas "{title}" berhasil dibuat!',
+        'view.notify.deleted': 'Tugas berhasil dihapus',
+        'view.confirm.delete': 'Yakin ingin menghapus "{title}"?',
+        'view.confirm.cascade': '"{title}" masih punya {count} subtugas yang belum selesai. Selesaikan juga?',
+        'view.confirm.force': '"{title}" masih terhalang oleh {titles}. Tetap selesaikan?',
+        'view.prompt.transitionNote': 'Tambahkan catatan untuk memindahkan "{title}" ke {status}:',
+        'view.prompt.editTitle': 'Ubah judul tugas:',
+        'view.prompt.editAssignee': 'Tugaskan ke (ID pengguna):',
+        'view.signup.registered': 'Akun {username} berhasil dibuat',
+        'view.prompt.hours': 'Jam yang dihabiskan untuk tugas ini:',
+        'view.history.title': 'Riwayat: {title}',
+        'view.history.system': 'Sistem',
+        'view.history.close': 'Tutup',
+        'view.history.empty': 'Belum ada perubahan yang tercatat.'
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Supported locale for a locale tag: 'id-ID' -> 'id', unknown -> 'en'
+ * @param {string} locale - Locale tag
+ * @returns {string}
+ */
+function resolveLocale(locale) {
+    if (typeof locale !== 'string' || locale === '') {
+        return DEFAULT_LOCALE;
+    }
+    const language = locale.toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function setLocale(locale) {
+    currentLocale = resolveLocale(locale);
+    return currentLocale;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Locale chosen in a user's preferences
+ * @param {User|object} user - User (or its JSON)
+ * @returns {string}
+ */
+function localeForUser(user) {
+    const preferences = (user && user.preferences) || {};
+    return resolveLocale(preferences.locale);
+}
+
+function interpolate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+    ));
+}
+
+/**
+ * Look up a message and fill in its placeholders
+ * @param {string} key - Message key, e.g. 'validation.tooLong'
+ * @param {object} params - Values for the {placeholders}
+ * @param {string} locale - Optional locale; defaults to the current locale
+ * @returns {string}
+ */
+function t(key, params = {}, locale = null) {
+    const messages = MESSAGES[resolveLocale(locale || currentLocale)];
+    const template = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+    return interpolate(template !== undefined ? template : String(key), params || {});
+}
+
+function hasMessage(key, locale = DEFAULT_LOCALE) {
+    return MESSAGES[resolveLocale(locale)][key] !== undefined;
+}
+
+/**
+ * Format a date for display, e.g. 3/2/2026 (en) or 2/3/2026 (id)
+ * @param {Date|string|number} date - Date to format
+ * @param {string} locale - Optional locale; defaults to the current locale
+ * @param {object} options - Optional Intl.DateTimeFormat options
+ * @returns {string} - Formatted date, or '' for missing and invalid dates
+ */
+function formatDate(date, locale = null, options = undefined) {
+    if (!date) return '';
+    const value = new Date(date);
+    return Number.isNaN(value.getTime())
+        ? ''
+        : value.toLocaleDateString(DATE_LOCALES[resolveLocale(locale || currentLocale)], options);
+}
+
+/**
+ * Format a date and time for display
+ * @param {Date|string|number} date - Date to format
+ * @param {string} locale - Optional locale; defaults to the current locale
+ * @param {object} options - Optional Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function formatDateTime(date, locale = null, options = undefined) {
+    if (!date) return '';
+    const value = new Date(date);
+    return Number.isNaN(value.getTime())
+        ? ''
+        : value.toLocaleString(DATE_LOCALES[resolveLocale(locale || currentLocale)], options);
+}
+
+const I18n = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    MESSAGES,
+    t,
+    hasMessage,
+    setLocale,
+    getLocale,
+    resolveLocale,
+    localeForUser,
+    formatDate,
+    formatDateTime
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+} else {
+    window.I18n = I18n;
+}
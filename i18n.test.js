@@ -0,0 +1,120 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * I18n Tests
+ * Message lookup and interpolation, locale selection from user preferences,
+ * localized validation and model errors, and the TaskView in Indonesian
+ */
+
+const I18n = require('./i18n');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { USER_SCHEMA } = require('./validation-schema');
+const { TaskValidator, TitleValidationStrategy } = require('./validation');
+const { TaskView } = require('./task-view');
+
+describe('I18n', () => {
+    afterEach(() => {
+        I18n.setLocale('en');
+    });
+
+    describe('Catalogue', () => {
+        test('should interpolate values and fall back to English', () => {
+            expect(I18n.t('validation.tooLong', { label: 'Title', max: 100 })).toBe('Title must be no more than 100 characters');
+            expect(I18n.t('validation.tooLong', { label: 'Judul', max: 100 }, 'id')).toBe('Judul maksimal 100 karakter');
+            expect(I18n.t('validation.required', {}, 'id')).toBe('{label} wajib diisi');
+            expect(I18n.t('Plain text', {}, 'id')).toBe('Plain text');
+
+            const english = Object.keys(I18n.MESSAGES.en);
+            expect(english.filter(key => !I18n.hasMessage(key, 'id'))).toEqual([]);
+        });
+
+        test('should pick the locale from the user preferences', () => {
+            const user = new User('budi', 'budi@example.com', 'Budi');
+            expect(user.preferences.locale).toBe('en');
+
+            user.updatePreferences({ locale: 'id-ID' });
+            expect(I18n.localeForUser(user)).toBe('id');
+            expect(I18n.localeForUser({ preferences: { locale: 'fr' } })).toBe('en');
+            expect(USER_SCHEMA.validate({ username: 'budi', email: 'budi@example.com', preferences: { locale: 'fr' } }).errors)
+                .toEqual([{ path: 'preferences.locale', code: 'NOT_ALLOWED', message: 'Language must be one of: en, id' }]);
+
+            expect(I18n.setLocale(I18n.localeForUser(user))).toBe('id');
+            expect(I18n.getLocale()).toBe('id');
+        });
+
+        test('should format dates for the locale', () => {
+            const date = new Date(2026, 2, 2, 14, 5);
+
+            expect(I18n.formatDate(date, 'en')).toBe('3/2/2026');
+            expect(I18n.formatDate(date, 'id')).toBe('2/3/2026');
+            expect(I18n.formatDate(date, 'id', { month: 'long', year: 'numeric' })).toBe('Maret 2026');
+            expect(I18n.formatDateTime(date, 'id')).toBe('2/3/2026, 14.05.00');
+            expect(I18n.formatDate('not a date')).toBe('');
+            expect(I18n.formatDate(null)).toBe('');
+        });
+    });
+
+    describe('Messages in the current locale', () => {
+        test('should localize validation errors', () => {
+            expect(USER_SCHEMA.validate({ username: 'Jo', email: 'x' }, { locale: 'id' }).errors.map(error => error.message))
+                .toEqual(['Username minimal 3 karakter', 'Email harus berupa alamat email yang valid']);
+
+            I18n.setLocale('id');
+            expect(new TaskValidator().validateTask({ title: '', estimatedHours: 'many' }).errors).toEqual([
+                'title: Judul wajib diisi',
+                'estimatedHours: Estimasi jam harus berupa angka'
+            ]);
+            expect(new TitleValidationStrategy(1, 5).validate('Too long').errors).toEqual(['Judul maksimal 5 karakter']);
+        });
+
+        test('should localize model errors', () => {
+            expect(() => new User('', 'a@example.com')).toThrow('Username is required');
+
+            I18n.setLocale('id');
+            expect(() => new User('', 'a@example.com')).toThrow('Username wajib diisi');
+            expect(() => new User('budi', 'not-an-email')).toThrow('Email tidak valid');
+            expect(() => new User('budi', 'budi@example.com').setRole('wizard')).toThrow('Role tidak valid: wizard');
+            expect(() => new Task('', '', 'user_1')).toThrow('Judul tugas wajib diisi');
+            expect(() => new Task('Plan', '', 'user_1').addTimeSpent(-1)).toThrow('Jam harus berupa angka positif');
+        });
+    });
+
+    describe('TaskView', () => {
+        let user;
+        let view;
+
+        beforeEach(async () => {
+            document.body.innerHTML = '<div id="app"></div>';
+            user = new User('budi', 'budi@example.com', 'Budi Santoso');
+            user.updatePreferences({ locale: 'id' });
+            view = new TaskView('app');
+            await view.initialize(user);
+        });
+
+        test('should render labels and dates in the user\'s locale', async () => {
+            const task = new Task('Laporan', '', user.id, { dueDate: new Date(2099, 0, 31) });
+            task.createdAt = new Date(2026, 2, 2);
+            await view.displayTasks([task]);
+
+            expect(document.querySelector('h1').textContent).toBe('Manajemen Tugas');
+            expect(document.querySelector('.user-name').textContent).toBe('Selamat datang, Budi Santoso');
+            expect(document.querySelector('#taskForm button[type="submit"]').textContent).toBe('Tambah Tugas');
+            expect(document.querySelector('.task-created').textContent).toBe('Dibuat: 2/3/2026');
+            expect(document.querySelector('.task-due-date').textContent).toBe('Tenggat: 31/1/2099');
+            expect(document.querySelector('.status-badge').textContent).toBe('Tertunda');
+        });
+
+        test('should show empty states and notifications in the user\'s locale', async () => {
+            await view.displayTasks([], 'overdue');
+            expect(document.querySelector('#taskList small').textContent).toBe('Tidak ada tugas yang terlambat. Anda sesuai jadwal!');
+            expect(view.getEmptyStateMessage('unknown')).toBe('Buat tugas pertama Anda dengan formulir di atas');
+
+            await view.removeTask('task_1');
+            expect(document.querySelector('.message-success').firstChild.textContent).toBe('Tugas berhasil dihapus');
+            expect(document.querySelector('.message-action').textContent).toBe('Urungkan');
+        });
+    });
+});
@@ -0,0 +1,368 @@
+/**
+ * iCalendar - .ics export and import of tasks (RFC 5545)
+ *
+ * Export: every task with a due date becomes a VTODO with its priority,
+ * status, tags (CATEGORIES) and, for the current occurrence of a recurring
+ * task, an RRULE built from task.recurrence (or the legacy
+ * RecurringTaskCreator fields).
+ *
+ * Import: VTODO and VEVENT components become tasks created through
+ * TaskFactory, so they are validated like any other new task. VTODOs use
+ * DUE, VEVENTs use DTSTART as the due date. Items that fail are reported
+ * with the line they start on; the others are still imported.
+ *
+ * Times with a TZID are read as local (floating) times.
+ */
+
+// Recurrence rules are a global in the browser
+const CalendarRecurrenceRule = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./recurrence-engine').RecurrenceRule
+    : window.RecurrenceRule;
+
+const PRODID = '-//Task Management//Tasks//EN';
+const UID_DOMAIN = 'task-management';
+const MAX_LINE_OCTETS = 75;
+
+const PRIORITY_TO_ICAL = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const STATUS_TO_ICAL = {
+    pending: 'NEEDS-ACTION',
+    'in-progress': 'IN-PROCESS',
+    'on-hold': 'NEEDS-ACTION',
+    completed: 'COMPLETED',
+    cancelled: 'CANCELLED'
+};
+
+const STATUS_FROM_ICAL = {
+    'NEEDS-ACTION': 'pending',
+    'IN-PROCESS': 'in-progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Raised for calendar data that cannot be read at all
+ */
+class ICalendarError extends Error {
+    constructor(message, line = null) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'ICalendarError';
+        this.line = line;
+    }
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// Split a list value on commas that are not escaped
+function splitList(value) {
+    return value.split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean);
+}
+
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+}
+
+// Fold a content line into 75-octet chunks; continuation lines start with a space
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = utf8Length(char);
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// Dates at UTC midnight are all-day values (what a date input produces)
+function formatDateProperty(name, value) {
+    const date = new Date(value);
+    const isAllDay = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+        date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+    const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+    return isAllDay && name !== 'DTSTAMP' && name !== 'COMPLETED' && name !== 'CREATED' && name !== 'LAST-MODIFIED'
+        ? `${name};VALUE=DATE:${day}`
+        : `${name}:${day}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// 20240115 -> '2024-01-15'; 20240115T093000Z -> ISO UTC; without Z -> local time
+function parseDateValue(value, line) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) {
+        throw new ICalendarError(`Invalid date: ${value}`, line);
+    }
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (!hours) {
+        return `${year}-${month}-${day}`;
+    }
+    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${utc ? 'Z' : ''}`;
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE
+function parseContentLine(text, line) {
+    let index = 0;
+    let inQuotes = false;
+    while (index < text.length && (inQuotes || text[index] !== ':')) {
+        if (text[index] === '"') inQuotes = !inQuotes;
+        index++;
+    }
+    if (index >= text.length) {
+        throw new ICalendarError(`Malformed line: ${text}`, line);
+    }
+
+    const [name, ...params] = text.slice(0, index).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    return {
+        name: name.toUpperCase(),
+        params: params.reduce((result, param) => {
+            const [key, ...rest] = param.split('=');
+            result[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+            return result;
+        }, {}),
+        value: text.slice(index + 1),
+        line
+    };
+}
+
+class ICalendar {
+    /**
+     * Serialize tasks as a VCALENDAR of VTODOs. Tasks without a due date are skipped.
+     * @param {Task[]} tasks - Tasks to export
+     * @param {object} options - { name, now }
+     * @returns {string} - iCalendar text (CRLF line endings)
+     */
+    static serialize(tasks, options = {}) {
+        const now = options.now || new Date();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (options.name) {
+            lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+        }
+
+        tasks.filter(task => task.dueDate).forEach(task => {
+            lines.push(...ICalendar.taskToVTodo(task, now));
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Content lines of the VTODO for a task
+     * @param {Task} task - Task with a due date
+     * @param {Date} now - Timestamp of the export
+     * @returns {string[]}
+     */
+    static taskToVTodo(task, now = new Date()) {
+        const lines = [
+            'BEGIN:VTODO',
+            `UID:${task.id}@${UID_DOMAIN}`,
+            formatDateProperty('DTSTAMP', now),
+            `SUMMARY:${escapeText(task.title)}`
+        ];
+
+        if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+        if (task.createdAt) lines.push(formatDateProperty('CREATED', task.createdAt));
+        if (task.updatedAt) lines.push(formatDateProperty('LAST-MODIFIED', task.updatedAt));
+        lines.push(formatDateProperty('DUE', task.dueDate));
+        lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority] || PRIORITY_TO_ICAL.medium}`);
+        lines.push(`STATUS:${STATUS_TO_ICAL[task.status] || STATUS_TO_ICAL.pending}`);
+        if (task.completed && task.completedAt) lines.push(formatDateProperty('COMPLETED', task.completedAt));
+
+        const tags = task.tags || [];
+        if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+
+        // Only the latest occurrence repeats; earlier ones are history
+        const rule = task.recurrence || (task.recurrencePattern ? {
+            recurrencePattern: task.recurrencePattern,
+            recurrenceInterval: task.recurrenceInterval,
+            maxOccurrences: task.maxOccurrences
+        } : null);
+        if (rule && !rule.nextOccurrenceId) {
+            lines.push(`RRULE:${CalendarRecurrenceRule.format(rule)}`);
+        }
+
+        lines.push('END:VTODO');
+        return lines;
+    }
+
+    /**
+     * Parse iCalendar text into components
+     * @param {string} text - iCalendar text
+     * @returns {object[]} - Top-level components: { type, line, properties, components }
+     */
+    static parse(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new ICalendarError('Calendar data is empty');
+        }
+
+        // Unfold continuation lines, remembering where each logical line starts
+        const contentLines = [];
+        text.split(/\r?\n/).forEach((raw, index) => {
+            if (/^[ \t]/.test(raw) && contentLines.length > 0) {
+                contentLines[contentLines.length - 1].text += raw.slice(1);
+            } else if (raw.trim() !== '') {
+                contentLines.push({ text: raw, line: index + 1 });
+            }
+        });
+
+        const root = { type: null, components: [] };
+        const stack = [root];
+        contentLines.forEach(({ text: content, line }) => {
+            const property = parseContentLine(content, line);
+            const current = stack[stack.length - 1];
+
+            if (property.name === 'BEGIN') {
+                const component = { type: property.value.trim().toUpperCase(), line, properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                if (stack.length === 1 || current.type !== property.value.trim().toUpperCase()) {
+                    throw new ICalendarError(`Unexpected END:${property.value}`, line);
+                }
+                stack.pop();
+            } else if (stack.length > 1) {
+                current.properties.push(property);
+            }
+        });
+
+        if (stack.length > 1) {
+            throw new ICalendarError(`Missing END:${stack[stack.length - 1].type}`, stack[stack.length - 1].line);
+        }
+        if (!root.components.some(component => component.type === 'VCALENDAR')) {
+            throw new ICalendarError('No VCALENDAR found');
+        }
+        return root.components;
+    }
+
+    /**
+     * Task data described by a VTODO or VEVENT
+     * @param {object} component - Parsed component
+     * @returns {object} - { uid, title, description, priority, dueDate, tags, status, recurrence }
+     */
+    static componentToTaskData(component) {
+        const get = name => component.properties.find(property => property.name === name) || null;
+        const text = name => (get(name) ? unescapeText(get(name).value) : '');
+
+        const dateProperty = get(component.type === 'VEVENT' ? 'DTSTART' : 'DUE') || get('DTSTART');
+        const priority = Number(text('PRIORITY')) || 0;
+        const rrule = get('RRULE');
+
+        return {
+            uid: text('UID') || null,
+            title: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            priority: priority === 0 || priority === 5 ? 'medium'
+                : priority === 1 ? 'urgent'
+                    : priority < 5 ? 'high' : 'low',
+            dueDate: dateProperty ? parseDateValue(dateProperty.value, dateProperty.line) : null,
+            tags: component.properties
+                .filter(property => property.name === 'CATEGORIES')
+                .flatMap(property => splitList(property.value)),
+            status: STATUS_FROM_ICAL[text('STATUS').toUpperCase()] || 'pending',
+            recurrence: rrule ? CalendarRecurrenceRule.serialize(rrule.value) : null
+        };
+    }
+
+    /**
+     * Create tasks from the VTODO and VEVENT items of a calendar. The tasks are
+     * not stored; the caller adds them to its repository.
+     * @param {string} text - iCalendar text
+     * @param {object} options - { factory: TaskFactory, userId }
+     * @returns {{tasks: Task[], errors: object[], sources: Map}} - errors: { line, uid, error };
+     *          sources: task -> { line, uid } of the item it came from
+     */
+    static importTasks(text, { factory, userId }) {
+        if (!factory) {
+            throw new Error('TaskFactory is required');
+        }
+
+        const items = ICalendar.parse(text)
+            .filter(component => component.type === 'VCALENDAR')
+            .flatMap(calendar => calendar.components)
+            .filter(component => component.type === 'VTODO' || component.type === 'VEVENT');
+
+        const tasks = [];
+        const errors = [];
+        const sources = new Map();
+        items.forEach(component => {
+            let uid = null;
+            try {
+                const data = ICalendar.componentToTaskData(component);
+                uid = data.uid;
+
+                // TaskValidator only knows high/medium/low; urgent is applied afterwards
+                const taskData = {
+                    title: data.title,
+                    description: data.description,
+                    priority: data.priority === 'urgent' ? 'high' : data.priority,
+                    dueDate: data.dueDate,
+                    userId
+                };
+                if (data.recurrence) {
+                    taskData.recurrencePattern = data.recurrence.frequency;
+                    taskData.recurrenceInterval = data.recurrence.interval;
+                    taskData.maxOccurrences = data.recurrence.count;
+                }
+
+                const task = factory.createTask(data.recurrence ? 'recurring' : 'basic', taskData);
+                if (data.recurrence) {
+                    // The factory only knows frequency/interval/count; keep BYDAY, UNTIL, ...
+                    task.recurrence = data.recurrence;
+                }
+                if (data.priority === 'urgent') {
+                    task.updatePriority('urgent');
+                }
+                data.tags.forEach(tag => task.addTag(tag));
+                if (data.status !== 'pending') {
+                    task.setStatus(data.status);
+                }
+
+                tasks.push(task);
+                sources.set(task, { line: component.line, uid });
+            } catch (error) {
+                errors.push({ line: component.line, uid, error: error.message });
+            }
+        });
+
+        return { tasks, errors, sources };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ICalendar, ICalendarError };
+} else {
+    window.ICalendar = ICalendar;
+    window.ICalendarError = ICalendarError;
+}
@@ -0,0 +1,260 @@
+/**
+ * iCalendar Tests
+ * VTODO export, line folding, import through TaskFactory and the calendar routes
+ */
+
+const express = require('express');
+const { ICalendar, ICalendarError } = require('./icalendar');
+const { TaskFactory } = require('./task-factory');
+const { TaskValidator } = require('./validation');
+const { SessionManager } = require('./session-manager');
+const { createSessionMiddleware } = require('./auth-api');
+const { createCalendarRouter } = require('./calendar-api');
+const { TaskRepository } = require('./task-repository');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { MockFactory } = require('./test-utilities');
+
+const calendar = (...items) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    ...items.flat(),
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('iCalendar', () => {
+    describe('Export', () => {
+        test('should turn tasks with a due date into VTODOs', () => {
+            const task = new Task('Ship release', 'Tag, build; publish', 'user_1', {
+                priority: 'urgent',
+                dueDate: '2030-03-01'
+            });
+            task.addTag('work').addTag('release').setStatus('in-progress');
+
+            const text = ICalendar.serialize([task, new Task('Someday', '', 'user_1')], { now: new Date('2030-01-01T00:00:00Z') });
+
+            expect(text.match(/BEGIN:VTODO/g)).toHaveLength(1);
+            expect(text).toContain(`UID:${task.id}@task-management\r\n`);
+            expect(text).toContain('SUMMARY:Ship release\r\n');
+            expect(text).toContain('DESCRIPTION:Tag\\, build\\; publish\r\n');
+            expect(text).toContain('DUE;VALUE=DATE:20300301\r\n');
+            expect(text).toContain('DTSTAMP:20300101T000000Z\r\n');
+            expect(text).toContain('PRIORITY:1\r\n');
+            expect(text).toContain('STATUS:IN-PROCESS\r\n');
+            expect(text).toContain('CATEGORIES:work,release\r\n');
+        });
+
+        test('should add an RRULE only to the current occurrence of a series', () => {
+            const factory = new TaskFactory(new TaskValidator());
+            const weekly = factory.createTask('recurring', {
+                title: 'Timesheet',
+                dueDate: '2030-01-04T17:00:00Z',
+                userId: 'user_1',
+                recurrencePattern: 'weekly',
+                recurrenceInterval: 2,
+                maxOccurrences: 5
+            });
+            const done = new Task('Standup', '', 'user_1', {
+                dueDate: '2030-01-07',
+                recurrence: { frequency: 'daily', nextOccurrenceId: 'task_next' }
+            });
+
+            const text = ICalendar.serialize([weekly, done]);
+
+            expect(text).toContain('DUE:20300104T170000Z\r\n');
+            expect(text.match(/RRULE:.*/g)).toEqual(['RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=5']);
+        });
+
+        test('should fold long lines at 75 octets', () => {
+            const task = new Task('Ünïcödé '.repeat(20).trim(), '', 'user_1', { dueDate: '2030-03-01' });
+            const lines = ICalendar.serialize([task]).split('\r\n');
+
+            lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+            expect(lines.some(line => line.startsWith(' '))).toBe(true);
+            expect(ICalendar.componentToTaskData(
+                ICalendar.parse(ICalendar.serialize([task]))[0].components[0]
+            ).title).toBe(task.title);
+        });
+    });
+
+    describe('Import', () => {
+        let factory;
+
+        beforeEach(() => {
+            factory = new TaskFactory(new TaskValidator());
+        });
+
+        test('should create tasks from VTODO and VEVENT items', () => {
+            const text = calendar(
+                ['BEGIN:VTODO', 'UID:a@example.com', 'SUMMARY:Pay rent', 'DUE;VALUE=DATE:20300105',
+                    'PRIORITY:2', 'STATUS:IN-PROCESS', 'CATEGORIES:Home,Bills', 'END:VTODO'],
+                ['BEGIN:VEVENT', 'UID:b@example.com', 'SUMMARY:Team lunch', 'DTSTART:20300110T120000Z',
+                    'BEGIN:VALARM', 'ACTION:DISPLAY', 'END:VALARM', 'END:VEVENT']
+            );
+
+            const { tasks, errors } = ICalendar.importTasks(text, { factory, userId: 'user_1' });
+
+            expect(errors).toEqual([]);
+            expect(tasks[0]).toMatchObject({ title: 'Pay rent', priority: 'high', status: 'in-progress', userId: 'user_1' });
+            expect(tasks[0].tags).toEqual(['home', 'bills']);
+            expect(tasks[1].title).toBe('Team lunch');
+            expect(tasks[1].dueDate.toISOString()).toBe('2030-01-10T12:00:00.000Z');
+        });
+
+        test('should keep the full recurrence rule of repeating items', () => {
+            const text = calendar(['BEGIN:VTODO', 'SUMMARY:Report', 'DUE:20300131T090000Z',
+                'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6', 'PRIORITY:1', 'END:VTODO']);
+
+            const [task] = ICalendar.importTasks(text, { factory, userId: 'user_1' }).tasks;
+
+            expect(task.type).toBe('recurring');
+            expect(task.priority).toBe('urgent');
+            expect(task.recurrence).toMatchObject({ frequency: 'monthly', byWeekday: ['-1FR'], count: 6 });
+            expect(ICalendar.serialize([task])).toContain('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6\r\n');
+        });
+
+        test('should report invalid items with their line and import the rest', () => {
+            const text = calendar(
+                ['BEGIN:VTODO', 'UID:bad', 'DUE:20300105', 'END:VTODO'],
+                ['BEGIN:VTODO', 'SUMMARY:Good', 'END:VTODO'],
+                ['BEGIN:VTODO', 'SUMMARY:Broken date', 'DUE:tomorrow', 'END:VTODO']
+            );
+
+            const { tasks, errors } = ICalendar.importTasks(text, { factory, userId: 'user_1' });
+
+            expect(tasks.map(task => task.title)).toEqual(['Good']);
+            expect(errors).toEqual([
+                { line: 4, uid: 'bad', error: expect.stringContaining('title') },
+                { line: 11, uid: null, error: 'Line 13: Invalid date: tomorrow' }
+            ]);
+        });
+
+        test('should reject data that is not a calendar', () => {
+            expect(() => ICalendar.parse('hello')).toThrow(ICalendarError);
+            expect(() => ICalendar.parse(calendar(['BEGIN:VTODO', 'SUMMARY:x']))).toThrow('Line 6: Unexpected END:VCALENDAR');
+        });
+    });
+
+    describe('Calendar API', () => {
+        let server;
+        let baseUrl;
+        let sessionManager;
+        let storage;
+        let taskRepository;
+        let alice;
+        let token;
+
+        const request = async (method, path, { body, type } = {}) => {
+            const headers = { Authorization: `Bearer ${token}` };
+            if (type) headers['Content-Type'] = type;
+            const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+            return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+        };
+
+        beforeEach(async () => {
+            storage = MockFactory.createKeyedStorage();
+            const userRepository = new UserRepository(storage);
+            taskRepository = new TaskRepository();
+            sessionManager = new SessionManager({ secret: 'test-secret' });
+
+            alice = new User('alice', 'alice@example.com', 'Alice Doe');
+            await userRepository.create(alice);
+            token = sessionManager.createSession(alice).token;
+
+            await taskRepository.create(new Task('Mine', '', alice.id, { dueDate: '2030-03-01' }));
+            await taskRepository.create(new Task('Assigned', '', 'user_2', { assignedTo: alice.id, dueDate: '2030-03-02' }));
+            await taskRepository.create(new Task('Not mine', '', 'user_2', { dueDate: '2030-03-03' }));
+
+            const app = express();
+            app.use('/api', createSessionMiddleware({ sessionManager, userRepository }));
+            app.use('/api/calendar', createCalendarRouter({ taskRepository, userRepository }));
+
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should serve the feed to holders of the feed token only', async () => {
+            const { url } = JSON.parse((await request('GET', '/api/calendar/feed')).text);
+
+            const feed = await fetch(`${baseUrl}${url}`);
+            const text = await feed.text();
+            expect(feed.headers.get('content-type')).toMatch(/^text\/calendar/);
+            expect(text).toContain('X-WR-CALNAME:Tasks - Alice Doe');
+            expect(text.match(/SUMMARY:.*/g)).toEqual(['SUMMARY:Mine', 'SUMMARY:Assigned']);
+
+            const forged = await fetch(`${baseUrl}/api/calendar/feeds/${alice.id}.ics?token=forged`);
+            expect(forged.status).toBe(401);
+        });
+
+        test('should keep the feed URL until it is regenerated or revoked', async () => {
+            const { url } = JSON.parse((await request('GET', '/api/calendar/feed')).text);
+            expect(JSON.parse((await request('GET', '/api/calendar/feed')).text).url).toBe(url);
+            // Stored with the user, so the URL outlives the process
+            const feedToken = new URL(url, baseUrl).searchParams.get('token');
+            expect(await new UserRepository(storage).verifyFeedToken(alice.id, feedToken)).toBe(true);
+
+            const regenerated = await request('POST', '/api/calendar/feed');
+            const { url: newUrl } = JSON.parse(regenerated.text);
+            expect(regenerated.status).toBe(201);
+            expect(newUrl).not.toBe(url);
+            expect((await fetch(`${baseUrl}${url}`)).status).toBe(401);
+            expect((await fetch(`${baseUrl}${newUrl}`)).status).toBe(200);
+
+            expect((await request('DELETE', '/api/calendar/feed')).status).toBe(204);
+            expect((await fetch(`${baseUrl}${newUrl}`)).status).toBe(401);
+        });
+
+        test('should import a calendar for the current user', async () => {
+            const body = calendar(
+                ['BEGIN:VTODO', 'SUMMARY:Imported', 'DUE;VALUE=DATE:20300401', 'END:VTODO'],
+                ['BEGIN:VTODO', 'DUE;VALUE=DATE:20300401', 'END:VTODO']
+            );
+
+            const { status, text } = await request('POST', '/api/calendar/import', { body, type: 'text/calendar' });
+            const result = JSON.parse(text);
+
+            expect(status).toBe(201);
+            expect(result.imported.map(task => task.title)).toEqual(['Imported']);
+            expect(result.errors).toHaveLength(1);
+            expect(taskRepository.getAllTasks().find(task => task.title === 'Imported').userId).toBe(alice.id);
+
+            const invalid = await request('POST', '/api/calendar/import', { body: 'not a calendar', type: 'text/plain' });
+            expect(invalid.status).toBe(400);
+        });
+
+        test('should report items the repository refuses and keep the others', async () => {
+            const body = calendar(
+                ['BEGIN:VTODO', 'UID:a', 'SUMMARY:First', 'END:VTODO'],
+                ['BEGIN:VTODO', 'UID:b', 'SUMMARY:Second', 'END:VTODO'],
+                ['BEGIN:VTODO', 'UID:c', 'SUMMARY:Third', 'END:VTODO']
+            );
+            const create = taskRepository.create.bind(taskRepository);
+            jest.spyOn(taskRepository, 'create').mockImplementation((task, actor) => (task.title === 'Second'
+                ? Promise.reject(new Error('Disk full'))
+                : create(task, actor)));
+            const titles = () => taskRepository.getAllTasks().map(task => task.title);
+
+            const preview = await request('POST', '/api/calendar/import?dryRun=true', { body, type: 'text/calendar' });
+            expect(preview.status).toBe(200);
+            expect(JSON.parse(preview.text)).toMatchObject({ dryRun: true, errors: [] });
+            expect(JSON.parse(preview.text).imported.map(task => task.title)).toEqual(['First', 'Second', 'Third']);
+            expect(titles()).toEqual(['Mine', 'Assigned', 'Not mine']);
+
+            const { status, text } = await request('POST', '/api/calendar/import', { body, type: 'text/calendar' });
+            const result = JSON.parse(text);
+
+            expect(status).toBe(201);
+            expect(result.imported.map(task => task.title)).toEqual(['First', 'Third']);
+            expect(result.errors).toEqual([{ line: 8, uid: 'b', error: 'Disk full' }]);
+            expect(titles()).toEqual(['Mine', 'Assigned', 'Not mine', 'First', 'Third']);
+        });
+    });
+});
@@ -1,6 +1,19 @@
 /**
  * Day 2: Observer Pattern Implementation
  * Event system for decoupled communication between components
+ *
+ * Event names are namespaced with ':' (e.g. 'task:created'). Subscriptions
+ * may use '*' for one segment, and a trailing '*' for the rest of the name:
+ * 'task:*' hears every task event, '*' hears everything but the error channel.
+ *
+ * Listeners run in priority order (higher first, then subscription order).
+ * An error thrown by a listener does not stop the others and never reaches
+ * the emitting code: it is emitted on the 'error' channel as
+ * (error, { eventName, args }), or logged when nobody listens there.
+ *
+ * "Before" events such as 'task:beforeDelete' are emitted with
+ * emitCancellable; any listener may veto the action by cancelling the
+ * CancellableEvent it receives.
  */
 
 /**
@@ -9,46 +22,57 @@
 class EventEmitter {
     constructor() {
         this.events = new Map();
+        this.sequence = 0;
     }
 
     /**
      * Subscribe to an event
-     * @param {string} eventName - Name of the event
+     * @param {string} eventName - Name of the event, or a wildcard pattern like 'task:*'
      * @param {Function} callback - Function to call when event is emitted
      * @param {Object} context - Optional context for the callback
+     * @param {Object} options - Optional { priority } (default 0, higher runs first)
      * @returns {Function} Unsubscribe function
      */
-    on(eventName, callback, context = null) {
-        if (!this.events.has(eventName)) {
-            this.events.set(eventName, []);
-        }
-
-        const listener = { callback, context };
-        this.events.get(eventName).push(listener);
-
-        // Return unsubscribe function
-        return () => this.off(eventName, callback);
+    on(eventName, callback, context = null, options = {}) {
+        return this.addListener(eventName, callback, context, { ...options, once: false });
     }
 
     /**
      * Subscribe to an event that will only fire once
-     * @param {string} eventName - Name of the event
+     * @param {string} eventName - Name of the event, or a wildcard pattern
      * @param {Function} callback - Function to call when event is emitted
      * @param {Object} context - Optional context for the callback
+     * @param {Object} options - Optional { priority }
      * @returns {Function} Unsubscribe function
      */
-    once(eventName, callback, context = null) {
-        const onceWrapper = (...args) => {
-            callback.apply(context, args);
-            this.off(eventName, onceWrapper);
+    once(eventName, callback, context = null, options = {}) {
+        return this.addListener(eventName, callback, context, { ...options, once: true });
+    }
+
+    addListener(eventName, callback, context, options) {
+        if (typeof callback !== 'function') {
+            throw new TypeError('Listener must be a function');
+        }
+        if (!this.events.has(eventName)) {
+            this.events.set(eventName, []);
+        }
+
+        const listener = {
+            callback,
+            context,
+            priority: Number(options.priority) || 0,
+            once: options.once === true,
+            order: this.sequence++
         };
+        this.events.get(eventName).push(listener);
 
-        return this.on(eventName, onceWrapper, context);
+        // Return unsubscribe function
+        return () => this.removeListener(eventName, listener);
     }
 
     /**
      * Unsubscribe from an event
-     * @param {string} eventName - Name of the event
+     * @param {string} eventName - Name (or pattern) the callback was subscribed with
      * @param {Function} callback - Function to remove
      */
     off(eventName, callback) {
@@ -56,9 +80,19 @@ class EventEmitter {
             return;
         }
 
+        const listener = this.events.get(eventName).find(entry => entry.callback === callback);
+        if (listener) {
+            this.removeListener(eventName, listener);
+        }
+    }
+
+    removeListener(eventName, listener) {
         const listeners = this.events.get(eventName);
-        const index = listeners.findIndex(listener => listener.callback === callback);
-        
+        if (!listeners) {
+            return;
+        }
+
+        const index = listeners.indexOf(listener);
         if (index !== -1) {
             listeners.splice(index, 1);
         }
@@ -69,25 +103,162 @@ class EventEmitter {
         }
     }
 
+    /**
+     * Whether a subscription pattern covers an event name
+     * @param {string} pattern - Exact name or wildcard pattern
+     * @param {string} eventName - Emitted event name
+     * @returns {boolean}
+     */
+    static matches(pattern, eventName) {
+        if (pattern === eventName) {
+            return true;
+        }
+        if (!pattern.includes('*') || eventName === EventEmitter.ERROR_EVENT) {
+            return false;
+        }
+
+        const parts = pattern.split(':');
+        const source = parts.map((part, index) => {
+            if (part !== '*') {
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+            // A trailing '*' takes the rest of the name
+            return index === parts.length - 1 ? '.+' : '[^:]+';
+        }).join(':');
+        return new RegExp(`^${source}$`).test(eventName);
+    }
+
+    /**
+     * Listeners for an event (exact and wildcard), in the order they run.
+     * Once-listeners are removed as they are picked.
+     */
+    takeListeners(eventName) {
+        const matched = [];
+        this.events.forEach((listeners, pattern) => {
+            if (EventEmitter.matches(pattern, eventName)) {
+                listeners.forEach(listener => matched.push({ pattern, listener }));
+            }
+        });
+
+        matched.sort((a, b) => (b.listener.priority - a.listener.priority) || (a.listener.order - b.listener.order));
+        matched.filter(({ listener }) => listener.once)
+            .forEach(({ pattern, listener }) => this.removeListener(pattern, listener));
+        return matched.map(({ listener }) => listener);
+    }
+
+    /**
+     * Send a listener failure to the error channel, or log it when nobody
+     * listens there
+     */
+    reportError(error, eventName, args) {
+        if (eventName !== EventEmitter.ERROR_EVENT && this.listenerCount(EventEmitter.ERROR_EVENT) > 0) {
+            this.emit(EventEmitter.ERROR_EVENT, error, { eventName, args });
+        } else {
+            console.error(`Error in event listener for '${eventName}':`, error);
+        }
+    }
+
     /**
      * Emit an event to all subscribers
      * @param {string} eventName - Name of the event
      * @param {...*} args - Arguments to pass to callbacks
+     * @returns {boolean} Whether any listener was called
      */
     emit(eventName, ...args) {
-        if (!this.events.has(eventName)) {
-            return;
-        }
+        const listeners = this.takeListeners(eventName);
 
-        const listeners = this.events.get(eventName).slice(); // Copy to avoid issues if listeners are modified during emission
-        
         listeners.forEach(listener => {
             try {
                 listener.callback.apply(listener.context, args);
             } catch (error) {
-                console.error(`Error in event listener for '${eventName}':`, error);
+                this.reportError(error, eventName, args);
             }
         });
+
+        return listeners.length > 0;
+    }
+
+    /**
+     * Emit an event and wait for every listener, one after the other in priority order
+     * @param {string} eventName - Name of the event
+     * @param {...*} args - Arguments to pass to callbacks
+     * @returns {Promise<Array>} Results of the listeners that succeeded
+     */
+    async emitAsync(eventName, ...args) {
+        const results = [];
+
+        for (const listener of this.takeListeners(eventName)) {
+            try {
+                results.push(await listener.callback.apply(listener.context, args));
+            } catch (error) {
+                this.reportError(error, eventName, args);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Emit an event and wait for all listeners running at the same time
+     * @param {string} eventName - Name of the event
+     * @param {...*} args - Arguments to pass to callbacks
+     * @returns {Promise<Array>} Results of the listeners that succeeded, in priority order
+     */
+    async emitParallel(eventName, ...args) {
+        const outcomes = await Promise.allSettled(
+            this.takeListeners(eventName).map(async listener => listener.callback.apply(listener.context, args))
+        );
+
+        outcomes.filter(outcome => outcome.status === 'rejected')
+            .forEach(outcome => this.reportError(outcome.reason, eventName, args));
+        return outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    }
+
+    /**
+     * Emit a "before" event that listeners can veto with event.cancel(reason).
+     * Listeners get a CancellableEvent as their only argument; once one of them
+     * cancels, the remaining listeners are skipped. A listener that throws
+     * cancels too (event.error holds the failure, which also goes to the
+     * error channel) instead of letting the action through unchecked.
+     * @param {string} eventName - Name of the event, e.g. 'task:beforeDelete'
+     * @param {Object} data - Payload, available as event.data
+     * @returns {CancellableEvent} Check event.cancelled / event.reason
+     */
+    emitCancellable(eventName, data = {}) {
+        const event = new CancellableEvent(eventName, data);
+
+        for (const listener of this.takeListeners(eventName)) {
+            try {
+                listener.callback.call(listener.context, event);
+            } catch (error) {
+                event.fail(error);
+                this.reportError(error, eventName, [event]);
+            }
+            if (event.cancelled) break;
+        }
+
+        return event;
+    }
+
+    /**
+     * Async variant of emitCancellable; listeners may return promises
+     * (e.g. to ask the user) and run one after the other
+     * @returns {Promise<CancellableEvent>}
+     */
+    async emitCancellableAsync(eventName, data = {}) {
+        const event = new CancellableEvent(eventName, data);
+
+        for (const listener of this.takeListeners(eventName)) {
+            try {
+                await listener.callback.call(listener.context, event);
+            } catch (error) {
+                event.fail(error);
+                this.reportError(error, eventName, [event]);
+            }
+            if (event.cancelled) break;
+        }
+
+        return event;
     }
 
     /**
@@ -104,11 +275,17 @@ class EventEmitter {
 
     /**
      * Get the number of listeners for an event
-     * @param {string} eventName - Name of the event
+     * @param {string} eventName - Name of the event (wildcard subscriptions included)
      * @returns {number} Number of listeners
      */
     listenerCount(eventName) {
-        return this.events.has(eventName) ? this.events.get(eventName).length : 0;
+        let count = 0;
+        this.events.forEach((listeners, pattern) => {
+            if (EventEmitter.matches(pattern, eventName)) {
+                count += listeners.length;
+            }
+        });
+        return count;
     }
 
     /**
@@ -120,6 +297,38 @@ class EventEmitter {
     }
 }
 
+// Channel that receives listener failures
+EventEmitter.ERROR_EVENT = 'error';
+
+/**
+ * Payload of a cancellable "before" event
+ */
+class CancellableEvent {
+    constructor(type, data = {}) {
+        this.type = type;
+        this.data = data;
+        this.cancelled = false;
+        this.reason = null;
+        this.error = null;
+    }
+
+    /**
+     * Veto the action; the first reason given is kept
+     * @param {string} reason - Why the action must not happen
+     */
+    cancel(reason = 'Cancelled') {
+        if (!this.cancelled) {
+            this.cancelled = true;
+            this.reason = reason;
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        this.cancel(error.message);
+    }
+}
+
 /**
  * Task Events - Specific events for task management
  */
@@ -132,6 +341,8 @@ class TaskEvents extends EventEmitter {
             TASK_CREATED: 'task:created',
             TASK_UPDATED: 'task:updated',
             TASK_DELETED: 'task:deleted',
+            TASK_BEFORE_DELETE: 'task:beforeDelete',
+            TASK_DELETE_CANCELLED: 'task:deleteCancelled',
             TASK_COMPLETED: 'task:completed',
             TASK_UNCOMPLETED: 'task:uncompleted',
             TASKS_LOADED: 'tasks:loaded',
@@ -144,32 +355,45 @@ class TaskEvents extends EventEmitter {
     }
 
     // Convenience methods for common events
-    onTaskCreated(callback, context) {
-        return this.on(this.EVENTS.TASK_CREATED, callback, context);
+    onTaskCreated(callback, context, options) {
+        return this.on(this.EVENTS.TASK_CREATED, callback, context, options);
     }
 
-    onTaskUpdated(callback, context) {
-        return this.on(this.EVENTS.TASK_UPDATED, callback, context);
+    onTaskUpdated(callback, context, options) {
+        return this.on(this.EVENTS.TASK_UPDATED, callback, context, options);
     }
 
-    onTaskDeleted(callback, context) {
-        return this.on(this.EVENTS.TASK_DELETED, callback, context);
+    onTaskDeleted(callback, context, options) {
+        return this.on(this.EVENTS.TASK_DELETED, callback, context, options);
     }
 
-    onTaskCompleted(callback, context) {
-        return this.on(this.EVENTS.TASK_COMPLETED, callback, context);
+    // Cancel the event passed to the callback to keep the task
+    onTaskBeforeDelete(callback, context, options) {
+        return this.on(this.EVENTS.TASK_BEFORE_DELETE, callback, context, options);
     }
 
-    onValidationError(callback, context) {
-        return this.on(this.EVENTS.VALIDATION_ERROR, callback, context);
+    onTaskDeleteCancelled(callback, context, options) {
+        return this.on(this.EVENTS.TASK_DELETE_CANCELLED, callback, context, options);
     }
 
-    onStorageError(callback, context) {
-        return this.on(this.EVENTS.STORAGE_ERROR, callback, context);
+    onTaskCompleted(callback, context, options) {
+        return this.on(this.EVENTS.TASK_COMPLETED, callback, context, options);
     }
 
-    onUIUpdateRequired(callback, context) {
-        return this.on(this.EVENTS.UI_UPDATE_REQUIRED, callback, context);
+    onTaskUncompleted(callback, context, options) {
+        return this.on(this.EVENTS.TASK_UNCOMPLETED, callback, context, options);
+    }
+
+    onValidationError(callback, context, options) {
+        return this.on(this.EVENTS.VALIDATION_ERROR, callback, context, options);
+    }
+
+    onStorageError(callback, context, options) {
+        return this.on(this.EVENTS.STORAGE_ERROR, callback, context, options);
+    }
+
+    onUIUpdateRequired(callback, context, options) {
+        return this.on(this.EVENTS.UI_UPDATE_REQUIRED, callback, context, options);
     }
 
     // Convenience methods for emitting events
@@ -183,6 +407,18 @@ class TaskEvents extends EventEmitter {
         this.emit(this.EVENTS.UI_UPDATE_REQUIRED, 'task_updated', task);
     }
 
+    /**
+     * Ask listeners whether a task may be deleted
+     * @returns {CancellableEvent} - Cancelled when a listener vetoed
+     */
+    emitTaskBeforeDelete(taskId, task) {
+        return this.emitCancellable(this.EVENTS.TASK_BEFORE_DELETE, { taskId, task });
+    }
+
+    emitTaskDeleteCancelled(taskId, task, reason) {
+        this.emit(this.EVENTS.TASK_DELETE_CANCELLED, taskId, task, reason);
+    }
+
     emitTaskDeleted(taskId, deletedTask) {
         this.emit(this.EVENTS.TASK_DELETED, taskId, deletedTask);
         this.emit(this.EVENTS.UI_UPDATE_REQUIRED, 'task_deleted', taskId);
@@ -209,12 +445,24 @@ class TaskEvents extends EventEmitter {
 
 /**
  * Observable Task Manager - Task manager with event emission
+ *
+ * Given an eventStore (task-event-store.js), changes are persisted as the
+ * events they emit and the task list is rebuilt by replaying them, instead
+ * of saving every task to localStorage on each change.
  */
 class ObservableTaskManager {
-    constructor(events = new TaskEvents()) {
+    /**
+     * @param {TaskEvents} events - Event bus for this manager
+     * @param {object} options - Optional { eventStore }, loaded beforehand
+     */
+    constructor(events = new TaskEvents(), options = {}) {
         this.events = events;
         this.tasks = [];
         this.validator = new TaskValidator(); // Assuming TaskValidator is available
+        this.eventStore = options.eventStore || null;
+        if (this.eventStore) {
+            this.eventStore.attach(this.events);
+        }
         
         // Load tasks on initialization
         this.loadTasks();
@@ -298,8 +546,16 @@ class ObservableTaskManager {
      * Delete a task with event emission
      */
     deleteTask(taskId) {
+        // A veto is not a storage failure; it goes out on its own event
+        const task = this.getTaskById(taskId);
+        const veto = task ? this.events.emitTaskBeforeDelete(taskId, task) : null;
+        if (veto && veto.cancelled) {
+            this.events.emitTaskDeleteCancelled(taskId, task, veto.reason);
+            throw new Error(`Deletion cancelled: ${veto.reason}`);
+        }
+
         try {
-            const index = this.tasks.findIndex(task => task.id === taskId);
+            const index = this.tasks.indexOf(task);
             if (index === -1) {
                 throw new Error('Task not found');
             }
@@ -356,6 +612,21 @@ class ObservableTaskManager {
         return this.tasks.find(task => task.id === taskId);
     }
 
+    /**
+     * Time-travel query: a task as it was at a point in time
+     * @param {string} taskId - Task ID
+     * @param {Date|string} date - Point in time
+     * @returns {Task|null} - Null when the task did not exist then
+     */
+    getTaskAsOf(taskId, date) {
+        if (!this.eventStore) {
+            throw new Error('Task history needs an event store');
+        }
+
+        const data = this.eventStore.getTaskAt(taskId, date);
+        return data ? this.restoreTask(data) : null;
+    }
+
     /**
      * Get all tasks
      */
@@ -411,6 +682,12 @@ class ObservableTaskManager {
      * Save tasks to storage
      */
     saveTasks() {
+        // The event store writes the change it recorded when it was emitted;
+        // a failed write is reported through onStorageError
+        if (this.eventStore) {
+            return;
+        }
+
         try {
             const tasksData = this.tasks.map(task => ({
                 id: task.id,
@@ -436,6 +713,13 @@ class ObservableTaskManager {
      */
     loadTasks() {
         try {
+            if (this.eventStore) {
+                // Newest first, as createTask adds them
+                this.tasks = this.eventStore.replay().reverse().map(data => this.restoreTask(data));
+                this.events.emit(this.events.EVENTS.TASKS_LOADED, this.tasks);
+                return;
+            }
+
             const savedData = localStorage.getItem('observableTasks');
             if (!savedData) {
                 this.events.emit(this.events.EVENTS.TASKS_LOADED, []);
@@ -443,15 +727,7 @@ class ObservableTaskManager {
             }
 
             const tasksData = JSON.parse(savedData);
-            this.tasks = tasksData.map(data => {
-                const task = new Task(data.title, data.description, data.priority, data.dueDate);
-                task.id = data.id;
-                task.completed = data.completed;
-                task.createdAt = new Date(data.createdAt);
-                task.completedAt = data.completedAt ? new Date(data.completedAt) : null;
-                task.updatedAt = data.updatedAt ? new Date(data.updatedAt) : null;
-                return task;
-            });
+            this.tasks = tasksData.map(data => this.restoreTask(data));
 
             this.events.emit(this.events.EVENTS.TASKS_LOADED, this.tasks);
         } catch (error) {
@@ -460,6 +736,19 @@ class ObservableTaskManager {
         }
     }
 
+    /**
+     * Turn stored task data back into a Task
+     */
+    restoreTask(data) {
+        const task = new Task(data.title, data.description, data.priority, data.dueDate);
+        task.id = data.id;
+        task.completed = data.completed;
+        task.createdAt = new Date(data.createdAt);
+        task.completedAt = data.completedAt ? new Date(data.completedAt) : null;
+        task.updatedAt = data.updatedAt ? new Date(data.updatedAt) : null;
+        return task;
+    }
+
     /**
      * Get task statistics
      */
@@ -473,6 +762,16 @@ class ObservableTaskManager {
     }
 }
 
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventEmitter, CancellableEvent, TaskEvents, ObservableTaskManager };
+} else {
+    window.EventEmitter = EventEmitter;
+    window.CancellableEvent = CancellableEvent;
+    window.TaskEvents = TaskEvents;
+    window.ObservableTaskManager = ObservableTaskManager;
+}
+
 // Example usage:
 /*
 // Create event system
@@ -0,0 +1,212 @@
+/**
+ * Observer Pattern Tests
+ * Listener priorities and wildcards, the error channel, async emission,
+ * and cancellable "before" events vetoing task deletion
+ */
+
+const { EventEmitter, CancellableEvent, TaskEvents, ObservableTaskManager } = require('./observer-pattern');
+const { TaskValidator } = require('./validation');
+
+describe('EventEmitter', () => {
+    let emitter;
+
+    beforeEach(() => {
+        emitter = new EventEmitter();
+    });
+
+    describe('Listeners', () => {
+        test('should run listeners by priority, then in subscription order', () => {
+            const calls = [];
+            emitter.on('task:created', () => calls.push('default'));
+            emitter.on('task:created', () => calls.push('low'), null, { priority: -1 });
+            emitter.on('task:created', () => calls.push('high'), null, { priority: 10 });
+            emitter.on('task:created', () => calls.push('default again'));
+
+            expect(emitter.emit('task:created')).toBe(true);
+            expect(calls).toEqual(['high', 'default', 'default again', 'low']);
+        });
+
+        test('should match namespace wildcards', () => {
+            expect(EventEmitter.matches('task:*', 'task:created')).toBe(true);
+            expect(EventEmitter.matches('task:*', 'task:before:delete')).toBe(true);
+            expect(EventEmitter.matches('task:*', 'tasks:loaded')).toBe(false);
+            expect(EventEmitter.matches('*:error', 'storage:error')).toBe(true);
+            expect(EventEmitter.matches('*:error', 'task:storage:error')).toBe(false);
+            expect(EventEmitter.matches('*', 'ui:update-required')).toBe(true);
+            expect(EventEmitter.matches('*', 'error')).toBe(false);
+
+            const heard = [];
+            emitter.on('task:*', (task) => heard.push(task));
+            emitter.emit('task:created', 'a');
+            emitter.emit('tasks:loaded', 'b');
+            emitter.emit('task:deleted', 'c');
+            expect(heard).toEqual(['a', 'c']);
+            expect(emitter.listenerCount('task:updated')).toBe(1);
+        });
+
+        test('should call once-listeners a single time and unsubscribe by callback or handle', () => {
+            const once = jest.fn();
+            const kept = jest.fn();
+            emitter.once('ping', once);
+            const unsubscribe = emitter.on('ping', kept);
+
+            emitter.emit('ping', 1);
+            emitter.emit('ping', 2);
+            unsubscribe();
+            emitter.emit('ping', 3);
+
+            expect(once.mock.calls).toEqual([[1]]);
+            expect(kept.mock.calls).toEqual([[1], [2]]);
+            expect(emitter.emit('ping')).toBe(false);
+            expect(() => emitter.on('ping', 'not a function')).toThrow(TypeError);
+        });
+    });
+
+    describe('Errors', () => {
+        test('should send listener failures to the error channel and keep going', () => {
+            const failure = new Error('listener broke');
+            const errors = [];
+            const after = jest.fn();
+            emitter.on('error', (error, details) => errors.push([error, details]));
+            emitter.on('task:created', () => {
+                throw failure;
+            });
+            emitter.on('task:created', after);
+
+            emitter.emit('task:created', 'task');
+
+            expect(after).toHaveBeenCalledWith('task');
+            expect(errors).toEqual([[failure, { eventName: 'task:created', args: ['task'] }]]);
+        });
+
+        test('should log failures when nobody listens for errors', () => {
+            const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const failure = new Error('first');
+            const after = jest.fn();
+            emitter.on('*', () => {
+                throw failure;
+            });
+            emitter.on('task:created', after);
+
+            expect(emitter.emit('task:created')).toBe(true);
+            expect(after).toHaveBeenCalled();
+            expect(log).toHaveBeenCalledWith('Error in event listener for \'task:created\':', failure);
+            log.mockRestore();
+        });
+    });
+
+    describe('Async emission', () => {
+        test('should await listeners one after the other', async () => {
+            const calls = [];
+            emitter.on('save', async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                calls.push('slow');
+                return 1;
+            });
+            emitter.on('save', () => {
+                calls.push('fast');
+                return 2;
+            });
+
+            await expect(emitter.emitAsync('save')).resolves.toEqual([1, 2]);
+            expect(calls).toEqual(['slow', 'fast']);
+        });
+
+        test('should await listeners in parallel and report failures', async () => {
+            const calls = [];
+            emitter.on('save', async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                calls.push('slow');
+            });
+            emitter.on('save', () => calls.push('fast'));
+            await emitter.emitParallel('save');
+            expect(calls).toEqual(['fast', 'slow']);
+
+            emitter.on('save', async () => {
+                throw new Error('disk full');
+            });
+            const errors = jest.fn();
+            emitter.on('error', errors);
+            await expect(emitter.emitParallel('save')).resolves.toHaveLength(2);
+            await expect(emitter.emitAsync('save')).resolves.toHaveLength(2);
+            expect(errors).toHaveBeenCalledTimes(2);
+            expect(errors).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ eventName: 'save' }));
+        });
+    });
+
+    describe('Cancellable events', () => {
+        test('should stop at the first veto and keep its reason', () => {
+            const later = jest.fn();
+            emitter.on('task:beforeDelete', event => event.cancel('Task is locked'), null, { priority: 1 });
+            emitter.on('task:beforeDelete', later);
+
+            const event = emitter.emitCancellable('task:beforeDelete', { taskId: 'task_1' });
+
+            expect(event).toBeInstanceOf(CancellableEvent);
+            expect(event).toMatchObject({ cancelled: true, reason: 'Task is locked', data: { taskId: 'task_1' } });
+            expect(later).not.toHaveBeenCalled();
+        });
+
+        test('should treat a failing listener as a veto', async () => {
+            const errors = jest.fn();
+            emitter.on('error', errors);
+            emitter.on('task:beforeDelete', async () => {
+                throw new Error('Could not ask the user');
+            });
+
+            const event = await emitter.emitCancellableAsync('task:beforeDelete');
+
+            expect(event).toMatchObject({ cancelled: true, reason: 'Could not ask the user' });
+            expect(errors).toHaveBeenCalledWith(event.error, { eventName: 'task:beforeDelete', args: [event] });
+            expect(emitter.emitCancellable('task:beforeSave').cancelled).toBe(false);
+        });
+    });
+});
+
+describe('ObservableTaskManager', () => {
+    let events;
+    let manager;
+
+    beforeEach(() => {
+        const store = new Map();
+        global.TaskValidator = TaskValidator;
+        global.localStorage = {
+            getItem: key => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, value)
+        };
+
+        events = new TaskEvents();
+        manager = new ObservableTaskManager(events);
+        manager.tasks = [{ id: 'task_1', title: 'Keep me', createdAt: new Date() }];
+    });
+
+    afterEach(() => {
+        delete global.TaskValidator;
+        delete global.localStorage;
+    });
+
+    test('should let task:beforeDelete listeners veto a deletion', () => {
+        const deleted = jest.fn();
+        const cancelled = jest.fn();
+        const storageErrors = jest.fn();
+        events.onTaskDeleted(deleted);
+        events.onTaskDeleteCancelled(cancelled);
+        events.onStorageError(storageErrors);
+        const unsubscribe = events.onTaskBeforeDelete(event => {
+            if (event.data.task.title === 'Keep me') {
+                event.cancel('Task is pinned');
+            }
+        });
+
+        expect(() => manager.deleteTask('task_1')).toThrow('Deletion cancelled: Task is pinned');
+        expect(manager.tasks).toHaveLength(1);
+        expect(deleted).not.toHaveBeenCalled();
+        expect(cancelled).toHaveBeenCalledWith('task_1', expect.objectContaining({ title: 'Keep me' }), 'Task is pinned');
+        expect(storageErrors).not.toHaveBeenCalled();
+
+        unsubscribe();
+        manager.deleteTask('task_1');
+        expect(manager.tasks).toEqual([]);
+        expect(deleted).toHaveBeenCalledWith('task_1', expect.objectContaining({ title: 'Keep me' }));
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Permission Policy - Role-based access control
+ *
+ * One declarative table decides what each role may do. User.can(), the
+ * TaskController, the repositories and the REST routes all ask this module,
+ * so a permission is granted or refused the same way everywhere.
+ *
+ * Scoped permissions:
+ * - "task:view" / "task:edit" apply to tasks the user owns or is assigned to
+ * - "task:delete" applies to tasks the user owns
+ * - the ":any" variants apply to every task
+ */
+
+const PERMISSIONS = {
+    TASK_CREATE: 'task:create',
+    TASK_VIEW: 'task:view',
+    TASK_VIEW_ANY: 'task:view:any',
+    TASK_EDIT: 'task:edit',
+    TASK_EDIT_ANY: 'task:edit:any',
+    TASK_DELETE: 'task:delete',
+    TASK_DELETE_ANY: 'task:delete:any',
+    TASK_ASSIGN: 'task:assign',
+    USER_VIEW: 'user:view',
+    USER_MANAGE: 'user:manage',
+    USER_MANAGE_ROLES: 'user:manage:roles'
+};
+
+// Each role lists what it adds on top of the role it inherits from
+const ROLE_DEFINITIONS = {
+    user: {
+        inherits: null,
+        permissions: [
+            PERMISSIONS.TASK_CREATE,
+            PERMISSIONS.TASK_VIEW,
+            PERMISSIONS.TASK_EDIT,
+            PERMISSIONS.TASK_DELETE,
+            PERMISSIONS.TASK_ASSIGN
+        ]
+    },
+    moderator: {
+        inherits: 'user',
+        permissions: [
+            PERMISSIONS.TASK_VIEW_ANY,
+            PERMISSIONS.USER_VIEW
+        ]
+    },
+    admin: {
+        inherits: 'moderator',
+        permissions: [
+            PERMISSIONS.TASK_EDIT_ANY,
+            PERMISSIONS.TASK_DELETE_ANY,
+            PERMISSIONS.USER_MANAGE
+        ]
+    },
+    'super-admin': {
+        inherits: 'admin',
+        permissions: [
+            PERMISSIONS.USER_MANAGE_ROLES
+        ]
+    }
+};
+
+const ROLES = Object.keys(ROLE_DEFINITIONS);
+
+// Scoped permission -> the unscoped permission that covers every resource
+const ANY_VARIANTS = {
+    [PERMISSIONS.TASK_VIEW]: PERMISSIONS.TASK_VIEW_ANY,
+    [PERMISSIONS.TASK_EDIT]: PERMISSIONS.TASK_EDIT_ANY,
+    [PERMISSIONS.TASK_DELETE]: PERMISSIONS.TASK_DELETE_ANY
+};
+
+/**
+ * Raised when an actor tries something the policy does not allow
+ */
+class PermissionError extends Error {
+    constructor(message = 'Permission denied', permission = null) {
+        super(message);
+        this.name = 'PermissionError';
+        this.code = 'PERMISSION_DENIED';
+        this.permission = permission;
+    }
+}
+
+/**
+ * Check whether a role name is known
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_DEFINITIONS, role);
+}
+
+/**
+ * All permissions of a role, including inherited ones
+ * @param {string} role - Role name
+ * @returns {string[]} - Permission names
+ */
+function getRolePermissions(role) {
+    const permissions = new Set();
+    let current = isValidRole(role) ? role : null;
+
+    while (current) {
+        ROLE_DEFINITIONS[current].permissions.forEach(permission => permissions.add(permission));
+        current = ROLE_DEFINITIONS[current].inherits;
+    }
+
+    return Array.from(permissions);
+}
+
+/**
+ * Check a role/permission pair without looking at any resource
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function roleHasPermission(role, permission) {
+    return getRolePermissions(role).includes(permission);
+}
+
+/**
+ * Whether the user owns a task (or, for view/edit, is assigned to it)
+ */
+function isTaskParticipant(user, task, permission) {
+    if (task.userId === user.id) {
+        return true;
+    }
+    return permission !== PERMISSIONS.TASK_DELETE && task.assignedTo === user.id;
+}
+
+/**
+ * Decide whether a user may perform an action, optionally on a specific resource
+ * @param {User|object} user - User (anything with id, role and isActive)
+ * @param {string} permission - Permission name
+ * @param {object} resource - Optional task the action targets
+ * @returns {boolean}
+ */
+function can(user, permission, resource = null) {
+    if (!user || user.isActive === false) {
+        return false;
+    }
+
+    const role = user.role || 'user';
+    const anyVariant = ANY_VARIANTS[permission];
+
+    if (anyVariant && roleHasPermission(role, anyVariant)) {
+        return true;
+    }
+
+    if (!roleHasPermission(role, permission)) {
+        return false;
+    }
+
+    // Scoped permissions without a resource only say "allowed in principle"
+    if (anyVariant && resource) {
+        return isTaskParticipant(user, resource, permission);
+    }
+
+    return true;
+}
+
+/**
+ * Throw a PermissionError unless the user may perform the action
+ * @param {User|object} user - Acting user
+ * @param {string} permission - Permission name
+ * @param {object} resource - Optional resource
+ */
+function assertCan(user, permission, resource = null) {
+    if (!can(user, permission, resource)) {
+        throw new PermissionError(`Permission denied: ${permission}`, permission);
+    }
+}
+
+const PermissionPolicy = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_DEFINITIONS,
+    PermissionError,
+    isValidRole,
+    getRolePermissions,
+    roleHasPermission,
+    can,
+    assertCan
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionPolicy;
+} else {
+    window.PermissionPolicy = PermissionPolicy;
+}
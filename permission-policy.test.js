@@ -0,0 +1,188 @@
+/**
+ * Permission Policy Tests
+ * Role table, resource-scoped checks and enforcement in the model, controller and repositories
+ */
+
+const express = require('express');
+const PermissionPolicy = require('./permission-policy');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const UserRepository = require('./user-repository');
+const { TaskRepository } = require('./task-repository');
+const { TaskController } = require('./task-controller');
+const { Workspace } = require('./workspace-model');
+const { WorkspaceRepository } = require('./workspace-repository');
+const { createTaskRouter } = require('./task-api');
+const { MockFactory } = require('./test-utilities');
+
+const { PERMISSIONS, PermissionError } = PermissionPolicy;
+
+const createUser = (username, role = 'user') => {
+    const user = new User(username, `${username}@example.com`, username);
+    user.setRole(role);
+    return user;
+};
+
+describe('Permission Policy', () => {
+    let owner;
+    let assignee;
+    let stranger;
+    let moderator;
+    let admin;
+    let task;
+
+    beforeEach(() => {
+        owner = createUser('owner');
+        assignee = createUser('assignee');
+        stranger = createUser('stranger');
+        moderator = createUser('moderator', 'moderator');
+        admin = createUser('admin', 'admin');
+        task = new Task('Shared task', '', owner.id, { assignedTo: assignee.id });
+    });
+
+    describe('Role definitions', () => {
+        test('should know the four roles counted by UserRepository', () => {
+            expect(PermissionPolicy.ROLES).toEqual(['user', 'moderator', 'admin', 'super-admin']);
+        });
+
+        test('should inherit permissions from lower roles', () => {
+            const superAdmin = PermissionPolicy.getRolePermissions('super-admin');
+
+            expect(superAdmin).toEqual(expect.arrayContaining([
+                PERMISSIONS.TASK_CREATE,
+                PERMISSIONS.TASK_VIEW_ANY,
+                PERMISSIONS.USER_MANAGE,
+                PERMISSIONS.USER_MANAGE_ROLES
+            ]));
+            expect(PermissionPolicy.roleHasPermission('moderator', PERMISSIONS.TASK_EDIT_ANY)).toBe(false);
+        });
+
+        test('should reject unknown roles on the user', () => {
+            expect(() => owner.setRole('wizard')).toThrow('Invalid role: wizard');
+        });
+    });
+
+    describe('Resource-scoped checks', () => {
+        test('should let owners and assignees view and edit', () => {
+            expect(owner.can(PERMISSIONS.TASK_EDIT, task)).toBe(true);
+            expect(assignee.can(PERMISSIONS.TASK_EDIT, task)).toBe(true);
+            expect(stranger.can(PERMISSIONS.TASK_VIEW, task)).toBe(false);
+        });
+
+        test('should let only owners delete', () => {
+            expect(owner.can(PERMISSIONS.TASK_DELETE, task)).toBe(true);
+            expect(assignee.can(PERMISSIONS.TASK_DELETE, task)).toBe(false);
+        });
+
+        test('should give moderators read access and admins full access', () => {
+            expect(moderator.can(PERMISSIONS.TASK_VIEW, task)).toBe(true);
+            expect(moderator.can(PERMISSIONS.TASK_EDIT, task)).toBe(false);
+            expect(admin.can(PERMISSIONS.TASK_EDIT, task)).toBe(true);
+            expect(admin.can(PERMISSIONS.TASK_DELETE, task)).toBe(true);
+        });
+
+        test('should deny everything to deactivated users', () => {
+            owner.deactivate();
+
+            expect(owner.can(PERMISSIONS.TASK_VIEW, task)).toBe(false);
+        });
+
+        test('should throw PermissionError from assertCan', () => {
+            expect(() => PermissionPolicy.assertCan(stranger, PERMISSIONS.TASK_EDIT, task))
+                .toThrow(PermissionError);
+        });
+    });
+
+    describe('TaskController', () => {
+        test('should answer permission questions through the policy', () => {
+            expect(TaskController.forUser(assignee).canModifyTask(task)).toBe(true);
+            expect(TaskController.forUser(assignee).canDeleteTask(task)).toBe(false);
+            expect(TaskController.forUser(moderator).canViewTask(task)).toBe(true);
+            expect(TaskController.forUser(stranger).canViewTask(task)).toBe(false);
+        });
+    });
+
+    describe('Repositories', () => {
+        test('should enforce the policy on TaskRepository mutations with an actor', async () => {
+            const repository = new TaskRepository();
+            await repository.create(task, owner);
+
+            await expect(repository.update(task.id, { title: 'Hijacked' }, stranger))
+                .rejects.toBeInstanceOf(PermissionError);
+            await expect(repository.deleteTask(task.id, assignee))
+                .rejects.toBeInstanceOf(PermissionError);
+
+            await repository.update(task.id, { title: 'Edited' }, assignee);
+            expect(repository.getTask(task.id).title).toBe('Edited');
+        });
+
+        test('should require task:assign from the workspace role to reassign', async () => {
+            const workspaces = new WorkspaceRepository(MockFactory.createKeyedStorage());
+            const repository = new TaskRepository();
+            repository.setWorkspaceRepository(workspaces);
+            const workspace = await workspaces.create(new Workspace('Platform', owner.id), owner);
+            await workspaces.addMember(workspace.id, assignee.id, 'viewer', owner);
+            await workspaces.addMember(workspace.id, stranger.id, 'member', owner);
+            const shared = await repository.create(new Task('Shared', '', owner.id, { workspaceId: workspace.id, assignedTo: assignee.id }), owner);
+
+            const app = express();
+            app.use((req, res, next) => {
+                req.user = assignee;
+                next();
+            });
+            app.use('/api/tasks', createTaskRouter(repository));
+            const server = await new Promise(resolve => {
+                const listening = app.listen(0, () => resolve(listening));
+            });
+            const patch = body => fetch(`http://127.0.0.1:${server.address().port}/api/tasks/${shared.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            try {
+                // The assignee may edit the task but, as a viewer, not hand it on
+                expect((await patch({ assignedTo: stranger.id })).status).toBe(403);
+                expect((await patch({ title: 'Shared plan' })).status).toBe(200);
+                expect(shared).toMatchObject({ title: 'Shared plan', assignedTo: assignee.id });
+                await expect(repository.update(shared.id, { assignedTo: null }, assignee))
+                    .rejects.toBeInstanceOf(PermissionError);
+
+                await repository.update(shared.id, { assignedTo: stranger.id }, owner);
+                expect(shared.assignedTo).toBe(stranger.id);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        test('should list only visible tasks', async () => {
+            const repository = new TaskRepository();
+            await repository.create(task);
+            await repository.create(new Task('Private', '', stranger.id));
+
+            expect(repository.getTasksVisibleTo(assignee).map(t => t.title)).toEqual(['Shared task']);
+            expect(repository.getTasksVisibleTo(moderator)).toHaveLength(2);
+        });
+
+        test('should restrict user management and role changes', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const repository = new UserRepository(MockFactory.createKeyedStorage());
+            const superAdmin = createUser('root', 'super-admin');
+            await repository.create(owner);
+
+            await expect(repository.update(owner.id, { fullName: 'Changed' }, stranger))
+                .rejects.toBeInstanceOf(PermissionError);
+            await expect(repository.update(owner.id, { role: 'admin' }, owner))
+                .rejects.toBeInstanceOf(PermissionError);
+            await expect(repository.update(owner.id, { role: 'admin' }, admin))
+                .rejects.toBeInstanceOf(PermissionError);
+
+            const promoted = await repository.update(owner.id, { role: 'admin' }, superAdmin);
+            expect(promoted.role).toBe('admin');
+
+            const stats = await repository.getStatistics();
+            expect(stats.byRole).toEqual({ user: 0, moderator: 0, admin: 1, 'super-admin': 0 });
+            console.error.mockRestore();
+        });
+    });
+});
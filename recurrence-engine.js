@@ -0,0 +1,507 @@
+/**
+ * Recurrence Engine - Generates the next occurrence of recurring tasks
+ *
+ * A recurring task stores its rule in task.recurrence. Rules follow the
+ * iCalendar RRULE model and can be given as an object or an RRULE string:
+ *
+ *   { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'WE'] }
+ *   'FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR'          weekdays only
+ *   'FREQ=MONTHLY;BYDAY=2TU'                   second Tuesday of the month
+ *   'FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=12'      last day of the month, 12 times
+ *
+ * count (maxOccurrences) and until (end date) end the series. Besides the
+ * rule, task.recurrence records the series: dtstart (first due date),
+ * seriesId, occurrence number and the IDs of the previous/next occurrence.
+ *
+ * Dates are calculated in UTC. Monthly and yearly rules without BYMONTHDAY
+ * keep the day of dtstart and clamp it to shorter months (Jan 31 → Feb 28 →
+ * Mar 31) instead of overflowing into the next month like Date#setMonth.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop searching after this many periods (e.g. a BYMONTHDAY=31 rule filtered to February)
+const MAX_PERIODS = 10000;
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? new Date(value) : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+}
+
+function isRecurringTask(task) {
+    const recurrence = task && task.recurrence;
+    return typeof recurrence === 'string' ||
+        Boolean(recurrence && (recurrence.frequency || recurrence.recurrencePattern));
+}
+
+// First due date of the series a task belongs to, as an ISO string
+function seriesStart(task) {
+    const series = typeof task.recurrence === 'string' ? {} : task.recurrence;
+    return new Date(series.dtstart || task.dueDate || task.createdAt).toISOString();
+}
+
+// Same time of day as `time`, on the given UTC calendar day
+function atDay(time, year, month, day) {
+    const date = new Date(time);
+    date.setUTCFullYear(year, month, day);
+    return date;
+}
+
+/**
+ * Recurrence rule helpers (parsing, formatting and expansion)
+ */
+class RecurrenceRule {
+    /**
+     * Add months without overflowing into the following month
+     * @param {Date} date - Start date
+     * @param {number} months - Months to add (may be negative)
+     * @param {number} anchorDay - Day of month to aim for (default: the date's own day)
+     * @returns {Date}
+     */
+    static addMonths(date, months, anchorDay = new Date(date).getUTCDate()) {
+        const start = new Date(date);
+        const total = start.getUTCMonth() + months;
+        const year = start.getUTCFullYear() + Math.floor(total / 12);
+        const month = ((total % 12) + 12) % 12;
+        return atDay(start, year, month, Math.min(anchorDay, daysInMonth(year, month)));
+    }
+
+    /**
+     * Parse an RRULE string ("RRULE:" prefix optional)
+     * @param {string} text - e.g. "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6"
+     * @returns {object} - Normalized rule
+     */
+    static parse(text) {
+        const rule = {};
+        text.replace(/^RRULE:/i, '').split(';').filter(part => part.trim()).forEach(part => {
+            const [rawKey, value = ''] = part.split('=');
+            const key = rawKey.trim().toUpperCase();
+
+            switch (key) {
+            case 'FREQ':
+                rule.frequency = value.toLowerCase();
+                break;
+            case 'INTERVAL':
+                rule.interval = Number(value);
+                break;
+            case 'COUNT':
+                rule.count = Number(value);
+                break;
+            case 'UNTIL':
+                rule.until = /^\d{8}(T\d{6}Z?)?$/.test(value)
+                    ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` +
+                      (value.length > 8 ? `T${value.slice(9, 11)}:${value.slice(11, 13)}:${value.slice(13, 15)}Z` : '')
+                    : value;
+                break;
+            case 'BYDAY':
+                rule.byWeekday = value.split(',');
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(Number);
+                break;
+            default:
+                throw new Error(`Unsupported recurrence rule part: ${key}`);
+            }
+        });
+        return RecurrenceRule.normalize(rule);
+    }
+
+    /**
+     * Format a rule as an RRULE string
+     * @param {object|string} input - Rule
+     * @returns {string}
+     */
+    static format(input) {
+        const rule = RecurrenceRule.normalize(input);
+        const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+        if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+        if (rule.byWeekday.length > 0) {
+            parts.push(`BYDAY=${rule.byWeekday.map(({ day, nth }) => `${nth || ''}${day}`).join(',')}`);
+        }
+        if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+        if (rule.count) parts.push(`COUNT=${rule.count}`);
+        if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+
+        return parts.join(';');
+    }
+
+    /**
+     * Validate a rule and fill in defaults. Also accepts the legacy
+     * RecurringTaskCreator fields (recurrencePattern, recurrenceInterval, maxOccurrences).
+     * @param {object|string} input - Rule object or RRULE string
+     * @returns {object} - { frequency, interval, byWeekday, byMonthDay, count, until }
+     */
+    static normalize(input) {
+        if (typeof input === 'string') {
+            return RecurrenceRule.parse(input);
+        }
+        if (!input || typeof input !== 'object') {
+            throw new Error('Recurrence rule is required');
+        }
+
+        const frequency = String(input.frequency || input.recurrencePattern || '').toLowerCase();
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new Error(`Invalid recurrence frequency: ${frequency || 'none'}`);
+        }
+
+        const interval = Number(input.interval ?? input.recurrenceInterval ?? 1);
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error('Recurrence interval must be at least 1');
+        }
+
+        const rawCount = input.count !== undefined ? input.count : input.maxOccurrences;
+        const count = rawCount === null || rawCount === undefined ? null : Number(rawCount);
+        if (count !== null && (!Number.isInteger(count) || count < 1)) {
+            throw new Error('Max occurrences must be at least 1 or null');
+        }
+
+        const byWeekday = (input.byWeekday || []).map(entry => {
+            const text = typeof entry === 'string' ? entry : `${entry.nth || ''}${entry.day}`;
+            const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(text.trim());
+            if (!match) {
+                throw new Error(`Invalid weekday: ${text}`);
+            }
+            const nth = match[1] ? Number(match[1]) : null;
+            if (nth !== null && (nth === 0 || Math.abs(nth) > 5)) {
+                throw new Error(`Invalid weekday position: ${text}`);
+            }
+            return { day: match[2].toUpperCase(), nth };
+        });
+        if (byWeekday.some(entry => entry.nth !== null) && frequency !== 'monthly') {
+            throw new Error('Numbered weekdays (e.g. 2TU) are only supported for monthly rules');
+        }
+
+        const byMonthDay = (input.byMonthDay || []).map(Number);
+        if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+            throw new Error('Month days must be between 1 and 31 (or -1 to -31 from the end)');
+        }
+        if (frequency === 'yearly' && (byWeekday.length > 0 || byMonthDay.length > 0)) {
+            throw new Error('Yearly rules repeat on the day of the first occurrence');
+        }
+
+        return {
+            frequency,
+            interval,
+            byWeekday,
+            byMonthDay,
+            count,
+            until: toDate(input.until)
+        };
+    }
+
+    /**
+     * Plain JSON form of a rule, as stored in task.recurrence
+     * @param {object|string} input - Rule
+     * @returns {object} - { frequency, interval, byWeekday: ['2TU'], byMonthDay, count, until: ISO string|null }
+     */
+    static serialize(input) {
+        const rule = RecurrenceRule.normalize(input);
+        return {
+            frequency: rule.frequency,
+            interval: rule.interval,
+            byWeekday: rule.byWeekday.map(({ day, nth }) => `${nth || ''}${day}`),
+            byMonthDay: [...rule.byMonthDay],
+            count: rule.count,
+            until: rule.until ? rule.until.toISOString() : null
+        };
+    }
+
+    /**
+     * Candidate dates of one period (day, week, month or year) of the series
+     */
+    static candidatesForPeriod(rule, dtstart, period) {
+        const step = period * rule.interval;
+        const weekdays = rule.byWeekday.map(entry => WEEKDAYS.indexOf(entry.day));
+
+        if (rule.frequency === 'daily') {
+            const date = new Date(dtstart.getTime() + step * DAY_MS);
+            return weekdays.length === 0 || weekdays.includes(date.getUTCDay()) ? [date] : [];
+        }
+
+        if (rule.frequency === 'weekly') {
+            // Weeks start on Monday (RRULE default WKST=MO)
+            const offset = (dtstart.getUTCDay() + 6) % 7;
+            const weekStart = new Date(dtstart.getTime() + (step * 7 - offset) * DAY_MS);
+            const days = weekdays.length > 0 ? weekdays : [dtstart.getUTCDay()];
+            return days
+                .map(day => new Date(weekStart.getTime() + ((day + 6) % 7) * DAY_MS))
+                .sort((a, b) => a - b);
+        }
+
+        if (rule.frequency === 'monthly') {
+            const month = RecurrenceRule.addMonths(dtstart, step, 1);
+            const year = month.getUTCFullYear();
+            const monthIndex = month.getUTCMonth();
+            const length = daysInMonth(year, monthIndex);
+            let days;
+
+            if (rule.byMonthDay.length > 0) {
+                // Explicit month days that do not exist in this month are skipped
+                days = rule.byMonthDay
+                    .map(day => (day < 0 ? length + day + 1 : day))
+                    .filter(day => day >= 1 && day <= length)
+                    .filter(day => weekdays.length === 0 ||
+                        weekdays.includes(new Date(Date.UTC(year, monthIndex, day)).getUTCDay()));
+            } else if (rule.byWeekday.length > 0) {
+                days = [];
+                rule.byWeekday.forEach(({ day, nth }) => {
+                    const matching = [];
+                    for (let d = 1; d <= length; d++) {
+                        if (new Date(Date.UTC(year, monthIndex, d)).getUTCDay() === WEEKDAYS.indexOf(day)) {
+                            matching.push(d);
+                        }
+                    }
+                    if (nth === null) {
+                        days.push(...matching);
+                    } else {
+                        const picked = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+                        if (picked) days.push(picked);
+                    }
+                });
+            } else {
+                days = [Math.min(dtstart.getUTCDate(), length)];
+            }
+
+            return Array.from(new Set(days))
+                .sort((a, b) => a - b)
+                .map(day => atDay(dtstart, year, monthIndex, day));
+        }
+
+        // yearly
+        return [RecurrenceRule.addMonths(dtstart, step * 12)];
+    }
+
+    /**
+     * Walk the occurrences of a series in order
+     * @param {object|string} input - Rule
+     * @param {Date|string} start - First occurrence (dtstart)
+     * @param {function} visit - Called with (date, occurrenceNumber); return true to stop
+     */
+    static forEachOccurrence(input, start, visit) {
+        const rule = RecurrenceRule.normalize(input);
+        const dtstart = toDate(start);
+        let occurrence = 0;
+
+        // A weekly series counts DTSTART as its first occurrence even when it is
+        // not one of the BYDAY weekdays (RFC 5545), e.g. MO,WE starting on a Tuesday
+        if (rule.frequency === 'weekly' && rule.byWeekday.length > 0) {
+            if (rule.until && dtstart > rule.until) return;
+            occurrence++;
+            if (visit(dtstart, occurrence)) return;
+        }
+
+        for (let period = 0; period < MAX_PERIODS; period++) {
+            for (const date of RecurrenceRule.candidatesForPeriod(rule, dtstart, period)) {
+                if (date < dtstart || (occurrence > 0 && date.getTime() === dtstart.getTime())) continue;
+                if (rule.until && date > rule.until) return;
+                if (rule.count && occurrence >= rule.count) return;
+
+                occurrence++;
+                if (visit(date, occurrence)) return;
+            }
+        }
+    }
+
+    /**
+     * List the first occurrences of a series
+     * @param {object|string} rule - Rule
+     * @param {Date|string} dtstart - First occurrence
+     * @param {number} limit - Maximum number of dates
+     * @returns {Date[]}
+     */
+    static occurrences(rule, dtstart, limit = 10) {
+        const dates = [];
+        RecurrenceRule.forEachOccurrence(rule, dtstart, date => {
+            dates.push(date);
+            return dates.length >= limit;
+        });
+        return dates;
+    }
+
+    /**
+     * First occurrence strictly after a date
+     * @param {object|string} rule - Rule
+     * @param {Date|string} dtstart - First occurrence
+     * @param {Date|string} after - Reference date
+     * @returns {{date: Date, occurrence: number}|null} - null once the series has ended
+     */
+    static next(rule, dtstart, after) {
+        const reference = toDate(after);
+        let found = null;
+        RecurrenceRule.forEachOccurrence(rule, dtstart, (date, occurrence) => {
+            if (date > reference) {
+                found = { date, occurrence };
+                return true;
+            }
+            return false;
+        });
+        return found;
+    }
+}
+
+/**
+ * Materializes occurrences of recurring tasks in a TaskRepository
+ */
+class RecurrenceEngine {
+    /**
+     * @param {TaskRepository} taskRepository - Repository holding the tasks
+     * @param {object} options - { now: () => Date }
+     */
+    constructor(taskRepository, options = {}) {
+        if (!taskRepository) {
+            throw new Error('TaskRepository is required');
+        }
+        this.taskRepository = taskRepository;
+        this.now = options.now || (() => new Date());
+        this.started = false;
+    }
+
+    /**
+     * Spawn the next occurrence whenever a recurring task is completed
+     */
+    start() {
+        if (this.started) return this;
+        this.started = true;
+
+        this.taskRepository.on('taskStatusChanged', ({ task, to }) => {
+            if (to === 'completed' && this.isRecurring(task)) {
+                this.spawnNext(task).catch(error => {
+                    console.error('Failed to create next occurrence:', error);
+                });
+            }
+        });
+        return this;
+    }
+
+    isRecurring(task) {
+        return isRecurringTask(task);
+    }
+
+    /**
+     * Due dates the series will reach after a task, up to a date. Nothing is
+     * created; calendars use this to show upcoming occurrences.
+     * @param {Task} task - Current occurrence
+     * @param {Date|string} until - Last date to include
+     * @returns {Date[]}
+     */
+    static projectOccurrences(task, until) {
+        if (!isRecurringTask(task) || !task.dueDate || task.recurrence.nextOccurrenceId) {
+            return [];
+        }
+
+        const dueDate = toDate(task.dueDate);
+        const end = toDate(until);
+        const dates = [];
+        RecurrenceRule.forEachOccurrence(RecurrenceRule.serialize(task.recurrence), seriesStart(task), date => {
+            if (date > end) return true;
+            if (date > dueDate) dates.push(date);
+            return false;
+        });
+        return dates;
+    }
+
+    /**
+     * Create the occurrence that follows a task, linked to it
+     * @param {Task} task - Current occurrence
+     * @returns {Promise<Task|null>} - New task, or null when the series has ended
+     */
+    async spawnNext(task) {
+        if (!this.isRecurring(task) || task.recurrence.nextOccurrenceId) {
+            return null;
+        }
+
+        // Series bookkeeping lives next to the rule; RRULE strings have none yet
+        const series = typeof task.recurrence === 'string' ? {} : task.recurrence;
+        const rule = RecurrenceRule.serialize(task.recurrence);
+        const dtstart = seriesStart(task);
+        const next = RecurrenceRule.next(rule, dtstart, task.dueDate || dtstart);
+        if (!next) {
+            return null;
+        }
+
+        const occurrence = task.clone();
+        occurrence.setDueDate(next.date);
+        occurrence.actualHours = null;
+        occurrence.notes = [];
+        occurrence.recurrence = {
+            ...rule,
+            dtstart,
+            seriesId: series.seriesId || task.id,
+            occurrence: next.occurrence,
+            previousOccurrenceId: task.id,
+            nextOccurrenceId: null
+        };
+
+        // Link first so a second completion event cannot spawn a duplicate
+        const before = { id: task.id, recurrence: task.recurrence };
+        task.recurrence = {
+            ...series,
+            ...rule,
+            dtstart,
+            seriesId: series.seriesId || task.id,
+            occurrence: series.occurrence || 1,
+            nextOccurrenceId: occurrence.id
+        };
+        if (typeof this.taskRepository.audit === 'function') {
+            this.taskRepository.audit('update', before, { id: task.id, recurrence: task.recurrence });
+        }
+        this.taskRepository.emit('taskUpdated', task);
+
+        await this.taskRepository.create(occurrence);
+        return occurrence;
+    }
+
+    /**
+     * Scheduled run: every series whose latest occurrence is due gets its next one
+     * @param {Date} now - Reference time
+     * @returns {Promise<Task[]>} - Created tasks
+     */
+    async tick(now = this.now()) {
+        const due = this.taskRepository.getAllTasks().filter(task =>
+            this.isRecurring(task) &&
+            !task.recurrence.nextOccurrenceId &&
+            task.dueDate && new Date(task.dueDate) <= now
+        );
+
+        const created = [];
+        for (const task of due) {
+            const occurrence = await this.spawnNext(task);
+            if (occurrence) created.push(occurrence);
+        }
+        return created;
+    }
+
+    /**
+     * All occurrences of a series, oldest first
+     * @param {string} seriesId - ID of the first task of the series
+     * @returns {Task[]}
+     */
+    getSeries(seriesId) {
+        return this.taskRepository.getAllTasks()
+            .filter(task => task.id === seriesId || (task.recurrence && task.recurrence.seriesId === seriesId))
+            .sort((a, b) => ((a.recurrence && a.recurrence.occurrence) || 1) - ((b.recurrence && b.recurrence.occurrence) || 1));
+    }
+}
+
+// Allowed values, for validation schemas (validation-schema.js)
+RecurrenceRule.FREQUENCIES = FREQUENCIES;
+RecurrenceRule.WEEKDAYS = WEEKDAYS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecurrenceRule, RecurrenceEngine };
+} else {
+    window.RecurrenceRule = RecurrenceRule;
+    window.RecurrenceEngine = RecurrenceEngine;
+}
@@ -0,0 +1,119 @@
+/**
+ * Recurrence Engine Tests
+ * RRULE-style rules, month-end handling and occurrence generation
+ */
+
+const Task = require('./enhanced-task-model');
+const { TaskRepository } = require('./task-repository');
+const { RecurrenceRule, RecurrenceEngine } = require('./recurrence-engine');
+
+const days = dates => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('Recurrence Rule', () => {
+    test('should keep the day of month without overflowing', () => {
+        expect(days(RecurrenceRule.occurrences({ frequency: 'monthly' }, '2024-01-31', 4)))
+            .toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+        expect(days([RecurrenceRule.addMonths(new Date('2023-01-31'), 1)])).toEqual(['2023-02-28']);
+    });
+
+    test('should repeat on weekdays only', () => {
+        expect(days(RecurrenceRule.occurrences('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', '2024-06-07', 3)))
+            .toEqual(['2024-06-07', '2024-06-10', '2024-06-11']);
+    });
+
+    test('should count the start of a weekly series as its first occurrence', () => {
+        expect(days(RecurrenceRule.occurrences('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3', '2024-01-02')))
+            .toEqual(['2024-01-02', '2024-01-03', '2024-01-08']);
+        expect(days(RecurrenceRule.occurrences('FREQ=WEEKLY;BYDAY=MO,WE', '2024-01-01', 3)))
+            .toEqual(['2024-01-01', '2024-01-03', '2024-01-08']);
+    });
+
+    test('should support the nth and last weekday of the month', () => {
+        expect(days(RecurrenceRule.occurrences('FREQ=MONTHLY;BYDAY=2TU', '2024-01-01', 3)))
+            .toEqual(['2024-01-09', '2024-02-13', '2024-03-12']);
+        expect(days(RecurrenceRule.occurrences('FREQ=MONTHLY;BYDAY=-1FR', '2024-01-01', 2)))
+            .toEqual(['2024-01-26', '2024-02-23']);
+    });
+
+    test('should support the last day of the month', () => {
+        expect(days(RecurrenceRule.occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-15', 3)))
+            .toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+    });
+
+    test('should stop at count and until', () => {
+        expect(RecurrenceRule.occurrences({ frequency: 'daily', count: 2 }, '2024-01-01')).toHaveLength(2);
+        expect(days(RecurrenceRule.occurrences('FREQ=WEEKLY;UNTIL=20240115', '2024-01-01')))
+            .toEqual(['2024-01-01', '2024-01-08', '2024-01-15']);
+    });
+
+    test('should round-trip RRULE strings and reject invalid rules', () => {
+        expect(RecurrenceRule.format('FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6'))
+            .toBe('FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6');
+        expect(() => RecurrenceRule.normalize({ frequency: 'hourly' })).toThrow('Invalid recurrence frequency');
+        expect(() => RecurrenceRule.parse('FREQ=WEEKLY;BYDAY=2TU')).toThrow('only supported for monthly');
+    });
+});
+
+describe('Recurrence Engine', () => {
+    let repository;
+    let engine;
+
+    const createRecurringTask = async (recurrence, dueDate = '2024-01-31') => {
+        const task = new Task('Pay rent', '', 'user_1', { dueDate, recurrence });
+        task.addTag('finance');
+        await repository.create(task);
+        return task;
+    };
+
+    beforeEach(() => {
+        repository = new TaskRepository();
+        engine = new RecurrenceEngine(repository).start();
+    });
+
+    test('should create the next linked occurrence when a task is completed', async () => {
+        const task = await createRecurringTask({ frequency: 'monthly' });
+
+        await repository.update(task.id, { completed: true });
+
+        const [, next] = engine.getSeries(task.id);
+        expect(next.dueDate.toISOString().slice(0, 10)).toBe('2024-02-29');
+        expect(next.completed).toBe(false);
+        expect(next.tags).toEqual(['finance']);
+        expect(next.recurrence).toMatchObject({ seriesId: task.id, occurrence: 2, previousOccurrenceId: task.id });
+        expect(task.recurrence.nextOccurrenceId).toBe(next.id);
+    });
+
+    test('should not spawn twice for the same occurrence', async () => {
+        const task = await createRecurringTask({ frequency: 'monthly' });
+
+        await repository.update(task.id, { completed: true });
+        await repository.update(task.id, { completed: false });
+        await repository.update(task.id, { completed: true });
+
+        expect(repository.getAllTasks()).toHaveLength(2);
+    });
+
+    test('should honour maxOccurrences and the end date', async () => {
+        const limited = await createRecurringTask({ frequency: 'monthly', count: 2 });
+        await repository.update(limited.id, { completed: true });
+        const second = repository.getTask(limited.recurrence.nextOccurrenceId);
+        await repository.update(second.id, { completed: true });
+
+        expect(engine.getSeries(limited.id)).toHaveLength(2);
+
+        const ended = await createRecurringTask('FREQ=DAILY;UNTIL=20240131');
+        expect(await engine.spawnNext(ended)).toBeNull();
+    });
+
+    test('should materialize due occurrences on a scheduled tick', async () => {
+        const task = await createRecurringTask('FREQ=WEEKLY', '2024-03-04');
+        await createRecurringTask('FREQ=WEEKLY', '2024-04-01');
+
+        const created = await engine.tick(new Date('2024-03-05'));
+
+        expect(created).toHaveLength(1);
+        expect(created[0].recurrence.previousOccurrenceId).toBe(task.id);
+        expect(created[0].dueDate.toISOString().slice(0, 10)).toBe('2024-03-11');
+        expect(await engine.tick(new Date('2024-03-05'))).toEqual([]);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Saved Views API - named task filters of the current user (see saved-views.js)
+ *
+ *   GET    /api/views             Own views and views shared with the user
+ *   POST   /api/views             Save a view ({ name, filter, pinned, sharedWith })
+ *   GET    /api/views/:id         Get a view
+ *   PATCH  /api/views/:id         Rename, change the filter or the sharing (owner only)
+ *   DELETE /api/views/:id         Delete a view (owner only)
+ *   PUT    /api/views/:id/pin     Pin the view to the user's filter bar
+ *   DELETE /api/views/:id/pin     Unpin it
+ *   GET    /api/views/:id/tasks   Apply the view (?limit, ?offset); only tasks the user may see
+ *
+ * Every route needs an authenticated user (req.user).
+ */
+
+const express = require('express');
+const { PERMISSIONS } = require('./permission-policy');
+const { requireAuth } = require('./auth-api');
+const { httpError, asyncHandler, jsonErrorHandler } = require('./task-api');
+
+/**
+ * Create the /api/views router
+ * @param {object} deps - { savedViews, taskRepository }
+ * @returns {express.Router} - Configured router
+ */
+function createSavedViewsRouter({ savedViews, taskRepository }) {
+    if (!savedViews || !taskRepository) {
+        throw new Error('SavedViews and TaskRepository are required');
+    }
+
+    const router = express.Router();
+    router.use(express.json());
+    router.use(requireAuth);
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const views = await savedViews.listViews(req.user);
+        res.json({ views, count: views.length });
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const view = await savedViews.createView(req.user, {
+            name: body.name,
+            filter: body.filter,
+            pinned: body.pinned === true,
+            sharedWith: body.sharedWith
+        });
+        res.status(201).json(view);
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        res.json(await savedViews.getView(req.user, req.params.id));
+    }));
+
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const { name, filter, sharedWith } = req.body || {};
+        res.json(await savedViews.updateView(req.user, req.params.id, { name, filter, sharedWith }));
+    }));
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        await savedViews.deleteView(req.user, req.params.id);
+        res.status(204).end();
+    }));
+
+    router.put('/:id/pin', asyncHandler(async (req, res) => {
+        res.json(await savedViews.setPinned(req.user, req.params.id, true));
+    }));
+
+    router.delete('/:id/pin', asyncHandler(async (req, res) => {
+        res.json(await savedViews.setPinned(req.user, req.params.id, false));
+    }));
+
+    router.get('/:id/tasks', asyncHandler(async (req, res) => {
+        const view = await savedViews.getView(req.user, req.params.id);
+        const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        if ((limit !== undefined && (!Number.isInteger(limit) || limit < 0)) || !Number.isInteger(offset) || offset < 0) {
+            throw httpError(400, 'limit and offset must be non-negative integers');
+        }
+
+        // A shared view never reveals tasks the viewer could not see anyway
+        let tasks = savedViews.applyView(taskRepository, view)
+            .filter(task => taskRepository.can(req.user, PERMISSIONS.TASK_VIEW, task));
+        const total = tasks.length;
+        if (limit !== undefined) {
+            tasks = tasks.slice(offset, offset + limit);
+        }
+
+        res.json({
+            view,
+            tasks: tasks.map(task => task.toJSON()),
+            count: tasks.length,
+            total
+        });
+    }));
+
+    router.use(jsonErrorHandler('Saved Views API'));
+
+    return router;
+}
+
+module.exports = { createSavedViewsRouter };
@@ -0,0 +1,371 @@
+/**
+ * Saved Views - named, shareable task filters stored in user preferences
+ *
+ * A view is a name plus a getTasksByFilter filter (status, priority, category,
+ * owner, assignee or participant, workspace, tags, search, completed/overdue, due
+ * range and sort). Views live
+ * in the owner's preferences under `savedViews`; which views a user pinned to
+ * the filter bar lives under `pinnedViews`, so teammates can pin views that
+ * were shared with them without touching the owner's copy.
+ *
+ * Due ranges are either fixed (dueAfter/dueBefore, inclusive YYYY-MM-DD) or
+ * "smart" (dueWithinDays: from today to N days ahead, resolved whenever the
+ * view is applied).
+ *
+ * Only the owner may change, share or delete a view.
+ */
+
+/**
+ * Raised for invalid or inaccessible views.
+ * code is one of: INVALID_VIEW, VIEW_NOT_FOUND, VIEW_NAME_TAKEN, NOT_VIEW_OWNER
+ */
+class SavedViewError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'SavedViewError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+const MAX_NAME_LENGTH = 50;
+// Prefixed; browser scripts share one global scope
+const SAVED_VIEWS_DAY_MS = 24 * 60 * 60 * 1000;
+const SAVED_VIEWS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const SORT_FIELDS = ['title', 'priority', 'dueDate', 'createdAt', 'updatedAt'];
+const STRING_FIELDS = ['status', 'category', 'userId', 'assigneeId', 'participantId', 'workspaceId', 'search'];
+const BOOLEAN_FIELDS = ['completed', 'overdue'];
+
+// Everything a view filter may contain
+const VIEW_FILTER_FIELDS = [
+    ...STRING_FIELDS, ...BOOLEAN_FIELDS,
+    'priority', 'tags', 'dueAfter', 'dueBefore', 'dueWithinDays', 'sortBy', 'sortOrder'
+];
+
+const invalid = message => new SavedViewError(message, 'INVALID_VIEW');
+
+class SavedViews {
+    /**
+     * @param {UserRepository} userRepository - Where the preferences are stored
+     * @param {object} options - { now }
+     */
+    constructor(userRepository, options = {}) {
+        if (!userRepository) {
+            throw new Error('UserRepository is required');
+        }
+        this.userRepository = userRepository;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Validate a view filter and drop empty values
+     * @param {object} filter - Raw filter
+     * @returns {object} - Clean filter
+     */
+    static normalizeFilter(filter = {}) {
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            throw invalid('Filter must be an object');
+        }
+
+        const unknown = Object.keys(filter).filter(key => !VIEW_FILTER_FIELDS.includes(key));
+        if (unknown.length > 0) {
+            throw invalid(`Unknown filter fields: ${unknown.join(', ')}`);
+        }
+
+        const clean = {};
+        const isSet = value => value !== undefined && value !== null && value !== '';
+
+        STRING_FIELDS.filter(key => isSet(filter[key])).forEach(key => {
+            if (typeof filter[key] !== 'string') {
+                throw invalid(`${key} must be a string`);
+            }
+            clean[key] = filter[key].trim();
+        });
+
+        BOOLEAN_FIELDS.filter(key => isSet(filter[key])).forEach(key => {
+            if (typeof filter[key] !== 'boolean') {
+                throw invalid(`${key} must be true or false`);
+            }
+            clean[key] = filter[key];
+        });
+
+        if (isSet(filter.priority)) {
+            if (!PRIORITIES.includes(filter.priority)) {
+                throw invalid(`priority must be one of: ${PRIORITIES.join(', ')}`);
+            }
+            clean.priority = filter.priority;
+        }
+
+        if (isSet(filter.tags)) {
+            const tags = typeof filter.tags === 'string' ? filter.tags.split(',') : filter.tags;
+            if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+                throw invalid('tags must be a list of strings');
+            }
+            const trimmed = tags.map(tag => tag.trim()).filter(tag => tag);
+            if (trimmed.length > 0) clean.tags = trimmed;
+        }
+
+        ['dueAfter', 'dueBefore'].filter(key => isSet(filter[key])).forEach(key => {
+            if (!SAVED_VIEWS_DATE_PATTERN.test(filter[key]) || isNaN(new Date(filter[key]).getTime())) {
+                throw invalid(`${key} must be a date like 2026-11-01`);
+            }
+            clean[key] = filter[key];
+        });
+
+        if (isSet(filter.dueWithinDays)) {
+            if (!Number.isInteger(filter.dueWithinDays) || filter.dueWithinDays < 0) {
+                throw invalid('dueWithinDays must be a non-negative integer');
+            }
+            if (clean.dueAfter || clean.dueBefore) {
+                throw invalid('Use either dueWithinDays or dueAfter/dueBefore');
+            }
+            clean.dueWithinDays = filter.dueWithinDays;
+        }
+
+        if (clean.dueAfter && clean.dueBefore && clean.dueAfter > clean.dueBefore) {
+            throw invalid('dueAfter must not be later than dueBefore');
+        }
+
+        if (isSet(filter.sortBy)) {
+            if (!SORT_FIELDS.includes(filter.sortBy)) {
+                throw invalid(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`);
+            }
+            clean.sortBy = filter.sortBy;
+        }
+
+        if (isSet(filter.sortOrder)) {
+            if (!['asc', 'desc'].includes(filter.sortOrder)) {
+                throw invalid('sortOrder must be asc or desc');
+            }
+            clean.sortOrder = filter.sortOrder;
+        }
+
+        return clean;
+    }
+
+    /**
+     * Turn a view into a TaskRepository.getTasksByFilter filter, resolving smart due ranges
+     * @param {object} view - Saved view
+     * @returns {object} - Filter for getTasksByFilter
+     */
+    toTaskFilter(view) {
+        const { dueWithinDays, ...filter } = view.filter;
+        if (dueWithinDays !== undefined) {
+            const today = this.now();
+            filter.dueAfter = today.toISOString().slice(0, 10);
+            filter.dueBefore = new Date(today.getTime() + dueWithinDays * SAVED_VIEWS_DAY_MS).toISOString().slice(0, 10);
+        }
+        return filter;
+    }
+
+    /**
+     * Tasks of a view
+     * @param {TaskRepository} taskRepository - Repository to filter
+     * @param {object} view - Saved view
+     * @returns {Task[]}
+     */
+    applyView(taskRepository, view) {
+        return taskRepository.getTasksByFilter(this.toTaskFilter(view));
+    }
+
+    /**
+     * Views a user owns plus the ones shared with them
+     * @param {User} user - Viewing user
+     * @returns {Promise<object[]>} - Views with owned, pinned and ownerName
+     */
+    async listViews(user) {
+        const users = await this.userRepository.findAll();
+        const self = users.find(candidate => candidate.id === user.id) || user;
+        const pinned = self.preferences.pinnedViews || [];
+
+        const views = [];
+        users.forEach(owner => {
+            (owner.preferences.savedViews || []).forEach(view => {
+                const owned = owner.id === user.id;
+                if (owned || (view.sharedWith || []).includes(user.id)) {
+                    views.push({ ...view, ownerName: owner.username, owned, pinned: pinned.includes(view.id) });
+                }
+            });
+        });
+        return views;
+    }
+
+    /**
+     * Find a view the user can see
+     * @param {User} user - Viewing user
+     * @param {string} viewId - View ID
+     * @returns {Promise<object>}
+     */
+    async getView(user, viewId) {
+        const view = (await this.listViews(user)).find(candidate => candidate.id === viewId);
+        if (!view) {
+            throw new SavedViewError('View not found', 'VIEW_NOT_FOUND', { viewId });
+        }
+        return view;
+    }
+
+    /**
+     * Save a new view for a user
+     * @param {User} user - Owner
+     * @param {object} data - { name, filter, pinned, sharedWith }
+     * @returns {Promise<object>} - The new view
+     */
+    async createView(user, { name, filter = {}, pinned = false, sharedWith = [] } = {}) {
+        const owner = await this._loadUser(user.id);
+        const views = owner.preferences.savedViews || [];
+        const timestamp = this.now().toISOString();
+
+        const view = {
+            id: 'view_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: this._validateName(name, views),
+            ownerId: owner.id,
+            filter: SavedViews.normalizeFilter(filter),
+            sharedWith: await this._validateSharedWith(sharedWith, owner.id),
+            createdAt: timestamp,
+            updatedAt: timestamp
+        };
+
+        const preferences = { savedViews: [...views, view] };
+        if (pinned) {
+            preferences.pinnedViews = [...(owner.preferences.pinnedViews || []), view.id];
+        }
+        await this.userRepository.update(owner.id, { preferences }, user);
+        return { ...view, ownerName: owner.username, owned: true, pinned: Boolean(pinned) };
+    }
+
+    /**
+     * Change the name, filter or sharing of a view
+     * @param {User} user - Owner
+     * @param {string} viewId - View ID
+     * @param {object} changes - { name, filter, sharedWith }
+     * @returns {Promise<object>} - The updated view
+     */
+    async updateView(user, viewId, changes = {}) {
+        const { owner, views, index } = await this._loadOwnView(user, viewId);
+        const view = { ...views[index] };
+
+        if (changes.name !== undefined) {
+            view.name = this._validateName(changes.name, views.filter(other => other.id !== viewId));
+        }
+        if (changes.filter !== undefined) {
+            view.filter = SavedViews.normalizeFilter(changes.filter);
+        }
+        if (changes.sharedWith !== undefined) {
+            view.sharedWith = await this._validateSharedWith(changes.sharedWith, owner.id);
+        }
+        view.updatedAt = this.now().toISOString();
+
+        const savedViews = views.map(other => (other.id === viewId ? view : other));
+        await this.userRepository.update(owner.id, { preferences: { savedViews } }, user);
+
+        const pinned = (owner.preferences.pinnedViews || []).includes(viewId);
+        return { ...view, ownerName: owner.username, owned: true, pinned };
+    }
+
+    /**
+     * Share a view with teammates (replaces the current list)
+     * @param {User} user - Owner
+     * @param {string} viewId - View ID
+     * @param {string[]} userIds - Users who may see and apply the view
+     * @returns {Promise<object>} - The updated view
+     */
+    async shareView(user, viewId, userIds) {
+        return this.updateView(user, viewId, { sharedWith: userIds });
+    }
+
+    /**
+     * Delete a view
+     * @param {User} user - Owner
+     * @param {string} viewId - View ID
+     * @returns {Promise<boolean>}
+     */
+    async deleteView(user, viewId) {
+        const { owner, views } = await this._loadOwnView(user, viewId);
+
+        await this.userRepository.update(owner.id, {
+            preferences: {
+                savedViews: views.filter(view => view.id !== viewId),
+                pinnedViews: (owner.preferences.pinnedViews || []).filter(id => id !== viewId)
+            }
+        }, user);
+        return true;
+    }
+
+    /**
+     * Pin a view to, or unpin it from, the user's filter bar
+     * @param {User} user - Viewing user (owner or someone it was shared with)
+     * @param {string} viewId - View ID
+     * @param {boolean} pinned - Whether the view should be pinned
+     * @returns {Promise<object>} - The view
+     */
+    async setPinned(user, viewId, pinned) {
+        const view = await this.getView(user, viewId);
+        const self = await this._loadUser(user.id);
+        const pinnedViews = (self.preferences.pinnedViews || []).filter(id => id !== viewId);
+        if (pinned) {
+            pinnedViews.push(viewId);
+        }
+
+        await this.userRepository.update(self.id, { preferences: { pinnedViews } }, user);
+        return { ...view, pinned: Boolean(pinned) };
+    }
+
+    async _loadUser(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        return user;
+    }
+
+    async _loadOwnView(user, viewId) {
+        const owner = await this._loadUser(user.id);
+        const views = owner.preferences.savedViews || [];
+        const index = views.findIndex(view => view.id === viewId);
+
+        if (index === -1) {
+            // Views shared with the user exist but are read-only for them
+            await this.getView(user, viewId);
+            throw new SavedViewError('Only the owner can change this view', 'NOT_VIEW_OWNER', { viewId });
+        }
+        return { owner, views, index };
+    }
+
+    _validateName(name, otherViews) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw invalid('View name is required');
+        }
+        const trimmed = name.trim();
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw invalid(`View name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        if (otherViews.some(view => view.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new SavedViewError(`A view named "${trimmed}" already exists`, 'VIEW_NAME_TAKEN', { viewName: trimmed });
+        }
+        return trimmed;
+    }
+
+    async _validateSharedWith(userIds, ownerId) {
+        if (!Array.isArray(userIds) || userIds.some(id => typeof id !== 'string')) {
+            throw invalid('sharedWith must be a list of user IDs');
+        }
+
+        const unique = [...new Set(userIds)].filter(id => id !== ownerId);
+        for (const id of unique) {
+            if (!(await this.userRepository.findById(id))) {
+                throw invalid(`Unknown user: ${id}`);
+            }
+        }
+        return unique;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SavedViews, SavedViewError, VIEW_FILTER_FIELDS };
+} else {
+    window.SavedViews = SavedViews;
+    window.SavedViewError = SavedViewError;
+}
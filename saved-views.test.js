@@ -0,0 +1,232 @@
+/**
+ * Saved Views Tests
+ * Filter validation, smart due ranges, pinning and sharing in preferences, and the /api/views routes
+ */
+
+const express = require('express');
+const { SavedViews, SavedViewError } = require('./saved-views');
+const { createSavedViewsRouter } = require('./saved-views-api');
+const { TaskRepository } = require('./task-repository');
+const { TaskController } = require('./task-controller');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { MockFactory } = require('./test-utilities');
+
+describe('Saved Views', () => {
+    let userRepository;
+    let taskRepository;
+    let savedViews;
+    let alice;
+    let bob;
+
+    const addTask = (title, options = {}, tags = []) => {
+        const task = new Task(title, '', alice.id, options);
+        tags.forEach(tag => task.addTag(tag));
+        return taskRepository.create(task);
+    };
+
+    beforeEach(async () => {
+        userRepository = new UserRepository(MockFactory.createKeyedStorage());
+        taskRepository = new TaskRepository();
+        savedViews = new SavedViews(userRepository, { now: () => new Date('2030-03-10T12:00:00.000Z') });
+
+        alice = await userRepository.create(new User('alice', 'alice@example.com', 'Alice Doe'));
+        bob = await userRepository.create(new User('bob', 'bob@example.com', 'Bob Roe'));
+    });
+
+    describe('Filters', () => {
+        test('should keep known fields and drop empty ones', () => {
+            expect(SavedViews.normalizeFilter({
+                status: 'in-progress',
+                priority: 'high',
+                tags: 'backend, api',
+                category: '',
+                dueAfter: '2030-03-01',
+                sortBy: 'dueDate',
+                sortOrder: 'asc'
+            })).toEqual({
+                status: 'in-progress',
+                priority: 'high',
+                tags: ['backend', 'api'],
+                dueAfter: '2030-03-01',
+                sortBy: 'dueDate',
+                sortOrder: 'asc'
+            });
+        });
+
+        test.each([
+            [{ owner: 'alice' }, 'Unknown filter fields: owner'],
+            [{ priority: 'extreme' }, 'priority must be one of'],
+            [{ dueBefore: 'next week' }, 'dueBefore must be a date'],
+            [{ dueWithinDays: 7, dueAfter: '2030-01-01' }, 'Use either dueWithinDays or dueAfter/dueBefore'],
+            [{ dueAfter: '2030-02-01', dueBefore: '2030-01-01' }, 'dueAfter must not be later than dueBefore'],
+            [{ completed: 'yes' }, 'completed must be true or false']
+        ])('should reject %j', (filter, message) => {
+            expect(() => SavedViews.normalizeFilter(filter)).toThrow(message);
+        });
+
+        test('should resolve smart due ranges when the view is applied', async () => {
+            await addTask('Due tomorrow', { dueDate: '2030-03-11' });
+            await addTask('Due next month', { dueDate: '2030-04-15' });
+            await addTask('No due date');
+
+            const view = await savedViews.createView(alice, { name: 'This week', filter: { dueWithinDays: 7 } });
+
+            expect(savedViews.toTaskFilter(view)).toEqual({ dueAfter: '2030-03-10', dueBefore: '2030-03-17' });
+            expect(savedViews.applyView(taskRepository, view).map(task => task.title)).toEqual(['Due tomorrow']);
+        });
+    });
+
+    describe('Preferences', () => {
+        test('should store views and pins in the owner preferences', async () => {
+            const view = await savedViews.createView(alice, { name: 'Urgent backend', filter: { priority: 'high', tags: ['backend'] }, pinned: true });
+
+            const stored = await userRepository.findById(alice.id);
+            expect(stored.preferences.savedViews).toEqual([expect.objectContaining({ id: view.id, name: 'Urgent backend', ownerId: alice.id })]);
+            expect(stored.preferences.pinnedViews).toEqual([view.id]);
+            expect(stored.preferences.theme).toBe('light');
+
+            await expect(savedViews.createView(alice, { name: 'urgent BACKEND' })).rejects.toMatchObject({ code: 'VIEW_NAME_TAKEN' });
+        });
+
+        test('should share views read-only and let teammates pin them', async () => {
+            const view = await savedViews.createView(alice, { name: 'Team', filter: { category: 'work' } });
+            expect(await savedViews.listViews(bob)).toEqual([]);
+
+            await savedViews.shareView(alice, view.id, [bob.id, alice.id]);
+
+            const [shared] = await savedViews.listViews(bob);
+            expect(shared).toMatchObject({ id: view.id, owned: false, ownerName: 'alice', pinned: false, sharedWith: [bob.id] });
+            expect((await savedViews.setPinned(bob, view.id, true)).pinned).toBe(true);
+            expect((await savedViews.listViews(alice))[0].pinned).toBe(false);
+
+            await expect(savedViews.updateView(bob, view.id, { name: 'Mine' })).rejects.toMatchObject({ code: 'NOT_VIEW_OWNER' });
+            await expect(savedViews.shareView(alice, view.id, ['user_nobody'])).rejects.toThrow('Unknown user: user_nobody');
+        });
+
+        test('should remove deleted views and their pins', async () => {
+            const view = await savedViews.createView(alice, { name: 'Old', pinned: true });
+
+            await savedViews.deleteView(alice, view.id);
+
+            const stored = await userRepository.findById(alice.id);
+            expect(stored.preferences.savedViews).toEqual([]);
+            expect(stored.preferences.pinnedViews).toEqual([]);
+            await expect(savedViews.getView(alice, view.id)).rejects.toThrow(SavedViewError);
+        });
+    });
+
+    describe('TaskController', () => {
+        test('should save the current filter as a pinned view and apply it', async () => {
+            await addTask('Hot', { priority: 'high' });
+            await addTask('Cold', { priority: 'low' });
+
+            const taskService = {
+                getTasksByPriority: async (userId, priority) => taskRepository.getTasksByFilter({ userId, priority }),
+                getTasksByFilter: async filter => taskRepository.getTasksByFilter(filter)
+            };
+            const controller = new TaskController(taskService, null, null);
+            controller.currentUser = alice;
+            controller.setSavedViews(savedViews);
+
+            await controller.filterTasks('priority', 'high');
+            const view = await controller.saveCurrentView('Hot stuff');
+
+            expect(view).toMatchObject({ name: 'Hot stuff', filter: { userId: alice.id, priority: 'high' }, pinned: true });
+            expect((await controller.filterTasks('view', view.id)).map(task => task.title)).toEqual(['Hot']);
+            expect(controller.describeCurrentFilter()).toEqual({ userId: alice.id, priority: 'high' });
+        });
+
+        test('should keep the owner scope of the filter a view was saved from', async () => {
+            await addTask('Mine');
+            const assigned = new Task('Assigned by Bob', '', bob.id, { assignedTo: alice.id });
+            await taskRepository.create(assigned);
+
+            const taskService = {
+                getPendingTasks: async userId => taskRepository.getTasksByFilter({ userId, completed: false }),
+                getTasksByFilter: async filter => taskRepository.getTasksByFilter(filter)
+            };
+            const controller = new TaskController(taskService, null, null);
+            controller.currentUser = alice;
+            controller.setSavedViews(savedViews);
+
+            expect((await controller.filterTasks('pending')).map(task => task.title)).toEqual(['Mine']);
+            const view = await controller.saveCurrentView('Pending');
+
+            expect(view.filter).toEqual({ userId: alice.id, completed: false });
+            expect((await controller.filterTasks('view', view.id)).map(task => task.title)).toEqual(['Mine']);
+        });
+    });
+
+    describe('API', () => {
+        let server;
+        let baseUrl;
+        let currentUser;
+
+        const request = async (method, path, body) => {
+            const response = await fetch(`${baseUrl}/api/views${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const text = await response.text();
+            return { status: response.status, body: text ? JSON.parse(text) : null };
+        };
+
+        beforeEach(async () => {
+            currentUser = alice;
+            const app = express();
+            app.use((req, res, next) => {
+                req.user = currentUser;
+                next();
+            });
+            app.use('/api/views', createSavedViewsRouter({ savedViews, taskRepository }));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should save, apply and pin views', async () => {
+            await addTask('Fix API', { priority: 'high' }, ['backend']);
+            await addTask('Update docs', { priority: 'high' });
+
+            const created = await request('POST', '/', { name: 'Backend', filter: { tags: ['backend'] }, pinned: true });
+            expect(created).toMatchObject({ status: 201, body: { name: 'Backend', pinned: true, owned: true } });
+
+            const applied = await request('GET', `/${created.body.id}/tasks`);
+            expect(applied.body.tasks.map(task => task.title)).toEqual(['Fix API']);
+
+            expect((await request('DELETE', `/${created.body.id}/pin`)).body.pinned).toBe(false);
+            expect((await request('GET', '/')).body.count).toBe(1);
+        });
+
+        test('should map view errors to HTTP statuses', async () => {
+            expect((await request('POST', '/', { name: '', filter: {} })).status).toBe(400);
+            expect((await request('GET', '/view_missing')).status).toBe(404);
+
+            const created = await request('POST', '/', { name: 'Mine', sharedWith: [bob.id] });
+            expect((await request('POST', '/', { name: 'Mine' })).status).toBe(409);
+
+            currentUser = bob;
+            expect((await request('GET', `/${created.body.id}`)).body.owned).toBe(false);
+            expect((await request('DELETE', `/${created.body.id}`)).status).toBe(403);
+        });
+
+        test('should only return tasks the viewer may see', async () => {
+            await addTask('Private to alice', { category: 'work' });
+            const created = await request('POST', '/', { name: 'Work', filter: { category: 'work' }, sharedWith: [bob.id] });
+
+            currentUser = bob;
+            const applied = await request('GET', `/${created.body.id}/tasks`);
+
+            expect(applied.status).toBe(200);
+            expect(applied.body.tasks).toEqual([]);
+        });
+    });
+});
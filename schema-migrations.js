@@ -0,0 +1,212 @@
+/**
+ * Schema Migrations - versioned upgrades for stored entity collections
+ *
+ * Every stored collection carries a schema version per entity type in its
+ * envelope ({ version, schemaVersion, timestamp, data }). Migrations are
+ * registered per entity type as ordered steps from version N to N+1; the
+ * storage adapters run the missing steps on load, after writing a backup of
+ * the original payload, and save the upgraded data back.
+ *
+ * Anything written before schema versions existed - the bare arrays of the
+ * day 1 StorageManager and improved-architecture StorageService, or the
+ * '2.0' envelopes of EnhancedStorageManager/AppStorageManager - is version 1.
+ *
+ * Task versions:
+ *   1 - day 1 basic Task records and/or enhanced Task JSON, possibly wrapped as { tasks, lastSaved }
+ *   2 - a plain array of enhanced Task JSON (enhanced-task-model.js)
+ */
+
+const BASE_SCHEMA_VERSION = 1;
+
+// Owner given to day 1 tasks, which had no users, unless the migration context names one
+const LEGACY_USER_ID = 'user_legacy';
+
+/**
+ * Raised when a migration step fails; the stored data is left untouched
+ */
+class MigrationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'MigrationError';
+        this.code = 'MIGRATION_FAILED';
+        Object.assign(this, details);
+    }
+}
+
+class MigrationRegistry {
+    constructor() {
+        this.migrations = new Map(); // entity type -> Map(from version -> { up, description })
+    }
+
+    /**
+     * Register the step that upgrades an entity type from one version to the next
+     * @param {string} entityType - Storage entity type, e.g. 'tasks'
+     * @param {number} fromVersion - Version the step starts from (upgrades to fromVersion + 1)
+     * @param {function} up - (data, context) => upgraded data
+     * @param {string} description - What the step does, kept in the migration log
+     * @returns {MigrationRegistry} - For chaining
+     */
+    register(entityType, fromVersion, up, description = '') {
+        if (!Number.isInteger(fromVersion) || fromVersion < BASE_SCHEMA_VERSION) {
+            throw new Error(`Migration version must be an integer of at least ${BASE_SCHEMA_VERSION}`);
+        }
+        if (typeof up !== 'function') {
+            throw new Error('Migration must be a function');
+        }
+
+        const steps = this.migrations.get(entityType) || new Map();
+        if (steps.has(fromVersion)) {
+            throw new Error(`Migration for ${entityType} from version ${fromVersion} is already registered`);
+        }
+        steps.set(fromVersion, { up, description });
+        this.migrations.set(entityType, steps);
+        return this;
+    }
+
+    /**
+     * Current schema version of an entity type
+     * @param {string} entityType - Storage entity type
+     * @returns {number}
+     */
+    latestVersion(entityType) {
+        const steps = this.migrations.get(entityType);
+        let version = BASE_SCHEMA_VERSION;
+        while (steps && steps.has(version)) {
+            version++;
+        }
+        return version;
+    }
+
+    /**
+     * Check whether data stored at a version has to be upgraded
+     * @param {string} entityType - Storage entity type
+     * @param {number} version - Stored schema version
+     * @returns {boolean}
+     */
+    needsMigration(entityType, version) {
+        return version < this.latestVersion(entityType);
+    }
+
+    /**
+     * Run every step from the stored version up to the latest one
+     * @param {string} entityType - Storage entity type
+     * @param {*} data - Stored data
+     * @param {number} fromVersion - Stored schema version
+     * @param {object} context - Passed to each step (e.g. { defaultUserId })
+     * @returns {object} - { data, version, applied: [{ from, to, description }] }
+     */
+    migrate(entityType, data, fromVersion = BASE_SCHEMA_VERSION, context = {}) {
+        const latest = this.latestVersion(entityType);
+        if (fromVersion > latest) {
+            throw new MigrationError(
+                `Stored ${entityType} use schema version ${fromVersion}, newer than this app supports (${latest})`,
+                { entityType, fromVersion }
+            );
+        }
+
+        const steps = this.migrations.get(entityType);
+        const applied = [];
+        let current = data;
+        for (let version = fromVersion; version < latest; version++) {
+            const { up, description } = steps.get(version);
+            try {
+                current = up(current, context);
+            } catch (error) {
+                throw new MigrationError(
+                    `Migrating ${entityType} from version ${version} to ${version + 1} failed: ${error.message}`,
+                    { entityType, fromVersion: version, cause: error }
+                );
+            }
+            applied.push({ from: version, to: version + 1, description });
+        }
+
+        return { data: current, version: latest, applied };
+    }
+
+    /**
+     * Split a stored payload into its data and schema version
+     * @param {*} stored - Parsed payload, enveloped or bare
+     * @returns {object} - { data, schemaVersion }
+     */
+    static readEnvelope(stored) {
+        const isEnvelope = stored !== null && typeof stored === 'object' && !Array.isArray(stored) &&
+            'version' in stored && 'data' in stored;
+        if (!isEnvelope) {
+            return { data: stored, schemaVersion: BASE_SCHEMA_VERSION };
+        }
+        return { data: stored.data, schemaVersion: stored.schemaVersion || BASE_SCHEMA_VERSION };
+    }
+}
+
+/**
+ * Convert a day 1 basic Task record (basic-task-model.js toJSON) into enhanced Task JSON
+ * @param {object} record - { id, title, description, priority, completed, createdAt, updatedAt }
+ * @param {string} userId - Owner of the converted task
+ * @returns {object} - Enhanced Task JSON
+ */
+function convertBasicTask(record, userId) {
+    if (!record || typeof record.title !== 'string' || record.title.trim() === '') {
+        throw new Error(`Task ${record && record.id} has no title`);
+    }
+
+    const completed = record.completed === true;
+    const createdAt = record.createdAt || new Date().toISOString();
+    const updatedAt = record.updatedAt || createdAt;
+
+    return {
+        id: record.id,
+        title: record.title.trim(),
+        description: (record.description || '').trim(),
+        userId,
+        assignedTo: userId,
+        completed,
+        status: completed ? 'completed' : 'pending',
+        completedAt: completed ? updatedAt : null,
+        priority: ['low', 'medium', 'high'].includes(record.priority) ? record.priority : 'medium',
+        category: 'general',
+        createdAt,
+        updatedAt,
+        dueDate: null,
+        estimatedHours: null,
+        actualHours: null,
+        tags: [],
+        notes: [],
+        dependencies: [],
+        statusHistory: [],
+        projectId: null,
+        workspaceId: null,
+        parentTaskId: null,
+        recurrence: null
+    };
+}
+
+/**
+ * Registry with the migrations shipped with the app
+ * @returns {MigrationRegistry}
+ */
+function createDefaultMigrations() {
+    return new MigrationRegistry()
+        .register('tasks', 1, (data, context) => {
+            const records = Array.isArray(data) ? data : (data && data.tasks) || [];
+            const userId = context.defaultUserId || LEGACY_USER_ID;
+
+            // Enhanced records always have an owner; day 1 records never do
+            return records.map(record => (record && record.userId ? record : convertBasicTask(record, userId)));
+        }, 'Convert day 1 tasks to enhanced Task JSON and unwrap { tasks, lastSaved }');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MigrationRegistry,
+        MigrationError,
+        createDefaultMigrations,
+        convertBasicTask,
+        BASE_SCHEMA_VERSION,
+        LEGACY_USER_ID
+    };
+} else {
+    window.MigrationRegistry = MigrationRegistry;
+    window.MigrationError = MigrationError;
+    window.createDefaultMigrations = createDefaultMigrations;
+}
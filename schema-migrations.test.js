@@ -0,0 +1,152 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Schema Migration Tests
+ * Ordered per-entity migrations, day 1 task conversion and upgrades with backups on load
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MigrationRegistry, MigrationError, createDefaultMigrations, LEGACY_USER_ID } = require('./schema-migrations');
+const { FileStorageAdapter } = require('./file-storage-adapter');
+const { AppStorageManager } = require('./enhanced-storage-manager');
+const { TaskRepository } = require('./task-repository');
+const Task = require('./enhanced-task-model');
+
+// What the day 1 StorageManager wrote under 'taskManagementApp_tasks'
+const day1Tasks = [
+    {
+        id: 'task_1',
+        title: 'Buy milk',
+        description: 'Semi-skimmed',
+        priority: 'high',
+        completed: true,
+        createdAt: '2024-01-01T09:00:00.000Z',
+        updatedAt: '2024-01-02T10:00:00.000Z'
+    },
+    {
+        id: 'task_2',
+        title: 'Call mom',
+        description: '',
+        priority: 'medium',
+        completed: false,
+        createdAt: '2024-01-03T09:00:00.000Z',
+        updatedAt: '2024-01-03T09:00:00.000Z'
+    }
+];
+
+describe('Schema Migrations', () => {
+    describe('MigrationRegistry', () => {
+        test('should run the missing steps in order', () => {
+            const registry = new MigrationRegistry()
+                .register('notes', 2, data => data.map(note => ({ ...note, pinned: false })), 'Add pinned')
+                .register('notes', 1, data => data.map(text => ({ text })), 'Wrap text');
+
+            const result = registry.migrate('notes', ['a'], 1);
+
+            expect(registry.latestVersion('notes')).toBe(3);
+            expect(registry.latestVersion('users')).toBe(1);
+            expect(result.data).toEqual([{ text: 'a', pinned: false }]);
+            expect(result.applied.map(step => step.description)).toEqual(['Wrap text', 'Add pinned']);
+            expect(registry.migrate('notes', [{ text: 'b' }], 2).data).toEqual([{ text: 'b', pinned: false }]);
+        });
+
+        test('should report failing steps and data from newer versions', () => {
+            const registry = new MigrationRegistry().register('notes', 1, () => {
+                throw new Error('boom');
+            });
+
+            expect(() => registry.migrate('notes', [], 1)).toThrow(MigrationError);
+            expect(() => registry.migrate('notes', [], 1)).toThrow('from version 1 to 2 failed: boom');
+            expect(() => registry.migrate('notes', [], 5)).toThrow('newer than this app supports (2)');
+            expect(() => registry.register('notes', 1, data => data)).toThrow('already registered');
+        });
+
+        test('should treat bare payloads and 2.0 envelopes as version 1', () => {
+            expect(MigrationRegistry.readEnvelope([1])).toEqual({ data: [1], schemaVersion: 1 });
+            expect(MigrationRegistry.readEnvelope({ version: '2.0', data: [1] })).toEqual({ data: [1], schemaVersion: 1 });
+            expect(MigrationRegistry.readEnvelope({ version: '2.0', schemaVersion: 2, data: [] }).schemaVersion).toBe(2);
+        });
+    });
+
+    describe('Day 1 tasks', () => {
+        test('should become enhanced Task JSON that Task.fromJSON accepts', () => {
+            const enhanced = new Task('Existing', '', 'user_1').toJSON();
+            const { data } = createDefaultMigrations().migrate('tasks', { tasks: [...day1Tasks, enhanced], lastSaved: 'x' }, 1);
+
+            const tasks = data.map(record => Task.fromJSON(record));
+            expect(tasks[0]).toMatchObject({ id: 'task_1', title: 'Buy milk', userId: LEGACY_USER_ID, status: 'completed', priority: 'high' });
+            expect(tasks[0].completedAt.toISOString()).toBe('2024-01-02T10:00:00.000Z');
+            expect(tasks[1]).toMatchObject({ status: 'pending', completed: false, category: 'general' });
+            expect(data[2]).toBe(enhanced);
+        });
+
+        test('should use the owner from the migration context', () => {
+            const { data } = createDefaultMigrations().migrate('tasks', day1Tasks, 1, { defaultUserId: 'user_9' });
+
+            expect(data.map(record => record.userId)).toEqual(['user_9', 'user_9']);
+        });
+    });
+
+    describe('FileStorageAdapter', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'task-migrations-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('should back up, upgrade and re-save old task files on load', async () => {
+            const file = path.join(directory, 'testApp_tasks.json');
+            const original = JSON.stringify({ version: '2.0', timestamp: 'then', data: day1Tasks });
+            fs.writeFileSync(file, original);
+
+            const repository = new TaskRepository(new FileStorageAdapter(directory, 'testApp'));
+            await repository.loadFromStorage();
+
+            expect(repository.getTask('task_2').userId).toBe(LEGACY_USER_ID);
+            expect(fs.readFileSync(path.join(directory, 'testApp_tasks.v1.backup.json'), 'utf8')).toBe(original);
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).schemaVersion).toBe(2);
+
+            const meta = JSON.parse(fs.readFileSync(path.join(directory, 'testApp_meta.json'), 'utf8'));
+            expect(meta.schemaVersions).toEqual({ tasks: 2 });
+            expect(meta.migrations).toEqual([expect.objectContaining({ entityType: 'tasks', from: 1, to: 2, backup: 'testApp_tasks.v1.backup.json' })]);
+        });
+
+        test('should leave the file alone when a migration fails', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const file = path.join(directory, 'testApp_tasks.json');
+            fs.writeFileSync(file, JSON.stringify([{ id: 'broken' }]));
+
+            expect(new FileStorageAdapter(directory, 'testApp').load('tasks', 'fallback')).toBe('fallback');
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([{ id: 'broken' }]);
+
+            console.error.mockRestore();
+        });
+    });
+
+    describe('AppStorageManager', () => {
+        beforeEach(() => {
+            localStorage.clear();
+        });
+
+        test('should import day 1 tasks saved under the old key', () => {
+            localStorage.setItem('taskManagementApp_tasks', JSON.stringify(day1Tasks));
+
+            const storage = new AppStorageManager('taskManagementApp_day2');
+            const tasks = storage.load('tasks', []);
+
+            expect(tasks.map(task => task.title)).toEqual(['Buy milk', 'Call mom']);
+            expect(JSON.parse(localStorage.getItem('taskManagementApp_day2_tasks')).schemaVersion).toBe(2);
+            expect(JSON.parse(localStorage.getItem('taskManagementApp_day2_tasks_backup_v1'))).toEqual(day1Tasks);
+            expect(localStorage.getItem('taskManagementApp_tasks')).not.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,399 @@
+/**
+ * Search Index - full-text task search with ranking and a small query syntax
+ *
+ * Keeps an inverted index (term -> task -> per-field counts) over the title,
+ * description, tags, notes and category of every task in a TaskRepository,
+ * updated from the repository's taskAdded/taskUpdated/taskDeleted events.
+ *
+ * Query syntax:
+ *   report budget          every word must match (exact, prefix or a close typo)
+ *   "exact phrase"         words in this order in one field
+ *   -wontfix  -"on hold"   tasks containing the word/phrase are left out
+ *   tag:backend            filters: tag, priority, status, category
+ *   due:<2026-11-01        due date filter; <, <=, >, >= or a plain date for that day, due:none
+ *   -tag:blocked           any filter can be negated
+ *
+ * Results are ranked by a TF-IDF style score: matches in the title count
+ * most, then tags, category, description and notes; prefix and fuzzy
+ * matches count less than exact ones.
+ */
+
+/**
+ * Raised for queries that cannot be understood (e.g. an invalid due date).
+ * code is INVALID_QUERY
+ */
+class SearchQueryError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SearchQueryError';
+        this.code = 'INVALID_QUERY';
+        Object.assign(this, details);
+    }
+}
+
+// How much a match in each field is worth
+const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    category: 1.5,
+    description: 1,
+    notes: 1
+};
+
+// How much a term match is worth compared to an exact one
+const MATCH_FACTORS = {
+    exact: 1,
+    prefix: 0.6,
+    fuzzy: 0.4
+};
+
+const PHRASE_BOOST = 2;
+const MIN_PREFIX_LENGTH = 2;
+
+const FILTER_FIELDS = ['tag', 'priority', 'status', 'category', 'due'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    if (text === null || text === undefined) return [];
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Typos allowed for a query word of a given length
+ * @param {number} length - Word length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 when further apart
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Read a due date filter value such as <2026-11-01, 2026-11-01 or none
+ * @param {string} value - Raw filter value
+ * @returns {object} - { operator, value }
+ */
+function parseDueFilter(value) {
+    if (value.toLowerCase() === 'none') {
+        return { operator: 'none', value: null };
+    }
+
+    const [, operator, date] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+    if (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())) {
+        throw new SearchQueryError(`due: expects a date like 2026-11-01, got "${value}"`, { field: 'due', value });
+    }
+    return { operator: operator || '=', value: date };
+}
+
+/**
+ * Parse a query string
+ * @param {string} query - Raw query, e.g. 'tag:backend "exact phrase" -wontfix'
+ * @returns {object} - { terms, phrases, excludedTerms, excludedPhrases, filters: [{ field, operator, value, negate }] }
+ */
+function parseSearchQuery(query) {
+    const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [], filters: [] };
+    const pattern = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(String(query || ''))) !== null) {
+        const [raw, minus, key, quoted, word] = match;
+        const negate = minus === '-';
+        const field = key && key.toLowerCase();
+
+        if (field && FILTER_FIELDS.includes(field)) {
+            const value = (quoted !== undefined ? quoted : word).trim();
+            if (!value) {
+                throw new SearchQueryError(`${field}: needs a value`, { field });
+            }
+            parsed.filters.push(field === 'due'
+                ? { field, ...parseDueFilter(value), negate }
+                : { field, operator: '=', value: value.toLowerCase(), negate });
+        } else if (quoted !== undefined && !key) {
+            const words = tokenize(quoted);
+            if (words.length > 0) {
+                (negate ? parsed.excludedPhrases : parsed.phrases).push(words);
+            }
+        } else {
+            // Unknown "key:value" pairs are searched as plain words
+            const words = tokenize(negate ? raw.slice(1) : raw);
+            (negate ? parsed.excludedTerms : parsed.terms).push(...words);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Check a task against one filter
+ * @param {Task} task - Task to check
+ * @param {object} filter - { field, operator, value }
+ * @returns {boolean}
+ */
+function matchesFilter(task, { field, operator, value }) {
+    switch (field) {
+    case 'tag':
+        return (task.tags || []).some(tag => String(tag).toLowerCase() === value);
+    case 'priority':
+    case 'status':
+    case 'category':
+        return String(task[field] || '').toLowerCase() === value;
+    case 'due': {
+        if (operator === 'none') return !task.dueDate;
+        if (!task.dueDate) return false;
+        const day = new Date(task.dueDate).toISOString().slice(0, 10);
+        switch (operator) {
+        case '<': return day < value;
+        case '<=': return day <= value;
+        case '>': return day > value;
+        case '>=': return day >= value;
+        default: return day === value;
+        }
+    }
+    default:
+        return true;
+    }
+}
+
+/**
+ * Words of every searchable field of a task
+ * @param {Task} task - Task to read
+ * @returns {object} - field -> words
+ */
+function extractFields(task) {
+    return {
+        title: tokenize(task.title),
+        description: tokenize(task.description),
+        tags: (task.tags || []).flatMap(tokenize),
+        notes: (task.notes || []).flatMap(note => tokenize(typeof note === 'string' ? note : note.content)),
+        category: tokenize(task.category)
+    };
+}
+
+// Whether words contains the phrase as a consecutive run
+function containsPhrase(words, phrase) {
+    for (let start = 0; start + phrase.length <= words.length; start++) {
+        if (phrase.every((word, offset) => words[start + offset] === word)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+class SearchIndex {
+    /**
+     * @param {TaskRepository} taskRepository - Optional repository to index and follow
+     */
+    constructor(taskRepository = null) {
+        this.postings = new Map();  // term -> Map(taskId -> { field: count })
+        this.documents = new Map(); // taskId -> { task, fields }
+
+        if (taskRepository) {
+            this.attach(taskRepository);
+        }
+    }
+
+    /**
+     * Index the tasks of a repository and follow its changes
+     * @param {TaskRepository} taskRepository - Repository emitting task events
+     * @returns {SearchIndex} - For chaining
+     */
+    attach(taskRepository) {
+        taskRepository.on('taskAdded', task => this.add(task));
+        taskRepository.on('taskUpdated', task => this.add(task));
+        taskRepository.on('taskDeleted', ({ id }) => this.remove(id));
+        this.rebuild(taskRepository.getAllTasks());
+        return this;
+    }
+
+    /**
+     * Index a task, replacing what was indexed for it before
+     * @param {Task} task - Task to index
+     */
+    add(task) {
+        this.remove(task.id);
+
+        const fields = extractFields(task);
+        Object.entries(fields).forEach(([field, words]) => {
+            words.forEach(word => {
+                if (!this.postings.has(word)) {
+                    this.postings.set(word, new Map());
+                }
+                const counts = this.postings.get(word);
+                const fieldCounts = counts.get(task.id) || {};
+                fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+                counts.set(task.id, fieldCounts);
+            });
+        });
+        this.documents.set(task.id, { task, fields });
+    }
+
+    /**
+     * Drop a task from the index
+     * @param {string} taskId - Task ID
+     * @returns {boolean} - Whether the task was indexed
+     */
+    remove(taskId) {
+        const document = this.documents.get(taskId);
+        if (!document) return false;
+
+        new Set(Object.values(document.fields).flat()).forEach(word => {
+            const counts = this.postings.get(word);
+            counts.delete(taskId);
+            if (counts.size === 0) {
+                this.postings.delete(word);
+            }
+        });
+        this.documents.delete(taskId);
+        return true;
+    }
+
+    /**
+     * Replace the whole index
+     * @param {Task[]} tasks - Tasks to index
+     */
+    rebuild(tasks) {
+        this.postings.clear();
+        this.documents.clear();
+        tasks.forEach(task => this.add(task));
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Indexed terms a query word matches, with how well they match
+     * @param {string} word - Query word
+     * @returns {object[]} - [{ term, factor }]
+     */
+    expandTerm(word) {
+        const typos = allowedTypos(word.length);
+        const matches = [];
+
+        this.postings.forEach((_, term) => {
+            if (term === word) {
+                matches.push({ term, factor: MATCH_FACTORS.exact });
+            } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+                matches.push({ term, factor: MATCH_FACTORS.prefix });
+            } else if (typos > 0 && editDistance(word, term, typos) <= typos) {
+                matches.push({ term, factor: MATCH_FACTORS.fuzzy });
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Rank the indexed tasks for a query
+     * @param {string|object} query - Query string or parseSearchQuery result
+     * @param {object} options - { limit }
+     * @returns {object[]} - [{ task, score }], best first
+     */
+    search(query, options = {}) {
+        const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+        const total = this.documents.size;
+        let scores = null; // taskId -> score; null while nothing narrows the candidates
+
+        // Every query word must match at least one indexed term
+        parsed.terms.forEach(word => {
+            const termScores = new Map();
+            this.expandTerm(word).forEach(({ term, factor }) => {
+                const counts = this.postings.get(term);
+                const idf = Math.log(1 + total / counts.size);
+                counts.forEach((fieldCounts, taskId) => {
+                    const weight = Object.entries(fieldCounts)
+                        .reduce((sum, [field, count]) => sum + FIELD_WEIGHTS[field] * count, 0);
+                    const score = factor * idf * weight;
+                    termScores.set(taskId, Math.max(termScores.get(taskId) || 0, score));
+                });
+            });
+            scores = this._intersect(scores, termScores);
+        });
+
+        parsed.phrases.forEach(phrase => {
+            const phraseScores = new Map();
+            this.documents.forEach(({ fields }, taskId) => {
+                const weight = Object.entries(fields)
+                    .filter(([, words]) => containsPhrase(words, phrase))
+                    .reduce((sum, [field]) => sum + FIELD_WEIGHTS[field], 0);
+                if (weight > 0) {
+                    phraseScores.set(taskId, weight * phrase.length * PHRASE_BOOST);
+                }
+            });
+            scores = this._intersect(scores, phraseScores);
+        });
+
+        if (scores === null) {
+            scores = new Map([...this.documents.keys()].map(taskId => [taskId, 0]));
+        }
+
+        const results = [];
+        scores.forEach((score, taskId) => {
+            const { task, fields } = this.documents.get(taskId);
+            const words = Object.values(fields);
+
+            const excluded = parsed.excludedTerms.some(word => words.some(list => list.includes(word))) ||
+                parsed.excludedPhrases.some(phrase => words.some(list => containsPhrase(list, phrase)));
+            const filtered = parsed.filters.every(filter => matchesFilter(task, filter) !== filter.negate);
+
+            if (!excluded && filtered) {
+                results.push({ task, score });
+            }
+        });
+
+        // Stable sort keeps index order for equal scores
+        results.sort((a, b) => b.score - a.score);
+        return options.limit ? results.slice(0, options.limit) : results;
+    }
+
+    // Keep the tasks present in both, adding up their scores
+    _intersect(scores, next) {
+        if (scores === null) return next;
+        const combined = new Map();
+        scores.forEach((score, taskId) => {
+            if (next.has(taskId)) {
+                combined.set(taskId, score + next.get(taskId));
+            }
+        });
+        return combined;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, SearchQueryError, parseSearchQuery, tokenize };
+} else {
+    window.SearchIndex = SearchIndex;
+    window.SearchQueryError = SearchQueryError;
+    window.parseSearchQuery = parseSearchQuery;
+}
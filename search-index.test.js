@@ -0,0 +1,133 @@
+/**
+ * Search Index Tests
+ * Query parsing, ranking, prefix/fuzzy matching, filters and keeping the index in sync
+ */
+
+const express = require('express');
+const { SearchIndex, SearchQueryError, parseSearchQuery } = require('./search-index');
+const { TaskRepository } = require('./task-repository');
+const { createTaskRouter } = require('./task-api');
+const Task = require('./enhanced-task-model');
+
+describe('Search Index', () => {
+    describe('Query parsing', () => {
+        test('should split words, phrases, exclusions and filters', () => {
+            const parsed = parseSearchQuery('tag:Backend priority:high due:<2026-11-01 "Exact phrase" -wontfix -tag:blocked api-docs');
+
+            expect(parsed.terms).toEqual(['api', 'docs']);
+            expect(parsed.phrases).toEqual([['exact', 'phrase']]);
+            expect(parsed.excludedTerms).toEqual(['wontfix']);
+            expect(parsed.filters).toEqual([
+                { field: 'tag', operator: '=', value: 'backend', negate: false },
+                { field: 'priority', operator: '=', value: 'high', negate: false },
+                { field: 'due', operator: '<', value: '2026-11-01', negate: false },
+                { field: 'tag', operator: '=', value: 'blocked', negate: true }
+            ]);
+        });
+
+        test('should search unknown keys as words and reject bad dates', () => {
+            expect(parseSearchQuery('owner:alice').terms).toEqual(['owner', 'alice']);
+            expect(() => parseSearchQuery('due:<next-week')).toThrow(SearchQueryError);
+            expect(() => parseSearchQuery('due:2026-13-45')).toThrow('due: expects a date');
+        });
+    });
+
+    describe('Repository search', () => {
+        let repository;
+        let tasks;
+
+        const add = async (title, description, options = {}, tags = []) => {
+            const task = new Task(title, description, 'user_1', options);
+            tags.forEach(tag => task.addTag(tag));
+            return repository.create(task);
+        };
+
+        beforeEach(async () => {
+            repository = new TaskRepository();
+            tasks = {
+                report: await add('Quarterly report', 'Budget numbers for finance', { priority: 'high', dueDate: '2026-10-20' }, ['finance']),
+                budget: await add('Plan offsite', 'Check the budget and book the venue', { priority: 'low', dueDate: '2026-12-01' }),
+                api: await add('Fix login API', 'Tokens expire too early', { category: 'work' }, ['backend', 'wontfix']),
+                docs: await add('Write API documentation', 'Cover the reporting endpoints', { category: 'work' }, ['backend'])
+            };
+        });
+
+        test('should rank title matches above description matches', () => {
+            expect(repository.search('budget').map(task => task.id)).toEqual([tasks.report.id, tasks.budget.id]);
+        });
+
+        test('should match prefixes and small typos', () => {
+            expect(repository.search('docu').map(task => task.id)).toEqual([tasks.docs.id]);
+            expect(repository.search('quartely').map(task => task.id)).toEqual([tasks.report.id]);
+            expect(repository.search('repo')[0].id).toBe(tasks.report.id);
+        });
+
+        test('should apply phrases, exclusions and filters', () => {
+            expect(repository.search('"book the venue"').map(task => task.id)).toEqual([tasks.budget.id]);
+            expect(repository.search('"venue the book"')).toEqual([]);
+            expect(repository.search('tag:backend -wontfix').map(task => task.id)).toEqual([tasks.docs.id]);
+            expect(repository.search('api -tag:wontfix category:work').map(task => task.id)).toEqual([tasks.docs.id]);
+            expect(repository.search('priority:high').map(task => task.id)).toEqual([tasks.report.id]);
+            expect(repository.search('due:<2026-11-01').map(task => task.id)).toEqual([tasks.report.id]);
+            expect(repository.search('due:>=2026-12-01').map(task => task.id)).toEqual([tasks.budget.id]);
+            expect(repository.search('due:none').map(task => task.id)).toEqual([tasks.api.id, tasks.docs.id]);
+        });
+
+        test('should follow creates, updates, deletes and notes', async () => {
+            await repository.update(tasks.api.id, { title: 'Fix session timeout' });
+            expect(repository.search('login')).toEqual([]);
+            expect(repository.search('session')[0].id).toBe(tasks.api.id);
+
+            tasks.budget.addNote('Ask about catering');
+            await repository.update(tasks.budget.id, {});
+            expect(repository.search('catering')[0].id).toBe(tasks.budget.id);
+
+            await repository.deleteTask(tasks.report.id);
+            expect(repository.search('quarterly')).toEqual([]);
+            expect(repository.searchIndex.postings.has('quarterly')).toBe(false);
+        });
+
+        test('should rank getTasksByFilter search results together with other filters', () => {
+            const results = repository.getTasksByFilter({ search: 'api', category: 'work' });
+
+            expect(results.map(task => task.id)).toEqual([tasks.api.id, tasks.docs.id]);
+            expect(repository.getTasksByFilter({ search: 'api', sortBy: 'title' }).map(task => task.title))
+                .toEqual(['Fix login API', 'Write API documentation']);
+        });
+    });
+
+    describe('API', () => {
+        test('should answer 400 for queries it cannot read', async () => {
+            const repository = new TaskRepository();
+            await repository.create(new Task('Quarterly report', '', 'user_1'));
+
+            const app = express();
+            app.use('/api/tasks', createTaskRouter(repository));
+            const server = await new Promise(resolve => {
+                const listening = app.listen(0, () => resolve(listening));
+            });
+            const baseUrl = `http://127.0.0.1:${server.address().port}/api/tasks`;
+
+            try {
+                const found = await fetch(`${baseUrl}?search=${encodeURIComponent('quartrly')}`);
+                expect((await found.json()).tasks.map(task => task.title)).toEqual(['Quarterly report']);
+
+                const invalid = await fetch(`${baseUrl}?search=${encodeURIComponent('due:<soon')}`);
+                expect(invalid.status).toBe(400);
+                expect((await invalid.json()).code).toBe('INVALID_QUERY');
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+
+    test('should work on its own without a repository', () => {
+        const index = new SearchIndex();
+        index.add({ id: 'a', title: 'Alpha', description: '', tags: [], notes: [], category: 'general' });
+
+        expect(index.size).toBe(1);
+        expect(index.search('alpha', { limit: 1 })[0].task.id).toBe('a');
+        expect(index.remove('a')).toBe(true);
+        expect(index.size).toBe(0);
+    });
+});
@@ -3,13 +3,88 @@
  * 
  * This is a minimal static file server that serves HTML, CSS, and JavaScript files.
  * Students will build upon this foundation throughout the 5-day course.
+ * 
+ * It also exposes the task REST API under /api/tasks (see task-api.js),
+ * iCalendar export/import and feeds under /api/calendar (see calendar-api.js),
+ * the users' saved views under /api/views (see saved-views-api.js), team
+ * workspaces under /api/workspaces (see workspace-api.js) and live task
+ * changes as Server-Sent Events under /api/events (see events-api.js).
  */
 
 const express = require('express');
 const path = require('path');
+const { TaskRepository } = require('./task-repository');
+const UserRepository = require('./user-repository');
+const { createTaskRouter, jsonErrorHandler } = require('./task-api');
+const { createAuthRouter, createSessionMiddleware, requireAuth } = require('./auth-api');
+const { createCalendarRouter } = require('./calendar-api');
+const { createAuditRouter } = require('./audit-api');
+const { createSavedViewsRouter } = require('./saved-views-api');
+const { createWorkspaceRouter } = require('./workspace-api');
+const { createEventsRouter } = require('./events-api');
+const { TaskEventStream } = require('./task-event-stream');
+const { WorkspaceRepository } = require('./workspace-repository');
+const { SavedViews } = require('./saved-views');
+const { AuditLog } = require('./audit-log');
+const { FileStorageAdapter } = require('./file-storage-adapter');
+const { SessionManager } = require('./session-manager');
+const { RecurrenceEngine } = require('./recurrence-engine');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const RECURRENCE_TICK_MS = 60 * 60 * 1000;
+
+// Repositories shared by the API routes, persisted as JSON files in DATA_DIR
+const storage = new FileStorageAdapter(DATA_DIR);
+const taskRepository = new TaskRepository(storage);
+const userRepository = new UserRepository(storage);
+app.locals.storage = storage;
+app.locals.taskRepository = taskRepository;
+app.locals.userRepository = userRepository;
+
+// Every task and user change is recorded; AUDIT_MAX_ENTRIES / AUDIT_MAX_AGE_DAYS bound the log
+const auditLog = new AuditLog(storage, {
+    maxEntries: Number(process.env.AUDIT_MAX_ENTRIES) || undefined,
+    maxAgeDays: Number(process.env.AUDIT_MAX_AGE_DAYS) || undefined
+});
+taskRepository.setAuditLog(auditLog);
+userRepository.setAuditLog(auditLog);
+app.locals.auditLog = auditLog;
+
+// Teams sharing tasks; workspace roles count in every task permission check
+const workspaceRepository = new WorkspaceRepository(storage);
+taskRepository.setWorkspaceRepository(workspaceRepository);
+app.locals.workspaceRepository = workspaceRepository;
+
+// Task changes pushed to open browsers; the buffer lets reconnecting clients catch up
+const taskEventStream = new TaskEventStream(taskRepository, {
+    bufferSize: Number(process.env.EVENT_BUFFER_SIZE) || undefined
+});
+app.locals.taskEventStream = taskEventStream;
+
+// Named filters kept in user preferences, shareable between teammates
+const savedViews = new SavedViews(userRepository);
+app.locals.savedViews = savedViews;
+
+// Completing a recurring task creates its next occurrence
+const recurrenceEngine = new RecurrenceEngine(taskRepository).start();
+app.locals.recurrenceEngine = recurrenceEngine;
+
+// Sessions live in memory and end on restart; SESSION_SECRET pins the token signing key
+const sessionManager = new SessionManager({ secret: process.env.SESSION_SECRET });
+app.locals.sessionManager = sessionManager;
+
+// JSON API - registered before the catch-all so it is never shadowed by index.html
+app.use('/api', createSessionMiddleware({ sessionManager, userRepository }));
+app.use('/api/auth', createAuthRouter({ userRepository, sessionManager }));
+app.use('/api/tasks', requireAuth, createTaskRouter(taskRepository));
+app.use('/api/calendar', createCalendarRouter({ taskRepository, userRepository }));
+app.use('/api/audit', requireAuth, createAuditRouter({ auditLog }));
+app.use('/api/views', createSavedViewsRouter({ savedViews, taskRepository }));
+app.use('/api/workspaces', createWorkspaceRouter({ workspaceRepository, userRepository }));
+app.use('/api/events', requireAuth, createEventsRouter({ eventStream: taskEventStream, taskRepository, sessionManager, userRepository }));
+app.use('/api', jsonErrorHandler('API'));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
@@ -22,18 +97,43 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`🚀 Development server running at http://localhost:${PORT}`);
-    console.log(`📁 Serving files from: ${path.join(__dirname, 'public')}`);
-    console.log(`\n📖 Ready for development!`);
-    console.log(`\n🛑 Press Ctrl+C to stop the server`);
-});
+// Start the server (only when run directly, so tests can require the app)
+if (require.main === module) {
+    Promise.all([
+        taskRepository.loadFromStorage(),
+        workspaceRepository.loadFromStorage(),
+        auditLog.loadFromStorage()
+    ])
+        .catch(error => {
+            console.error('Failed to load stored data:', error.message);
+        })
+        .then(() => {
+            // Scheduled tick for recurring tasks that are due but were never completed
+            setInterval(() => {
+                recurrenceEngine.tick().catch(error => {
+                    console.error('Recurrence tick failed:', error.message);
+                });
+            }, RECURRENCE_TICK_MS).unref();
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n👋 Shutting down server...');
-    process.exit(0);
-});
+            app.listen(PORT, () => {
+                console.log(`🚀 Development server running at http://localhost:${PORT}`);
+                console.log(`📁 Serving files from: ${path.join(__dirname, 'public')}`);
+                console.log(`💾 Storing data in: ${DATA_DIR}`);
+                console.log(`🔌 Task API available at http://localhost:${PORT}/api/tasks`);
+                console.log(`📅 Calendar feeds available at http://localhost:${PORT}/api/calendar`);
+                console.log(`\n📖 Ready for development!`);
+                console.log(`\n🛑 Press Ctrl+C to stop the server`);
+            });
+        });
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n👋 Shutting down server...');
+        // The audit log saves in batches; write what is still pending
+        auditLog.flush()
+            .catch(error => console.error('Failed to save audit log:', error.message))
+            .finally(() => process.exit(0));
+    });
+}
 
 module.exports = app;
\ No newline at end of file
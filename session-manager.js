@@ -0,0 +1,189 @@
+/**
+ * Session Manager - server-side login sessions
+ *
+ * Tokens are opaque to clients: `<session id>.<HMAC signature>`. The signature
+ * lets us reject forged tokens before touching the session store; the store
+ * itself holds expiry, idle timeout and the owning user id.
+ *
+ * A session ends when any of these happens:
+ * - its absolute lifetime (ttl) runs out
+ * - it is not used for longer than idleTimeout
+ * - it is revoked (logout, password change, admin action)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 8 * 60 * 60 * 1000; // 8 hours
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+class SessionManager {
+    /**
+     * @param {object} options
+     * @param {string} options.secret - HMAC secret (random per process when omitted)
+     * @param {number} options.ttl - Absolute session lifetime in ms
+     * @param {number} options.idleTimeout - Max time between requests in ms
+     * @param {function} options.now - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+        this.now = options.now || (() => Date.now());
+
+        this.sessions = new Map();
+        this.revoked = new Map(); // session id -> original expiry, kept until it would have expired anyway
+    }
+
+    /**
+     * Start a session for a user
+     * @param {User} user - Authenticated user
+     * @returns {object} - { token, expiresAt, session }
+     */
+    createSession(user) {
+        if (!user || !user.id) {
+            throw new Error('User is required to create a session');
+        }
+
+        const now = this.now();
+        const id = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            id,
+            userId: user.id,
+            createdAt: now,
+            lastSeenAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        this.sessions.set(id, session);
+        this.purgeExpired();
+
+        return {
+            token: `${id}.${this._sign(id)}`,
+            expiresAt: new Date(session.expiresAt),
+            session: { ...session }
+        };
+    }
+
+    /**
+     * Resolve a token to its session, refreshing the idle timer
+     * @param {string} token - Token from createSession
+     * @param {object} options - { touch: false } to check the session without
+     *                           counting it as used (long-lived connections)
+     * @returns {object|null} - Session copy, or null when invalid/expired/revoked
+     */
+    resolve(token, options = {}) {
+        const id = this._verify(token);
+        if (!id || this.revoked.has(id)) {
+            return null;
+        }
+
+        const session = this.sessions.get(id);
+        if (!session) {
+            return null;
+        }
+
+        const now = this.now();
+        if (now >= session.expiresAt || now - session.lastSeenAt > this.idleTimeout) {
+            this.sessions.delete(id);
+            return null;
+        }
+
+        if (options.touch !== false) {
+            session.lastSeenAt = now;
+        }
+        return { ...session };
+    }
+
+    /**
+     * Revoke a single session
+     * @param {string} token - Token to revoke
+     * @returns {boolean} - Whether a live session was revoked
+     */
+    revoke(token) {
+        const id = this._verify(token);
+        if (!id) {
+            return false;
+        }
+        return this._revokeId(id);
+    }
+
+    /**
+     * Revoke every session belonging to a user
+     * @param {string} userId - User ID
+     * @returns {number} - Number of sessions revoked
+     */
+    revokeAllForUser(userId) {
+        let count = 0;
+        Array.from(this.sessions.values())
+            .filter(session => session.userId === userId)
+            .forEach(session => {
+                if (this._revokeId(session.id)) count++;
+            });
+        return count;
+    }
+
+    /**
+     * Drop expired sessions and revocation entries that no longer matter
+     */
+    purgeExpired() {
+        const now = this.now();
+        this.sessions.forEach((session, id) => {
+            if (now >= session.expiresAt || now - session.lastSeenAt > this.idleTimeout) {
+                this.sessions.delete(id);
+            }
+        });
+        this.revoked.forEach((expiresAt, id) => {
+            if (now >= expiresAt) {
+                this.revoked.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Check whether a session id has been revoked
+     * @param {string} token - Token to check
+     * @returns {boolean}
+     */
+    isRevoked(token) {
+        const id = this._verify(token);
+        return id !== null && this.revoked.has(id);
+    }
+
+    // Private helper methods
+
+    _revokeId(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return false;
+        }
+        this.sessions.delete(id);
+        this.revoked.set(id, session.expiresAt);
+        return true;
+    }
+
+    _sign(id) {
+        return crypto.createHmac('sha256', this.secret).update(id).digest('base64url');
+    }
+
+    _verify(token) {
+        if (typeof token !== 'string') {
+            return null;
+        }
+
+        const separator = token.lastIndexOf('.');
+        if (separator <= 0) {
+            return null;
+        }
+
+        const id = token.slice(0, separator);
+        const signature = Buffer.from(token.slice(separator + 1));
+        const expected = Buffer.from(this._sign(id));
+
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            return null;
+        }
+        return id;
+    }
+}
+
+module.exports = { SessionManager };
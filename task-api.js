@@ -0,0 +1,586 @@
+/**
+ * Task API - REST routes for Task management
+ *
+ * Exposes TaskRepository over JSON so scripts and other tools can work with
+ * tasks without going through the browser UI.
+ *
+ *   GET    /api/tasks              List tasks (supports getTasksByFilter options as query params)
+ *   GET    /api/tasks/:id          Get a single task
+ *   POST   /api/tasks              Create a task
+ *   PATCH  /api/tasks/:id          Update a task (PUT is accepted as an alias)
+ *   DELETE /api/tasks/:id          Delete a task
+ *   POST   /api/tasks/:id/toggle   Toggle task completion (?cascade=true also completes subtasks)
+ *   GET    /api/tasks/:id/subtasks Direct subtasks plus the rolled-up progress of the subtree
+ *   GET    /api/tasks/:id/dependencies          Prerequisites, dependents and blocked state
+ *   POST   /api/tasks/:id/dependencies          Add a prerequisite ({ taskId })
+ *   DELETE /api/tasks/:id/dependencies/:depId   Remove a prerequisite
+ *   GET    /api/tasks/plan         Topological order and critical path of the visible tasks
+ *   POST   /api/tasks/:id/status   Change status through the task's workflow ({ status, note })
+ *   GET    /api/tasks/:id/transitions  Allowed next statuses and the status history
+ *   GET    /api/tasks/:id/history  Audit trail of the task, newest first (when an audit log is set)
+ *   GET    /api/tasks/export.csv   CSV of the filtered tasks (?columns=title,dueDate,...)
+ *   POST   /api/tasks/import.csv   Import CSV ({ csv, mapping }); ?dryRun=true only previews
+ *
+ * DELETE accepts ?subtasks=reparent (default) or ?subtasks=cascade. Completing a
+ * task whose subtasks are still open answers 409 unless cascade is requested;
+ * completing a task blocked by incomplete prerequisites answers 409 unless
+ * ?force=true. Both flags are accepted by PATCH/PUT and toggle.
+ *
+ * ?search= takes the query syntax of search-index.js (tag:, priority:, due:<date,
+ * "phrases", -exclusions) and orders results by relevance unless sortBy is given;
+ * queries it cannot read answer 400.
+ *
+ * When a session middleware has set req.user, every route is checked with the
+ * same permission policy (permission-policy.js) the controller and repositories
+ * use, and new tasks are owned by the authenticated user.
+ *
+ * Tasks may belong to a workspace ({ workspaceId }, filter with ?workspaceId=;
+ * ?participantId= lists tasks a user owns or is assigned to). When the
+ * repository has workspaces set, workspace roles count in those checks and
+ * tasks of a workspace can only be assigned to its members.
+ */
+
+const express = require('express');
+const Task = require('./enhanced-task-model');
+const { TaskController } = require('./task-controller');
+const { PermissionError, PERMISSIONS, assertCan } = require('./permission-policy');
+const { RecurrenceRule } = require('./recurrence-engine');
+const { TaskCsv, CsvError } = require('./task-csv');
+const { TaskValidator } = require('./validation');
+const { TASK_SCHEMA } = require('./validation-schema');
+
+// Code of the domain errors in TASK_RULE_ERRORS -> HTTP status
+const TASK_RULE_STATUS = {
+    PARENT_NOT_FOUND: 400,
+    HIERARCHY_CYCLE: 400,
+    INCOMPLETE_SUBTASKS: 409,
+    DEPENDENCY_NOT_FOUND: 400,
+    DEPENDENCY_CYCLE: 400,
+    TASK_BLOCKED: 409,
+    TRANSITION_NOT_ALLOWED: 409,
+    GUARD_FAILED: 400,
+    INVALID_QUERY: 400,
+    INVALID_VIEW: 400,
+    VIEW_NOT_FOUND: 404,
+    VIEW_NAME_TAKEN: 409,
+    NOT_VIEW_OWNER: 403,
+    INVALID_WORKSPACE: 400,
+    INVALID_ROLE: 400,
+    WORKSPACE_NOT_FOUND: 404,
+    ALREADY_MEMBER: 409,
+    NOT_A_MEMBER: 400,
+    LAST_OWNER: 409,
+    VALIDATION_FAILED: 400
+};
+
+const TASK_RULE_ERRORS = [
+    'TaskHierarchyError', 'DependencyError', 'WorkflowError', 'SearchQueryError', 'SavedViewError', 'WorkspaceError',
+    'SchemaValidationError'
+];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a status property
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {function} handler - Async express handler
+ * @returns {function} - Express handler
+ */
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Create an error middleware that reports failures as JSON
+ * @param {string} label - Prefix for logged server errors
+ * @returns {function} - Express error middleware
+ */
+function jsonErrorHandler(label = 'API') {
+    // Express only treats four-argument middleware as an error handler
+    return (error, req, res, _next) => {
+        let status = error.status || (error.type === 'entity.parse.failed' ? 400 : 500);
+        if (error instanceof PermissionError) {
+            status = 403;
+        }
+        if (TASK_RULE_ERRORS.includes(error.name) && TASK_RULE_STATUS[error.code]) {
+            status = TASK_RULE_STATUS[error.code];
+        }
+        if (status >= 500) {
+            console.error(`${label} error:`, error);
+        }
+
+        const body = { error: error.message };
+        if (error.code && status < 500) {
+            body.code = error.code;
+        }
+        if (Array.isArray(error.subtasks)) {
+            body.subtasks = error.subtasks.map(subtask => subtask.id);
+        }
+        if (Array.isArray(error.blockers)) {
+            body.blockers = error.blockers.map(blocker => blocker.id);
+        }
+        if (Array.isArray(error.cycle)) {
+            body.cycle = error.cycle;
+        }
+        if (error.name === 'SchemaValidationError') {
+            body.errors = error.errors;
+        }
+        if (error.name === 'WorkflowError') {
+            body.from = error.from;
+            body.to = error.to;
+        }
+        res.status(status).json(body);
+    };
+}
+
+/**
+ * Parse a boolean query value ('true'/'false')
+ * @param {string} value - Raw query value
+ * @returns {boolean|undefined} - Parsed value or undefined when not provided
+ */
+function parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw httpError(400, `Invalid boolean value: ${value}`);
+}
+
+/**
+ * Parse a non-negative integer query value
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|undefined} - Parsed value or undefined when not provided
+ */
+function parseInteger(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw httpError(400, `${name} must be a non-negative integer`);
+    }
+    return number;
+}
+
+/**
+ * Parse a date query value (YYYY-MM-DD or a full ISO timestamp)
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|undefined} - Parsed date or undefined when not provided
+ */
+function parseDate(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        throw httpError(400, `${name} must be a valid date`);
+    }
+    return date;
+}
+
+/**
+ * Translate query string parameters into a getTasksByFilter filter
+ * @param {object} query - Express req.query
+ * @returns {object} - Filter object for TaskRepository.getTasksByFilter
+ */
+function parseTaskFilter(query = {}) {
+    const filter = {};
+
+    ['userId', 'assigneeId', 'participantId', 'workspaceId', 'status', 'priority', 'category', 'search', 'sortBy'].forEach(key => {
+        if (typeof query[key] === 'string' && query[key].trim() !== '') {
+            filter[key] = query[key].trim();
+        }
+    });
+
+    if (query.sortOrder) {
+        if (!['asc', 'desc'].includes(query.sortOrder)) {
+            throw httpError(400, 'sortOrder must be asc or desc');
+        }
+        filter.sortOrder = query.sortOrder;
+    }
+
+    if (query.tags) {
+        const rawTags = Array.isArray(query.tags) ? query.tags.join(',') : query.tags;
+        filter.tags = rawTags.split(',').map(tag => tag.trim()).filter(tag => tag);
+    }
+
+    const completed = parseBoolean(query.completed);
+    if (completed !== undefined) filter.completed = completed;
+
+    const overdue = parseBoolean(query.overdue);
+    if (overdue !== undefined) filter.overdue = overdue;
+
+    ['dueAfter', 'dueBefore'].forEach(key => {
+        const date = parseDate(query[key], key);
+        if (date !== undefined) filter[key] = date;
+    });
+
+    const limit = parseInteger(query.limit, 'limit');
+    if (limit !== undefined) filter.limit = limit;
+
+    const offset = parseInteger(query.offset, 'offset');
+    if (offset !== undefined) filter.offset = offset;
+
+    return filter;
+}
+
+/**
+ * Read the completion overrides accepted by update routes
+ * @param {object} query - Express req.query
+ * @returns {object} - Options for TaskRepository.update
+ */
+function parseUpdateOptions(query = {}) {
+    return {
+        cascadeCompletion: parseBoolean(query.cascade) === true,
+        force: parseBoolean(query.force) === true
+    };
+}
+
+/**
+ * Turn a recurrence rule (object or RRULE string) into its stored form
+ * @param {object|string} recurrence - Rule from a request body
+ * @returns {object|null}
+ */
+function serializeRecurrence(recurrence) {
+    try {
+        return recurrence ? RecurrenceRule.serialize(recurrence) : null;
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+}
+
+/**
+ * Build a Task from a request body
+ * @param {object} body - Request body
+ * @returns {Task} - New task instance
+ */
+function buildTask(body = {}) {
+    const recurrence = serializeRecurrence(body.recurrence);
+    // The same checks as the forms: lengths, no markup, known values
+    TASK_SCHEMA.assert({ ...body, recurrence });
+
+    try {
+        const task = new Task(body.title, body.description, body.userId, {
+            assignedTo: body.assignedTo,
+            priority: body.priority,
+            category: body.category,
+            dueDate: body.dueDate,
+            estimatedHours: body.estimatedHours,
+            actualHours: body.actualHours,
+            projectId: body.projectId,
+            workspaceId: body.workspaceId,
+            parentTaskId: body.parentTaskId,
+            recurrence
+        });
+
+        if (Array.isArray(body.tags)) {
+            body.tags.forEach(tag => task.addTag(tag));
+        }
+        if (Array.isArray(body.dependencies)) {
+            body.dependencies.forEach(taskId => task.addDependency(taskId));
+        }
+
+        return task;
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+}
+
+/**
+ * Create the /api/tasks router
+ * @param {TaskRepository} taskRepository - Repository backing the routes
+ * @returns {express.Router} - Configured router
+ */
+function createTaskRouter(taskRepository) {
+    if (!taskRepository) {
+        throw new Error('TaskRepository is required');
+    }
+
+    const router = express.Router();
+    router.use(express.json());
+
+    // Without an authenticated user (e.g. local scripts) no permission checks apply
+    const permissionsFor = req => (req.user ? TaskController.forUser(req.user, taskRepository.workspaceRepository) : null);
+
+    const loadTask = async (req, access = 'view') => {
+        const task = await taskRepository.findById(req.params.id);
+        const permissions = permissionsFor(req);
+
+        // Tasks the user may not see are reported as missing rather than forbidden
+        if (!task || (permissions && !permissions.canViewTask(task))) {
+            throw httpError(404, 'Task not found');
+        }
+        if (access === 'modify' && permissions && !permissions.canModifyTask(task)) {
+            throw httpError(403, 'Permission denied: Cannot modify this task');
+        }
+        if (access === 'delete' && permissions && !permissions.canDeleteTask(task)) {
+            throw httpError(403, 'Permission denied: Cannot delete this task');
+        }
+        return task;
+    };
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const filter = parseTaskFilter(req.query);
+        const { limit, offset, ...unpaged } = filter;
+        const permissions = permissionsFor(req);
+
+        let tasks = taskRepository.getTasksByFilter(unpaged);
+        if (permissions) {
+            tasks = tasks.filter(task => permissions.canViewTask(task));
+        }
+        const total = tasks.length;
+        if (limit !== undefined) {
+            tasks = tasks.slice(offset || 0, (offset || 0) + limit);
+        }
+
+        res.json({
+            tasks: tasks.map(task => task.toJSON()),
+            count: tasks.length,
+            total,
+            limit: limit !== undefined ? limit : null,
+            offset: offset || 0
+        });
+    }));
+
+    router.get('/plan', asyncHandler(async (req, res) => {
+        const permissions = permissionsFor(req);
+        let tasks = taskRepository.getAllTasks();
+        if (permissions) {
+            tasks = tasks.filter(task => permissions.canViewTask(task));
+        }
+
+        const graph = taskRepository.dependencyGraph;
+        const criticalPath = graph.getCriticalPath(tasks);
+        res.json({
+            order: graph.getTopologicalOrder(tasks).map(task => task.id),
+            criticalPath: {
+                tasks: criticalPath.tasks.map(task => task.id),
+                totalHours: criticalPath.totalHours
+            }
+        });
+    }));
+
+    router.get('/export.csv', asyncHandler(async (req, res) => {
+        const { columns, ...query } = req.query;
+        const { limit, offset, ...filter } = parseTaskFilter(query);
+        const permissions = permissionsFor(req);
+
+        let tasks = taskRepository.getTasksByFilter(filter);
+        if (permissions) {
+            tasks = tasks.filter(task => permissions.canViewTask(task));
+        }
+        if (limit !== undefined) {
+            tasks = tasks.slice(offset || 0, (offset || 0) + limit);
+        }
+
+        let csv;
+        try {
+            csv = TaskCsv.serialize(tasks, {
+                columns: columns ? String(columns).split(',').map(column => column.trim()).filter(Boolean) : undefined
+            });
+        } catch (error) {
+            throw error instanceof CsvError ? httpError(400, error.message) : error;
+        }
+        res.attachment('tasks.csv');
+        res.type('text/csv; charset=utf-8');
+        res.send(csv);
+    }));
+
+    router.post('/import.csv', asyncHandler(async (req, res) => {
+        const { csv, mapping, userId } = req.body || {};
+        if (typeof csv !== 'string') {
+            throw httpError(400, 'csv is required');
+        }
+        if (req.user) {
+            assertCan(req.user, PERMISSIONS.TASK_CREATE);
+        }
+        const owner = req.user ? req.user.id : userId;
+        if (!owner) {
+            throw httpError(400, 'userId is required');
+        }
+
+        const dryRun = parseBoolean(req.query.dryRun) === true;
+        let result;
+        try {
+            result = await TaskCsv.importTasks(taskRepository, csv, {
+                validator: new TaskValidator(),
+                userId: owner,
+                mapping: mapping || {},
+                dryRun,
+                actor: req.user || null
+            });
+        } catch (error) {
+            throw error instanceof CsvError ? httpError(400, error.message) : error;
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            dryRun,
+            mapping: result.mapping,
+            tasks: result.tasks.map(task => task.toJSON()),
+            errors: result.errors
+        });
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const task = await loadTask(req);
+        res.json(task.toJSON());
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const body = req.user ? { ...req.body, userId: req.user.id } : req.body;
+        const task = buildTask(body);
+        await taskRepository.create(task, req.user || null);
+        res.status(201).json(task.toJSON());
+    }));
+
+    const updateHandler = asyncHandler(async (req, res) => {
+        const existing = await loadTask(req, 'modify');
+        const updates = { ...(req.body || {}) };
+
+        if (updates.recurrence) {
+            updates.recurrence = serializeRecurrence(updates.recurrence);
+        }
+        TASK_SCHEMA.assert(updates, { partial: true, current: existing });
+
+        // Dry-run the update on a copy so invalid input never half-applies
+        try {
+            Task.fromJSON(existing.toJSON()).update(updates);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+
+        const task = await taskRepository.update(
+            req.params.id,
+            updates,
+            req.user || null,
+            parseUpdateOptions(req.query)
+        );
+        res.json(task.toJSON());
+    });
+    router.patch('/:id', updateHandler);
+    router.put('/:id', updateHandler);
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        await loadTask(req, 'delete');
+        const subtasks = req.query.subtasks || 'reparent';
+        if (!['reparent', 'cascade'].includes(subtasks)) {
+            throw httpError(400, 'subtasks must be reparent or cascade');
+        }
+        await taskRepository.deleteTask(req.params.id, req.user || null, { subtasks });
+        res.status(204).end();
+    }));
+
+    router.post('/:id/toggle', asyncHandler(async (req, res) => {
+        const task = await loadTask(req, 'modify');
+        const updated = await taskRepository.update(
+            task.id,
+            { completed: !task.completed },
+            req.user || null,
+            parseUpdateOptions(req.query)
+        );
+        res.json(updated.toJSON());
+    }));
+
+    router.get('/:id/subtasks', asyncHandler(async (req, res) => {
+        const task = await loadTask(req);
+        const permissions = permissionsFor(req);
+        let subtasks = taskRepository.getChildren(task.id);
+        if (permissions) {
+            subtasks = subtasks.filter(subtask => permissions.canViewTask(subtask));
+        }
+
+        res.json({
+            subtasks: subtasks.map(subtask => subtask.toJSON()),
+            rollup: taskRepository.getRollup(task.id)
+        });
+    }));
+
+    router.post('/:id/status', asyncHandler(async (req, res) => {
+        const task = await loadTask(req, 'modify');
+        const { status, note } = req.body || {};
+        if (typeof status !== 'string' || status.trim() === '') {
+            throw httpError(400, 'status is required');
+        }
+
+        const updated = await taskRepository.update(task.id, { status: status.trim() }, req.user || null, {
+            ...parseUpdateOptions(req.query),
+            note: typeof note === 'string' ? note : null
+        });
+        res.json(updated.toJSON());
+    }));
+
+    router.get('/:id/transitions', asyncHandler(async (req, res) => {
+        const task = await loadTask(req);
+        res.json({
+            status: task.status,
+            available: taskRepository.workflows.resolve(task).getAvailableTransitions(task.status),
+            history: task.statusHistory || []
+        });
+    }));
+
+    router.get('/:id/history', asyncHandler(async (req, res) => {
+        const task = await loadTask(req);
+        if (!taskRepository.auditLog) {
+            throw httpError(404, 'Audit log is not enabled');
+        }
+        res.json({ entries: taskRepository.auditLog.getEntityHistory('task', task.id) });
+    }));
+
+    router.get('/:id/dependencies', asyncHandler(async (req, res) => {
+        const task = await loadTask(req);
+        const graph = taskRepository.dependencyGraph;
+        const permissions = permissionsFor(req);
+        // Prerequisites the user may not see are listed by id only
+        const prerequisiteJSON = t => (!permissions || permissions.canViewTask(t) ? t.toJSON() : { id: t.id });
+
+        res.json({
+            prerequisites: graph.getPrerequisites(task.id).map(prerequisiteJSON),
+            dependents: graph.getDependents(task.id).map(t => t.id),
+            blocked: graph.isBlocked(task.id),
+            blockers: graph.getBlockingTasks(task.id).map(t => t.id)
+        });
+    }));
+
+    router.post('/:id/dependencies', asyncHandler(async (req, res) => {
+        const task = await loadTask(req, 'modify');
+        const dependencyId = req.body && req.body.taskId;
+        if (typeof dependencyId !== 'string' || dependencyId.trim() === '') {
+            throw httpError(400, 'taskId is required');
+        }
+
+        const updated = await taskRepository.dependencyGraph.addDependency(task.id, dependencyId.trim(), req.user || null);
+        res.status(201).json(updated.toJSON());
+    }));
+
+    router.delete('/:id/dependencies/:dependencyId', asyncHandler(async (req, res) => {
+        const task = await loadTask(req, 'modify');
+        const updated = await taskRepository.dependencyGraph.removeDependency(
+            task.id,
+            req.params.dependencyId,
+            req.user || null
+        );
+        res.json(updated.toJSON());
+    }));
+
+    // Error handler - every failure is reported as JSON
+    router.use(jsonErrorHandler('Task API'));
+
+    return router;
+}
+
+module.exports = {
+    createTaskRouter,
+    parseTaskFilter,
+    parseBoolean,
+    httpError,
+    asyncHandler,
+    jsonErrorHandler
+};
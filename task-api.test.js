@@ -0,0 +1,213 @@
+/**
+ * Task API Tests
+ * Exercises the /api/tasks routes against an in-memory TaskRepository
+ */
+
+const express = require('express');
+const { TaskRepository } = require('./task-repository');
+const { createTaskRouter, parseTaskFilter } = require('./task-api');
+const { TestDataFactory } = require('./test-utilities');
+
+describe('Task API', () => {
+    let repository;
+    let server;
+    let baseUrl;
+
+    const request = async (method, path, body) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    const createTask = (overrides = {}) => request('POST', '/api/tasks', {
+        title: 'API Task',
+        description: 'Created through the API',
+        userId: 'user123',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        repository = new TaskRepository();
+        const app = express();
+        app.use('/api/tasks', createTaskRouter(repository));
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    describe('Create and read', () => {
+        test('should create a task and return it', async () => {
+            const { status, body } = await createTask({ priority: 'high', tags: ['Backend'] });
+
+            expect(status).toBe(201);
+            expect(body.id).toMatch(/^task_/);
+            expect(body.priority).toBe('high');
+            expect(body.tags).toEqual(['backend']);
+            expect(repository.size).toBe(1);
+        });
+
+        test('should reject invalid task data with 400', async () => {
+            const { status, body } = await createTask({ title: '' });
+
+            expect(status).toBe(400);
+            expect(body).toMatchObject({
+                error: 'Title is required',
+                code: 'VALIDATION_FAILED',
+                errors: [{ path: 'title', code: 'REQUIRED', message: 'Title is required' }]
+            });
+        });
+
+        test('should reject markup in task text', async () => {
+            const created = await createTask({ title: '<img src=x onerror=alert(1)>' });
+            expect(created.status).toBe(400);
+            expect(created.body.errors[0]).toMatchObject({ path: 'title', code: 'HTML_NOT_ALLOWED' });
+
+            const task = await createTask();
+            const patched = await request('PATCH', `/api/tasks/${task.body.id}`, { description: '<script>alert(1)</script>' });
+            expect(patched.status).toBe(400);
+            expect(patched.body.errors[0].path).toBe('description');
+        });
+
+        test('should get a task by ID', async () => {
+            const created = await createTask();
+            const { status, body } = await request('GET', `/api/tasks/${created.body.id}`);
+
+            expect(status).toBe(200);
+            expect(body.title).toBe('API Task');
+        });
+
+        test('should return 404 for unknown tasks', async () => {
+            const { status, body } = await request('GET', '/api/tasks/task_missing');
+
+            expect(status).toBe(404);
+            expect(body.error).toBe('Task not found');
+        });
+    });
+
+    describe('Listing with filters', () => {
+        beforeEach(async () => {
+            await createTask({ title: 'Write docs', priority: 'low', category: 'docs', tags: ['writing'] });
+            await createTask({ title: 'Fix bug', priority: 'urgent', category: 'work', tags: ['backend'] });
+            await createTask({ title: 'Deploy', priority: 'high', category: 'work', tags: ['ops'] });
+        });
+
+        test('should list all tasks', async () => {
+            const { status, body } = await request('GET', '/api/tasks');
+
+            expect(status).toBe(200);
+            expect(body.count).toBe(3);
+            expect(body.total).toBe(3);
+        });
+
+        test('should filter by category and tags', async () => {
+            const byCategory = await request('GET', '/api/tasks?category=work');
+            const byTags = await request('GET', '/api/tasks?tags=ops,writing');
+
+            expect(byCategory.body.tasks.map(t => t.title).sort()).toEqual(['Deploy', 'Fix bug']);
+            expect(byTags.body.tasks.map(t => t.title).sort()).toEqual(['Deploy', 'Write docs']);
+        });
+
+        test('should search, sort and paginate', async () => {
+            const sorted = await request('GET', '/api/tasks?sortBy=priority&sortOrder=desc&limit=2&offset=0');
+
+            expect(sorted.body.tasks.map(t => t.title)).toEqual(['Fix bug', 'Deploy']);
+            expect(sorted.body.count).toBe(2);
+            expect(sorted.body.total).toBe(3);
+
+            const searched = await request('GET', '/api/tasks?search=docs');
+            expect(searched.body.tasks).toHaveLength(1);
+        });
+
+        test('should sort by title alphabetically', async () => {
+            const { body } = await request('GET', '/api/tasks?sortBy=title');
+
+            expect(body.tasks.map(t => t.title)).toEqual(['Deploy', 'Fix bug', 'Write docs']);
+        });
+
+        test('should reject malformed pagination', async () => {
+            const { status } = await request('GET', '/api/tasks?limit=-1');
+
+            expect(status).toBe(400);
+        });
+    });
+
+    describe('Update, toggle and delete', () => {
+        let taskId;
+
+        beforeEach(async () => {
+            const created = await createTask();
+            taskId = created.body.id;
+        });
+
+        test('should update fields through the model', async () => {
+            const dueDate = TestDataFactory.getFutureDate(3);
+            const { status, body } = await request('PATCH', `/api/tasks/${taskId}`, {
+                title: 'Renamed',
+                priority: 'urgent',
+                dueDate,
+                tags: ['one', 'Two']
+            });
+
+            expect(status).toBe(200);
+            expect(body.title).toBe('Renamed');
+            expect(body.priority).toBe('urgent');
+            expect(body.tags).toEqual(['one', 'two']);
+        });
+
+        test('should not apply partially invalid updates', async () => {
+            const { status } = await request('PATCH', `/api/tasks/${taskId}`, {
+                title: 'Should not stick',
+                priority: 'whenever'
+            });
+
+            expect(status).toBe(400);
+            expect(repository.getTask(taskId).title).toBe('API Task');
+        });
+
+        test('should toggle completion', async () => {
+            const first = await request('POST', `/api/tasks/${taskId}/toggle`);
+            expect(first.body.completed).toBe(true);
+            expect(first.body.status).toBe('completed');
+
+            const second = await request('POST', `/api/tasks/${taskId}/toggle`);
+            expect(second.body.completed).toBe(false);
+        });
+
+        test('should delete a task', async () => {
+            const { status } = await request('DELETE', `/api/tasks/${taskId}`);
+
+            expect(status).toBe(204);
+            expect(repository.hasTask(taskId)).toBe(false);
+        });
+    });
+
+    describe('parseTaskFilter', () => {
+        test('should convert query strings to filter values', () => {
+            const filter = parseTaskFilter({
+                completed: 'false',
+                tags: 'a, b',
+                limit: '10',
+                offset: '5',
+                status: 'pending'
+            });
+
+            expect(filter).toEqual({
+                completed: false,
+                tags: ['a', 'b'],
+                limit: 10,
+                offset: 5,
+                status: 'pending'
+            });
+        });
+    });
+});
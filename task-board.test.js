@@ -0,0 +1,121 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Task Board Tests
+ * Kanban columns, WIP limits, drag-and-drop status changes and the saved layout
+ */
+
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { TaskRepository } = require('./task-repository');
+const { TaskController } = require('./task-controller');
+const { TaskView } = require('./task-view');
+
+// jsdom has no DragEvent, so drops carry a minimal dataTransfer
+const dropOn = (element, taskId) => {
+    const event = new Event('drop', { bubbles: true, cancelable: true });
+    event.dataTransfer = { getData: () => taskId };
+    element.dispatchEvent(event);
+};
+
+describe('Task Board', () => {
+    let user;
+    let view;
+    let tasks;
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<div id="app"></div>';
+        user = new User('alice', 'alice@example.com', 'Alice');
+        user.updatePreferences({ taskLayout: 'board', wipLimits: { 'in-progress': 1 } });
+
+        tasks = ['Plan', 'Build', 'Test'].map(title => new Task(title, '', user.id));
+        tasks[1].setStatus('in-progress');
+        tasks[2].setStatus('in-progress');
+
+        view = new TaskView('app');
+        await view.initialize(user);
+        await view.displayTasks(tasks);
+    });
+
+    const column = status => document.querySelector(`.board-column[data-status="${status}"]`);
+
+    test('should render one column per status with counts', () => {
+        const statuses = Array.from(document.querySelectorAll('.board-column')).map(c => c.dataset.status);
+
+        expect(statuses).toEqual(['pending', 'in-progress', 'on-hold', 'completed', 'cancelled']);
+        expect(column('pending').querySelectorAll('.task-card')).toHaveLength(1);
+        expect(column('in-progress').querySelector('.board-column-count').textContent).toBe('2 / 1');
+        expect(document.getElementById('taskList').hidden).toBe(true);
+    });
+
+    test('should warn about columns over their WIP limit', () => {
+        expect(column('in-progress').classList.contains('over-limit')).toBe(true);
+        expect(column('in-progress').querySelector('.wip-warning')).not.toBeNull();
+        expect(column('pending').querySelector('.wip-warning')).toBeNull();
+    });
+
+    test('should request a status change when a card is dropped on a column', () => {
+        const events = [];
+        view.addListener((type, data) => events.push([type, data]));
+
+        dropOn(column('on-hold'), tasks[0].id);
+        dropOn(column('pending'), tasks[0].id);
+
+        expect(events).toEqual([['statusChangeRequested', { taskId: tasks[0].id, status: 'on-hold' }]]);
+    });
+
+    test('should switch back to the list', async () => {
+        const events = [];
+        view.addListener((type, data) => events.push([type, data]));
+
+        document.querySelector('.layout-btn[data-layout="list"]').click();
+        await Promise.resolve();
+
+        expect(document.getElementById('taskBoard').hidden).toBe(true);
+        expect(document.querySelectorAll('#taskList .task-item')).toHaveLength(3);
+        expect(events).toContainEqual(['layoutChangeRequested', { layout: 'list' }]);
+    });
+
+    describe('TaskController', () => {
+        let repository;
+        let saved;
+        let controller;
+
+        beforeEach(async () => {
+            repository = new TaskRepository();
+            for (const task of tasks) {
+                await repository.create(task);
+            }
+            saved = [];
+            const taskService = {
+                taskRepository: repository,
+                getTaskById: async id => repository.findById(id),
+                getTasksForUser: async userId => repository.findAll({ userId }),
+                getTaskStats: async userId => repository.getTaskStats(userId),
+                updateTask: async (id, updates, options) => repository.update(id, updates, null, options)
+            };
+            const userService = {
+                getUserById: async () => user,
+                updatePreferences: async (userId, preferences) => saved.push([userId, preferences])
+            };
+            controller = new TaskController(taskService, userService, view);
+            await controller.initialize(user);
+        });
+
+        test('should move a dropped card through the status update path', async () => {
+            await controller.handleTaskViewEvent('statusChangeRequested', { taskId: tasks[0].id, status: 'in-progress' });
+
+            expect(repository.getTask(tasks[0].id).status).toBe('in-progress');
+            expect(column('in-progress').querySelectorAll('.task-card')).toHaveLength(3);
+        });
+
+        test('should store the chosen layout in the user preferences', async () => {
+            await controller.handleTaskViewEvent('layoutChangeRequested', { layout: 'list' });
+
+            expect(user.preferences.taskLayout).toBe('list');
+            expect(saved).toEqual([[user.id, { taskLayout: 'list' }]]);
+        });
+    });
+});
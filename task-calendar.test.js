@@ -0,0 +1,92 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Task Calendar Tests
+ * Month/week layout by due date, overdue and recurring tasks, navigation and rescheduling
+ */
+
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { TaskView } = require('./task-view');
+const { RecurrenceEngine } = require('./recurrence-engine');
+
+// jsdom has no DragEvent, so drops carry a minimal dataTransfer
+const dropOn = (element, taskId) => {
+    const event = new Event('drop', { bubbles: true, cancelable: true });
+    event.dataTransfer = { getData: () => taskId };
+    element.dispatchEvent(event);
+};
+
+describe('Task Calendar', () => {
+    let user;
+    let view;
+    let review;
+    let standup;
+
+    const day = date => document.querySelector(`.calendar-day[data-date="${date}"]`);
+    const titles = date => Array.from(day(date).querySelectorAll('.calendar-task')).map(entry => entry.textContent.trim());
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<div id="app"></div>';
+        user = new User('alice', 'alice@example.com', 'Alice');
+        user.updatePreferences({ taskLayout: 'calendar' });
+
+        review = new Task('Review', '', user.id, { dueDate: '2024-02-10' });
+        standup = new Task('Standup', '', user.id, { dueDate: '2024-02-05', recurrence: 'FREQ=WEEKLY' });
+
+        view = new TaskView('app');
+        await view.initialize(user);
+        view.calendarDate = new Date(2024, 1, 15);
+        await view.displayTasks([review, standup, new Task('Someday', '', user.id)]);
+    });
+
+    test('should show whole weeks covering the month', () => {
+        const days = Array.from(document.querySelectorAll('.calendar-day')).map(cell => cell.dataset.date);
+
+        expect(days).toHaveLength(35);
+        expect(days[0]).toBe('2024-01-29');
+        expect(days[34]).toBe('2024-03-03');
+        expect(day('2024-01-31').classList.contains('outside-period')).toBe(true);
+        expect(document.getElementById('taskList').hidden).toBe(true);
+    });
+
+    test('should place tasks on their due date and mark overdue ones', () => {
+        expect(titles('2024-02-10')).toEqual(['Review']);
+        expect(day('2024-02-10').querySelector('.calendar-task').classList.contains('overdue')).toBe(true);
+    });
+
+    test('should show upcoming occurrences of recurring tasks', () => {
+        expect(titles('2024-02-05')).toEqual(['↻ Standup']);
+        ['2024-02-12', '2024-02-19', '2024-02-26'].forEach(date => {
+            const entry = day(date).querySelector('.calendar-occurrence');
+            expect(entry.textContent.trim()).toBe('↻ Standup');
+            expect(entry.getAttribute('draggable')).toBeNull();
+        });
+        expect(RecurrenceEngine.projectOccurrences(standup, '2024-02-20')).toHaveLength(2);
+    });
+
+    test('should navigate between months and weeks', () => {
+        document.querySelector('.calendar-nav[data-step="1"]').click();
+        expect(day('2024-03-31')).not.toBeNull();
+        expect(day('2024-02-10')).toBeNull();
+
+        document.querySelector('.calendar-mode-btn[data-mode="week"]').click();
+        const days = Array.from(document.querySelectorAll('.calendar-day')).map(cell => cell.dataset.date);
+        expect(days).toEqual(['2024-02-26', '2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02', '2024-03-03']);
+
+        document.querySelector('.calendar-nav[data-step="-1"]').click();
+        expect(titles('2024-02-19')).toEqual(['↻ Standup']);
+    });
+
+    test('should request a new due date when a task is dropped on another day', () => {
+        const events = [];
+        view.addListener((type, data) => events.push([type, data]));
+
+        dropOn(day('2024-02-10'), review.id);
+        dropOn(day('2024-02-14'), review.id);
+
+        expect(events).toEqual([['setDueDateRequested', { taskId: review.id, dueDate: '2024-02-14' }]]);
+    });
+});
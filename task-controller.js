@@ -13,6 +13,32 @@
  * - Error handling and user feedback
  */
 
+// Permission decisions come from the shared policy (global in the browser)
+const ControllerPolicy = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./permission-policy')
+    : window.PermissionPolicy;
+
+// Undo/redo stacks (global in the browser)
+const ControllerCommandHistory = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./command-history').CommandHistory
+    : window.CommandHistory;
+const ControllerCommandConflictError = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./command-history').CommandConflictError
+    : window.CommandConflictError;
+// Updates are checked against the full task schema (any priority, past due dates)
+const ControllerTaskValidator = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./validation').TaskValidator
+    : window.TaskValidator;
+const ControllerTaskSchema = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./validation-schema').TASK_SCHEMA
+    : window.ValidationSchema.TASK_SCHEMA;
+
+// Error code of a refused completion -> repository option that overrides it
+const COMPLETION_OVERRIDES = {
+    INCOMPLETE_SUBTASKS: 'cascadeCompletion',
+    TASK_BLOCKED: 'force'
+};
+
 /**
  * Base Controller
  * Provides common functionality for all controllers
@@ -96,6 +122,14 @@ class TaskController extends BaseController {
         this.taskView = taskView;
         this.currentUser = null;
         this.currentFilter = 'all';
+        this.currentFilterValue = null;
+        this.currentQuery = '';
+        this.savedViews = null;
+        this.activeView = null;
+        this.workspaceRepository = null;
+        this.history = new ControllerCommandHistory();
+        this.recordingDepth = 0;
+        this.validator = new ControllerTaskValidator(ControllerTaskSchema);
         
         // Set up service listeners
         if (this.taskService && typeof this.taskService.addListener === 'function') {
@@ -108,14 +142,31 @@ class TaskController extends BaseController {
         }
     }
     
+    /**
+     * Create a controller that only answers permission questions for an
+     * already authenticated user (used by the REST API, which has no view).
+     * @param {User} user - Authenticated user
+     * @param {WorkspaceRepository} workspaceRepository - Optional workspaces whose roles count too
+     * @returns {TaskController} - Controller bound to the user
+     */
+    static forUser(user, workspaceRepository = null) {
+        const controller = new TaskController(null, null, null);
+        controller.currentUser = user || null;
+        controller.workspaceRepository = workspaceRepository;
+        return controller;
+    }
+    
     /**
      * Initialize the controller
-     * @param {string} userId - Current user ID
+     * @param {string|User} userOrId - Current user ID, or the authenticated User itself
      */
-    async initialize(userId) {
+    async initialize(userOrId) {
         try {
-            // Load current user
-            this.currentUser = await this.userService.getUserById(userId);
+            // Load current user, unless the authenticated identity was handed to us
+            const userId = userOrId && typeof userOrId === 'object' ? userOrId.id : userOrId;
+            this.currentUser = userOrId && typeof userOrId === 'object'
+                ? userOrId
+                : await this.userService.getUserById(userId);
             if (!this.currentUser) {
                 throw new Error('User not found');
             }
@@ -125,6 +176,14 @@ class TaskController extends BaseController {
                 await this.taskView.initialize(this.currentUser);
             }
 
+            if (this.savedViews) {
+                await this.loadSavedViews();
+            }
+
+            if (this.workspaceRepository) {
+                this.loadWorkspaces();
+            }
+
             // Load and display tasks
             await this.refreshTasks();
 
@@ -142,12 +201,21 @@ class TaskController extends BaseController {
         try {
             this.validateParams(taskData, ['title']);
             
+            if (!ControllerPolicy.can(this.currentUser, ControllerPolicy.PERMISSIONS.TASK_CREATE)) {
+                throw new Error('Permission denied: Cannot create tasks');
+            }
+            
             // Ensure user is set
             taskData.userId = this.currentUser.id;
             taskData.assignedTo = taskData.assignedTo || this.currentUser.id;
             
+            // Tasks created while a team is shown belong to its workspace
+            if (!taskData.workspaceId && this.currentFilter === 'team') {
+                taskData.workspaceId = this.currentFilterValue;
+            }
+            
             // Create task through service
-            const task = await this.taskService.createTask(taskData);
+            const task = await this.recordCommand('Create task', () => this.taskService.createTask(taskData));
             
             // Update view if available
             if (this.taskView && typeof this.taskView.addTask === 'function') {
@@ -166,8 +234,9 @@ class TaskController extends BaseController {
      * Update an existing task
      * @param {string} taskId - Task ID
      * @param {object} updates - Updates to apply
+     * @param {object} options - Repository options (cascadeCompletion, force, note)
      */
-    async updateTask(taskId, updates) {
+    async updateTask(taskId, updates, options = {}) {
         try {
             this.validateParams({ taskId }, ['taskId']);
             
@@ -178,7 +247,36 @@ class TaskController extends BaseController {
             }
             
             // Update task through service
-            const updatedTask = await this.taskService.updateTask(taskId, updates);
+            // Status changes can be refused (open subtasks, incomplete prerequisites,
+            // a workflow note); each refusal is put to the user and retried
+            const wasCompleted = task.completed;
+            let updatedTask = null;
+            let attemptOptions = { user: this.currentUser, ...options };
+            await this.recordCommand('Update task', async () => {
+                while (!updatedTask) {
+                    try {
+                        this.assertValidUpdate(task, updates, attemptOptions);
+                        updatedTask = await this.taskService.updateTask(taskId, updates, attemptOptions);
+                    } catch (error) {
+                        const retryOptions = await this.resolveRefusedUpdate(task, error, attemptOptions);
+                        if (retryOptions === undefined) {
+                            throw error;
+                        }
+                        if (retryOptions === null) {
+                            return;
+                        }
+                        attemptOptions = retryOptions;
+                    }
+                }
+            });
+            if (!updatedTask) {
+                return null;
+            }
+            const spawnedOccurrence = updatedTask.completed && !wasCompleted && updatedTask.recurrence;
+            if ((attemptOptions.cascadeCompletion && !options.cascadeCompletion) || spawnedOccurrence) {
+                // Subtasks or the next occurrence changed as well, so redraw the whole list
+                await this.refreshTasks();
+            }
             
             // Update view if available
             if (this.taskView && typeof this.taskView.updateTask === 'function') {
@@ -196,14 +294,15 @@ class TaskController extends BaseController {
     /**
      * Delete a task
      * @param {string} taskId - Task ID
+     * @param {object} options - { subtasks: 'reparent' | 'cascade' }
      */
-    async deleteTask(taskId) {
+    async deleteTask(taskId, options = {}) {
         try {
             this.validateParams({ taskId }, ['taskId']);
             
             // Check permissions
             const task = await this.taskService.getTaskById(taskId);
-            if (!this.canModifyTask(task)) {
+            if (!this.canDeleteTask(task)) {
                 throw new Error('Permission denied: Cannot delete this task');
             }
             
@@ -218,7 +317,8 @@ class TaskController extends BaseController {
             }
             
             // Delete task through service
-            const success = await this.taskService.deleteTask(taskId);
+            const hadSubtasks = this.hasSubtasks(task);
+            const success = await this.recordCommand('Delete task', () => this.taskService.deleteTask(taskId, options));
             
             if (success) {
                 // Update view if available
@@ -226,6 +326,9 @@ class TaskController extends BaseController {
                     await this.taskView.removeTask(taskId);
                     await this.updateTaskStats();
                 }
+                if (this.taskView && hadSubtasks) {
+                    await this.refreshTasks();
+                }
                 
                 this.notifyListeners('taskDeleted', { taskId, task });
             }
@@ -236,6 +339,226 @@ class TaskController extends BaseController {
         }
     }
     
+    /**
+     * Ask the user how to proceed with an update the repository refused
+     * @param {Task} task - Task being updated
+     * @param {Error} error - Refusal from the repository
+     * @param {object} options - Options of the refused attempt
+     * @returns {Promise<object|null|undefined>} - Options to retry with, null when
+     *   the user cancelled, undefined when the error cannot be resolved here
+     */
+    async resolveRefusedUpdate(task, error, options) {
+        const view = this.taskView;
+        const override = COMPLETION_OVERRIDES[error.code];
+
+        if (override && !options[override]) {
+            let confirmed = false;
+            if (error.code === 'INCOMPLETE_SUBTASKS' && view && typeof view.confirmCascadeCompletion === 'function') {
+                confirmed = await view.confirmCascadeCompletion(task, error.subtasks || []);
+            } else if (error.code === 'TASK_BLOCKED' && view && typeof view.confirmForceCompletion === 'function') {
+                confirmed = await view.confirmForceCompletion(task, error.blockers || []);
+            }
+            return confirmed ? { ...options, [override]: true } : null;
+        }
+
+        if (error.code === 'GUARD_FAILED' && error.guard === 'requireNote' && !options.note &&
+            view && typeof view.promptTransitionNote === 'function') {
+            const note = await view.promptTransitionNote(task, error.to);
+            return note ? { ...options, note } : null;
+        }
+
+        return undefined;
+    }
+    
+    /**
+     * Check an update before it is sent on: the fields themselves, and a
+     * status change against the workflow of the task's project or category
+     * @param {Task} task - Task before the update
+     * @param {object} updates - Updates to apply
+     * @param {object} options - Update options ({ note })
+     * @throws {Error} - Field errors, or the workflow's refusal (see resolveRefusedUpdate)
+     */
+    assertValidUpdate(task, updates, options = {}) {
+        const repository = this.taskService.taskRepository;
+        const validation = this.validator.validateTaskUpdate(updates, {
+            task,
+            workflows: repository && repository.workflows ? repository.workflows : undefined,
+            user: this.currentUser,
+            note: options.note
+        });
+        if (validation.isValid) {
+            return;
+        }
+        
+        const fieldErrors = validation.details.filter(error => error.path !== 'status');
+        if (fieldErrors.length === 0 && validation.fieldResults.status.error) {
+            throw validation.fieldResults.status.error;
+        }
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+    
+    /**
+     * Move a task to another status through its workflow
+     * @param {string} taskId - Task ID
+     * @param {string} status - Target status
+     * @param {string} note - Optional note stored with the transition
+     */
+    async changeTaskStatus(taskId, status, note = null) {
+        try {
+            this.validateParams({ taskId, status }, ['taskId', 'status']);
+            
+            return await this.recordCommand('Change status', () => this.updateTask(taskId, { status }, note ? { note } : {}));
+        } catch (error) {
+            this.handleError(error, 'changeTaskStatus');
+        }
+    }
+    
+    /**
+     * Statuses the task's workflow allows next
+     * @param {string} taskId - Task ID
+     * @returns {Promise<string[]>}
+     */
+    async getAvailableTransitions(taskId) {
+        const task = await this.taskService.getTaskById(taskId);
+        const repository = this.taskService.taskRepository;
+        if (!task || !repository || !repository.workflows) {
+            return [];
+        }
+        return repository.workflows.resolve(task).getAvailableTransitions(task.status);
+    }
+    
+    /**
+     * Every status change of a task, oldest first
+     * @param {string} taskId - Task ID
+     * @returns {Promise<object[]>} - { from, to, changedBy, note, changedAt }
+     */
+    async getStatusHistory(taskId) {
+        const task = await this.taskService.getTaskById(taskId);
+        if (!task || !this.canViewTask(task)) {
+            return [];
+        }
+        return task.statusHistory || [];
+    }
+    
+    /**
+     * Run a mutation and record it on the current user's undo stack.
+     * Nested operations (toggleTaskCompletion -> updateTask) are recorded once,
+     * under the label of the outermost one.
+     * @param {string} label - Shown to the user, e.g. "Delete task"
+     * @param {function} operation - Async mutation
+     * @returns {Promise<any>} - Result of the operation
+     */
+    async recordCommand(label, operation) {
+        const repository = this.taskService && this.taskService.taskRepository;
+        if (this.recordingDepth > 0 || !this.currentUser || !repository ||
+            typeof repository.applyChanges !== 'function') {
+            return operation();
+        }
+
+        const before = ControllerCommandHistory.snapshot(repository.getAllTasks());
+        this.recordingDepth++;
+        try {
+            const result = await operation();
+            const changes = ControllerCommandHistory.diff(
+                before,
+                ControllerCommandHistory.snapshot(repository.getAllTasks())
+            );
+            if (changes.length > 0) {
+                this.history.record(this.currentUser.id, { label, changes });
+            }
+            return result;
+        } finally {
+            this.recordingDepth--;
+        }
+    }
+    
+    /**
+     * Revert the current user's latest operation
+     * @returns {Promise<object|null>} - Undone command, or null when there was none
+     */
+    async undo() {
+        try {
+            return await this.replayCommand('undo');
+        } catch (error) {
+            this.handleError(error, 'undo');
+        }
+    }
+    
+    /**
+     * Apply the current user's latest undone operation again
+     * @returns {Promise<object|null>} - Redone command, or null when there was none
+     */
+    async redo() {
+        try {
+            return await this.replayCommand('redo');
+        } catch (error) {
+            this.handleError(error, 'redo');
+        }
+    }
+    
+    /**
+     * Replay a recorded command. Refused (and dropped from the history) when
+     * one of its tasks was changed since, so nobody's later edits are lost.
+     * @param {string} direction - 'undo' (states before) or 'redo' (states after)
+     */
+    async replayCommand(direction) {
+        if (!this.currentUser) {
+            throw new Error('User not initialized');
+        }
+
+        const userId = this.currentUser.id;
+        const command = direction === 'undo' ? this.history.popUndo(userId) : this.history.popRedo(userId);
+        if (!command) {
+            return null;
+        }
+
+        const repository = this.taskService.taskRepository;
+        const changes = ControllerCommandHistory.replayChanges(command, direction);
+        try {
+            const conflicts = ControllerCommandHistory.findConflicts(changes, id => repository.getTask(id));
+            if (conflicts.length > 0) {
+                throw new ControllerCommandConflictError(
+                    `Cannot ${direction} "${command.label}": ${conflicts.length} task(s) changed since`,
+                    'TASK_CHANGED',
+                    { taskIds: conflicts }
+                );
+            }
+            await repository.applyChanges(changes, this.currentUser);
+        } catch (error) {
+            this.history.discard(userId, command);
+            throw error;
+        }
+
+        if (this.taskView) {
+            await this.refreshTasks();
+            if (typeof this.taskView.showInfo === 'function') {
+                this.taskView.showInfo(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${command.label}`);
+            }
+        }
+
+        this.notifyListeners(direction === 'undo' ? 'commandUndone' : 'commandRedone', command);
+        return command;
+    }
+    
+    canUndo() {
+        return Boolean(this.currentUser) && this.history.canUndo(this.currentUser.id);
+    }
+    
+    canRedo() {
+        return Boolean(this.currentUser) && this.history.canRedo(this.currentUser.id);
+    }
+    
+    /**
+     * Whether any loaded task has the given task as parent
+     * @param {Task} task - Task to check
+     * @returns {boolean}
+     */
+    hasSubtasks(task) {
+        const repository = this.taskService && this.taskService.taskRepository;
+        return Boolean(task && repository && typeof repository.getChildren === 'function' &&
+            repository.getChildren(task.id).length > 0);
+    }
+    
     /**
      * Toggle task completion status
      * @param {string} taskId - Task ID
@@ -248,7 +571,10 @@ class TaskController extends BaseController {
             }
             
             const updates = { completed: !task.completed };
-            return await this.updateTask(taskId, updates);
+            return await this.recordCommand(
+                updates.completed ? 'Complete task' : 'Reopen task',
+                () => this.updateTask(taskId, updates)
+            );
         } catch (error) {
             this.handleError(error, 'toggleTaskCompletion');
         }
@@ -263,13 +589,17 @@ class TaskController extends BaseController {
         try {
             this.validateParams({ taskId, userId }, ['taskId', 'userId']);
             
+            if (!ControllerPolicy.can(this.currentUser, ControllerPolicy.PERMISSIONS.TASK_ASSIGN)) {
+                throw new Error('Permission denied: Cannot assign tasks');
+            }
+            
             // Validate assignee exists
             const assignee = await this.userService.getUserById(userId);
             if (!assignee) {
                 throw new Error('Assignee not found');
             }
             
-            return await this.updateTask(taskId, { assignedTo: userId });
+            return await this.recordCommand('Assign task', () => this.updateTask(taskId, { assignedTo: userId }));
         } catch (error) {
             this.handleError(error, 'assignTask');
         }
@@ -283,6 +613,8 @@ class TaskController extends BaseController {
     async filterTasks(filterType, filterValue = null) {
         try {
             this.currentFilter = filterType;
+            this.currentFilterValue = filterValue;
+            this.currentQuery = '';
             
             let tasks;
             switch (filterType) {
@@ -307,6 +639,15 @@ class TaskController extends BaseController {
                 case 'assigned':
                     tasks = await this.taskService.getTasksAssignedToUser(this.currentUser.id);
                     break;
+                case 'mine':
+                    tasks = await this.taskService.getTasksByFilter({ participantId: this.currentUser.id });
+                    break;
+                case 'team':
+                    tasks = await this.getTeamTasks(filterValue);
+                    break;
+                case 'view':
+                    tasks = await this.getViewTasks(filterValue);
+                    break;
                 default:
                     throw new Error(`Unknown filter type: ${filterType}`);
             }
@@ -334,6 +675,7 @@ class TaskController extends BaseController {
             }
             
             const tasks = await this.taskService.searchTasks(this.currentUser.id, query.trim());
+            this.currentQuery = query.trim();
             
             // Display tasks in view if available
             if (this.taskView && typeof this.taskView.displayTasks === 'function') {
@@ -352,7 +694,7 @@ class TaskController extends BaseController {
      */
     async refreshTasks() {
         try {
-            await this.filterTasks(this.currentFilter);
+            await this.filterTasks(this.currentFilter, this.currentFilterValue);
             await this.updateTaskStats();
         } catch (error) {
             this.handleError(error, 'refreshTasks');
@@ -389,6 +731,33 @@ class TaskController extends BaseController {
         }
     }
     
+    /**
+     * Show the audit trail of a task
+     * @param {string} taskId - Task ID
+     * @returns {Promise<object[]>} - Audit entries, newest first
+     */
+    async showTaskHistory(taskId) {
+        try {
+            const task = await this.taskService.getTaskById(taskId);
+            if (!task) {
+                throw new Error('Task not found');
+            }
+
+            const auditLog = this.taskService.taskRepository && this.taskService.taskRepository.auditLog;
+            if (!auditLog) {
+                throw new Error('Task history is not available');
+            }
+
+            const entries = auditLog.getEntityHistory('task', taskId);
+            if (this.taskView && typeof this.taskView.showTaskHistory === 'function') {
+                this.taskView.showTaskHistory(task, entries);
+            }
+            return entries;
+        } catch (error) {
+            this.handleError(error, 'showTaskHistory');
+        }
+    }
+    
     /**
      * Get all tasks for current user
      */
@@ -419,7 +788,10 @@ class TaskController extends BaseController {
             }
             
             const currentHours = task.actualHours || 0;
-            return await this.updateTask(taskId, { actualHours: currentHours + hours });
+            return await this.recordCommand(
+                'Add time',
+                () => this.updateTask(taskId, { actualHours: currentHours + hours })
+            );
         } catch (error) {
             this.handleError(error, 'addTimeSpent');
         }
@@ -434,7 +806,7 @@ class TaskController extends BaseController {
         try {
             this.validateParams({ taskId }, ['taskId']);
             
-            return await this.updateTask(taskId, { dueDate });
+            return await this.recordCommand('Set due date', () => this.updateTask(taskId, { dueDate }));
         } catch (error) {
             this.handleError(error, 'setDueDate');
         }
@@ -457,7 +829,7 @@ class TaskController extends BaseController {
             const currentTags = task.tags || [];
             if (!currentTags.includes(tag.toLowerCase())) {
                 currentTags.push(tag.toLowerCase());
-                return await this.updateTask(taskId, { tags: currentTags });
+                return await this.recordCommand('Add tag', () => this.updateTask(taskId, { tags: currentTags }));
             }
             
             return task;
@@ -483,7 +855,7 @@ class TaskController extends BaseController {
             const currentTags = task.tags || [];
             const updatedTags = currentTags.filter(t => t !== tag.toLowerCase());
             
-            return await this.updateTask(taskId, { tags: updatedTags });
+            return await this.recordCommand('Remove tag', () => this.updateTask(taskId, { tags: updatedTags }));
         } catch (error) {
             this.handleError(error, 'removeTaskTag');
         }
@@ -530,6 +902,9 @@ class TaskController extends BaseController {
                 case 'toggleCompletionRequested':
                     await this.toggleTaskCompletion(data.taskId);
                     break;
+                case 'statusChangeRequested':
+                    await this.changeTaskStatus(data.taskId, data.status, data.note);
+                    break;
                 case 'assignTaskRequested':
                     await this.assignTask(data.taskId, data.userId);
                     break;
@@ -554,12 +929,267 @@ class TaskController extends BaseController {
                 case 'removeTagRequested':
                     await this.removeTaskTag(data.taskId, data.tag);
                     break;
+                case 'layoutChangeRequested':
+                    await this.updatePreferences({ taskLayout: data.layout });
+                    break;
+                case 'undoRequested':
+                    await this.undo();
+                    break;
+                case 'redoRequested':
+                    await this.redo();
+                    break;
+                case 'historyRequested':
+                    await this.showTaskHistory(data.taskId);
+                    break;
+                case 'saveViewRequested':
+                    await this.saveCurrentView(data.name);
+                    break;
+                case 'applyViewRequested':
+                    await this.filterTasks('view', data.viewId);
+                    break;
+                case 'pinViewRequested':
+                    await this.setViewPinned(data.viewId, data.pinned);
+                    break;
+                case 'shareViewRequested':
+                    await this.shareView(data.viewId, data.usernames);
+                    break;
+                case 'deleteViewRequested':
+                    await this.deleteView(data.viewId);
+                    break;
             }
         } catch (error) {
             this.handleError(error, `handleTaskViewEvent:${eventType}`);
         }
     }
     
+    /**
+     * Scope tasks to workspaces (see workspace-repository.js); adds the
+     * "team tasks" filter and lets workspace roles count in permission checks
+     * @param {WorkspaceRepository} workspaceRepository - Workspaces
+     */
+    setWorkspaceRepository(workspaceRepository) {
+        this.workspaceRepository = workspaceRepository;
+    }
+    
+    /**
+     * Show the current user's workspaces as "team tasks" filters
+     * @returns {Workspace[]} - Workspaces the user belongs to
+     */
+    loadWorkspaces() {
+        if (!this.workspaceRepository || !this.currentUser) {
+            return [];
+        }
+        
+        const workspaces = this.workspaceRepository.findForUser(this.currentUser.id);
+        if (this.taskView && typeof this.taskView.displayWorkspaces === 'function') {
+            const activeWorkspaceId = this.currentFilter === 'team' ? this.currentFilterValue : null;
+            this.taskView.displayWorkspaces(workspaces, activeWorkspaceId);
+        }
+        return workspaces;
+    }
+    
+    /**
+     * Tasks of a workspace the current user belongs to
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<Task[]>}
+     */
+    async getTeamTasks(workspaceId) {
+        if (!this.workspaceRepository) {
+            throw new Error('Workspaces are not available');
+        }
+        this.workspaceRepository.assertMember(workspaceId, this.currentUser.id);
+        
+        const tasks = await this.taskService.getTasksByFilter({ workspaceId });
+        this.loadWorkspaces();
+        return tasks.filter(task => this.canViewTask(task));
+    }
+    
+    /**
+     * Use saved views (see saved-views.js)
+     * @param {SavedViews} savedViews - Saved views service
+     */
+    setSavedViews(savedViews) {
+        this.savedViews = savedViews;
+    }
+    
+    _requireSavedViews() {
+        if (!this.savedViews) {
+            throw new Error('Saved views are not available');
+        }
+        if (!this.currentUser) {
+            throw new Error('User not initialized');
+        }
+        return this.savedViews;
+    }
+    
+    /**
+     * Load the current user's views and show them in the filter bar
+     * @returns {Promise<object[]>} - Own and shared views
+     */
+    async loadSavedViews() {
+        try {
+            const views = await this._requireSavedViews().listViews(this.currentUser);
+            if (this.taskView && typeof this.taskView.displaySavedViews === 'function') {
+                const activeViewId = this.currentFilter === 'view' ? this.currentFilterValue : null;
+                this.taskView.displaySavedViews(views, activeViewId);
+            }
+            return views;
+        } catch (error) {
+            this.handleError(error, 'loadSavedViews');
+        }
+    }
+    
+    /**
+     * Tasks of a saved view the current user may see
+     * @param {string} viewId - View ID
+     * @returns {Promise<Task[]>}
+     */
+    async getViewTasks(viewId) {
+        const savedViews = this._requireSavedViews();
+        const view = await savedViews.getView(this.currentUser, viewId);
+        this.activeView = view;
+        const tasks = await this.taskService.getTasksByFilter(savedViews.toTaskFilter(view));
+        
+        if (this.taskView && typeof this.taskView.displaySavedViews === 'function') {
+            this.taskView.displaySavedViews(await savedViews.listViews(this.currentUser), viewId);
+        }
+        return tasks.filter(task => this.canViewTask(task));
+    }
+    
+    /**
+     * getTasksByFilter filter equivalent to what is currently shown, including
+     * whose tasks (userId, assigneeId or participantId), so a saved view keeps
+     * showing the same tasks instead of every task its user may see
+     * @returns {object}
+     */
+    describeCurrentFilter() {
+        const userId = this.currentUser.id;
+        if (this.currentQuery) {
+            return { userId, search: this.currentQuery };
+        }
+        
+        const filters = {
+            all: () => ({ userId }),
+            pending: () => ({ userId, completed: false }),
+            completed: () => ({ userId, completed: true }),
+            overdue: () => ({ overdue: true }),
+            priority: () => ({ userId, priority: this.currentFilterValue }),
+            category: () => ({ userId, category: this.currentFilterValue }),
+            assigned: () => ({ assigneeId: userId }),
+            mine: () => ({ participantId: userId }),
+            team: () => ({ workspaceId: this.currentFilterValue }),
+            view: () => (this.activeView ? { ...this.activeView.filter } : {})
+        };
+        return filters[this.currentFilter] ? filters[this.currentFilter]() : {};
+    }
+    
+    /**
+     * Save what is currently shown as a named, pinned view
+     * @param {string} name - View name
+     * @param {object} filter - Filter to save instead of the current one
+     * @returns {Promise<object>} - The new view
+     */
+    async saveCurrentView(name, filter = this.describeCurrentFilter()) {
+        try {
+            const view = await this._requireSavedViews().createView(this.currentUser, { name, filter, pinned: true });
+            this.currentFilter = 'view';
+            this.currentFilterValue = view.id;
+            await this.loadSavedViews();
+            
+            this.notifyListeners('viewSaved', view);
+            return view;
+        } catch (error) {
+            this.handleError(error, 'saveCurrentView');
+        }
+    }
+    
+    /**
+     * Pin a view to, or unpin it from, the filter bar
+     * @param {string} viewId - View ID
+     * @param {boolean} pinned - Whether the view should be pinned
+     * @returns {Promise<object>} - The view
+     */
+    async setViewPinned(viewId, pinned) {
+        try {
+            const view = await this._requireSavedViews().setPinned(this.currentUser, viewId, pinned);
+            await this.loadSavedViews();
+            return view;
+        } catch (error) {
+            this.handleError(error, 'setViewPinned');
+        }
+    }
+    
+    /**
+     * Share a view with teammates
+     * @param {string} viewId - View ID
+     * @param {string[]} usernames - Usernames to share with (replaces the current list)
+     * @returns {Promise<object>} - The view
+     */
+    async shareView(viewId, usernames) {
+        try {
+            const savedViews = this._requireSavedViews();
+            const users = await this.userService.getAllUsers();
+            const userIds = usernames.map(username => {
+                const user = users.find(candidate => candidate.username === username.toLowerCase());
+                if (!user) {
+                    throw new Error(`Unknown user: ${username}`);
+                }
+                return user.id;
+            });
+            
+            const view = await savedViews.shareView(this.currentUser, viewId, userIds);
+            await this.loadSavedViews();
+            
+            this.notifyListeners('viewShared', view);
+            return view;
+        } catch (error) {
+            this.handleError(error, 'shareView');
+        }
+    }
+    
+    /**
+     * Delete a view; showing it switches back to all tasks
+     * @param {string} viewId - View ID
+     * @returns {Promise<boolean>}
+     */
+    async deleteView(viewId) {
+        try {
+            await this._requireSavedViews().deleteView(this.currentUser, viewId);
+            if (this.currentFilter === 'view' && this.currentFilterValue === viewId) {
+                await this.filterTasks('all');
+            }
+            await this.loadSavedViews();
+            return true;
+        } catch (error) {
+            this.handleError(error, 'deleteView');
+        }
+    }
+    
+    /**
+     * Merge and store preferences of the current user (e.g. taskLayout)
+     * @param {object} preferences - Preferences to change
+     * @returns {Promise<object>} - All preferences after the change
+     */
+    async updatePreferences(preferences) {
+        try {
+            if (!this.currentUser) {
+                throw new Error('User not initialized');
+            }
+            
+            if (typeof this.currentUser.updatePreferences === 'function') {
+                this.currentUser.updatePreferences(preferences);
+            }
+            if (this.userService && typeof this.userService.updatePreferences === 'function') {
+                await this.userService.updatePreferences(this.currentUser.id, preferences);
+            }
+            
+            this.notifyListeners('preferencesUpdated', this.currentUser.preferences);
+            return this.currentUser.preferences;
+        } catch (error) {
+            this.handleError(error, 'updatePreferences');
+        }
+    }
+    
     /**
      * Check if current user can modify a task
      * @param {Task} task - Task to check
@@ -570,17 +1200,22 @@ class TaskController extends BaseController {
             return false;
         }
         
-        // User can modify if they own the task or are assigned to it
-        if (task.userId === this.currentUser.id || task.assignedTo === this.currentUser.id) {
-            return true;
-        }
-        
-        // Admins can modify any task
-        if (this.currentUser.isAdmin) {
-            return true;
+        // Owners and assignees may edit; roles with task:edit:any may edit everything
+        return this.can(ControllerPolicy.PERMISSIONS.TASK_EDIT, task);
+    }
+    
+    /**
+     * Check if current user can delete a task
+     * @param {Task} task - Task to check
+     * @returns {boolean} - Whether user can delete the task
+     */
+    canDeleteTask(task) {
+        if (!task || !this.currentUser) {
+            return false;
         }
         
-        return false;
+        // Only owners may delete; roles with task:delete:any may delete everything
+        return this.can(ControllerPolicy.PERMISSIONS.TASK_DELETE, task);
     }
     
     /**
@@ -593,17 +1228,20 @@ class TaskController extends BaseController {
             return false;
         }
         
-        // User can view if they own the task or are assigned to it
-        if (task.userId === this.currentUser.id || task.assignedTo === this.currentUser.id) {
-            return true;
-        }
-        
-        // Admins and moderators can view any task
-        if (this.currentUser.isAdmin || this.currentUser.canManageUsers) {
-            return true;
-        }
-        
-        return false;
+        // Owners and assignees may view; moderators and above may view everything
+        return this.can(ControllerPolicy.PERMISSIONS.TASK_VIEW, task);
+    }
+    
+    /**
+     * Check a permission for the current user; workspace roles count when workspaces are set
+     * @param {string} permission - Permission name
+     * @param {Task} task - Optional task the action targets
+     * @returns {boolean}
+     */
+    can(permission, task = null) {
+        return this.workspaceRepository
+            ? this.workspaceRepository.can(this.currentUser, permission, task)
+            : ControllerPolicy.can(this.currentUser, permission, task);
     }
     
     /**
@@ -616,10 +1254,10 @@ class TaskController extends BaseController {
     
     /**
      * Set current user
-     * @param {string} userId - User ID
+     * @param {string|User} userOrId - User ID, or the authenticated User from the session
      */
-    async setCurrentUser(userId) {
-        await this.initialize(userId);
+    async setCurrentUser(userOrId) {
+        await this.initialize(userOrId);
     }
     
     /**
@@ -0,0 +1,351 @@
+/**
+ * Task CSV - spreadsheet export and import of tasks
+ *
+ * Export writes any list of tasks (typically a TaskRepository.getTasksByFilter
+ * result) with a chosen set of columns. Tags are joined with commas, notes
+ * with line breaks, so each task stays on one row.
+ *
+ * Import maps CSV columns to task fields, either explicitly ({ 'Due': 'dueDate' })
+ * or by matching headers against field names and export labels. Every row is
+ * validated through TaskValidator; failing rows are reported with the line
+ * they start on and the others are kept. With dryRun nothing is stored, so
+ * the result can be shown as a preview before the real import calls addTasks.
+ */
+
+// Task model is a global in the browser
+const CsvTask = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./enhanced-task-model')
+    : window.Task;
+
+// Field -> header label, in export order
+const CSV_COLUMNS = {
+    id: 'ID',
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    priority: 'Priority',
+    category: 'Category',
+    dueDate: 'Due Date',
+    assignedTo: 'Assigned To',
+    userId: 'Owner',
+    estimatedHours: 'Estimated Hours',
+    actualHours: 'Actual Hours',
+    tags: 'Tags',
+    notes: 'Notes',
+    createdAt: 'Created At',
+    completedAt: 'Completed At'
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+    'id', 'title', 'description', 'status', 'priority', 'category', 'dueDate', 'assignedTo', 'tags', 'notes'
+];
+
+// Fields a CSV column may set; ids, owners and timestamps come from the import itself
+const IMPORT_FIELDS = [
+    'title', 'description', 'status', 'priority', 'category', 'dueDate',
+    'assignedTo', 'estimatedHours', 'actualHours', 'tags', 'notes'
+];
+
+// Leading characters spreadsheets treat as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Raised when the CSV as a whole cannot be imported (bad quoting, unknown or missing columns)
+ */
+class CsvError extends Error {
+    constructor(message, line = null) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'CsvError';
+        this.line = line;
+    }
+}
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function formatDate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    // Dates at UTC midnight are plain days (what a date input produces)
+    return date.toISOString().endsWith('T00:00:00.000Z')
+        ? date.toISOString().slice(0, 10)
+        : date.toISOString();
+}
+
+function formatCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo the formula guard added by formatCell
+function readCell(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+function parseHours(value, field) {
+    if (value === '') return null;
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0) {
+        throw new Error(`${field} must be a non-negative number`);
+    }
+    return hours;
+}
+
+class TaskCsv {
+    /**
+     * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+     * @param {string} text - CSV text
+     * @returns {{line: number, cells: string[]}[]} - Rows with the line each starts on
+     */
+    static parse(text) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endRow = () => {
+            cells.push(cell);
+            if (cells.length > 1 || cells[0] !== '') {
+                rows.push({ line: rowLine, cells });
+            }
+            cells = [];
+            cell = '';
+        };
+
+        const source = String(text).replace(/^\uFEFF/, '');
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new CsvError('Unterminated quoted field', rowLine);
+        }
+        endRow();
+        return rows;
+    }
+
+    /**
+     * Turn tasks into CSV text with a header row
+     * @param {Task[]} tasks - Tasks to export, e.g. from getTasksByFilter
+     * @param {object} options - { columns: field names (default DEFAULT_EXPORT_COLUMNS) }
+     * @returns {string} - CSV text (CRLF line endings)
+     */
+    static serialize(tasks, options = {}) {
+        const columns = options.columns || DEFAULT_EXPORT_COLUMNS;
+        const unknown = columns.filter(column => !CSV_COLUMNS[column]);
+        if (unknown.length > 0) {
+            throw new CsvError(`Unknown column: ${unknown.join(', ')}`);
+        }
+
+        const rows = [columns.map(column => CSV_COLUMNS[column])];
+        tasks.forEach(task => {
+            rows.push(columns.map(column => TaskCsv.getValue(task, column)));
+        });
+        return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Flattened value of one column for a task
+     * @param {Task} task - Task
+     * @param {string} column - Field name from CSV_COLUMNS
+     * @returns {string|number|null}
+     */
+    static getValue(task, column) {
+        switch (column) {
+        case 'dueDate':
+        case 'createdAt':
+        case 'completedAt':
+            return formatDate(task[column]);
+        case 'tags':
+            return (task.tags || []).join(', ');
+        case 'notes':
+            return (task.notes || []).map(note => note.content).join('\n');
+        default:
+            return task[column];
+        }
+    }
+
+    /**
+     * Work out which column feeds which task field
+     * @param {string[]} headers - Header row
+     * @param {object} mapping - Optional { header: field|null }; unlisted headers are matched automatically
+     * @returns {object} - { field: column index }
+     */
+    static resolveMapping(headers, mapping = {}) {
+        const byName = {};
+        IMPORT_FIELDS.forEach(field => {
+            byName[normalizeHeader(field)] = field;
+            byName[normalizeHeader(CSV_COLUMNS[field])] = field;
+        });
+
+        const columns = {};
+        headers.forEach((header, index) => {
+            const explicit = Object.prototype.hasOwnProperty.call(mapping, header);
+            const field = explicit ? mapping[header] : byName[normalizeHeader(header)];
+            if (!field) {
+                return;
+            }
+            if (!IMPORT_FIELDS.includes(field)) {
+                throw new CsvError(`Column "${header}" cannot be mapped to ${field}`);
+            }
+            if (columns[field] !== undefined) {
+                throw new CsvError(`More than one column is mapped to ${field}`);
+            }
+            columns[field] = index;
+        });
+
+        if (columns.title === undefined) {
+            throw new CsvError('No column is mapped to title');
+        }
+        return columns;
+    }
+
+    /**
+     * Build tasks from CSV rows without storing them
+     * @param {string} text - CSV text with a header row
+     * @param {object} options - { validator: TaskValidator, userId, mapping }
+     * @returns {{tasks: Task[], errors: object[], mapping: object, lines: Map}} -
+     *   errors: { line, errors: string[] }; mapping: { field: header }; lines: task -> line
+     */
+    static parseTasks(text, { validator, userId, mapping = {} }) {
+        if (!validator) {
+            throw new Error('TaskValidator is required');
+        }
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+
+        const [header, ...rows] = TaskCsv.parse(text);
+        if (!header) {
+            throw new CsvError('CSV is empty');
+        }
+        const columns = TaskCsv.resolveMapping(header.cells.map(cell => cell.trim()), mapping);
+
+        const tasks = [];
+        const errors = [];
+        const lines = new Map();
+        rows.forEach(({ line, cells }) => {
+            const data = {};
+            Object.entries(columns).forEach(([field, index]) => {
+                data[field] = readCell((cells[index] || '').trim());
+            });
+
+            try {
+                const task = TaskCsv.buildTask(data, validator, userId);
+                tasks.push(task);
+                lines.set(task, line);
+            } catch (error) {
+                errors.push({ line, errors: error.errors || [error.message] });
+            }
+        });
+
+        const resolved = {};
+        Object.entries(columns).forEach(([field, index]) => {
+            resolved[field] = header.cells[index].trim();
+        });
+        return { tasks, errors, mapping: resolved, lines };
+    }
+
+    /**
+     * Validate one row and create its task
+     * @param {object} data - { field: cell text }
+     * @param {TaskValidator} validator - Validator for the core fields
+     * @param {string} userId - Owner of the new task
+     * @returns {Task}
+     */
+    static buildTask(data, validator, userId) {
+        const priority = (data.priority || '').toLowerCase();
+
+        // TaskValidator only knows high/medium/low; urgent is applied afterwards
+        const validation = validator.validateTask({
+            title: data.title,
+            description: data.description || '',
+            priority: priority === 'urgent' ? 'high' : priority,
+            dueDate: data.dueDate || null
+        });
+        if (!validation.isValid) {
+            const error = new Error(validation.errors.join(', '));
+            error.errors = validation.errors;
+            throw error;
+        }
+
+        const task = new CsvTask(data.title, data.description || '', userId, {
+            assignedTo: data.assignedTo || undefined,
+            priority: priority === 'urgent' ? 'urgent' : validation.sanitizedData.priority,
+            category: data.category || undefined,
+            dueDate: data.dueDate || null,
+            estimatedHours: parseHours(data.estimatedHours || '', 'estimatedHours'),
+            actualHours: parseHours(data.actualHours || '', 'actualHours')
+        });
+
+        (data.tags || '').split(/[,;]/).map(tag => tag.trim()).filter(Boolean)
+            .forEach(tag => task.addTag(tag));
+        (data.notes || '').split(/\r?\n/).map(note => note.trim()).filter(Boolean)
+            .forEach(note => task.addNote(note));
+        if (data.status) {
+            task.setStatus(data.status.toLowerCase().replace(/[\s_]+/g, '-'));
+        }
+        return task;
+    }
+
+    /**
+     * Import CSV into a repository. With dryRun the tasks are only built and
+     * validated, so the caller can preview them; otherwise they are added with
+     * addTasks and any repository failures are reported like row errors.
+     * @param {TaskRepository} repository - Target repository
+     * @param {string} text - CSV text with a header row
+     * @param {object} options - { validator, userId, mapping, dryRun, actor }
+     * @returns {Promise<object>} - { dryRun, tasks, errors, mapping }
+     */
+    static async importTasks(repository, text, options) {
+        const { tasks, errors, mapping, lines } = TaskCsv.parseTasks(text, options);
+        if (options.dryRun) {
+            return { dryRun: true, tasks, errors, mapping };
+        }
+
+        const result = await repository.addTasks(tasks, options.actor || null);
+        result.errors.forEach(({ task, error }) => {
+            errors.push({ line: lines.get(task), errors: [error] });
+        });
+        errors.sort((a, b) => a.line - b.line);
+
+        return { dryRun: false, tasks: result.results, errors, mapping };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaskCsv, CsvError, CSV_COLUMNS, DEFAULT_EXPORT_COLUMNS, IMPORT_FIELDS };
+} else {
+    window.TaskCsv = TaskCsv;
+    window.CsvError = CsvError;
+}
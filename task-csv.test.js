@@ -0,0 +1,165 @@
+/**
+ * Task CSV Tests
+ * Column selection, quoting, column mapping, per-row validation and dry-run imports
+ */
+
+const express = require('express');
+const { TaskCsv, CsvError } = require('./task-csv');
+const { TaskValidator } = require('./validation');
+const { TaskRepository } = require('./task-repository');
+const { createTaskRouter } = require('./task-api');
+const Task = require('./enhanced-task-model');
+
+describe('Task CSV', () => {
+    let validator;
+    let repository;
+
+    beforeEach(() => {
+        validator = new TaskValidator();
+        repository = new TaskRepository();
+    });
+
+    describe('Export', () => {
+        test('should write the chosen columns with tags and notes flattened', () => {
+            const task = new Task('Write "spec", v2', 'Line one', 'user_1', { dueDate: '2030-05-01', priority: 'high' });
+            task.addTag('docs').addTag('q2').addNote('First note').addNote('Second note');
+
+            const csv = TaskCsv.serialize([task], { columns: ['title', 'priority', 'dueDate', 'tags', 'notes'] });
+
+            expect(csv).toBe(
+                'Title,Priority,Due Date,Tags,Notes\r\n' +
+                '"Write ""spec"", v2",high,2030-05-01,"docs, q2","First note\nSecond note"\r\n'
+            );
+        });
+
+        test('should guard cells that spreadsheets would run as formulas', () => {
+            const csv = TaskCsv.serialize([new Task('=HYPERLINK("x")', '', 'user_1')], { columns: ['title'] });
+
+            expect(csv).toBe('Title\r\n"\'=HYPERLINK(""x"")"\r\n');
+            expect(TaskCsv.parseTasks(csv, { validator, userId: 'user_1' }).tasks[0].title).toBe('=HYPERLINK("x")');
+        });
+
+        test('should reject unknown columns', () => {
+            expect(() => TaskCsv.serialize([], { columns: ['title', 'secret'] })).toThrow(CsvError);
+        });
+    });
+
+    describe('Import', () => {
+        test('should map headers automatically and round-trip an export', () => {
+            const original = new Task('Plan sprint', 'Agenda, goals', 'user_1', { dueDate: '2030-05-01', priority: 'urgent' });
+            original.addTag('team').addNote('Bring laptop').setStatus('in-progress');
+
+            const { tasks, errors, mapping } = TaskCsv.parseTasks(TaskCsv.serialize([original]), { validator, userId: 'user_2' });
+
+            expect(errors).toEqual([]);
+            expect(mapping).toMatchObject({ title: 'Title', dueDate: 'Due Date', tags: 'Tags' });
+            expect(tasks[0]).toMatchObject({
+                title: 'Plan sprint',
+                description: 'Agenda, goals',
+                priority: 'urgent',
+                status: 'in-progress',
+                userId: 'user_2'
+            });
+            expect(tasks[0].id).not.toBe(original.id);
+            expect(tasks[0].tags).toEqual(['team']);
+            expect(tasks[0].notes.map(note => note.content)).toEqual(['Bring laptop']);
+        });
+
+        test('should use an explicit column mapping and ignore unmapped columns', () => {
+            const csv = 'Task,Deadline,Hours,Internal\nReview PR,2030-06-01,2.5,x\n';
+
+            const { tasks } = TaskCsv.parseTasks(csv, {
+                validator,
+                userId: 'user_1',
+                mapping: { Task: 'title', Deadline: 'dueDate', Hours: 'estimatedHours' }
+            });
+
+            expect(tasks[0].title).toBe('Review PR');
+            expect(tasks[0].estimatedHours).toBe(2.5);
+            expect(tasks[0].dueDate.toISOString()).toBe('2030-06-01T00:00:00.000Z');
+            expect(() => TaskCsv.parseTasks(csv, { validator, userId: 'user_1', mapping: { Task: 'id' } }))
+                .toThrow('Column "Task" cannot be mapped to id');
+        });
+
+        test('should report failing rows with the line they start on', () => {
+            const csv = [
+                'Title,Description,Priority,Estimated Hours',
+                'Good,"Spans',
+                'two lines",low,1',
+                ',Missing title,low,',
+                'Bad priority,,extreme,',
+                'Bad hours,,,lots'
+            ].join('\n');
+
+            const { tasks, errors } = TaskCsv.parseTasks(csv, { validator, userId: 'user_1' });
+
+            expect(tasks.map(task => task.title)).toEqual(['Good']);
+            expect(tasks[0].description).toBe('Spans\ntwo lines');
+            expect(errors).toEqual([
+                { line: 4, errors: ['title: Title is required'] },
+                { line: 5, errors: ['priority: Priority must be one of: high, medium, low'] },
+                { line: 6, errors: ['estimatedHours must be a non-negative number'] }
+            ]);
+        });
+
+        test('should only add tasks when it is not a dry run', async () => {
+            const csv = 'Title\nFirst\nSecond\n';
+
+            const preview = await TaskCsv.importTasks(repository, csv, { validator, userId: 'user_1', dryRun: true });
+            expect(preview.tasks).toHaveLength(2);
+            expect(repository.size).toBe(0);
+
+            const result = await TaskCsv.importTasks(repository, csv, { validator, userId: 'user_1' });
+            expect(result.dryRun).toBe(false);
+            expect(repository.getAllTasks().map(task => task.title)).toEqual(['First', 'Second']);
+        });
+    });
+
+    describe('API', () => {
+        let server;
+        let baseUrl;
+
+        beforeEach(async () => {
+            const app = express();
+            app.use('/api/tasks', createTaskRouter(repository));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should export the filtered tasks', async () => {
+            await repository.create(new Task('Open', '', 'user_1', { priority: 'high' }));
+            await repository.create(new Task('Other', '', 'user_1', { priority: 'low' }));
+
+            const response = await fetch(`${baseUrl}/api/tasks/export.csv?priority=high&columns=title,priority`);
+
+            expect(response.headers.get('content-type')).toMatch(/^text\/csv/);
+            expect(await response.text()).toBe('Title,Priority\r\nOpen,high\r\n');
+        });
+
+        test('should preview and then import CSV', async () => {
+            const post = async query => {
+                const response = await fetch(`${baseUrl}/api/tasks/import.csv${query}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ csv: 'Name\nImported\n\n', mapping: { Name: 'title' }, userId: 'user_1' })
+                });
+                return { status: response.status, body: await response.json() };
+            };
+
+            const preview = await post('?dryRun=true');
+            expect(preview).toMatchObject({ status: 200, body: { dryRun: true, mapping: { title: 'Name' }, errors: [] } });
+            expect(repository.size).toBe(0);
+
+            const imported = await post('');
+            expect(imported.status).toBe(201);
+            expect(imported.body.tasks[0].title).toBe('Imported');
+            expect(repository.size).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Task Event Client - applies the server's task events to a TaskView
+ *
+ * Connects to GET /api/events (events-api.js) with EventSource and applies
+ * task:created, task:updated, task:completed and task:deleted through the
+ * view's addTask/updateTask/removeTask, so teammates see each other's
+ * changes without pressing Refresh.
+ *
+ * EventSource retries dropped connections on its own and sends the
+ * Last-Event-ID header. When the browser gives up (the stream closed with
+ * an error status), the client reconnects itself with an increasing delay
+ * and passes the last id as ?lastEventId=, so missed events are replayed
+ * either way. A "stream:resync" event means too much was missed; onResync
+ * should then reload the tasks.
+ */
+
+const ClientTaskEvents = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./observer-pattern').TaskEvents
+    : window.TaskEvents;
+
+const ClientTaskModel = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./enhanced-task-model')
+    : window.Task;
+
+const CLIENT_EVENT_NAMES = new ClientTaskEvents().EVENTS;
+const RESYNC_EVENT_NAME = 'stream:resync';
+const EVENT_SOURCE_CLOSED = 2;
+
+class TaskEventClient {
+    /**
+     * @param {TaskView} view - View to update (addTask, updateTask, removeTask, currentTasks)
+     * @param {object} options - { url, EventSource, reconnectDelay, maxReconnectDelay, onResync }
+     */
+    constructor(view, options = {}) {
+        if (!view) {
+            throw new Error('TaskView is required');
+        }
+
+        this.view = view;
+        this.url = options.url || '/api/events';
+        this.EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+        this.reconnectDelay = options.reconnectDelay || 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+        this.onResync = options.onResync || null;
+        this.source = null;
+        this.lastEventId = null;
+        this.retryDelay = this.reconnectDelay;
+        this.reconnectTimer = null;
+        this.closed = false;
+
+        this.handlers = {
+            [CLIENT_EVENT_NAMES.TASK_CREATED]: task => this.applyCreated(task),
+            [CLIENT_EVENT_NAMES.TASK_UPDATED]: task => this.applyUpdated(task),
+            [CLIENT_EVENT_NAMES.TASK_COMPLETED]: task => this.applyUpdated(task),
+            [CLIENT_EVENT_NAMES.TASK_DELETED]: task => this.applyDeleted(task)
+        };
+    }
+
+    /**
+     * Open the stream (again)
+     * @returns {TaskEventClient} - For chaining
+     */
+    connect() {
+        if (!this.EventSource) {
+            throw new Error('EventSource is not available');
+        }
+
+        this.closed = false;
+        const url = this.lastEventId === null
+            ? this.url
+            : `${this.url}${this.url.includes('?') ? '&' : '?'}lastEventId=${encodeURIComponent(this.lastEventId)}`;
+        const source = new this.EventSource(url, { withCredentials: true });
+
+        Object.keys(this.handlers).forEach(type => {
+            source.addEventListener(type, event => this.handleEvent(type, event));
+        });
+        source.addEventListener(RESYNC_EVENT_NAME, event => {
+            this.rememberId(event);
+            if (this.onResync) {
+                this.onResync();
+            }
+        });
+        source.onopen = () => {
+            this.retryDelay = this.reconnectDelay;
+        };
+        source.onerror = () => {
+            if (source.readyState === EVENT_SOURCE_CLOSED) {
+                this.scheduleReconnect();
+            }
+        };
+
+        this.source = source;
+        return this;
+    }
+
+    /**
+     * Stop listening and cancel any pending reconnect
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        const delay = this.retryDelay;
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxReconnectDelay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closed) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    rememberId(event) {
+        if (event.lastEventId !== undefined && event.lastEventId !== '') {
+            this.lastEventId = event.lastEventId;
+        }
+    }
+
+    /**
+     * Apply one message from the stream
+     * @param {string} type - Event name
+     * @param {MessageEvent} event - { data, lastEventId }
+     */
+    async handleEvent(type, event) {
+        this.rememberId(event);
+        try {
+            const { task } = JSON.parse(event.data);
+            await this.handlers[type](ClientTaskModel.fromJSON(task));
+        } catch (error) {
+            console.error(`Failed to apply ${type}:`, error);
+        }
+    }
+
+    hasTask(taskId) {
+        return (this.view.currentTasks || []).some(task => task.id === taskId);
+    }
+
+    async applyCreated(task) {
+        // Our own changes come back through the stream too
+        if (this.hasTask(task.id)) {
+            return this.view.updateTask(task);
+        }
+        return this.view.addTask(task, { remote: true });
+    }
+
+    async applyUpdated(task) {
+        if (this.hasTask(task.id)) {
+            return this.view.updateTask(task);
+        }
+    }
+
+    async applyDeleted(task) {
+        if (this.hasTask(task.id)) {
+            return this.view.removeTask(task.id, { remote: true });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaskEventClient, RESYNC_EVENT_NAME };
+} else {
+    window.TaskEventClient = TaskEventClient;
+}
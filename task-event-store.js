@@ -0,0 +1,322 @@
+/**
+ * Task Event Store - event-sourced persistence for ObservableTaskManager
+ *
+ * Rather than writing every task on each change, the store appends the
+ * TaskEvents events (observer-pattern.js) to a log and rebuilds the task
+ * list by replaying it:
+ *
+ *   task:created      { task }      the full task
+ *   task:updated      { changes }   only the fields that changed
+ *   task:completed    { changes }
+ *   task:uncompleted  { changes }
+ *   task:deleted      {}
+ *
+ * Every `snapshotInterval` events the current state is saved as a
+ * snapshot, so a replay starts from the latest snapshot instead of the
+ * first event. The log itself is never shortened, which is what makes
+ * time-travel queries possible: getStateAt(date) and getTaskAt(taskId, date)
+ * replay from the last snapshot taken before the date.
+ *
+ * Because of that the log is stored in pages of `pageSize` events
+ * ('taskEvents-0', 'taskEvents-1', ...) and a write only covers the pages
+ * holding events not saved yet. Writes run one after another; a failed one
+ * is reported as a storage error on the attached TaskEvents and retried
+ * with the next write. Call flush() to wait for it and see the error.
+ */
+
+const EventStoreTaskEvents = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./observer-pattern').TaskEvents
+    : window.TaskEvents;
+
+const STORED_EVENT_NAMES = new EventStoreTaskEvents().EVENTS;
+
+const DEFAULT_SNAPSHOT_INTERVAL = 50;
+const DEFAULT_MAX_SNAPSHOTS = 20;
+const DEFAULT_PAGE_SIZE = 100;
+
+function toRecord(task) {
+    return JSON.parse(JSON.stringify(task));
+}
+
+// Fields of `next` that differ from `previous`; removed fields become null
+function changedFields(previous, next) {
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+    return fields.reduce((changes, field) => {
+        if (JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null)) {
+            changes[field] = next[field] ?? null;
+        }
+        return changes;
+    }, {});
+}
+
+function applyEvent(state, entry) {
+    if (entry.type === STORED_EVENT_NAMES.TASK_CREATED) {
+        state.set(entry.taskId, toRecord(entry.data.task));
+    } else if (entry.type === STORED_EVENT_NAMES.TASK_DELETED) {
+        state.delete(entry.taskId);
+    } else if (state.has(entry.taskId)) {
+        state.set(entry.taskId, { ...state.get(entry.taskId), ...toRecord(entry.data.changes) });
+    }
+    return state;
+}
+
+class TaskEventStore {
+    /**
+     * @param {object} storage - Optional storage adapter (save/load by entity type)
+     * @param {object} options - { snapshotInterval, maxSnapshots, pageSize, now }
+     */
+    constructor(storage = null, options = {}) {
+        this.storage = storage;
+        this.entityKey = 'taskEvents';
+        this.snapshotKey = 'taskSnapshots';
+        this.snapshotInterval = options.snapshotInterval || DEFAULT_SNAPSHOT_INTERVAL;
+        this.maxSnapshots = options.maxSnapshots || DEFAULT_MAX_SNAPSHOTS;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.now = options.now || (() => new Date());
+        this.events = [];
+        this.snapshots = [];
+        this.current = new Map();
+        this.taskEvents = null;
+        this.savedCount = 0;
+        this.snapshotsSaved = true;
+        this.saving = Promise.resolve();
+    }
+
+    get lastSequence() {
+        return this.events.length > 0 ? this.events[this.events.length - 1].sequence : 0;
+    }
+
+    /**
+     * Record every task event emitted on a TaskEvents instance
+     * @param {TaskEvents} taskEvents - Events of an ObservableTaskManager
+     * @returns {function} - Stops recording
+     */
+    attach(taskEvents) {
+        const unsubscribers = [
+            taskEvents.onTaskCreated(task => this.record(STORED_EVENT_NAMES.TASK_CREATED, task)),
+            taskEvents.onTaskUpdated(task => this.record(STORED_EVENT_NAMES.TASK_UPDATED, task)),
+            taskEvents.onTaskCompleted(task => this.record(STORED_EVENT_NAMES.TASK_COMPLETED, task)),
+            taskEvents.onTaskUncompleted(task => this.record(STORED_EVENT_NAMES.TASK_UNCOMPLETED, task)),
+            taskEvents.onTaskDeleted(taskId => this.record(STORED_EVENT_NAMES.TASK_DELETED, { id: taskId }))
+        ];
+        this.taskEvents = taskEvents;
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            if (this.taskEvents === taskEvents) {
+                this.taskEvents = null;
+            }
+        };
+    }
+
+    /**
+     * Append the event for a change to a task
+     * @param {string} type - One of the task:* event names
+     * @param {Task|object} task - Task after the change ({ id } for deletions)
+     * @returns {object|null} - Frozen log entry, or null when an update changed nothing
+     */
+    record(type, task) {
+        if (!task || !task.id) {
+            throw new Error('Task events need a task with an ID');
+        }
+
+        let data = {};
+        if (type === STORED_EVENT_NAMES.TASK_CREATED) {
+            data = { task: toRecord(task) };
+        } else if (type !== STORED_EVENT_NAMES.TASK_DELETED) {
+            data = { changes: changedFields(this.current.get(task.id) || {}, toRecord(task)) };
+            if (Object.keys(data.changes).length === 0) {
+                return null;
+            }
+        }
+
+        return this.append({ type, taskId: task.id, data });
+    }
+
+    append({ type, taskId, data }) {
+        const entry = Object.freeze({
+            sequence: this.lastSequence + 1,
+            type,
+            taskId,
+            timestamp: this.now().toISOString(),
+            data
+        });
+
+        this.events.push(entry);
+        applyEvent(this.current, entry);
+        if (entry.sequence % this.snapshotInterval === 0) {
+            this.takeSnapshot();
+        }
+        this.persist();
+        return entry;
+    }
+
+    /**
+     * Keep the current state so later replays can start from here
+     * @returns {object} - { sequence, timestamp, tasks }
+     */
+    takeSnapshot() {
+        const last = this.events[this.events.length - 1];
+        const snapshot = {
+            sequence: this.lastSequence,
+            timestamp: last ? last.timestamp : this.now().toISOString(),
+            tasks: Array.from(this.current.values()).map(toRecord)
+        };
+
+        this.snapshots = this.snapshots.filter(existing => existing.sequence !== snapshot.sequence);
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots = this.snapshots.slice(this.snapshots.length - this.maxSnapshots);
+        }
+        this.snapshotsSaved = false;
+        return snapshot;
+    }
+
+    /**
+     * Rebuild the task list from the latest snapshot and the events after it
+     * @param {Date|string} asOf - Optional point in time; defaults to now
+     * @returns {object[]} - Task records in creation order
+     */
+    replay(asOf = null) {
+        const until = asOf ? new Date(asOf).getTime() : Infinity;
+        if (Number.isNaN(until)) {
+            throw new Error('Invalid date');
+        }
+
+        const base = this.snapshots
+            .filter(snapshot => new Date(snapshot.timestamp).getTime() <= until)
+            .pop();
+        const state = new Map((base ? base.tasks : []).map(task => [task.id, toRecord(task)]));
+
+        this.events
+            .filter(entry => entry.sequence > (base ? base.sequence : 0))
+            .filter(entry => new Date(entry.timestamp).getTime() <= until)
+            .forEach(entry => applyEvent(state, entry));
+
+        return Array.from(state.values());
+    }
+
+    /**
+     * All tasks as they were at a point in time
+     * @param {Date|string} date - Point in time
+     * @returns {object[]}
+     */
+    getStateAt(date) {
+        return this.replay(date);
+    }
+
+    /**
+     * One task as it was at a point in time
+     * @param {string} taskId - Task ID
+     * @param {Date|string} date - Point in time
+     * @returns {object|null} - Task record, or null when it did not exist then
+     */
+    getTaskAt(taskId, date) {
+        return this.replay(date).find(task => task.id === taskId) || null;
+    }
+
+    /**
+     * Every event about one task, oldest first
+     * @param {string} taskId - Task ID
+     * @returns {object[]}
+     */
+    getTaskHistory(taskId) {
+        return this.events.filter(entry => entry.taskId === taskId);
+    }
+
+    // Storage operations
+    async loadFromStorage() {
+        if (!this.storage) {
+            throw new Error('No storage configured');
+        }
+
+        const events = [];
+        for (let page = 0; ; page++) {
+            const entries = await this.storage.load(this.pageKey(page), null);
+            if (!Array.isArray(entries)) {
+                break;
+            }
+            events.push(...entries);
+        }
+        const snapshots = await this.storage.load(this.snapshotKey, []);
+        this.events = events.map(entry => Object.freeze(entry));
+        this.snapshots = Array.isArray(snapshots) ? snapshots : [];
+        this.current = new Map(this.replay().map(task => [task.id, task]));
+        this.savedCount = this.events.length;
+        this.snapshotsSaved = true;
+    }
+
+    /**
+     * Write the pages with unsaved events, and the snapshots when they changed
+     */
+    async saveToStorage() {
+        if (!this.storage) {
+            throw new Error('No storage configured');
+        }
+
+        const count = this.events.length;
+        const firstPage = this.savedCount < count ? Math.floor(this.savedCount / this.pageSize) : Infinity;
+        for (let page = firstPage; page * this.pageSize < count; page++) {
+            const entries = this.events.slice(page * this.pageSize, Math.min((page + 1) * this.pageSize, count));
+            await this.saveKey(this.pageKey(page), entries);
+        }
+        this.savedCount = Math.max(this.savedCount, count);
+
+        if (!this.snapshotsSaved) {
+            this.snapshotsSaved = true;
+            try {
+                await this.saveKey(this.snapshotKey, this.snapshots);
+            } catch (error) {
+                this.snapshotsSaved = false;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Wait for pending writes and save whatever they left unsaved
+     * @returns {Promise<void>} - Rejects when storage refused the write
+     */
+    async flush() {
+        await this.saving;
+        if (this.storage) {
+            await this.saveToStorage();
+        }
+    }
+
+    // Queue a write after the ones already running
+    persist() {
+        if (!this.storage) {
+            return;
+        }
+
+        this.saving = this.saving
+            .then(() => this.saveToStorage())
+            .catch(error => this.reportError(error));
+    }
+
+    async saveKey(key, data) {
+        const saved = await this.storage.save(key, data);
+        if (saved === false) {
+            throw new Error('Failed to save to storage');
+        }
+    }
+
+    pageKey(page) {
+        return `${this.entityKey}-${page}`;
+    }
+
+    reportError(error) {
+        if (this.taskEvents) {
+            this.taskEvents.emitStorageError(error, 'save_events');
+        } else {
+            console.error('Failed to save task events:', error.message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaskEventStore, DEFAULT_SNAPSHOT_INTERVAL, DEFAULT_MAX_SNAPSHOTS, DEFAULT_PAGE_SIZE };
+} else {
+    window.TaskEventStore = TaskEventStore;
+}
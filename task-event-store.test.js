@@ -0,0 +1,206 @@
+/**
+ * Task Event Store Tests
+ * Appending task events, rebuilding state by replay, snapshots, time-travel
+ * queries and event-sourced persistence for ObservableTaskManager
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TaskEventStore } = require('./task-event-store');
+const { TaskEvents, ObservableTaskManager } = require('./observer-pattern');
+const { TaskValidator } = require('./validation');
+const { MockFactory } = require('./test-utilities');
+const { FileStorageAdapter } = require('./file-storage-adapter');
+
+// The plain browser Task ObservableTaskManager expects as a global
+class BasicTask {
+    constructor(title, description = '', priority = 'medium', dueDate = null) {
+        this.id = `task_${BasicTask.sequence++}`;
+        this.title = title;
+        this.description = description;
+        this.priority = priority;
+        this.dueDate = dueDate;
+        this.completed = false;
+        this.createdAt = new Date();
+        this.completedAt = null;
+        this.updatedAt = null;
+    }
+
+    update(updates) {
+        Object.assign(this, updates);
+        this.updatedAt = new Date();
+    }
+
+    toggleComplete() {
+        this.completed = !this.completed;
+        this.completedAt = this.completed ? new Date() : null;
+    }
+}
+BasicTask.sequence = 1;
+
+describe('Task Event Store', () => {
+    let clock;
+    let storage;
+    let store;
+    let events;
+
+    const at = time => new Date(`2026-03-02T${time}:00.000Z`);
+
+    beforeEach(() => {
+        clock = at('09:00');
+        storage = MockFactory.createKeyedStorage();
+        store = new TaskEventStore(storage, { snapshotInterval: 3, now: () => clock });
+        events = new TaskEvents();
+        store.attach(events);
+    });
+
+    test('should append only the changed fields of each event', () => {
+        const task = { id: 'task_a', title: 'Draft', priority: 'low', completed: false };
+        events.emitTaskCreated(task);
+        events.emitTaskUpdated({ ...task, priority: 'high' }, task);
+        events.emitTaskUpdated({ ...task, priority: 'high' }, task);
+        events.emitTaskDeleted('task_a', task);
+
+        expect(store.events.map(entry => [entry.sequence, entry.type, entry.data])).toEqual([
+            [1, 'task:created', { task }],
+            [2, 'task:updated', { changes: { priority: 'high' } }],
+            [3, 'task:deleted', {}]
+        ]);
+        expect(Object.isFrozen(store.events[0])).toBe(true);
+    });
+
+    test('should only write the pages with new events', async () => {
+        store = new TaskEventStore(storage, { snapshotInterval: 50, pageSize: 2, now: () => clock });
+        const written = [];
+        const save = storage.save;
+        storage.save = (key, value) => {
+            written.push([key, value.length]);
+            return save(key, value);
+        };
+
+        ['A', 'B', 'C'].forEach(title => store.record('task:created', { id: `task_${title}`, title }));
+        await store.flush();
+        written.length = 0;
+        store.record('task:created', { id: 'task_D', title: 'D' });
+        store.record('task:created', { id: 'task_E', title: 'E' });
+        await store.flush();
+
+        expect(written).toEqual([['taskEvents-1', 2], ['taskEvents-2', 1]]);
+        const reloaded = new TaskEventStore(storage, { pageSize: 2 });
+        await reloaded.loadFromStorage();
+        expect(reloaded.replay().map(task => task.title)).toEqual(['A', 'B', 'C', 'D', 'E']);
+    });
+
+    test('should persist pages with keys the file adapter accepts', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'task-events-'));
+        try {
+            store = new TaskEventStore(new FileStorageAdapter(directory, 'testApp'), { pageSize: 2, now: () => clock });
+            ['A', 'B', 'C'].forEach(title => store.record('task:created', { id: `task_${title}`, title }));
+            await store.flush();
+
+            const reloaded = new TaskEventStore(new FileStorageAdapter(directory, 'testApp'), { pageSize: 2 });
+            await reloaded.loadFromStorage();
+            expect(reloaded.replay().map(task => task.title)).toEqual(['A', 'B', 'C']);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('should report a rejected write and retry it', async () => {
+        const reported = [];
+        events.onStorageError((error, operation) => reported.push([error.message, operation]));
+        const save = storage.save;
+        storage.save = () => false;
+
+        events.emitTaskCreated({ id: 'task_a', title: 'Draft' });
+        await expect(store.flush()).rejects.toThrow('Failed to save to storage');
+        expect(reported).toEqual([['Failed to save to storage', 'save_events']]);
+
+        storage.save = save;
+        await store.flush();
+        const reloaded = new TaskEventStore(storage);
+        await reloaded.loadFromStorage();
+        expect(reloaded.events.map(entry => entry.taskId)).toEqual(['task_a']);
+    });
+
+    test('should answer what a task looked like at a point in time', () => {
+        events.emitTaskCreated({ id: 'task_a', title: 'Draft', completed: false });
+        clock = at('10:00');
+        events.emitTaskUpdated({ id: 'task_a', title: 'Final', completed: false });
+        clock = at('11:00');
+        events.emitTaskCompleted({ id: 'task_a', title: 'Final', completed: true });
+        clock = at('12:00');
+        events.emitTaskDeleted('task_a');
+
+        expect(store.getTaskAt('task_a', at('08:00'))).toBeNull();
+        expect(store.getTaskAt('task_a', at('09:30'))).toEqual({ id: 'task_a', title: 'Draft', completed: false });
+        expect(store.getTaskAt('task_a', at('11:00'))).toMatchObject({ title: 'Final', completed: true });
+        expect(store.getStateAt(at('12:00'))).toEqual([]);
+        expect(store.getTaskHistory('task_a').map(entry => entry.type))
+            .toEqual(['task:created', 'task:updated', 'task:completed', 'task:deleted']);
+        expect(() => store.replay('not a date')).toThrow('Invalid date');
+    });
+
+    test('should replay from the latest snapshot', async () => {
+        ['A', 'B', 'C', 'D'].forEach((title, index) => {
+            clock = at(`1${index}:00`);
+            events.emitTaskCreated({ id: `task_${title}`, title });
+        });
+
+        expect(store.snapshots).toEqual([{ sequence: 3, timestamp: at('12:00').toISOString(), tasks: expect.any(Array) }]);
+        await store.flush();
+
+        // Events before the snapshot are no longer needed to rebuild the state
+        const reloaded = new TaskEventStore(storage);
+        await reloaded.loadFromStorage();
+        reloaded.events = reloaded.events.filter(entry => entry.sequence > 3);
+        expect(reloaded.replay().map(task => task.title)).toEqual(['A', 'B', 'C', 'D']);
+        expect(store.getStateAt(at('11:00')).map(task => task.title)).toEqual(['A', 'B']);
+    });
+
+    describe('ObservableTaskManager', () => {
+        let localStorageData;
+
+        beforeEach(() => {
+            localStorageData = new Map();
+            global.Task = BasicTask;
+            global.TaskValidator = TaskValidator;
+            global.localStorage = {
+                getItem: key => (localStorageData.has(key) ? localStorageData.get(key) : null),
+                setItem: (key, value) => localStorageData.set(key, value)
+            };
+        });
+
+        afterEach(() => {
+            delete global.Task;
+            delete global.TaskValidator;
+            delete global.localStorage;
+        });
+
+        test('should persist changes as events and rebuild the tasks from them', async () => {
+            const manager = new ObservableTaskManager(new TaskEvents(), { eventStore: store });
+            const first = manager.createTask({ title: 'Write docs', priority: 'low' });
+            clock = at('10:00');
+            manager.createTask({ title: 'Ship release', priority: 'high' });
+            manager.updateTask(first.id, { priority: 'medium' });
+            clock = at('11:00');
+            manager.toggleTaskCompletion(first.id);
+
+            expect(localStorageData.size).toBe(0);
+            expect(store.events.map(entry => entry.type))
+                .toEqual(['task:created', 'task:created', 'task:updated', 'task:completed']);
+
+            await store.flush();
+            const reloadedStore = new TaskEventStore(storage);
+            await reloadedStore.loadFromStorage();
+            const reloaded = new ObservableTaskManager(new TaskEvents(), { eventStore: reloadedStore });
+
+            expect(reloaded.getAllTasks().map(task => task.title)).toEqual(['Ship release', 'Write docs']);
+            expect(reloaded.getTaskById(first.id)).toMatchObject({ priority: 'medium', completed: true });
+            expect(reloaded.getTaskById(first.id).createdAt).toBeInstanceOf(Date);
+            expect(reloaded.getTaskAsOf(first.id, at('09:30'))).toMatchObject({ priority: 'low', completed: false });
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Task Event Stream - numbered feed of task changes for real-time clients
+ *
+ * Listens to a TaskRepository and republishes its changes under the event
+ * names of TaskEvents (observer-pattern.js):
+ *
+ *   task:created    taskAdded
+ *   task:updated    taskUpdated
+ *   task:deleted    taskDeleted
+ *   task:completed  taskStatusChanged to 'completed'
+ *
+ * Every event gets an increasing id and a JSON snapshot of the task, and
+ * the most recent ones are kept in a bounded buffer so clients that lost
+ * their connection can replay what they missed (see events-api.js).
+ */
+
+const { TaskEvents } = require('./observer-pattern');
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+const TASK_EVENT_NAMES = new TaskEvents().EVENTS;
+
+// Names sent to clients, in the order they are documented above
+const STREAMED_EVENTS = [
+    TASK_EVENT_NAMES.TASK_CREATED,
+    TASK_EVENT_NAMES.TASK_UPDATED,
+    TASK_EVENT_NAMES.TASK_DELETED,
+    TASK_EVENT_NAMES.TASK_COMPLETED
+];
+
+function snapshot(task) {
+    return JSON.parse(JSON.stringify(typeof task.toJSON === 'function' ? task.toJSON() : task));
+}
+
+class TaskEventStream {
+    /**
+     * @param {TaskRepository} taskRepository - Repository whose changes are streamed
+     * @param {object} options - { bufferSize, now }
+     */
+    constructor(taskRepository, options = {}) {
+        if (!taskRepository) {
+            throw new Error('TaskRepository is required');
+        }
+
+        this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+        this.now = options.now || (() => new Date());
+        this.events = new TaskEvents();
+        this.buffer = [];
+        this.lastId = 0;
+
+        taskRepository.on('taskAdded', task => this.publish(TASK_EVENT_NAMES.TASK_CREATED, task));
+        taskRepository.on('taskUpdated', task => this.publish(TASK_EVENT_NAMES.TASK_UPDATED, task));
+        taskRepository.on('taskDeleted', ({ task }) => this.publish(TASK_EVENT_NAMES.TASK_DELETED, task));
+        taskRepository.on('taskStatusChanged', ({ task, to }) => {
+            if (to === 'completed') {
+                this.publish(TASK_EVENT_NAMES.TASK_COMPLETED, task);
+            }
+        });
+    }
+
+    /**
+     * Number an event, keep it for replay and hand it to the subscribers
+     * @param {string} type - One of STREAMED_EVENTS
+     * @param {Task|object} task - Task the event is about
+     * @returns {object} - { id, type, task, timestamp }
+     */
+    publish(type, task) {
+        const event = Object.freeze({
+            id: ++this.lastId,
+            type,
+            task: snapshot(task),
+            timestamp: this.now().toISOString()
+        });
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.events.emit(type, event);
+        return event;
+    }
+
+    /**
+     * Receive every streamed event as it is published
+     * @param {function} listener - Called with { id, type, task, timestamp }
+     * @returns {function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        const unsubscribers = STREAMED_EVENTS.map(type => this.events.on(type, listener));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Events published after a given id, for replay after a reconnect
+     * @param {number} lastEventId - Last id the client has seen
+     * @returns {object} - { events, complete }; complete is false when some of
+     *                     the missed events already left the buffer
+     */
+    since(lastEventId) {
+        const events = this.buffer.filter(event => event.id > lastEventId);
+        const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+        return {
+            events,
+            complete: lastEventId >= oldest - 1 && lastEventId <= this.lastId
+        };
+    }
+}
+
+module.exports = { TaskEventStream, STREAMED_EVENTS, TASK_EVENT_NAMES, DEFAULT_BUFFER_SIZE };
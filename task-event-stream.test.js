@@ -0,0 +1,355 @@
+/**
+ * Task Event Stream Tests
+ * Event numbering and replay buffer, the /api/events SSE route, and the
+ * browser client that applies events to the view and reconnects
+ */
+
+const express = require('express');
+const { TaskEventStream } = require('./task-event-stream');
+const { createEventsRouter, formatEvent } = require('./events-api');
+const { TaskEventClient } = require('./task-event-client');
+const { TaskRepository } = require('./task-repository');
+const Task = require('./enhanced-task-model');
+const User = require('./user-model');
+const UserRepository = require('./user-repository');
+const { SessionManager } = require('./session-manager');
+const { MockFactory } = require('./test-utilities');
+
+describe('Task Event Stream', () => {
+    let repository;
+    let stream;
+
+    const alice = { id: 'user_1', username: 'alice' };
+    const bob = { id: 'user_2', username: 'bob' };
+
+    beforeEach(() => {
+        repository = new TaskRepository();
+        stream = new TaskEventStream(repository, { bufferSize: 3 });
+    });
+
+    describe('Publishing', () => {
+        test('should republish repository changes under the TaskEvents names', async () => {
+            const received = [];
+            const unsubscribe = stream.subscribe(event => received.push(event));
+
+            const task = await repository.create(new Task('Write docs', '', alice.id));
+            await repository.update(task.id, { completed: true });
+            await repository.deleteTask(task.id);
+            unsubscribe();
+            await repository.create(new Task('Unheard', '', alice.id));
+
+            expect(received.map(event => [event.id, event.type])).toEqual([
+                [1, 'task:created'],
+                [2, 'task:completed'],
+                [3, 'task:updated'],
+                [4, 'task:deleted']
+            ]);
+            expect(received[0].task).toMatchObject({ id: task.id, title: 'Write docs' });
+            expect(Object.isFrozen(received[0])).toBe(true);
+        });
+
+        test('should keep saving and notifying when a subscriber throws', async () => {
+            const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const received = [];
+            stream.subscribe(() => {
+                throw new Error('client gone');
+            });
+            stream.subscribe(event => received.push(event.type));
+            const task = await repository.create(new Task('Write docs', '', alice.id));
+
+            await expect(repository.update(task.id, { title: 'Write the docs' })).resolves.toMatchObject({ title: 'Write the docs' });
+            expect(received).toEqual(['task:created', 'task:updated']);
+            expect(log).toHaveBeenCalled();
+            log.mockRestore();
+        });
+
+        test('should replay missed events and report gaps in the buffer', async () => {
+            for (const title of ['A', 'B', 'C', 'D']) {
+                await repository.create(new Task(title, '', alice.id));
+            }
+
+            expect(stream.since(2)).toMatchObject({ complete: true, events: [{ id: 3 }, { id: 4 }] });
+            expect(stream.since(4)).toEqual({ complete: true, events: [] });
+            expect(stream.since(0).complete).toBe(false);
+            expect(stream.since(9).complete).toBe(false);
+        });
+    });
+
+    describe('API', () => {
+        let server;
+        let baseUrl;
+        let currentUser;
+        let controllers;
+
+        // Read the stream until `count` task events arrived, then disconnect
+        const collect = async (count, headers = {}, trigger = async () => {}) => {
+            const controller = new AbortController();
+            controllers.push(controller);
+            const response = await fetch(`${baseUrl}/api/events`, { headers, signal: controller.signal });
+            expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let text = '';
+            await trigger();
+            while ((text.match(/^event: /gm) || []).length < count) {
+                const { value } = await reader.read();
+                text += decoder.decode(value);
+            }
+            controller.abort();
+
+            return text.split('\n\n')
+                .filter(block => block.includes('event: '))
+                .map(block => ({
+                    id: Number(/^id: (.*)$/m.exec(block)[1]),
+                    event: /^event: (.*)$/m.exec(block)[1],
+                    data: JSON.parse(/^data: (.*)$/m.exec(block)[1])
+                }));
+        };
+
+        beforeEach(async () => {
+            currentUser = alice;
+            controllers = [];
+            const app = express();
+            app.use((req, res, next) => {
+                req.user = currentUser;
+                next();
+            });
+            app.use('/api/events', createEventsRouter({ eventStream: stream, taskRepository: repository }));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            controllers.forEach(controller => controller.abort());
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should format messages as Server-Sent Events', () => {
+            expect(formatEvent({ id: 7, event: 'task:created', data: { id: 'task_1' } }))
+                .toBe('id: 7\nevent: task:created\ndata: {"id":"task_1"}\n\n');
+        });
+
+        test('should push new events to connected users who may see the task', async () => {
+            const events = await collect(1, {}, async () => {
+                await repository.create(new Task('Bob only', '', bob.id));
+                await repository.create(new Task('Shared', '', bob.id, { assignedTo: alice.id }));
+            });
+
+            expect(events).toEqual([
+                { id: 2, event: 'task:created', data: { id: expect.any(String), task: expect.objectContaining({ title: 'Shared' }) } }
+            ]);
+        });
+
+        test('should replay missed events after Last-Event-ID or ask for a resync', async () => {
+            const task = await repository.create(new Task('Draft', '', alice.id));
+            await repository.update(task.id, { title: 'Final' });
+
+            const replayed = await collect(1, { 'Last-Event-ID': '1' });
+            expect(replayed).toEqual([{ id: 2, event: 'task:updated', data: { id: task.id, task: expect.objectContaining({ title: 'Final' }) } }]);
+
+            for (const title of ['B', 'C', 'D']) {
+                await repository.create(new Task(title, '', alice.id));
+            }
+            const resync = await collect(1, { 'Last-Event-ID': '1' });
+            expect(resync).toEqual([{ id: 5, event: 'stream:resync', data: { lastEventId: 5 } }]);
+        });
+
+        test('should reject malformed event ids', async () => {
+            const response = await fetch(`${baseUrl}/api/events?lastEventId=abc`);
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('API sessions', () => {
+        let server;
+        let baseUrl;
+        let clock;
+        let sessions;
+        let users;
+        let mia;
+        let token;
+        let controller;
+
+        beforeEach(async () => {
+            clock = 1000000;
+            sessions = new SessionManager({ secret: 'test-secret', idleTimeout: 60 * 1000, now: () => clock });
+            users = new UserRepository(MockFactory.createKeyedStorage());
+            mia = new User('mia', 'mia@example.com', 'Mia');
+            mia.setRole('moderator');
+            await users.create(mia);
+            ({ token } = sessions.createSession(mia));
+
+            const app = express();
+            app.use((req, res, next) => {
+                req.user = mia;
+                req.sessionToken = token;
+                next();
+            });
+            app.use('/api/events', createEventsRouter({
+                eventStream: stream,
+                taskRepository: repository,
+                sessionManager: sessions,
+                userRepository: users,
+                heartbeatMs: 20
+            }));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            controller.abort();
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        // Open the stream; read(count) waits for task events, ended() for the server to close it
+        const open = async () => {
+            controller = new AbortController();
+            const response = await fetch(`${baseUrl}/api/events`, { signal: controller.signal });
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let text = '';
+            const titles = () => (text.match(/^data: .*$/gm) || []).map(line => JSON.parse(line.slice('data: '.length)).task.title);
+
+            return {
+                read: async count => {
+                    while (titles().length < count) {
+                        const { value } = await reader.read();
+                        text += decoder.decode(value);
+                    }
+                    return titles();
+                },
+                ended: async () => {
+                    for (;;) {
+                        const { done, value } = await reader.read();
+                        if (done) return titles();
+                        text += decoder.decode(value);
+                    }
+                }
+            };
+        };
+
+        test('should decide visibility with the user\'s current role', async () => {
+            const events = await open();
+            await repository.create(new Task('Bob\'s plan', '', bob.id));
+            expect(await events.read(1)).toEqual(['Bob\'s plan']);
+
+            await users.update(mia.id, { role: 'user' });
+            await repository.create(new Task('Bob\'s secret', '', bob.id));
+            await repository.create(new Task('Mia\'s own', '', mia.id));
+
+            expect(await events.read(2)).toEqual(['Bob\'s plan', 'Mia\'s own']);
+        });
+
+        test('should end the stream when the session is revoked', async () => {
+            const events = await open();
+            sessions.revoke(token);
+            await repository.create(new Task('After logout', '', mia.id));
+
+            expect(await events.ended()).toEqual([]);
+        });
+
+        test('should end the stream when the account is deactivated', async () => {
+            const events = await open();
+            await users.update(mia.id, { isActive: false });
+            await repository.create(new Task('After deactivation', '', mia.id));
+
+            expect(await events.ended()).toEqual([]);
+        });
+
+        test('should end the stream on a heartbeat after the idle timeout', async () => {
+            const events = await open();
+            clock += 61 * 1000;
+
+            expect(await events.ended()).toEqual([]);
+        });
+    });
+
+    describe('Client', () => {
+        let sources;
+        let view;
+
+        class FakeEventSource {
+            constructor(url) {
+                this.url = url;
+                this.readyState = 0;
+                this.listeners = {};
+                sources.push(this);
+            }
+
+            addEventListener(type, listener) {
+                this.listeners[type] = listener;
+            }
+
+            close() {
+                this.readyState = 2;
+            }
+
+            dispatch(type, id, data) {
+                return this.listeners[type]({ lastEventId: String(id), data: JSON.stringify(data) });
+            }
+        }
+
+        const taskJSON = (title, id) => Object.assign(new Task(title, '', alice.id).toJSON(), { id });
+
+        beforeEach(() => {
+            sources = [];
+            view = {
+                currentTasks: [],
+                addTask: jest.fn(async task => view.currentTasks.push(task)),
+                updateTask: jest.fn(async () => {}),
+                removeTask: jest.fn(async () => {})
+            };
+        });
+
+        test('should apply events through the view', async () => {
+            const client = new TaskEventClient(view, { EventSource: FakeEventSource }).connect();
+            const source = sources[0];
+
+            await source.dispatch('task:created', 1, { id: 'task_a', task: taskJSON('New', 'task_a') });
+            await source.dispatch('task:created', 2, { id: 'task_a', task: taskJSON('New', 'task_a') });
+            await source.dispatch('task:completed', 3, { id: 'task_a', task: taskJSON('Done', 'task_a') });
+            await source.dispatch('task:updated', 4, { id: 'task_x', task: taskJSON('Elsewhere', 'task_x') });
+            await source.dispatch('task:deleted', 5, { id: 'task_a', task: taskJSON('Done', 'task_a') });
+
+            expect(view.addTask).toHaveBeenCalledTimes(1);
+            expect(view.addTask.mock.calls[0][0]).toBeInstanceOf(Task);
+            expect(view.addTask.mock.calls[0][1]).toEqual({ remote: true });
+            expect(view.updateTask.mock.calls.map(([task]) => task.title)).toEqual(['New', 'Done']);
+            expect(view.removeTask).toHaveBeenCalledWith('task_a', { remote: true });
+            expect(client.lastEventId).toBe('5');
+        });
+
+        test('should reconnect with backoff from the last event id and resync on request', async () => {
+            jest.useFakeTimers();
+            const onResync = jest.fn();
+            const client = new TaskEventClient(view, { EventSource: FakeEventSource, reconnectDelay: 100, onResync }).connect();
+
+            await sources[0].dispatch('task:created', 4, { id: 'task_a', task: taskJSON('New', 'task_a') });
+            sources[0].readyState = 2;
+            sources[0].onerror();
+            jest.advanceTimersByTime(99);
+            expect(sources).toHaveLength(1);
+            jest.advanceTimersByTime(1);
+            expect(sources[1].url).toBe('/api/events?lastEventId=4');
+
+            sources[1].readyState = 2;
+            sources[1].onerror();
+            jest.advanceTimersByTime(200);
+            expect(sources).toHaveLength(3);
+
+            sources[2].listeners['stream:resync']({ lastEventId: '9', data: '{}' });
+            expect(onResync).toHaveBeenCalled();
+            expect(client.lastEventId).toBe('9');
+
+            client.close();
+            jest.useRealTimers();
+        });
+    });
+});
@@ -3,6 +3,21 @@
  * Factory pattern for creating different types of tasks
  */
 
+// Month-end safe date math for recurring tasks (global in the browser)
+const FactoryRecurrenceRule = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./recurrence-engine').RecurrenceRule
+    : window.RecurrenceRule;
+
+// Schemas for the recurring and project fields (global in the browser)
+const FactorySchema = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./validation-schema')
+    : window.ValidationSchema;
+
+// Task model the creators instantiate (global in the browser)
+const FactoryTask = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./enhanced-task-model')
+    : window.Task;
+
 /**
  * Base Task Factory
  */
@@ -101,6 +116,24 @@ class TaskCreator {
             ...taskData
         };
     }
+
+    /**
+     * Instantiate the task model from validated data, with the owner
+     * (taskData.userId) the model's constructor requires
+     * @param {Object} sanitizedData - Validated title, description, priority and dueDate
+     * @param {Object} taskData - Task data with defaults applied
+     * @returns {Task} New task
+     */
+    instantiate(sanitizedData, taskData) {
+        if (!taskData.userId) {
+            throw new Error('Task owner (userId) is required');
+        }
+
+        return new FactoryTask(sanitizedData.title, sanitizedData.description, taskData.userId, {
+            priority: sanitizedData.priority,
+            dueDate: sanitizedData.dueDate
+        });
+    }
 }
 
 /**
@@ -115,12 +148,7 @@ class BasicTaskCreator extends TaskCreator {
             throw new Error('Validation failed: ' + validation.errors.join(', '));
         }
 
-        const task = new Task(
-            validation.sanitizedData.title,
-            validation.sanitizedData.description,
-            validation.sanitizedData.priority,
-            validation.sanitizedData.dueDate
-        );
+        const task = this.instantiate(validation.sanitizedData, dataWithDefaults);
 
         // Add basic task metadata
         task.type = 'basic';
@@ -158,12 +186,7 @@ class UrgentTaskCreator extends TaskCreator {
             throw new Error('Validation failed: ' + validation.errors.join(', '));
         }
 
-        const task = new Task(
-            validation.sanitizedData.title,
-            validation.sanitizedData.description,
-            validation.sanitizedData.priority,
-            validation.sanitizedData.dueDate
-        );
+        const task = this.instantiate(validation.sanitizedData, dataWithDefaults);
 
         // Add urgent task metadata
         task.type = 'urgent';
@@ -200,65 +223,45 @@ class RecurringTaskCreator extends TaskCreator {
         }
 
         // Validate recurring-specific data
-        this.validateRecurrenceData(dataWithDefaults);
+        const recurrence = this.validateRecurrenceData(dataWithDefaults);
 
-        const task = new Task(
-            validation.sanitizedData.title,
-            validation.sanitizedData.description,
-            validation.sanitizedData.priority,
-            validation.sanitizedData.dueDate
-        );
+        const task = this.instantiate(validation.sanitizedData, dataWithDefaults);
 
         // Add recurring task metadata
         task.type = 'recurring';
         task.category = 'recurring';
-        task.recurrencePattern = dataWithDefaults.recurrencePattern;
-        task.recurrenceInterval = dataWithDefaults.recurrenceInterval;
-        task.maxOccurrences = dataWithDefaults.maxOccurrences;
+        task.recurrencePattern = recurrence.recurrencePattern;
+        task.recurrenceInterval = recurrence.recurrenceInterval;
+        task.maxOccurrences = recurrence.maxOccurrences;
         task.currentOccurrence = 1;
         task.nextDueDate = this.calculateNextDueDate(task);
+
+        // Rule picked up by RecurrenceEngine to spawn the following occurrences
+        task.recurrence = FactoryRecurrenceRule.serialize({
+            frequency: task.recurrencePattern,
+            interval: task.recurrenceInterval,
+            count: task.maxOccurrences
+        });
         
         return task;
     }
 
+    // Throws a SchemaValidationError listing every problem
     validateRecurrenceData(taskData) {
-        const validPatterns = ['daily', 'weekly', 'monthly', 'yearly'];
-        
-        if (!validPatterns.includes(taskData.recurrencePattern)) {
-            throw new Error(`Invalid recurrence pattern: ${taskData.recurrencePattern}`);
-        }
-
-        if (taskData.recurrenceInterval < 1) {
-            throw new Error('Recurrence interval must be at least 1');
-        }
-
-        if (taskData.maxOccurrences !== null && taskData.maxOccurrences < 1) {
-            throw new Error('Max occurrences must be at least 1 or null');
-        }
+        return FactorySchema.RECURRING_SCHEMA.assert(taskData);
     }
 
     calculateNextDueDate(task) {
         if (!task.dueDate) return null;
 
-        const currentDate = new Date(task.dueDate);
-        const nextDate = new Date(currentDate);
-
-        switch (task.recurrencePattern) {
-            case 'daily':
-                nextDate.setDate(currentDate.getDate() + task.recurrenceInterval);
-                break;
-            case 'weekly':
-                nextDate.setDate(currentDate.getDate() + (7 * task.recurrenceInterval));
-                break;
-            case 'monthly':
-                nextDate.setMonth(currentDate.getMonth() + task.recurrenceInterval);
-                break;
-            case 'yearly':
-                nextDate.setFullYear(currentDate.getFullYear() + task.recurrenceInterval);
-                break;
-        }
+        // Second occurrence of the series; Jan 31 + 1 month is Feb 28/29, not Mar 2/3
+        const next = FactoryRecurrenceRule.next({
+            frequency: task.recurrencePattern,
+            interval: task.recurrenceInterval,
+            count: task.maxOccurrences
+        }, task.dueDate, task.dueDate);
 
-        return nextDate.toISOString().split('T')[0];
+        return next ? next.date.toISOString().split('T')[0] : null;
     }
 }
 
@@ -290,12 +293,7 @@ class ProjectTaskCreator extends TaskCreator {
         // Validate project-specific data
         this.validateProjectData(dataWithDefaults);
 
-        const task = new Task(
-            validation.sanitizedData.title,
-            validation.sanitizedData.description,
-            validation.sanitizedData.priority,
-            validation.sanitizedData.dueDate
-        );
+        const task = this.instantiate(validation.sanitizedData, dataWithDefaults);
 
         // Add project task metadata
         task.type = 'project';
@@ -310,18 +308,9 @@ class ProjectTaskCreator extends TaskCreator {
         return task;
     }
 
+    // Throws a SchemaValidationError listing every problem
     validateProjectData(taskData) {
-        if (taskData.projectName && taskData.projectName.trim().length === 0) {
-            throw new Error('Project name cannot be empty');
-        }
-
-        if (taskData.estimatedHours !== null && taskData.estimatedHours < 0) {
-            throw new Error('Estimated hours cannot be negative');
-        }
-
-        if (!Array.isArray(taskData.dependencies)) {
-            throw new Error('Dependencies must be an array');
-        }
+        return FactorySchema.PROJECT_SCHEMA.assert(taskData);
     }
 }
 
@@ -360,6 +349,11 @@ class TaskBuilder {
         return this;
     }
 
+    setOwner(userId) {
+        this.taskData.userId = userId;
+        return this;
+    }
+
     setPriority(priority) {
         this.taskData.priority = priority;
         return this;
@@ -416,17 +410,20 @@ const factory = new TaskFactory(validator);
 // Create different types of tasks
 const basicTask = factory.createTask('basic', {
     title: 'Learn JavaScript',
-    description: 'Study basic concepts'
+    description: 'Study basic concepts',
+    userId: currentUser.id
 });
 
 const urgentTask = factory.createTask('urgent', {
     title: 'Fix critical bug',
-    description: 'Production issue needs immediate attention'
+    description: 'Production issue needs immediate attention',
+    userId: currentUser.id
 });
 
 const recurringTask = factory.createTask('recurring', {
     title: 'Weekly team meeting',
     description: 'Discuss project progress',
+    userId: currentUser.id,
     recurrencePattern: 'weekly',
     dueDate: '2024-01-15'
 });
@@ -434,6 +431,7 @@ const recurringTask = factory.createTask('recurring', {
 const projectTask = factory.createTask('project', {
     title: 'Implement user authentication',
     description: 'Add login and registration functionality',
+    userId: currentUser.id,
     projectName: 'Web Application',
     milestone: 'Phase 1',
     estimatedHours: 8
@@ -446,6 +444,7 @@ const complexTask = builder
     .setType('project')
     .setTitle('Database Migration')
     .setDescription('Migrate from MySQL to PostgreSQL')
+    .setOwner(currentUser.id)
     .setPriority('high')
     .setProject('Backend Refactor')
     .setMilestone('Database Layer')
@@ -453,4 +452,20 @@ const complexTask = builder
     .build();
 
 console.log('Available task types:', factory.getAvailableTypes());
-*/
\ No newline at end of file
+*/
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TaskFactory,
+        TaskCreator,
+        BasicTaskCreator,
+        UrgentTaskCreator,
+        RecurringTaskCreator,
+        ProjectTaskCreator,
+        TaskBuilder
+    };
+} else {
+    window.TaskFactory = TaskFactory;
+    window.TaskBuilder = TaskBuilder;
+}
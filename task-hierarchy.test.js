@@ -0,0 +1,163 @@
+/**
+ * Task Hierarchy Tests
+ * Subtasks built on parentTaskId: traversal, roll-up, completion and deletion rules
+ */
+
+const express = require('express');
+const Task = require('./enhanced-task-model');
+const { TaskRepository, TaskHierarchyError } = require('./task-repository');
+const { createTaskRouter } = require('./task-api');
+
+describe('Task Hierarchy', () => {
+    let repository;
+    let parent;
+    let child;
+    let grandchild;
+
+    beforeEach(async () => {
+        repository = new TaskRepository();
+        parent = new Task('Release', '', 'user_1', { estimatedHours: 2 });
+        child = new Task('Write changelog', '', 'user_1', { parentTaskId: parent.id, estimatedHours: 3 });
+        grandchild = new Task('Collect PRs', '', 'user_1', { parentTaskId: child.id, estimatedHours: 1 });
+
+        await repository.create(parent);
+        await repository.create(child);
+        await repository.create(grandchild);
+    });
+
+    describe('Traversal', () => {
+        test('should find children, descendants and ancestors', () => {
+            expect(repository.getChildren(parent.id)).toEqual([child]);
+            expect(repository.getDescendants(parent.id)).toEqual([child, grandchild]);
+            expect(repository.getAncestors(grandchild.id)).toEqual([child, parent]);
+            expect(repository.getRootTasks()).toEqual([parent]);
+        });
+
+        test('should reject unknown parents and cycles', async () => {
+            const orphan = new Task('Orphan', '', 'user_1', { parentTaskId: 'task_missing' });
+
+            await expect(repository.create(orphan)).rejects.toMatchObject({ code: 'PARENT_NOT_FOUND' });
+            await expect(repository.update(parent.id, { parentTaskId: grandchild.id }))
+                .rejects.toMatchObject({ code: 'HIERARCHY_CYCLE' });
+            await expect(repository.update(parent.id, { parentTaskId: parent.id }))
+                .rejects.toBeInstanceOf(TaskHierarchyError);
+        });
+    });
+
+    describe('Roll-up', () => {
+        test('should sum hours and average progress over the subtree', async () => {
+            await repository.update(grandchild.id, { completed: true });
+
+            expect(repository.getRollup(parent.id)).toEqual({
+                progress: 100,
+                estimatedHours: 6,
+                actualHours: null,
+                totalSubtasks: 2,
+                completedSubtasks: 1
+            });
+        });
+
+        test('should average progress across direct children', async () => {
+            const second = new Task('Tag release', '', 'user_1', { parentTaskId: parent.id });
+            await repository.create(second);
+            await repository.update(child.id, { completed: true }, null, { cascadeCompletion: true });
+
+            expect(repository.getRollup(parent.id).progress).toBe(50);
+        });
+    });
+
+    describe('Completion', () => {
+        test('should refuse to complete a parent with open subtasks', async () => {
+            const error = await repository.update(parent.id, { completed: true }).catch(e => e);
+
+            expect(error).toBeInstanceOf(TaskHierarchyError);
+            expect(error.code).toBe('INCOMPLETE_SUBTASKS');
+            expect(error.subtasks.map(t => t.id)).toEqual([child.id, grandchild.id]);
+            expect(repository.getTask(parent.id).completed).toBe(false);
+        });
+
+        test('should cascade completion when asked', async () => {
+            await repository.update(parent.id, { completed: true }, null, { cascadeCompletion: true });
+
+            expect(repository.getDescendants(parent.id).every(t => t.completed)).toBe(true);
+        });
+
+        test('should leave subtasks alone when the parent update is invalid', async () => {
+            await expect(repository.update(parent.id, { completed: true, title: '' }, null, { cascadeCompletion: true }))
+                .rejects.toThrow('Task title cannot be empty');
+
+            expect(repository.getDescendants(parent.id).some(t => t.completed)).toBe(false);
+        });
+
+        test('should not cascade into a subtask blocked by another task', async () => {
+            const review = await repository.create(new Task('Review', '', 'user_1'));
+            await repository.dependencyGraph.addDependency(grandchild.id, review.id);
+            await repository.dependencyGraph.addDependency(child.id, grandchild.id);
+
+            await expect(repository.update(parent.id, { completed: true }, null, { cascadeCompletion: true }))
+                .rejects.toMatchObject({ code: 'TASK_BLOCKED', blockers: [review] });
+            expect(repository.getDescendants(parent.id).some(t => t.completed)).toBe(false);
+
+            await review.markComplete();
+            await repository.update(parent.id, { completed: true }, null, { cascadeCompletion: true });
+            expect(repository.getDescendants(parent.id).every(t => t.completed)).toBe(true);
+        });
+    });
+
+    describe('Deletion', () => {
+        test('should reparent subtasks by default', async () => {
+            await repository.deleteTask(child.id);
+
+            expect(repository.getTask(grandchild.id).parentTaskId).toBe(parent.id);
+        });
+
+        test('should delete the whole subtree on cascade', async () => {
+            await repository.deleteTask(parent.id, null, { subtasks: 'cascade' });
+
+            expect(repository.getAllTasks()).toHaveLength(0);
+        });
+    });
+
+    describe('REST API', () => {
+        let server;
+        let baseUrl;
+
+        beforeEach(async () => {
+            const app = express();
+            app.use('/api/tasks', createTaskRouter(repository));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should list subtasks with the roll-up', async () => {
+            const response = await fetch(`${baseUrl}/api/tasks/${parent.id}/subtasks`);
+            const body = await response.json();
+
+            expect(body.subtasks.map(t => t.id)).toEqual([child.id]);
+            expect(body.rollup.totalSubtasks).toBe(2);
+        });
+
+        test('should answer 409 for completion without cascade', async () => {
+            const conflict = await fetch(`${baseUrl}/api/tasks/${parent.id}/toggle`, { method: 'POST' });
+            expect(conflict.status).toBe(409);
+            expect((await conflict.json()).subtasks).toEqual([child.id, grandchild.id]);
+
+            const cascaded = await fetch(`${baseUrl}/api/tasks/${parent.id}/toggle?cascade=true`, { method: 'POST' });
+            expect(cascaded.status).toBe(200);
+            expect(repository.getTask(grandchild.id).completed).toBe(true);
+        });
+
+        test('should cascade deletes on request', async () => {
+            const response = await fetch(`${baseUrl}/api/tasks/${child.id}?subtasks=cascade`, { method: 'DELETE' });
+
+            expect(response.status).toBe(204);
+            expect(repository.getAllTasks()).toEqual([parent]);
+        });
+    });
+});
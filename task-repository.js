@@ -4,12 +4,142 @@
  */
 
 const { TaskValidator } = require('./validation');
+const PermissionPolicy = require('./permission-policy');
+const { DependencyGraph } = require('./dependency-graph');
+const { WorkflowRegistry, getTargetStatus } = require('./task-workflow');
+const { SearchIndex } = require('./search-index');
+
+/**
+ * Raised when an operation would break the subtask hierarchy.
+ * code is one of: PARENT_NOT_FOUND, HIERARCHY_CYCLE, INCOMPLETE_SUBTASKS
+ */
+class TaskHierarchyError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'TaskHierarchyError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
 
 class TaskRepository {
     constructor(storage = null) {
         this.storage = storage;
+        this.entityKey = 'tasks';
         this.tasks = new Map();
         this.listeners = new Map();
+        this.dependencyGraph = new DependencyGraph(this);
+        this.workflows = new WorkflowRegistry();
+        this.auditLog = null;
+        this.workspaceRepository = null;
+        this.searchIndex = new SearchIndex(this);
+    }
+
+    /**
+     * Scope tasks to workspaces (see workspace-repository.js). Once set,
+     * workspace roles count in every permission check, tasks can only be
+     * created in workspaces the actor may create tasks in, and tasks of a
+     * workspace can only be assigned to its members.
+     * @param {WorkspaceRepository} workspaceRepository - Workspaces, or null
+     */
+    setWorkspaceRepository(workspaceRepository) {
+        this.workspaceRepository = workspaceRepository;
+        if (workspaceRepository && typeof workspaceRepository.setTaskRepository === 'function') {
+            workspaceRepository.setTaskRepository(this);
+        }
+    }
+
+    /**
+     * Take the tasks of a deleted workspace out of it; they fall back to the
+     * global permissions of their owners and assignees
+     * @param {string} workspaceId - Deleted workspace
+     * @param {User} actor - Acting user, for the audit log
+     * @returns {Promise<Task[]>} - Tasks that were in the workspace
+     */
+    async detachWorkspace(workspaceId, actor = null) {
+        return this._updateWorkspaceTasks(
+            task => task.workspaceId === workspaceId,
+            task => { task.workspaceId = null; },
+            actor
+        );
+    }
+
+    /**
+     * Give the workspace tasks assigned to a removed member back to their owners
+     * @param {string} workspaceId - Workspace the member left
+     * @param {string} userId - Removed member
+     * @param {User} actor - Acting user, for the audit log
+     * @returns {Promise<Task[]>} - Reassigned tasks
+     */
+    async releaseMember(workspaceId, userId, actor = null) {
+        return this._updateWorkspaceTasks(
+            task => task.workspaceId === workspaceId && task.assignedTo === userId && task.userId !== userId,
+            task => task.reassignToOwner(),
+            actor
+        );
+    }
+
+    async _updateWorkspaceTasks(matches, change, actor) {
+        const tasks = this.getAllTasks().filter(matches);
+        tasks.forEach(task => {
+            const before = this._auditState(task);
+            change(task);
+            task.updatedAt = new Date();
+            this.audit('update', before, task, actor);
+            this.emit('taskUpdated', task);
+        });
+
+        if (tasks.length > 0 && this.storage) {
+            await this.saveToStorage();
+        }
+        return tasks;
+    }
+
+    /**
+     * Permission check that counts workspace roles when workspaces are set
+     * @param {User} user - Acting user
+     * @param {string} permission - Permission name
+     * @param {Task} task - Optional task the action targets
+     * @returns {boolean}
+     */
+    can(user, permission, task = null) {
+        return this.workspaceRepository
+            ? this.workspaceRepository.can(user, permission, task)
+            : PermissionPolicy.can(user, permission, task);
+    }
+
+    _assertCan(actor, permission, task = null) {
+        if (!this.can(actor, permission, task)) {
+            throw new PermissionPolicy.PermissionError(`Permission denied: ${permission}`, permission);
+        }
+    }
+
+    /**
+     * Record every mutation in an audit log (see audit-log.js)
+     * @param {AuditLog} auditLog - Audit log, or null to stop recording
+     */
+    setAuditLog(auditLog) {
+        this.auditLog = auditLog;
+    }
+
+    /**
+     * Add a change to the audit log, if one is set. Collaborators that change
+     * tasks in place (RecurrenceEngine) call this themselves.
+     * @param {string} operation - create, update, delete or restore
+     * @param {object|null} before - Task JSON before the change
+     * @param {Task|null} after - Task after the change
+     * @param {User} actor - Acting user (null for the system)
+     */
+    audit(operation, before, after, actor = null) {
+        if (!this.auditLog) return;
+        this.auditLog.record({
+            actor,
+            entityType: 'task',
+            entityId: (after || before).id,
+            operation,
+            before,
+            after
+        });
     }
 
     // Event system for reactive updates
@@ -20,23 +150,53 @@ class TaskRepository {
         this.listeners.get(event).push(callback);
     }
 
+    // A failing listener must not undo or block the change it is told about
     emit(event, data) {
         if (this.listeners.has(event)) {
-            this.listeners.get(event).forEach(callback => callback(data));
+            this.listeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
         }
     }
 
     // Core CRUD operations
-    async create(task) {
+    // Mutations take an optional acting user; when given, the permission policy is enforced
+    async create(task, actor = null) {
         if (!task || !task.id) {
             throw new Error('Valid task object required');
         }
 
+        if (actor) {
+            PermissionPolicy.assertCan(actor, PermissionPolicy.PERMISSIONS.TASK_CREATE);
+            if (task.workspaceId && this.workspaceRepository) {
+                this.workspaceRepository.assertWorkspacePermission(actor, task.workspaceId, PermissionPolicy.PERMISSIONS.TASK_CREATE);
+            }
+            if (task.assignedTo && task.assignedTo !== task.userId) {
+                this._assertCanAssign(actor, task, task.workspaceId);
+            }
+        }
+        this._assertWorkspaceAssignee(task.workspaceId, task.assignedTo);
+
         if (this.tasks.has(task.id)) {
             throw new Error('Task with this ID already exists');
         }
 
+        if (task.parentTaskId) {
+            this._assertValidParent(task.id, task.parentTaskId);
+        }
+
+        // Prerequisites that are not loaded yet (e.g. later in an import) are allowed
+        this.dependencyGraph.assertValidDependencies(
+            task.id,
+            (task.dependencies || []).filter(id => this.tasks.has(id))
+        );
+
         this.tasks.set(task.id, task);
+        this.audit('create', null, task, actor);
         this.emit('taskAdded', task);
 
         if (this.storage) {
@@ -46,20 +206,112 @@ class TaskRepository {
         return task;
     }
 
-    async addTask(task) {
-        return this.create(task);
+    async addTask(task, actor = null) {
+        return this.create(task, actor);
     }
 
-    async update(taskId, updates) {
+    /**
+     * options.cascadeCompletion - when the update completes a task that still has
+     * incomplete subtasks, complete them too. Without it a TaskHierarchyError
+     * (INCOMPLETE_SUBTASKS) is thrown so the caller can ask the user first.
+     * options.force - complete the task even while its prerequisites are
+     * incomplete. Without it a DependencyError (TASK_BLOCKED) is thrown.
+     * options.note / options.user - attached to the status history when the
+     * update changes the status (the actor, when given, is used as user).
+     * Status changes must be allowed by the task's workflow (WorkflowError).
+     */
+    async update(taskId, updates, actor = null, options = {}) {
         const task = this.tasks.get(taskId);
         if (!task) {
             return null;
         }
 
-        // Apply updates
-        Object.assign(task, updates);
+        if (actor) {
+            this._assertCan(actor, PermissionPolicy.PERMISSIONS.TASK_EDIT, task);
+        }
+
+        // Moving a task into a workspace counts as creating a task there
+        const workspaceId = updates.workspaceId !== undefined ? (updates.workspaceId || null) : task.workspaceId;
+        if (actor && workspaceId && workspaceId !== task.workspaceId && this.workspaceRepository) {
+            this.workspaceRepository.assertWorkspacePermission(actor, workspaceId, PermissionPolicy.PERMISSIONS.TASK_CREATE);
+        }
+        const assignee = updates.assignedTo !== undefined ? (updates.assignedTo || task.userId) : task.assignedTo;
+        if (actor && assignee !== task.assignedTo) {
+            this._assertCanAssign(actor, task, workspaceId);
+        }
+        if (updates.workspaceId !== undefined || updates.assignedTo !== undefined) {
+            this._assertWorkspaceAssignee(workspaceId, assignee);
+        }
+
+        if (updates.parentTaskId) {
+            this._assertValidParent(taskId, updates.parentTaskId);
+        }
+
+        if (Array.isArray(updates.dependencies)) {
+            this.dependencyGraph.assertValidDependencies(taskId, updates.dependencies);
+        }
+
+        const fromStatus = task.status;
+        const toStatus = getTargetStatus(task, updates);
+        const changedBy = actor || options.user || null;
+        // Workflow and guards see the task as it will look after the update
+        const preview = { ...(typeof task.toJSON === 'function' ? task.toJSON() : task), ...updates };
+        const workflow = this.workflows.resolve(preview);
+        if (toStatus && fromStatus && toStatus !== fromStatus) {
+            workflow.assertTransition(preview, fromStatus, toStatus, { user: changedBy, note: options.note });
+        }
+
+        const completes = updates.completed === true || updates.status === 'completed';
+        if (completes && !task.completed && !options.force) {
+            this.dependencyGraph.assertNotBlocked(taskId);
+        }
+        const openSubtasks = completes && !task.completed
+            ? this.getDescendants(taskId).filter(subtask => !subtask.completed)
+            : [];
+        if (openSubtasks.length > 0 && !options.cascadeCompletion) {
+            throw new TaskHierarchyError(
+                `Task has ${openSubtasks.length} incomplete subtask(s)`,
+                'INCOMPLETE_SUBTASKS',
+                { subtasks: openSubtasks }
+            );
+        }
+
+        // Nothing may change before the update itself is known to be valid
+        if (typeof task.update === 'function' && typeof task.constructor.fromJSON === 'function') {
+            task.constructor.fromJSON(task.toJSON()).update(updates);
+        }
+        if (!options.force) {
+            const completing = [taskId, ...openSubtasks.map(subtask => subtask.id)];
+            openSubtasks.forEach(subtask => this.dependencyGraph.assertNotBlocked(subtask.id, completing));
+        }
+
+        openSubtasks.forEach(subtask => {
+            const subtaskStatus = subtask.status;
+            const subtaskBefore = this._auditState(subtask);
+            subtask.markComplete();
+            this._recordTransition(subtask, subtaskStatus, changedBy, options.note);
+            this.audit('update', subtaskBefore, subtask, changedBy);
+            this.emit('taskUpdated', subtask);
+        });
+
+        const before = this._auditState(task);
+
+        // Apply updates through the model when it supports it so field validation runs
+        if (typeof task.update === 'function') {
+            task.update(updates);
+        } else {
+            Object.assign(task, updates);
+        }
         task.updatedAt = new Date();
 
+        if (task.status !== fromStatus) {
+            if (options.note && typeof task.addNote === 'function') {
+                task.addNote(options.note, changedBy ? changedBy.id : task.userId);
+            }
+            this._recordTransition(task, fromStatus, changedBy, options.note, workflow);
+        }
+
+        this.audit('update', before, task, changedBy);
         this.emit('taskUpdated', task);
 
         if (this.storage) {
@@ -69,18 +321,44 @@ class TaskRepository {
         return task;
     }
 
-    async updateTask(taskId, updates) {
-        return this.update(taskId, updates);
+    async updateTask(taskId, updates, actor = null, options = {}) {
+        return this.update(taskId, updates, actor, options);
     }
 
-    async deleteTask(taskId) {
+    /**
+     * options.subtasks - what happens to the task's children:
+     * 'reparent' (default) moves them up to the deleted task's parent,
+     * 'cascade' deletes the whole subtree.
+     */
+    async deleteTask(taskId, actor = null, options = {}) {
         const task = this.tasks.get(taskId);
         if (!task) {
             throw new Error('Task not found');
         }
 
-        this.tasks.delete(taskId);
-        this.emit('taskDeleted', { id: taskId, task });
+        if (actor) {
+            this._assertCan(actor, PermissionPolicy.PERMISSIONS.TASK_DELETE, task);
+        }
+
+        const mode = options.subtasks || 'reparent';
+        if (!['reparent', 'cascade'].includes(mode)) {
+            throw new Error(`Unknown subtask mode: ${mode}`);
+        }
+
+        if (mode === 'cascade') {
+            // Deepest first so listeners never see an orphan
+            this.getDescendants(taskId).reverse().forEach(subtask => this._removeTask(subtask, actor));
+        } else {
+            this.getChildren(taskId).forEach(child => {
+                const before = this._auditState(child);
+                child.parentTaskId = task.parentTaskId || null;
+                child.updatedAt = new Date();
+                this.audit('update', before, child, actor);
+                this.emit('taskUpdated', child);
+            });
+        }
+
+        this._removeTask(task, actor);
 
         if (this.storage) {
             await this.saveToStorage();
@@ -147,6 +425,65 @@ class TaskRepository {
         return Array.from(this.tasks.values());
     }
 
+    getTasksVisibleTo(user) {
+        return this.getAllTasks().filter(task =>
+            this.can(user, PermissionPolicy.PERMISSIONS.TASK_VIEW, task)
+        );
+    }
+
+    // Subtask hierarchy (built on parentTaskId)
+    getChildren(taskId) {
+        return this.getAllTasks().filter(task => task.parentTaskId === taskId);
+    }
+
+    getDescendants(taskId) {
+        const descendants = [];
+        const queue = [taskId];
+        const seen = new Set(queue);
+
+        while (queue.length > 0) {
+            this.getChildren(queue.shift()).forEach(child => {
+                if (!seen.has(child.id)) {
+                    seen.add(child.id);
+                    descendants.push(child);
+                    queue.push(child.id);
+                }
+            });
+        }
+
+        return descendants;
+    }
+
+    getAncestors(taskId) {
+        const ancestors = [];
+        const seen = new Set([taskId]);
+        let current = this.tasks.get(taskId);
+
+        while (current && current.parentTaskId && !seen.has(current.parentTaskId)) {
+            const parent = this.tasks.get(current.parentTaskId);
+            if (!parent) break;
+            ancestors.push(parent);
+            seen.add(parent.id);
+            current = parent;
+        }
+
+        return ancestors; // nearest parent first
+    }
+
+    getRootTasks() {
+        return this.getAllTasks().filter(task => !task.parentTaskId || !this.tasks.has(task.parentTaskId));
+    }
+
+    getRollup(taskId) {
+        const task = this.tasks.get(taskId);
+        if (!task) {
+            return null;
+        }
+
+        const TaskModel = require('./enhanced-task-model');
+        return TaskModel.calculateRollup(task, this.getDescendants(taskId));
+    }
+
     // Query methods
     getTasksByUser(userId) {
         return this.getAllTasks().filter(task => task.userId === userId);
@@ -156,6 +493,10 @@ class TaskRepository {
         return this.getAllTasks().filter(task => task.assignedTo === assigneeId);
     }
 
+    getTasksByWorkspace(workspaceId) {
+        return this.getAllTasks().filter(task => task.workspaceId === workspaceId);
+    }
+
     getTasksByStatus(status) {
         return this.getAllTasks().filter(task => task.status === status);
     }
@@ -208,6 +549,19 @@ class TaskRepository {
         });
     }
 
+    /**
+     * Full-text search with the query syntax of search-index.js
+     * @param {string} query - e.g. 'tag:backend priority:high "exact phrase" -wontfix'
+     * @param {object} options - { userId, limit }
+     * @returns {Task[]} - Matching tasks, most relevant first
+     */
+    search(query, options = {}) {
+        const tasks = this.searchIndex.search(query)
+            .map(result => result.task)
+            .filter(task => !options.userId || task.userId === options.userId);
+        return options.limit ? tasks.slice(0, options.limit) : tasks;
+    }
+
     // Advanced filtering
     getTasksByFilter(filter) {
         let tasks = this.getAllTasks();
@@ -220,6 +574,15 @@ class TaskRepository {
             tasks = tasks.filter(task => task.assignedTo === filter.assigneeId);
         }
 
+        // Tasks the user owns or is assigned to ("my tasks")
+        if (filter.participantId) {
+            tasks = tasks.filter(task => task.userId === filter.participantId || task.assignedTo === filter.participantId);
+        }
+
+        if (filter.workspaceId) {
+            tasks = tasks.filter(task => task.workspaceId === filter.workspaceId);
+        }
+
         if (filter.status) {
             tasks = tasks.filter(task => task.status === filter.status);
         }
@@ -240,18 +603,29 @@ class TaskRepository {
             tasks = tasks.filter(task => task.isOverdue === filter.overdue);
         }
 
+        // Inclusive due date range, compared by calendar day (YYYY-MM-DD)
+        if (filter.dueAfter || filter.dueBefore) {
+            const dayOf = date => new Date(date).toISOString().slice(0, 10);
+            tasks = tasks.filter(task => {
+                if (!task.dueDate) return false;
+                const day = dayOf(task.dueDate);
+                return (!filter.dueAfter || day >= dayOf(filter.dueAfter)) &&
+                    (!filter.dueBefore || day <= dayOf(filter.dueBefore));
+            });
+        }
+
         if (filter.tags && filter.tags.length > 0) {
             tasks = tasks.filter(task =>
                 filter.tags.some(tag => task.hasTag(tag))
             );
         }
 
+        // Ranked by relevance unless sortBy asks for another order
         if (filter.search) {
-            const searchTerm = filter.search.toLowerCase();
-            tasks = tasks.filter(task =>
-                task.title.toLowerCase().includes(searchTerm) ||
-                task.description.toLowerCase().includes(searchTerm)
-            );
+            const candidates = new Set(tasks);
+            tasks = this.searchIndex.search(filter.search)
+                .map(result => result.task)
+                .filter(task => candidates.has(task));
         }
 
         // Sorting
@@ -260,10 +634,10 @@ class TaskRepository {
                 let aValue, bValue;
 
                 switch (filter.sortBy) {
-                    case 'title':
-                        aValue = a.title.toLowerCase();
-                        bValue = b.title.toLowerCase();
-                        break;
+                    case 'title': {
+                        const comparison = a.title.toLowerCase().localeCompare(b.title.toLowerCase());
+                        return filter.sortOrder === 'desc' ? -comparison : comparison;
+                    }
                     case 'priority':
                         const priorityOrder = { low: 1, medium: 2, high: 3, urgent: 4 };
                         aValue = priorityOrder[a.priority] || 0;
@@ -335,7 +709,7 @@ class TaskRepository {
     }
 
     // Bulk operations
-    async addTasks(tasks) {
+    async addTasks(tasks, actor = null) {
         if (!Array.isArray(tasks)) {
             throw new Error('Array of tasks required');
         }
@@ -345,7 +719,7 @@ class TaskRepository {
 
         for (const task of tasks) {
             try {
-                const addedTask = await this.addTask(task);
+                const addedTask = await this.addTask(task, actor);
                 results.push(addedTask);
             } catch (error) {
                 errors.push({ task, error: error.message });
@@ -359,7 +733,7 @@ class TaskRepository {
         return { results, errors };
     }
 
-    async deleteTasks(taskIds) {
+    async deleteTasks(taskIds, actor = null, options = {}) {
         if (!Array.isArray(taskIds)) {
             throw new Error('Array of task IDs required');
         }
@@ -369,7 +743,7 @@ class TaskRepository {
 
         for (const taskId of taskIds) {
             try {
-                const deletedTask = await this.deleteTask(taskId);
+                const deletedTask = await this.deleteTask(taskId, actor, options);
                 results.push(deletedTask);
             } catch (error) {
                 errors.push({ taskId, error: error.message });
@@ -383,6 +757,55 @@ class TaskRepository {
         return { results, errors };
     }
 
+    /**
+     * Replay recorded changes (used by undo/redo). A change is { id, from, to }
+     * as made by CommandHistory.replayChanges: whole task JSON for a task to
+     * create or delete, otherwise the fields to set. Everything goes through
+     * create, update and deleteTask, so the permission, workflow, hierarchy
+     * and dependency checks apply. Checking that the tasks still match `from`
+     * is up to the caller.
+     * @param {object[]} changes - { id, from, to }
+     * @param {User} actor - Acting user
+     */
+    async applyChanges(changes, actor = null) {
+        const Task = require('./enhanced-task-model');
+        const created = this._parentsFirst(changes.filter(change => !change.from && change.to));
+        const updated = changes.filter(change => change.from && change.to);
+        const deleted = this._parentsFirst(changes.filter(change => change.from && !change.to)).reverse();
+
+        for (const { to } of created) {
+            await this.create(Task.fromJSON(to), actor);
+        }
+        for (const { id, to } of updated) {
+            // A cascade earlier in the replay may already have set some of the fields
+            const current = JSON.parse(JSON.stringify(this.tasks.get(id).toJSON()));
+            const fields = Object.fromEntries(Object.entries(to)
+                .filter(([field, value]) => JSON.stringify(current[field]) !== JSON.stringify(value)));
+            if (Object.keys(fields).length > 0) {
+                await this.update(id, fields, actor, { cascadeCompletion: true });
+            }
+        }
+        for (const { id } of deleted) {
+            if (this.tasks.has(id)) {
+                await this.deleteTask(id, actor);
+            }
+        }
+    }
+
+    // Order created/deleted task states so parents come before their subtasks
+    _parentsFirst(changes) {
+        const pending = [...changes];
+        const ordered = [];
+        while (pending.length > 0) {
+            const pendingIds = new Set(pending.map(change => change.id));
+            const ready = pending.filter(change => !pendingIds.has((change.to || change.from).parentTaskId));
+            const next = ready.length > 0 ? ready : pending;
+            next.forEach(change => pending.splice(pending.indexOf(change), 1));
+            ordered.push(...next);
+        }
+        return ordered;
+    }
+
     // Storage operations
     async loadFromStorage() {
         if (!this.storage) {
@@ -390,14 +813,17 @@ class TaskRepository {
         }
 
         try {
-            const data = await this.storage.load();
-            if (data && Array.isArray(data.tasks)) {
+            const data = await this.storage.load(this.entityKey, []);
+            // Older saves wrapped the list as { tasks, lastSaved }
+            const records = Array.isArray(data) ? data : (data && data.tasks);
+            if (Array.isArray(records)) {
                 this.tasks.clear();
-                data.tasks.forEach(taskData => {
+                records.forEach(taskData => {
                     const Task = require('./enhanced-task-model');
                     const task = Task.fromJSON(taskData);
                     this.tasks.set(task.id, task);
                 });
+                this.searchIndex.rebuild(this.getAllTasks());
             }
         } catch (error) {
             throw new Error(`Failed to load from storage: ${error.message}`);
@@ -410,16 +836,77 @@ class TaskRepository {
         }
 
         try {
-            const data = {
-                tasks: Array.from(this.tasks.values()).map(task => task.toJSON()),
-                lastSaved: new Date().toISOString()
-            };
-            await this.storage.save(data);
+            const data = Array.from(this.tasks.values()).map(task => task.toJSON());
+            const saved = await this.storage.save(this.entityKey, data);
+            if (saved === false) {
+                throw new Error('Storage rejected the write');
+            }
         } catch (error) {
             throw new Error(`Failed to save to storage: ${error.message}`);
         }
     }
 
+    // Write the status history entry and run the workflow hooks
+    _recordTransition(task, fromStatus, changedBy = null, note = null, workflow = this.workflows.resolve(task)) {
+        const by = changedBy ? changedBy.id : null;
+        if (typeof task.recordStatusChange === 'function') {
+            task.recordStatusChange(fromStatus, task.status, by, note);
+        }
+
+        const transition = { task, from: fromStatus, to: task.status, by, note: note || null, at: new Date() };
+        workflow.notifyTransition(transition);
+        this.emit('taskStatusChanged', transition);
+    }
+
+    // Delete a task and drop it from the prerequisites of its dependents
+    _removeTask(task, actor = null) {
+        this.tasks.delete(task.id);
+        this.dependencyGraph.getDependents(task.id).forEach(dependent => {
+            const before = this._auditState(dependent);
+            dependent.dependencies = dependent.dependencies.filter(id => id !== task.id);
+            this.audit('update', before, dependent, actor);
+            this.emit('taskUpdated', dependent);
+        });
+        this.audit('delete', this._auditState(task), null, actor);
+        this.emit('taskDeleted', { id: task.id, task });
+    }
+
+    // Snapshot for an audit diff; skipped when no audit log is set
+    _auditState(task) {
+        if (!this.auditLog) return null;
+        return JSON.parse(JSON.stringify(typeof task.toJSON === 'function' ? task.toJSON() : task));
+    }
+
+    // Tasks of a workspace can only be assigned to its members
+    // Tasks still pointing at a deleted workspace are not scoped to it any more
+    _assertWorkspaceAssignee(workspaceId, assigneeId) {
+        if (workspaceId && assigneeId && this.workspaceRepository && this.workspaceRepository.getWorkspace(workspaceId)) {
+            this.workspaceRepository.assertMember(workspaceId, assigneeId);
+        }
+    }
+
+    // Handing a task to someone else takes task:assign; in a workspace the
+    // workspace role decides, as it does for creating and editing there
+    _assertCanAssign(actor, task, workspaceId) {
+        if (workspaceId && this.workspaceRepository && this.workspaceRepository.getWorkspace(workspaceId)) {
+            this.workspaceRepository.assertWorkspacePermission(actor, workspaceId, PermissionPolicy.PERMISSIONS.TASK_ASSIGN);
+        } else {
+            this._assertCan(actor, PermissionPolicy.PERMISSIONS.TASK_ASSIGN, task);
+        }
+    }
+
+    _assertValidParent(taskId, parentId) {
+        if (parentId === taskId) {
+            throw new TaskHierarchyError('Task cannot be its own parent', 'HIERARCHY_CYCLE');
+        }
+        if (!this.tasks.has(parentId)) {
+            throw new TaskHierarchyError('Parent task not found', 'PARENT_NOT_FOUND');
+        }
+        if (this.getAncestors(parentId).some(ancestor => ancestor.id === taskId)) {
+            throw new TaskHierarchyError('Task cannot be moved under its own subtask', 'HIERARCHY_CYCLE');
+        }
+    }
+
     // Utility methods
     async exists(taskId) {
         return this.tasks.has(taskId);
@@ -431,6 +918,7 @@ class TaskRepository {
 
     clear() {
         this.tasks.clear();
+        this.searchIndex.rebuild([]);
         if (this.storage) {
             this.saveToStorage();
         }
@@ -450,4 +938,4 @@ class TaskRepository {
     }
 }
 
-module.exports = { TaskRepository };
+module.exports = { TaskRepository, TaskHierarchyError };
@@ -13,6 +13,37 @@
  * - Data presentation and formatting
  */
 
+// Recurrence rules are a global in the browser
+const ViewRecurrenceEngine = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./recurrence-engine').RecurrenceEngine
+    : window.RecurrenceEngine;
+
+// Labels, messages and dates follow the locale in user.preferences.locale
+const ViewI18n = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./i18n')
+    : window.I18n;
+
+// Ways to lay out the tasks and the element each one renders into;
+// the choice is kept in user.preferences.taskLayout
+const LAYOUT_CONTAINERS = {
+    list: 'taskList',
+    board: 'taskBoard',
+    calendar: 'taskCalendar'
+};
+const TASK_LAYOUTS = Object.keys(LAYOUT_CONTAINERS);
+
+// Kanban columns, one per status accepted by Task.setStatus; labels are catalogue keys
+const BOARD_COLUMNS = [
+    { status: 'pending', label: 'status.pending' },
+    { status: 'in-progress', label: 'status.in-progress' },
+    { status: 'on-hold', label: 'status.on-hold' },
+    { status: 'completed', label: 'status.completed' },
+    { status: 'cancelled', label: 'status.cancelled' }
+];
+
+// Work-in-progress limits per column; user.preferences.wipLimits overrides them
+const DEFAULT_WIP_LIMITS = { 'in-progress': 5 };
+
 /**
  * Base View
  * Provides common functionality for all views
@@ -26,6 +57,17 @@ class BaseView {
         
         this.listeners = new Set();
         this.isInitialized = false;
+        this.locale = null; // null: the current I18n locale
+    }
+    
+    /**
+     * Look up a message in the view's locale
+     * @param {string} key - Catalogue key
+     * @param {object} params - Values for the {placeholders}
+     * @returns {string} - Message text
+     */
+    t(key, params = {}) {
+        return ViewI18n.t(key, params, this.locale);
     }
     
     /**
@@ -101,9 +143,10 @@ class BaseView {
     /**
      * Show success message
      * @param {string} message - Success message
+     * @param {object} action - Optional button in the message: { label, onClick }
      */
-    showSuccess(message) {
-        this.showMessage(message, 'success');
+    showSuccess(message, action = null) {
+        this.showMessage(message, 'success', action);
     }
     
     /**
@@ -118,13 +161,30 @@ class BaseView {
      * Show message with specified type
      * @param {string} message - Message text
      * @param {string} type - Message type (error, success, info, warning)
+     * @param {object} action - Optional button in the message: { label, onClick }
      */
-    showMessage(message, type = 'info') {
-        // Create message element
+    showMessage(message, type = 'info', action = null) {
+        // Create message element; messages quote task titles and other user
+        // input, so they are shown as text, never parsed as HTML
         const messageElement = this.createElement('div', {
             className: `message message-${type}`,
             role: 'alert'
-        }, message);
+        }, document.createTextNode(message));
+        
+        if (action) {
+            const actionButton = this.createElement('button', {
+                type: 'button',
+                className: 'message-action'
+            }, document.createTextNode(action.label));
+            actionButton.addEventListener('click', event => {
+                event.stopPropagation();
+                action.onClick();
+                if (messageElement.parentNode) {
+                    messageElement.parentNode.removeChild(messageElement);
+                }
+            });
+            messageElement.appendChild(actionButton);
+        }
         
         // Find or create message container
         let messageContainer = document.getElementById('messages');
@@ -162,7 +222,7 @@ class BaseView {
      * Show loading state
      * @param {string} message - Loading message
      */
-    showLoading(message = 'Loading...') {
+    showLoading(message = this.t('view.loading')) {
         this.container.innerHTML = `
             <div class="loading">
                 <div class="loading-spinner"></div>
@@ -182,34 +242,35 @@ class BaseView {
     }
     
     /**
-     * Escape HTML to prevent XSS
+     * Escape HTML to prevent XSS. Quotes are escaped too, because the
+     * result is also placed in attribute values.
      * @param {string} text - Text to escape
      * @returns {string} - Escaped text
      */
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
     
     /**
-     * Format date for display
+     * Format date for display in the view's locale
      * @param {Date} date - Date to format
+     * @param {object} options - Optional Intl.DateTimeFormat options
      * @returns {string} - Formatted date
      */
-    formatDate(date) {
-        if (!date) return '';
-        return new Date(date).toLocaleDateString();
+    formatDate(date, options = undefined) {
+        return ViewI18n.formatDate(date, this.locale, options);
     }
     
     /**
-     * Format datetime for display
+     * Format datetime for display in the view's locale
      * @param {Date} date - Date to format
+     * @param {object} options - Optional Intl.DateTimeFormat options
      * @returns {string} - Formatted datetime
      */
-    formatDateTime(date) {
-        if (!date) return '';
-        return new Date(date).toLocaleString();
+    formatDateTime(date, options = undefined) {
+        return ViewI18n.formatDateTime(date, this.locale, options);
     }
 }
 
@@ -223,6 +284,13 @@ class TaskView extends BaseView {
         this.currentUser = null;
         this.currentTasks = [];
         this.currentFilter = 'all';
+        this.layout = 'list';
+        this.wipLimits = { ...DEFAULT_WIP_LIMITS };
+        this.calendarMode = 'month';
+        this.calendarDate = new Date();
+        this.savedViews = [];
+        this.activeViewId = null;
+        this.fieldValidator = null;
     }
     
     /**
@@ -231,6 +299,12 @@ class TaskView extends BaseView {
      */
     async initialize(user) {
         this.currentUser = user;
+        
+        const preferences = (user && user.preferences) || {};
+        this.locale = ViewI18n.localeForUser(user);
+        this.layout = TASK_LAYOUTS.includes(preferences.taskLayout) ? preferences.taskLayout : 'list';
+        this.wipLimits = { ...DEFAULT_WIP_LIMITS, ...(preferences.wipLimits || {}) };
+        
         this.render();
         this.setupEventListeners();
         this.isInitialized = true;
@@ -247,10 +321,10 @@ class TaskView extends BaseView {
         this.container.innerHTML = `
             <div class="task-management">
                 <header class="task-header">
-                    <h1>Task Management</h1>
+                    <h1>${this.t('view.heading')}</h1>
                     <div class="user-info">
                         <span class="user-avatar">${this.currentUser.initials}</span>
-                        <span class="user-name">Welcome, ${this.escapeHtml(this.currentUser.fullName)}</span>
+                        <span class="user-name">${this.t('view.welcome', { name: this.escapeHtml(this.currentUser.fullName) })}</span>
                     </div>
                 </header>
                 
@@ -258,45 +332,58 @@ class TaskView extends BaseView {
                     <div class="task-form-container">
                         <form id="taskForm" class="task-form">
                             <div class="form-row">
-                                <input type="text" id="taskTitle" name="title" placeholder="Task title" required>
+                                <input type="text" id="taskTitle" name="title" placeholder="${this.t('view.form.title')}" required data-validate>
                                 <select id="taskPriority" name="priority">
-                                    <option value="low">Low Priority</option>
-                                    <option value="medium" selected>Medium Priority</option>
-                                    <option value="high">High Priority</option>
-                                    <option value="urgent">Urgent</option>
+                                    <option value="low">${this.t('view.priority.low')}</option>
+                                    <option value="medium" selected>${this.t('view.priority.medium')}</option>
+                                    <option value="high">${this.t('view.priority.high')}</option>
+                                    <option value="urgent">${this.t('view.priority.urgent')}</option>
                                 </select>
                             </div>
                             <div class="form-row">
-                                <textarea id="taskDescription" name="description" placeholder="Task description (optional)" rows="2"></textarea>
+                                <textarea id="taskDescription" name="description" placeholder="${this.t('view.form.description')}" rows="2" data-validate></textarea>
                             </div>
                             <div class="form-row">
-                                <input type="text" id="taskCategory" name="category" placeholder="Category (e.g., work, personal)">
+                                <input type="text" id="taskCategory" name="category" placeholder="${this.t('view.form.category')}" data-validate>
                                 <input type="date" id="taskDueDate" name="dueDate">
-                                <input type="number" id="taskEstimatedHours" name="estimatedHours" placeholder="Est. hours" min="0" step="0.5">
+                                <input type="number" id="taskEstimatedHours" name="estimatedHours" placeholder="${this.t('view.form.estimatedHours')}" min="0" step="0.5" data-validate>
                             </div>
                             <div class="form-row">
-                                <input type="text" id="taskTags" name="tags" placeholder="Tags (comma-separated)">
-                                <button type="submit" class="btn btn-primary">Add Task</button>
+                                <input type="text" id="taskTags" name="tags" placeholder="${this.t('view.form.tags')}">
+                                <input type="text" id="taskAssignee" name="assignedTo" placeholder="${this.t('view.form.assignee')}" data-validate>
+                                <button type="submit" class="btn btn-primary">${this.t('view.form.submit')}</button>
                             </div>
                         </form>
                     </div>
                     
                     <div class="task-filters">
                         <div class="filter-group">
-                            <button class="filter-btn active" data-filter="all">All Tasks</button>
-                            <button class="filter-btn" data-filter="pending">Pending</button>
-                            <button class="filter-btn" data-filter="completed">Completed</button>
-                            <button class="filter-btn" data-filter="overdue">Overdue</button>
+                            <button class="filter-btn active" data-filter="all">${this.t('view.filter.all')}</button>
+                            <button class="filter-btn" data-filter="mine">${this.t('view.filter.mine')}</button>
+                            <button class="filter-btn" data-filter="pending">${this.t('view.filter.pending')}</button>
+                            <button class="filter-btn" data-filter="completed">${this.t('view.filter.completed')}</button>
+                            <button class="filter-btn" data-filter="overdue">${this.t('view.filter.overdue')}</button>
                         </div>
                         <div class="priority-filters">
-                            <button class="filter-btn" data-filter="priority" data-value="high">High Priority</button>
-                            <button class="filter-btn" data-filter="priority" data-value="medium">Medium Priority</button>
-                            <button class="filter-btn" data-filter="priority" data-value="low">Low Priority</button>
+                            <button class="filter-btn" data-filter="priority" data-value="high">${this.t('view.priority.high')}</button>
+                            <button class="filter-btn" data-filter="priority" data-value="medium">${this.t('view.priority.medium')}</button>
+                            <button class="filter-btn" data-filter="priority" data-value="low">${this.t('view.priority.low')}</button>
+                        </div>
+                        <div class="workspace-filters" id="workspaceFilters">
+                            <!-- Team task filters will be populated here -->
+                        </div>
+                        <div class="saved-views" id="savedViews">
+                            <!-- Pinned and saved views will be populated here -->
                         </div>
                         <div class="search-group">
-                            <input type="text" id="taskSearch" placeholder="Search tasks...">
-                            <button id="clearSearch" class="btn btn-secondary">Clear</button>
-                            <button id="refreshTasks" class="btn btn-secondary">Refresh</button>
+                            <input type="text" id="taskSearch" placeholder="${this.t('view.search.placeholder')}">
+                            <button id="clearSearch" class="btn btn-secondary">${this.t('view.search.clear')}</button>
+                            <button id="refreshTasks" class="btn btn-secondary">${this.t('view.refresh')}</button>
+                        </div>
+                        <div class="layout-group">
+                            <button class="layout-btn ${this.layout === 'list' ? 'active' : ''}" data-layout="list">${this.t('view.layout.list')}</button>
+                            <button class="layout-btn ${this.layout === 'board' ? 'active' : ''}" data-layout="board">${this.t('view.layout.board')}</button>
+                            <button class="layout-btn ${this.layout === 'calendar' ? 'active' : ''}" data-layout="calendar">${this.t('view.layout.calendar')}</button>
                         </div>
                     </div>
                 </div>
@@ -308,10 +395,12 @@ class TaskView extends BaseView {
                 <div class="task-list-container">
                     <div id="taskList" class="task-list">
                         <div class="empty-state">
-                            <p>No tasks found</p>
-                            <small>Create your first task using the form above</small>
+                            <p>${this.t('view.noTasks')}</p>
+                            <small>${this.t('view.empty.default')}</small>
                         </div>
                     </div>
+                    <div id="taskBoard" class="task-board" hidden></div>
+                    <div id="taskCalendar" class="task-calendar" hidden></div>
                 </div>
             </div>
         `;
@@ -325,6 +414,8 @@ class TaskView extends BaseView {
         const taskForm = document.getElementById('taskForm');
         if (taskForm) {
             taskForm.addEventListener('submit', this.handleTaskFormSubmit.bind(this));
+            // The validator is set by the app, possibly after the form is rendered
+            taskForm.addEventListener('input', event => this.handleFieldInput(event, this.fieldValidator));
         }
         
         // Filter buttons
@@ -349,21 +440,95 @@ class TaskView extends BaseView {
             refreshBtn.addEventListener('click', this.handleRefresh.bind(this));
         }
         
+        // Workspace filters are re-rendered, so they use delegation too
+        const workspaceFilters = document.getElementById('workspaceFilters');
+        if (workspaceFilters) {
+            workspaceFilters.addEventListener('click', this.handleWorkspaceFilterClick.bind(this));
+        }
+        
+        // Saved views are re-rendered, so their controls use delegation
+        const savedViews = document.getElementById('savedViews');
+        if (savedViews) {
+            savedViews.addEventListener('click', this.handleSavedViewsClick.bind(this));
+            savedViews.addEventListener('change', this.handleSavedViewsChange.bind(this));
+        }
+        
         // Task list event delegation
         const taskList = document.getElementById('taskList');
         if (taskList) {
             taskList.addEventListener('click', this.handleTaskListClick.bind(this));
         }
+        
+        // Board cards use the same actions, plus drag-and-drop between columns
+        const taskBoard = document.getElementById('taskBoard');
+        if (taskBoard) {
+            taskBoard.addEventListener('click', this.handleTaskListClick.bind(this));
+            taskBoard.addEventListener('dragstart', this.handleCardDragStart.bind(this));
+            taskBoard.addEventListener('dragover', this.handleColumnDragOver.bind(this));
+            taskBoard.addEventListener('drop', this.handleColumnDrop.bind(this));
+        }
+        
+        // Calendar toolbar, and dragging tasks to another day
+        const taskCalendar = document.getElementById('taskCalendar');
+        if (taskCalendar) {
+            taskCalendar.addEventListener('click', this.handleCalendarClick.bind(this));
+            taskCalendar.addEventListener('dragstart', this.handleCardDragStart.bind(this));
+            taskCalendar.addEventListener('dragover', this.handleDayDragOver.bind(this));
+            taskCalendar.addEventListener('drop', this.handleDayDrop.bind(this));
+        }
+        
+        document.querySelectorAll('.layout-btn').forEach(btn => {
+            btn.addEventListener('click', event => this.setLayout(event.target.dataset.layout));
+        });
+        
+        // Undo/redo shortcuts
+        document.addEventListener('keydown', this.handleKeyboardShortcut.bind(this));
+    }
+    
+    /**
+     * Handle Ctrl/Cmd+Z (undo), Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y (redo).
+     * Text fields keep their own undo.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyboardShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+            return;
+        }
+        const target = event.target;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+            return;
+        }
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.notifyListeners('undoRequested');
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.notifyListeners('redoRequested');
+        }
+    }
+    
+    /**
+     * Toast button that reverts the operation just reported
+     * @returns {object} - { label, onClick }
+     */
+    undoAction() {
+        return {
+            label: this.t('view.undo'),
+            onClick: () => this.notifyListeners('undoRequested')
+        };
     }
     
     /**
      * Handle task form submission
      * @param {Event} event - Form submit event
      */
-    handleTaskFormSubmit(event) {
+    async handleTaskFormSubmit(event) {
         event.preventDefault();
         
-        const formData = new FormData(event.target);
+        const form = event.target;
+        const formData = new FormData(form);
         const taskData = {
             title: formData.get('title').trim(),
             description: formData.get('description').trim(),
@@ -371,24 +536,121 @@ class TaskView extends BaseView {
             category: formData.get('category').trim() || 'general',
             dueDate: formData.get('dueDate') || null,
             estimatedHours: formData.get('estimatedHours') ? parseFloat(formData.get('estimatedHours')) : null,
-            tags: formData.get('tags').split(',').map(tag => tag.trim()).filter(tag => tag)
+            tags: formData.get('tags').split(',').map(tag => tag.trim()).filter(tag => tag),
+            assignedTo: (formData.get('assignedTo') || '').trim() || null
         };
         
         if (!taskData.title) {
-            this.showError('Task title is required');
+            this.showError(this.t('task.titleRequired'));
+            return;
+        }
+        
+        // Lookups (e.g. an unknown assignee) may not have answered while typing
+        if (!(await this.checkForm(form, this.fieldValidator))) {
             return;
         }
         
         this.notifyListeners('createTaskRequested', taskData);
         
         // Reset form
-        event.target.reset();
+        form.reset();
         const titleInput = document.getElementById('taskTitle');
         if (titleInput) {
             titleInput.focus();
         }
     }
     
+    /**
+     * Check form fields as they are typed in
+     * @param {RealTimeValidator} validator - Checks for the form (validation-strategies.js)
+     */
+    setFieldValidator(validator) {
+        this.fieldValidator = validator;
+    }
+    
+    /**
+     * Show the errors of fields marked data-validate while the user types,
+     * for forms outside the view (e.g. signup)
+     * @param {HTMLFormElement} form - Form to watch
+     * @param {RealTimeValidator} validator - Checks for the form
+     */
+    bindFieldValidation(form, validator) {
+        form.addEventListener('input', event => this.handleFieldInput(event, validator));
+    }
+    
+    /**
+     * Handle input in a validated form
+     * @param {Event} event - Input event
+     * @param {RealTimeValidator} validator - Checks for the form
+     */
+    handleFieldInput(event, validator) {
+        const input = event.target;
+        if (!validator || !input.name || !input.hasAttribute('data-validate')) return;
+        
+        validator.validateField(input.name, input.value, (field, result) => {
+            this.showFieldErrors(input.form, field, result);
+        });
+    }
+    
+    /**
+     * Check every data-validate field of a form, lookups included, and show the errors
+     * @param {HTMLFormElement} form - Form to check
+     * @param {RealTimeValidator} validator - Checks for the form; without one the form passes
+     * @returns {Promise<boolean>} - Whether every field is valid
+     */
+    async checkForm(form, validator) {
+        const inputs = Array.from(form.querySelectorAll('[data-validate]'));
+        const values = {};
+        inputs.forEach(input => {
+            values[input.name] = input.value;
+        });
+        
+        const results = await this.checkValues(validator, values);
+        Object.keys(results).forEach(field => this.showFieldErrors(form, field, results[field]));
+        return Object.values(results).every(result => result.isValid);
+    }
+    
+    /**
+     * Run the checks of several fields
+     * @param {RealTimeValidator} validator - Checks to run; without one nothing is checked
+     * @param {object} values - { field: value }
+     * @param {object} context - What lookups compare against, e.g. { current: task being edited }
+     * @returns {Promise<object>} - { field: { isValid, errors } }
+     */
+    async checkValues(validator, values, context = {}) {
+        if (!validator) return {};
+        
+        validator.setContext(context);
+        try {
+            const fields = Object.keys(values);
+            const results = await Promise.all(fields.map(field => validator.checkField(field, values[field])));
+            return fields.reduce((byField, field, index) => ({ ...byField, [field]: results[index] }), {});
+        } finally {
+            validator.setContext({});
+        }
+    }
+    
+    /**
+     * Show (or clear) the errors of a field below it
+     * @param {HTMLFormElement} form - Form of the field
+     * @param {string} field - Field name
+     * @param {object} result - { isValid, errors }
+     */
+    showFieldErrors(form, field, result) {
+        const input = form && form.querySelector(`[name="${field}"]`);
+        if (!input) return;
+        
+        let message = form.querySelector(`.field-error[data-field="${field}"]`);
+        if (!message) {
+            message = this.createElement('small', { className: 'field-error', dataset: { field } });
+            input.insertAdjacentElement('afterend', message);
+        }
+        
+        message.textContent = result.isValid ? '' : result.errors.join(', ');
+        input.classList.toggle('field-invalid', !result.isValid);
+        input.setAttribute('aria-invalid', String(!result.isValid));
+    }
+    
     /**
      * Handle filter button clicks
      * @param {Event} event - Click event
@@ -404,6 +666,7 @@ class TaskView extends BaseView {
             });
             event.target.classList.add('active');
         }
+        document.querySelectorAll('.saved-view, .workspace-filter').forEach(btn => btn.classList.remove('active'));
         
         this.currentFilter = filterType;
         this.notifyListeners('filterRequested', { filterType, filterValue });
@@ -433,6 +696,122 @@ class TaskView extends BaseView {
         this.notifyListeners('searchRequested', { query: '' });
     }
     
+    /**
+     * Show the tasks of the workspace whose button was clicked
+     * @param {Event} event - Click event
+     */
+    handleWorkspaceFilterClick(event) {
+        const button = event.target.closest('.workspace-filter');
+        if (!button) return;
+        
+        document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
+        button.classList.add('active');
+        
+        this.currentFilter = 'team';
+        this.notifyListeners('filterRequested', { filterType: 'team', filterValue: button.dataset.workspaceId });
+    }
+    
+    /**
+     * Show a "team tasks" filter button per workspace of the user
+     * @param {Workspace[]} workspaces - Workspaces the user belongs to
+     * @param {string|null} activeWorkspaceId - Workspace currently shown
+     */
+    displayWorkspaces(workspaces, activeWorkspaceId = null) {
+        const container = document.getElementById('workspaceFilters');
+        if (!container) return;
+        
+        container.innerHTML = workspaces.map(workspace => `
+            <button class="filter-btn workspace-filter ${workspace.id === activeWorkspaceId ? 'active' : ''}"
+                    data-workspace-id="${this.escapeHtml(workspace.id)}"
+                    title="${this.escapeHtml(workspace.description || workspace.name)}">${this.escapeHtml(workspace.name)}</button>
+        `).join('');
+    }
+    
+    /**
+     * Handle clicks on pinned views and the view actions
+     * @param {Event} event - Click event
+     */
+    handleSavedViewsClick(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        const viewId = button.dataset.viewId || this.activeViewId;
+        if (button.classList.contains('saved-view')) {
+            this.notifyListeners('applyViewRequested', { viewId });
+        } else if (button.classList.contains('view-save')) {
+            const name = prompt(this.t('view.savedViews.namePrompt'));
+            if (name && name.trim()) {
+                this.notifyListeners('saveViewRequested', { name: name.trim() });
+            }
+        } else if (button.classList.contains('view-pin')) {
+            this.notifyListeners('pinViewRequested', { viewId, pinned: button.dataset.pinned !== 'true' });
+        } else if (button.classList.contains('view-share')) {
+            const usernames = prompt(this.t('view.savedViews.sharePrompt'));
+            if (usernames !== null) {
+                this.notifyListeners('shareViewRequested', {
+                    viewId,
+                    usernames: usernames.split(',').map(name => name.trim()).filter(name => name)
+                });
+            }
+        } else if (button.classList.contains('view-delete')) {
+            if (confirm(this.t('view.savedViews.deleteConfirm'))) {
+                this.notifyListeners('deleteViewRequested', { viewId });
+            }
+        }
+    }
+    
+    /**
+     * Apply the view picked in the saved views list
+     * @param {Event} event - Change event
+     */
+    handleSavedViewsChange(event) {
+        if (event.target.id === 'savedViewSelect' && event.target.value) {
+            this.notifyListeners('applyViewRequested', { viewId: event.target.value });
+        }
+    }
+    
+    /**
+     * Show pinned views as filter buttons, the other views in a list, and
+     * pin/share/delete actions for the active view
+     * @param {object[]} views - Views from SavedViews.listViews
+     * @param {string|null} activeViewId - View currently applied
+     */
+    displaySavedViews(views, activeViewId = null) {
+        this.savedViews = views;
+        this.activeViewId = activeViewId;
+        const container = document.getElementById('savedViews');
+        if (!container) return;
+        
+        const label = view => this.escapeHtml(view.owned ? view.name : `${view.name} (${view.ownerName})`);
+        const pinned = views.filter(view => view.pinned).map(view => `
+            <button class="filter-btn saved-view ${view.id === activeViewId ? 'active' : ''}" data-view-id="${this.escapeHtml(view.id)}">${label(view)}</button>
+        `).join('');
+        const options = views.map(view => `
+            <option value="${this.escapeHtml(view.id)}" ${view.id === activeViewId ? 'selected' : ''}>${label(view)}</option>
+        `).join('');
+        
+        const active = views.find(view => view.id === activeViewId);
+        const actions = active ? `
+            <button class="btn btn-sm view-pin" data-pinned="${active.pinned}">${this.t(active.pinned ? 'view.savedViews.unpin' : 'view.savedViews.pin')}</button>
+            ${active.owned ? `
+                <button class="btn btn-sm view-share" title="${this.t('view.savedViews.sharedWith', { count: active.sharedWith.length })}">${this.t('view.savedViews.share')}</button>
+                <button class="btn btn-sm view-delete">${this.t('view.savedViews.delete')}</button>
+            ` : ''}
+        ` : '';
+        
+        container.innerHTML = `
+            ${pinned}
+            ${views.length > 0 ? `
+                <select id="savedViewSelect">
+                    <option value="">${this.t('view.savedViews.placeholder')}</option>
+                    ${options}
+                </select>
+            ` : ''}
+            ${actions}
+            <button class="btn btn-secondary view-save" title="${this.t('view.savedViews.saveTitle')}">${this.t('view.savedViews.save')}</button>
+        `;
+    }
+    
     /**
      * Handle refresh button
      */
@@ -458,6 +837,8 @@ class TaskView extends BaseView {
             this.showEditTaskModal(taskId);
         } else if (event.target.classList.contains('add-time-btn')) {
             this.showAddTimeModal(taskId);
+        } else if (event.target.classList.contains('task-history')) {
+            this.notifyListeners('historyRequested', { taskId });
         } else if (event.target.classList.contains('task-tag')) {
             // Handle tag clicks for filtering
             const tag = event.target.textContent.trim();
@@ -479,40 +860,448 @@ class TaskView extends BaseView {
             return;
         }
         
+        // Fall back to the list when the layout's container is missing
+        const layout = document.getElementById(LAYOUT_CONTAINERS[this.layout]) ? this.layout : 'list';
+        Object.entries(LAYOUT_CONTAINERS).forEach(([name, id]) => {
+            const container = document.getElementById(id);
+            if (container) {
+                container.hidden = name !== layout;
+            }
+        });
+        if (layout === 'board') {
+            this.displayBoard(tasks);
+            return;
+        }
+        if (layout === 'calendar') {
+            this.displayCalendar(tasks);
+            return;
+        }
+        
         if (tasks.length === 0) {
             taskList.innerHTML = `
                 <div class="empty-state">
-                    <p>No tasks found</p>
+                    <p>${this.t('view.noTasks')}</p>
                     <small>${this.getEmptyStateMessage(filterType)}</small>
                 </div>
             `;
             return;
         }
         
+        // Subtasks are rendered under their parent; a subtask whose parent is
+        // filtered out is shown at the top level instead
+        const childrenByParent = this.groupByParent(tasks);
+        const visibleIds = new Set(tasks.map(task => task.id));
+        const rootTasks = tasks.filter(task => !task.parentTaskId || !visibleIds.has(task.parentTaskId));
+        
         // Sort tasks by priority and due date
-        const sortedTasks = this.sortTasks(tasks);
+        const sortedTasks = this.sortTasks(rootTasks);
         
-        const taskHTML = sortedTasks.map(task => this.createTaskHTML(task)).join('');
+        const taskHTML = sortedTasks.map(task => this.createTaskHTML(task, childrenByParent)).join('');
         taskList.innerHTML = taskHTML;
     }
     
     /**
-     * Create HTML for a single task
+     * Render tasks as Kanban columns, one per status
+     * @param {Task[]} tasks - Tasks to display
+     */
+    displayBoard(tasks) {
+        const taskBoard = document.getElementById('taskBoard');
+        if (!taskBoard) {
+            return;
+        }
+        
+        const tasksByStatus = new Map(BOARD_COLUMNS.map(column => [column.status, []]));
+        tasks.forEach(task => {
+            if (tasksByStatus.has(task.status)) {
+                tasksByStatus.get(task.status).push(task);
+            }
+        });
+        
+        taskBoard.innerHTML = BOARD_COLUMNS
+            .map(column => this.createBoardColumnHTML(column, tasksByStatus.get(column.status)))
+            .join('');
+    }
+    
+    /**
+     * Create HTML for a board column with its count and WIP limit
+     * @param {object} column - { status, label }
+     * @param {Task[]} tasks - Tasks in the column
+     * @returns {string} - HTML string
+     */
+    createBoardColumnHTML(column, tasks) {
+        const limit = this.wipLimits[column.status];
+        const overLimit = Boolean(limit) && tasks.length > limit;
+        const cards = this.sortTasks(tasks).map(task => this.createBoardCardHTML(task)).join('');
+        
+        return `
+            <section class="board-column ${overLimit ? 'over-limit' : ''}" data-status="${column.status}">
+                <header class="board-column-header">
+                    <h2>${this.t(column.label)}</h2>
+                    <span class="board-column-count">${tasks.length}${limit ? ` / ${limit}` : ''}</span>
+                </header>
+                ${overLimit ? `<div class="wip-warning" role="status">${this.t('view.board.wipExceeded', { limit })}</div>` : ''}
+                <div class="board-cards">
+                    ${cards || `<div class="board-empty">${this.t('view.board.empty')}</div>`}
+                </div>
+            </section>
+        `;
+    }
+    
+    /**
+     * Create HTML for a draggable board card
      * @param {Task} task - Task to render
      * @returns {string} - HTML string
      */
-    createTaskHTML(task) {
+    createBoardCardHTML(task) {
+        const dueDate = task.dueDate ? this.formatDate(task.dueDate) : '';
+        const tags = task.tags.map(tag => `<span class="task-tag">${this.escapeHtml(tag)}</span>`).join('');
+        
+        return `
+            <div class="task-item task-card priority-${task.priority} ${task.isOverdue ? 'overdue' : ''}" data-task-id="${this.escapeHtml(task.id)}" draggable="true">
+                <h3 class="task-title">${this.escapeHtml(task.title)}</h3>
+                <div class="task-meta">
+                    <span class="task-priority priority-${task.priority}">${this.t(`priority.${task.priority}`)}</span>
+                    ${dueDate ? `<span class="task-due-date ${task.isOverdue ? 'overdue' : ''}">${this.t('view.task.due', { date: dueDate })}</span>` : ''}
+                </div>
+                ${tags ? `<div class="task-tags">${tags}</div>` : ''}
+                <div class="task-actions">
+                    <button class="btn btn-sm task-edit" title="${this.t('view.task.edit')}">✏️</button>
+                    <button class="btn btn-sm task-delete" title="${this.t('view.task.delete')}">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Start dragging a board card
+     * @param {DragEvent} event - Drag event
+     */
+    handleCardDragStart(event) {
+        const card = event.target.closest('[draggable="true"][data-task-id]');
+        if (!card) return;
+        
+        event.dataTransfer.setData('text/plain', card.dataset.taskId);
+        event.dataTransfer.effectAllowed = 'move';
+    }
+    
+    /**
+     * Allow dropping cards on board columns
+     * @param {DragEvent} event - Drag event
+     */
+    handleColumnDragOver(event) {
+        if (event.target.closest('.board-column')) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    }
+    
+    /**
+     * Move a dropped card to the column's status
+     * @param {DragEvent} event - Drop event
+     */
+    handleColumnDrop(event) {
+        const column = event.target.closest('.board-column');
+        if (!column) return;
+        
+        event.preventDefault();
+        this.moveTaskToStatus(event.dataTransfer.getData('text/plain'), column.dataset.status);
+    }
+    
+    /**
+     * Ask the controller to change a task's status, warning when the target
+     * column is already at its WIP limit
+     * @param {string} taskId - Task ID
+     * @param {string} status - Target status
+     */
+    moveTaskToStatus(taskId, status) {
+        const task = this.currentTasks.find(t => t.id === taskId);
+        if (!task || task.status === status) return;
+        
+        const limit = this.wipLimits[status];
+        const count = this.currentTasks.filter(t => t.status === status).length;
+        if (limit && count >= limit) {
+            const column = BOARD_COLUMNS.find(c => c.status === status);
+            this.showMessage(this.t('view.board.wipWarning', { column: this.t(column.label), count, limit }), 'warning');
+        }
+        
+        this.notifyListeners('statusChangeRequested', { taskId, status });
+    }
+    
+    /**
+     * Days shown by the calendar: whole weeks (Monday first) covering the
+     * month or the week of calendarDate
+     * @returns {{start: Date, end: Date, days: Date[]}}
+     */
+    getCalendarRange() {
+        const anchor = this.calendarDate;
+        const startOfWeek = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+        
+        const start = this.calendarMode === 'week'
+            ? startOfWeek(anchor)
+            : startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+        const lastWeek = this.calendarMode === 'week'
+            ? start
+            : startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0));
+        const end = new Date(lastWeek.getFullYear(), lastWeek.getMonth(), lastWeek.getDate() + 6);
+        
+        const days = [];
+        for (let day = start; day <= end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            days.push(day);
+        }
+        return { start, end, days };
+    }
+    
+    /**
+     * Key of a calendar cell (local day), e.g. "2024-03-05"
+     * @param {Date} date - Day
+     * @returns {string}
+     */
+    getDayKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    /**
+     * Key of the day a task is due. Due dates are stored as UTC midnight
+     * (what a date input produces), so the UTC day is the intended one.
+     * @param {Date|string} dueDate - Due date
+     * @returns {string}
+     */
+    getDueDateKey(dueDate) {
+        return new Date(dueDate).toISOString().slice(0, 10);
+    }
+    
+    /**
+     * Render tasks on a month or week calendar by due date, with upcoming
+     * occurrences of recurring tasks
+     * @param {Task[]} tasks - Tasks to display
+     */
+    displayCalendar(tasks) {
+        const taskCalendar = document.getElementById('taskCalendar');
+        if (!taskCalendar) {
+            return;
+        }
+        
+        const { start, end, days } = this.getCalendarRange();
+        const entriesByDay = new Map(days.map(day => [this.getDayKey(day), []]));
+        const addEntry = (date, entry) => {
+            const key = this.getDueDateKey(date);
+            if (entriesByDay.has(key)) {
+                entriesByDay.get(key).push(entry);
+            }
+        };
+        const rangeEnd = new Date(Date.UTC(end.getFullYear(), end.getMonth(), end.getDate(), 23, 59, 59));
+        
+        tasks.filter(task => task.dueDate).forEach(task => {
+            addEntry(task.dueDate, { task, projected: false });
+            if (ViewRecurrenceEngine && !task.completed) {
+                ViewRecurrenceEngine.projectOccurrences(task, rangeEnd)
+                    .forEach(date => addEntry(date, { task, projected: true }));
+            }
+        });
+        
+        const title = this.calendarMode === 'week'
+            ? `${this.formatDate(start)} – ${this.formatDate(end)}`
+            : this.formatDate(this.calendarDate, { month: 'long', year: 'numeric' });
+        const todayKey = this.getDayKey(new Date());
+        const weekdays = days.slice(0, 7)
+            .map(day => `<div class="calendar-weekday">${this.formatDate(day, { weekday: 'short' })}</div>`)
+            .join('');
+        
+        const cells = days.map(day => {
+            const key = this.getDayKey(day);
+            const outside = this.calendarMode === 'month' && day.getMonth() !== this.calendarDate.getMonth();
+            const entries = entriesByDay.get(key).map(entry => this.createCalendarEntryHTML(entry)).join('');
+            return `
+                <div class="calendar-day ${outside ? 'outside-period' : ''} ${key === todayKey ? 'today' : ''}" data-date="${key}">
+                    <span class="calendar-day-number">${day.getDate()}</span>
+                    ${entries}
+                </div>
+            `;
+        }).join('');
+        
+        taskCalendar.innerHTML = `
+            <div class="calendar-toolbar">
+                <button class="btn btn-secondary calendar-nav" data-step="-1" title="${this.t('view.calendar.previous')}">‹</button>
+                <button class="btn btn-secondary calendar-today">${this.t('view.calendar.today')}</button>
+                <button class="btn btn-secondary calendar-nav" data-step="1" title="${this.t('view.calendar.next')}">›</button>
+                <h2 class="calendar-title">${title}</h2>
+                <div class="calendar-modes">
+                    <button class="calendar-mode-btn ${this.calendarMode === 'month' ? 'active' : ''}" data-mode="month">${this.t('view.calendar.month')}</button>
+                    <button class="calendar-mode-btn ${this.calendarMode === 'week' ? 'active' : ''}" data-mode="week">${this.t('view.calendar.week')}</button>
+                </div>
+            </div>
+            <div class="calendar-grid calendar-${this.calendarMode}">
+                ${weekdays}
+                ${cells}
+            </div>
+        `;
+    }
+    
+    /**
+     * Create HTML for a task on a calendar day. Upcoming occurrences of a
+     * recurring task do not exist yet, so they cannot be dragged.
+     * @param {object} entry - { task, projected }
+     * @returns {string} - HTML string
+     */
+    createCalendarEntryHTML({ task, projected }) {
+        const title = this.escapeHtml(task.title);
+        if (projected) {
+            return `<div class="calendar-task calendar-occurrence" data-series-id="${this.escapeHtml(task.id)}" title="${this.t('view.calendar.occurrence')}">↻ ${title}</div>`;
+        }
+        
+        const classes = [
+            'calendar-task',
+            `priority-${task.priority}`,
+            task.completed ? 'completed' : '',
+            task.isOverdue ? 'overdue' : '',
+            task.recurrence ? 'recurring' : ''
+        ].filter(Boolean).join(' ');
+        return `<div class="${classes}" data-task-id="${this.escapeHtml(task.id)}" draggable="true" title="${title}">${task.recurrence ? '↻ ' : ''}${title}</div>`;
+    }
+    
+    /**
+     * Handle the calendar toolbar (previous/next, today, month/week)
+     * @param {Event} event - Click event
+     */
+    handleCalendarClick(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        if (button.classList.contains('calendar-nav')) {
+            this.shiftCalendar(Number(button.dataset.step));
+        } else if (button.classList.contains('calendar-today')) {
+            this.calendarDate = new Date();
+            this.displayCalendar(this.currentTasks);
+        } else if (button.classList.contains('calendar-mode-btn')) {
+            this.calendarMode = button.dataset.mode === 'week' ? 'week' : 'month';
+            this.displayCalendar(this.currentTasks);
+        }
+    }
+    
+    /**
+     * Move the calendar by whole months or weeks
+     * @param {number} step - Periods to move (negative goes back)
+     */
+    shiftCalendar(step) {
+        const date = this.calendarDate;
+        this.calendarDate = this.calendarMode === 'week'
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7 * step)
+            : new Date(date.getFullYear(), date.getMonth() + step, 1);
+        this.displayCalendar(this.currentTasks);
+    }
+    
+    /**
+     * Allow dropping tasks on calendar days
+     * @param {DragEvent} event - Drag event
+     */
+    handleDayDragOver(event) {
+        if (event.target.closest('.calendar-day')) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    }
+    
+    /**
+     * Give a dropped task the due date of the day it was dropped on
+     * @param {DragEvent} event - Drop event
+     */
+    handleDayDrop(event) {
+        const day = event.target.closest('.calendar-day');
+        if (!day) return;
+        
+        event.preventDefault();
+        const taskId = event.dataTransfer.getData('text/plain');
+        const task = this.currentTasks.find(t => t.id === taskId);
+        if (!task || (task.dueDate && this.getDueDateKey(task.dueDate) === day.dataset.date)) return;
+        
+        this.notifyListeners('setDueDateRequested', { taskId, dueDate: day.dataset.date });
+    }
+    
+    /**
+     * Switch between the list, the board and the calendar
+     * @param {string} layout - 'list', 'board' or 'calendar'
+     */
+    async setLayout(layout) {
+        if (!TASK_LAYOUTS.includes(layout) || layout === this.layout) return;
+        
+        this.layout = layout;
+        document.querySelectorAll('.layout-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layout === layout);
+        });
+        await this.displayTasks(this.currentTasks, this.currentFilter);
+        this.notifyListeners('layoutChangeRequested', { layout });
+    }
+    
+    /**
+     * Index tasks by their parentTaskId
+     * @param {Task[]} tasks - Tasks to group
+     * @returns {Map<string, Task[]>} - Parent ID -> direct subtasks
+     */
+    groupByParent(tasks) {
+        const childrenByParent = new Map();
+        tasks.forEach(task => {
+            if (!task.parentTaskId) return;
+            if (!childrenByParent.has(task.parentTaskId)) {
+                childrenByParent.set(task.parentTaskId, []);
+            }
+            childrenByParent.get(task.parentTaskId).push(task);
+        });
+        return childrenByParent;
+    }
+    
+    /**
+     * Roll progress and hours up from the subtasks shown in the list
+     * @param {Task} task - Parent task
+     * @param {Map<string, Task[]>} childrenByParent - Result of groupByParent
+     * @returns {object|null} - Rollup, or null when the task has no subtasks
+     */
+    getRollup(task, childrenByParent) {
+        if (!childrenByParent.has(task.id) || typeof task.constructor.calculateRollup !== 'function') {
+            return null;
+        }
+        
+        const descendants = [];
+        const queue = [task.id];
+        while (queue.length > 0) {
+            (childrenByParent.get(queue.shift()) || []).forEach(child => {
+                if (!descendants.includes(child)) {
+                    descendants.push(child);
+                    queue.push(child.id);
+                }
+            });
+        }
+        return task.constructor.calculateRollup(task, descendants);
+    }
+    
+    /**
+     * Create HTML for a single task (and, recursively, its subtasks)
+     * @param {Task} task - Task to render
+     * @param {Map<string, Task[]>} childrenByParent - Subtasks per parent ID
+     * @param {number} depth - Nesting level, 0 for top-level tasks
+     * @returns {string} - HTML string
+     */
+    createTaskHTML(task, childrenByParent = new Map(), depth = 0) {
         const priorityClass = `priority-${task.priority}`;
         const completedClass = task.completed ? 'completed' : '';
         const overdueClass = task.isOverdue ? 'overdue' : '';
         
         const dueDate = task.dueDate ? this.formatDate(task.dueDate) : '';
         const tags = task.tags.map(tag => 
-            `<span class="task-tag" title="Filter by ${tag}">${this.escapeHtml(tag)}</span>`
+            `<span class="task-tag" title="${this.t('view.task.filterByTag', { tag: this.escapeHtml(tag) })}">${this.escapeHtml(tag)}</span>`
         ).join('');
         
-        const progress = task.progress || 0;
-        const progressBar = task.estimatedHours ? 
+        const subtasks = this.sortTasks(childrenByParent.get(task.id) || []);
+        const rollup = this.getRollup(task, childrenByParent);
+        const estimatedHours = rollup ? rollup.estimatedHours : task.estimatedHours;
+        const actualHours = rollup ? rollup.actualHours : task.actualHours;
+        const subtaskHTML = subtasks.length > 0 ?
+            `<div class="subtask-list">
+                ${subtasks.map(subtask => this.createTaskHTML(subtask, childrenByParent, depth + 1)).join('')}
+            </div>` : '';
+        
+        const progress = rollup ? rollup.progress : (task.progress || 0);
+        const progressBar = estimatedHours || rollup ? 
             `<div class="task-progress">
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: ${progress}%"></div>
@@ -521,15 +1310,15 @@ class TaskView extends BaseView {
             </div>` : '';
         
         return `
-            <div class="task-item ${priorityClass} ${completedClass} ${overdueClass}" data-task-id="${task.id}">
+            <div class="task-item ${priorityClass} ${completedClass} ${overdueClass} ${depth > 0 ? 'subtask' : ''}" data-task-id="${this.escapeHtml(task.id)}" data-depth="${depth}">
                 <div class="task-content">
                     <div class="task-header">
                         <h3 class="task-title">${this.escapeHtml(task.title)}</h3>
                         <div class="task-meta">
-                            <span class="task-priority priority-${task.priority}">${task.priority}</span>
+                            <span class="task-priority priority-${task.priority}">${this.t(`priority.${task.priority}`)}</span>
                             <span class="task-category">${this.escapeHtml(task.category)}</span>
-                            ${dueDate ? `<span class="task-due-date ${task.isOverdue ? 'overdue' : ''}">Due: ${dueDate}</span>` : ''}
-                            ${task.isOverdue ? '<span class="overdue-badge">OVERDUE</span>' : ''}
+                            ${dueDate ? `<span class="task-due-date ${task.isOverdue ? 'overdue' : ''}">${this.t('view.task.due', { date: dueDate })}</span>` : ''}
+                            ${task.isOverdue ? `<span class="overdue-badge">${this.t('view.task.overdue')}</span>` : ''}
                         </div>
                     </div>
                     
@@ -541,26 +1330,30 @@ class TaskView extends BaseView {
                     
                     <div class="task-footer">
                         <div class="task-info">
-                            <small class="task-created">Created: ${this.formatDate(task.createdAt)}</small>
-                            ${task.estimatedHours ? `<small class="task-estimated">Est: ${task.estimatedHours}h</small>` : ''}
-                            ${task.actualHours ? `<small class="task-actual">Actual: ${task.actualHours}h</small>` : ''}
-                            ${task.assignedTo !== task.userId ? `<small class="task-assigned">Assigned to: ${task.assignedTo}</small>` : ''}
+                            <small class="task-created">${this.t('view.task.created', { date: this.formatDate(task.createdAt) })}</small>
+                            ${estimatedHours ? `<small class="task-estimated">${this.t('view.task.estimated', { hours: estimatedHours })}</small>` : ''}
+                            ${actualHours ? `<small class="task-actual">${this.t('view.task.actual', { hours: actualHours })}</small>` : ''}
+                            ${rollup ? `<small class="task-subtasks">${this.t('view.task.subtasks', { completed: rollup.completedSubtasks, total: rollup.totalSubtasks })}</small>` : ''}
+                            ${task.assignedTo !== task.userId ? `<small class="task-assigned">${this.t('view.task.assignedTo', { user: this.escapeHtml(task.assignedTo) })}</small>` : ''}
                         </div>
                         <div class="task-status">
-                            <span class="status-badge status-${task.status}">${task.status}</span>
+                            <span class="status-badge status-${task.status}">${this.t(`status.${task.status}`)}</span>
                         </div>
                     </div>
+                    
+                    ${subtaskHTML}
                 </div>
                 
                 <div class="task-actions">
-                    <button class="btn btn-sm task-toggle" title="${task.completed ? 'Mark incomplete' : 'Mark complete'}">
+                    <button class="btn btn-sm task-toggle" title="${this.t(task.completed ? 'view.task.markIncomplete' : 'view.task.markComplete')}">
                         ${task.completed ? '↶' : '✓'}
                     </button>
-                    ${!task.completed ? `<button class="btn btn-sm add-time-btn" title="Add time spent">⏱️</button>` : ''}
-                    <button class="btn btn-sm task-edit" title="Edit task">
+                    ${!task.completed ? `<button class="btn btn-sm add-time-btn" title="${this.t('view.task.addTime')}">⏱️</button>` : ''}
+                    <button class="btn btn-sm task-edit" title="${this.t('view.task.edit')}">
                         ✏️
                     </button>
-                    <button class="btn btn-sm task-delete" title="Delete task">
+                    <button class="btn btn-sm task-history" title="${this.t('view.task.history')}">🕘</button>
+                    <button class="btn btn-sm task-delete" title="${this.t('view.task.delete')}">
                         🗑️
                     </button>
                 </div>
@@ -582,40 +1375,40 @@ class TaskView extends BaseView {
             <div class="stats-grid">
                 <div class="stat-item">
                     <span class="stat-number">${stats.total}</span>
-                    <span class="stat-label">Total Tasks</span>
+                    <span class="stat-label">${this.t('view.stats.total')}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-number">${stats.pending}</span>
-                    <span class="stat-label">Pending</span>
+                    <span class="stat-label">${this.t('view.stats.pending')}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-number">${stats.completed}</span>
-                    <span class="stat-label">Completed</span>
+                    <span class="stat-label">${this.t('view.stats.completed')}</span>
                 </div>
                 <div class="stat-item ${stats.overdue > 0 ? 'stat-warning' : ''}">
                     <span class="stat-number">${stats.overdue || 0}</span>
-                    <span class="stat-label">Overdue</span>
+                    <span class="stat-label">${this.t('view.stats.overdue')}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-number">${completionRate}%</span>
-                    <span class="stat-label">Completion Rate</span>
+                    <span class="stat-label">${this.t('view.stats.completionRate')}</span>
                 </div>
             </div>
             
             <div class="priority-breakdown">
-                <h4>By Priority</h4>
+                <h4>${this.t('view.stats.byPriority')}</h4>
                 <div class="priority-stats">
                     <div class="priority-stat priority-high">
                         <span class="priority-count">${stats.byPriority.high || 0}</span>
-                        <span class="priority-label">High</span>
+                        <span class="priority-label">${this.t('view.stats.high')}</span>
                     </div>
                     <div class="priority-stat priority-medium">
                         <span class="priority-count">${stats.byPriority.medium || 0}</span>
-                        <span class="priority-label">Medium</span>
+                        <span class="priority-label">${this.t('view.stats.medium')}</span>
                     </div>
                     <div class="priority-stat priority-low">
                         <span class="priority-count">${stats.byPriority.low || 0}</span>
-                        <span class="priority-label">Low</span>
+                        <span class="priority-label">${this.t('view.stats.low')}</span>
                     </div>
                 </div>
             </div>
@@ -625,12 +1418,17 @@ class TaskView extends BaseView {
     /**
      * Add a task to the display
      * @param {Task} task - Task to add
+     * @param {object} options - { remote: true } for a teammate's change (no undo offered)
      */
-    async addTask(task) {
+    async addTask(task, options = {}) {
         this.currentTasks.push(task);
         // Re-render the task list
         await this.displayTasks(this.currentTasks, this.currentFilter);
-        this.showSuccess(`Task "${task.title}" created successfully!`);
+        if (options.remote) {
+            this.showInfo(this.t('view.notify.remoteCreated', { title: task.title }));
+        } else {
+            this.showSuccess(this.t('view.notify.created', { title: task.title }), this.undoAction());
+        }
     }
     
     /**
@@ -649,12 +1447,15 @@ class TaskView extends BaseView {
     /**
      * Remove a task from the display
      * @param {string} taskId - Task ID to remove
+     * @param {object} options - { remote: true } for a teammate's change (no undo offered)
      */
-    async removeTask(taskId) {
+    async removeTask(taskId, options = {}) {
         this.currentTasks = this.currentTasks.filter(t => t.id !== taskId);
         // Re-render the task list
         await this.displayTasks(this.currentTasks, this.currentFilter);
-        this.showSuccess('Task deleted successfully');
+        if (!options.remote) {
+            this.showSuccess(this.t('view.notify.deleted'), this.undoAction());
+        }
     }
     
     /**
@@ -663,25 +1464,71 @@ class TaskView extends BaseView {
      * @returns {Promise<boolean>} - Whether deletion was confirmed
      */
     async confirmDeletion(task) {
-        return confirm(`Are you sure you want to delete "${task.title}"?`);
+        return confirm(this.t('view.confirm.delete', { title: task.title }));
+    }
+    
+    /**
+     * Ask whether completing a task should also complete its open subtasks
+     * @param {Task} task - Task being completed
+     * @param {Task[]} subtasks - Incomplete subtasks
+     * @returns {Promise<boolean>} - Whether to complete the subtasks too
+     */
+    async confirmCascadeCompletion(task, subtasks = []) {
+        return confirm(this.t('view.confirm.cascade', { title: task.title, count: subtasks.length }));
+    }
+    
+    /**
+     * Ask whether to complete a task whose prerequisites are still open
+     * @param {Task} task - Task being completed
+     * @param {Task[]} blockers - Incomplete prerequisites
+     * @returns {Promise<boolean>} - Whether to complete it anyway
+     */
+    async confirmForceCompletion(task, blockers = []) {
+        const titles = blockers.map(blocker => `"${blocker.title}"`).join(', ');
+        return confirm(this.t('view.confirm.force', { title: task.title, titles }));
+    }
+    
+    /**
+     * Ask for the note a workflow requires for a status change
+     * @param {Task} task - Task being moved
+     * @param {string} status - Target status
+     * @returns {Promise<string|null>} - Note, or null when cancelled
+     */
+    async promptTransitionNote(task, status) {
+        const note = prompt(this.t('view.prompt.transitionNote', { title: task.title, status: this.t(`status.${status}`) }));
+        return note && note.trim() ? note.trim() : null;
     }
     
     /**
      * Show edit task modal (simplified version)
      * @param {string} taskId - Task ID to edit
      */
-    showEditTaskModal(taskId) {
+    async showEditTaskModal(taskId) {
         const task = this.currentTasks.find(t => t.id === taskId);
         if (!task) return;
         
-        // For now, just prompt for new title and description
-        const newTitle = prompt('Edit task title:', task.title);
-        if (newTitle && newTitle.trim() !== task.title) {
-            this.notifyListeners('updateTaskRequested', {
-                taskId,
-                updates: { title: newTitle.trim() }
-            });
+        // For now, just prompt for a new title and assignee
+        const newTitle = prompt(this.t('view.prompt.editTitle'), task.title);
+        if (newTitle === null) return;
+        const newAssignee = prompt(this.t('view.prompt.editAssignee'), task.assignedTo || '');
+        
+        const updates = {};
+        if (newTitle.trim() && newTitle.trim() !== task.title) {
+            updates.title = newTitle.trim();
+        }
+        if (newAssignee && newAssignee.trim() && newAssignee.trim() !== task.assignedTo) {
+            updates.assignedTo = newAssignee.trim();
         }
+        if (Object.keys(updates).length === 0) return;
+        
+        const results = await this.checkValues(this.fieldValidator, updates, { current: task });
+        const errors = Object.values(results).flatMap(result => result.errors);
+        if (errors.length > 0) {
+            this.showError(errors.join(', '));
+            return;
+        }
+        
+        this.notifyListeners('updateTaskRequested', { taskId, updates });
     }
     
     /**
@@ -689,7 +1536,7 @@ class TaskView extends BaseView {
      * @param {string} taskId - Task ID
      */
     showAddTimeModal(taskId) {
-        const hours = prompt('Hours spent on this task:');
+        const hours = prompt(this.t('view.prompt.hours'));
         if (hours && !isNaN(parseFloat(hours))) {
             this.notifyListeners('addTimeRequested', {
                 taskId,
@@ -698,6 +1545,55 @@ class TaskView extends BaseView {
         }
     }
     
+    /**
+     * Show the audit trail of a task in a panel below the task list
+     * @param {Task} task - Task the entries belong to
+     * @param {object[]} entries - Audit log entries, newest first
+     */
+    showTaskHistory(task, entries) {
+        const existing = document.getElementById('taskHistoryPanel');
+        if (existing) existing.remove();
+
+        const formatValue = value => {
+            if (value === null || value === undefined || value === '') return '—';
+            return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        };
+
+        const items = entries.map(entry => `
+            <li class="history-entry history-${entry.operation}">
+                <div class="history-meta">
+                    <span class="history-time">${this.formatDateTime(entry.timestamp)}</span>
+                    <span class="history-actor">${this.escapeHtml(entry.actorName || this.t('view.history.system'))}</span>
+                    <span class="history-operation">${this.escapeHtml(entry.operation)}</span>
+                </div>
+                ${entry.operation === 'update' ? `
+                    <ul class="history-changes">
+                        ${entry.changes.map(change => `
+                            <li><strong>${this.escapeHtml(change.field)}</strong>: ${formatValue(change.before)} → ${formatValue(change.after)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `).join('');
+
+        const panel = this.createElement('div', { id: 'taskHistoryPanel', className: 'task-history-panel' });
+        panel.innerHTML = `
+            <div class="history-header">
+                <h3>${this.t('view.history.title', { title: this.escapeHtml(task.title) })}</h3>
+                <button class="btn btn-sm history-close" title="${this.t('view.history.close')}">✕</button>
+            </div>
+            ${entries.length > 0 ? `<ul class="history-entries">${items}</ul>` : `<p class="history-empty">${this.t('view.history.empty')}</p>`}
+        `;
+        panel.querySelector('.history-close').addEventListener('click', () => panel.remove());
+
+        const taskList = document.getElementById('taskList');
+        if (taskList && taskList.parentNode) {
+            taskList.parentNode.insertBefore(panel, taskList);
+        } else {
+            this.container.appendChild(panel);
+        }
+    }
+    
     /**
      * Sort tasks by priority and due date
      * @param {Task[]} tasks - Tasks to sort
@@ -743,18 +1639,8 @@ class TaskView extends BaseView {
      * @returns {string} - Empty state message
      */
     getEmptyStateMessage(filterType) {
-        switch (filterType) {
-            case 'pending':
-                return 'No pending tasks. Great job!';
-            case 'completed':
-                return 'No completed tasks yet. Start working on your tasks!';
-            case 'overdue':
-                return 'No overdue tasks. You\'re on track!';
-            case 'search':
-                return 'No tasks match your search. Try different keywords.';
-            default:
-                return 'Create your first task using the form above';
-        }
+        const key = `view.empty.${filterType}`;
+        return this.t(ViewI18n.hasMessage(key) ? key : 'view.empty.default');
     }
     
     /**
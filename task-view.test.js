@@ -0,0 +1,87 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Task View Tests
+ * Task text typed by other users is shown as text, never parsed as HTML
+ */
+
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { TaskView } = require('./task-view');
+
+describe('Task View', () => {
+    const MARKUP = '<img src=x onerror="window.injected = true">';
+    let user;
+    let view;
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<div id="app"></div>';
+        user = new User('alice', 'alice@example.com', 'Alice');
+        view = new TaskView('app');
+        await view.initialize(user);
+    });
+
+    describe('Notifications', () => {
+        test('should show a teammate\'s task title as text', async () => {
+            const task = new Task('Plan', '', 'user_2');
+            task.title = MARKUP;
+
+            await view.addTask(task, { remote: true });
+
+            const message = document.querySelector('.message-info');
+            expect(message.querySelector('img')).toBeNull();
+            expect(message.textContent).toContain(MARKUP);
+        });
+
+        test('should show the title of a task just created as text', async () => {
+            const task = new Task('Plan', '', user.id);
+            task.title = MARKUP;
+
+            await view.addTask(task);
+
+            const message = document.querySelector('.message-success');
+            expect(message.querySelector('img')).toBeNull();
+            expect(message.firstChild.textContent).toContain(MARKUP);
+        });
+    });
+
+    describe('Layouts', () => {
+        const QUOTED = '" onmouseover="window.injected = true';
+        let task;
+
+        beforeEach(() => {
+            task = new Task('Plan', '', user.id, { dueDate: new Date(2024, 1, 10) });
+            task.title = MARKUP;
+            task.assignedTo = MARKUP;
+            task.tags = [QUOTED];
+            view.calendarDate = new Date(2024, 1, 15);
+        });
+
+        const expectText = (container, selector, text) => {
+            expect(container.querySelector('img')).toBeNull();
+            expect(container.querySelector('[onmouseover]')).toBeNull();
+            expect(container.querySelector(selector).textContent.trim()).toContain(text);
+        };
+
+        test.each([
+            ['list', '#taskList', '.task-title'],
+            ['board', '#taskBoard', '.task-title'],
+            ['calendar', '#taskCalendar', '.calendar-task']
+        ])('should render task text as text in the %s', async (layout, container, selector) => {
+            await view.setLayout(layout);
+            await view.displayTasks([task]);
+
+            expectText(document.querySelector(container), selector, MARKUP);
+        });
+
+        test('should render the assignee and tags as text', async () => {
+            await view.displayTasks([task]);
+            const list = document.querySelector('#taskList');
+
+            expectText(list, '.task-assigned', MARKUP);
+            expect(list.querySelector('.task-tag').getAttribute('title')).toContain(QUOTED);
+        });
+    });
+});
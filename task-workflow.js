@@ -0,0 +1,259 @@
+/**
+ * Task Workflow - Status state machine
+ *
+ * Task.setStatus accepts any status in any order; a workflow decides which
+ * transitions are allowed. A workflow definition lists the allowed target
+ * statuses per status, optional guards that must pass before a status can be
+ * entered, and hooks that run after a transition:
+ *
+ *   {
+ *       name: 'support',
+ *       transitions: { pending: ['in-progress'], 'in-progress': ['on-hold', 'completed'], ... },
+ *       guards: { completed: [WorkflowGuards.requireActualHours], 'on-hold': [WorkflowGuards.requireNote] },
+ *       hooks: { transition: fn, 'enter:completed': fn, 'leave:on-hold': fn }
+ *   }
+ *
+ * Workflows are registered per project or per category in a WorkflowRegistry;
+ * tasks without a match use the default workflow.
+ */
+
+const WorkflowI18n = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./i18n')
+    : window.I18n;
+
+const TASK_STATUSES = ['pending', 'in-progress', 'completed', 'cancelled', 'on-hold'];
+
+// Cancelled and completed tasks have to be reopened before work continues
+const DEFAULT_TRANSITIONS = {
+    pending: ['in-progress', 'completed', 'on-hold', 'cancelled'],
+    'in-progress': ['pending', 'completed', 'on-hold', 'cancelled'],
+    'on-hold': ['pending', 'in-progress', 'cancelled'],
+    completed: ['pending', 'in-progress'],
+    cancelled: ['pending']
+};
+
+/**
+ * Raised when a status change is not allowed.
+ * code is TRANSITION_NOT_ALLOWED or GUARD_FAILED (with the guard name)
+ */
+class WorkflowError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Built-in guards. A guard receives the task as it would look after the
+ * update and the transition context ({ from, to, user, note }), and returns
+ * true or an error message.
+ */
+const WorkflowGuards = {
+    requireActualHours(task) {
+        return task.actualHours > 0 || WorkflowI18n.t('workflow.actualHoursRequired');
+    },
+
+    requireNote(task, context) {
+        return (typeof context.note === 'string' && context.note.trim() !== '') || WorkflowI18n.t('workflow.noteRequired');
+    },
+
+    requireAssignee(task) {
+        return Boolean(task.assignedTo) || WorkflowI18n.t('workflow.assigneeRequired');
+    }
+};
+
+class StatusWorkflow {
+    /**
+     * @param {object} definition - { name, transitions, guards, hooks }
+     */
+    constructor(definition = {}) {
+        this.name = definition.name || 'default';
+        this.transitions = definition.transitions || DEFAULT_TRANSITIONS;
+        this.guards = definition.guards || {};
+        this.listeners = new Map();
+
+        Object.keys(this.transitions).forEach(status => {
+            if (!TASK_STATUSES.includes(status) ||
+                this.transitions[status].some(target => !TASK_STATUSES.includes(target))) {
+                throw new Error(`Invalid status in workflow "${this.name}": ${status}`);
+            }
+        });
+
+        Object.entries(definition.hooks || {}).forEach(([event, hook]) => this.on(event, hook));
+    }
+
+    // Hook events: 'transition', 'enter:<status>', 'leave:<status>'
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    /**
+     * Statuses reachable from the given status
+     * @param {string} status - Current status
+     * @returns {string[]}
+     */
+    getAvailableTransitions(status) {
+        return [...(this.transitions[status] || [])];
+    }
+
+    canTransition(from, to) {
+        return from === to || this.getAvailableTransitions(from).includes(to);
+    }
+
+    /**
+     * Check a transition without changing anything
+     * @param {Task|object} task - Task as it would look after the update
+     * @param {string} from - Current status
+     * @param {string} to - Target status
+     * @param {object} context - { user, note }
+     * @returns {WorkflowError|null} - The reason the transition is refused, or null
+     */
+    checkTransition(task, from, to, context = {}) {
+        if (!TASK_STATUSES.includes(to)) {
+            return new WorkflowError(WorkflowI18n.t('workflow.invalidStatus'), 'TRANSITION_NOT_ALLOWED', { from, to });
+        }
+        if (from === to) {
+            return null;
+        }
+        if (!this.canTransition(from, to)) {
+            return new WorkflowError(
+                WorkflowI18n.t('workflow.notAllowed', { from, to }),
+                'TRANSITION_NOT_ALLOWED',
+                { from, to }
+            );
+        }
+
+        for (const guard of this.guards[to] || []) {
+            const result = guard(task, { ...context, from, to });
+            if (result !== true) {
+                return new WorkflowError(
+                    typeof result === 'string' ? result : WorkflowI18n.t('workflow.guardFailed', { to }),
+                    'GUARD_FAILED',
+                    { from, to, guard: guard.name || null }
+                );
+            }
+        }
+
+        return null;
+    }
+
+    assertTransition(task, from, to, context = {}) {
+        const error = this.checkTransition(task, from, to, context);
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Run the hooks for a transition that has been applied
+     * @param {object} transition - { task, from, to, by, at, note }
+     */
+    notifyTransition(transition) {
+        this.emit(`leave:${transition.from}`, transition);
+        this.emit(`enter:${transition.to}`, transition);
+        this.emit('transition', transition);
+    }
+}
+
+class WorkflowRegistry {
+    constructor(defaultWorkflow = new StatusWorkflow()) {
+        this.defaultWorkflow = defaultWorkflow;
+        this.byProject = new Map();
+        this.byCategory = new Map();
+        this.hooks = [];
+    }
+
+    /**
+     * Register a workflow for a project or a category
+     * @param {StatusWorkflow|object} workflow - Workflow or definition
+     * @param {object} scope - { projectId } or { category }
+     * @returns {StatusWorkflow}
+     */
+    register(workflow, scope = {}) {
+        const instance = workflow instanceof StatusWorkflow ? workflow : new StatusWorkflow(workflow);
+        this.hooks.forEach(([event, callback]) => instance.on(event, callback));
+
+        if (scope.projectId) {
+            this.byProject.set(scope.projectId, instance);
+        } else if (scope.category) {
+            this.byCategory.set(scope.category.toLowerCase(), instance);
+        } else {
+            this.defaultWorkflow = instance;
+        }
+
+        return instance;
+    }
+
+    /**
+     * Workflow for a task: project first, then category, then the default
+     * @param {Task|object} task - Task
+     * @returns {StatusWorkflow}
+     */
+    resolve(task) {
+        if (task && task.projectId && this.byProject.has(task.projectId)) {
+            return this.byProject.get(task.projectId);
+        }
+        if (task && task.category && this.byCategory.has(task.category.toLowerCase())) {
+            return this.byCategory.get(task.category.toLowerCase());
+        }
+        return this.defaultWorkflow;
+    }
+
+    /**
+     * Hook into transitions of every workflow, including ones registered later
+     * @param {string} event - 'transition', 'enter:<status>' or 'leave:<status>'
+     * @param {function} callback - Hook
+     */
+    on(event, callback) {
+        this.hooks.push([event, callback]);
+        new Set([this.defaultWorkflow, ...this.byProject.values(), ...this.byCategory.values()])
+            .forEach(workflow => workflow.on(event, callback));
+    }
+}
+
+/**
+ * Status a task update leads to, or null when it leaves the status alone
+ * @param {Task|object} task - Task before the update
+ * @param {object} updates - Update payload (status and/or completed)
+ * @returns {string|null}
+ */
+function getTargetStatus(task, updates = {}) {
+    if (updates.status !== undefined) {
+        return updates.status;
+    }
+    if (updates.completed === true && !task.completed) {
+        return 'completed';
+    }
+    if (updates.completed === false && task.completed) {
+        return 'pending';
+    }
+    return null;
+}
+
+const TaskWorkflow = {
+    TASK_STATUSES,
+    DEFAULT_TRANSITIONS,
+    WorkflowError,
+    WorkflowGuards,
+    StatusWorkflow,
+    WorkflowRegistry,
+    getTargetStatus
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskWorkflow;
+} else {
+    window.TaskWorkflow = TaskWorkflow;
+}
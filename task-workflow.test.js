@@ -0,0 +1,197 @@
+/**
+ * Task Workflow Tests
+ * Allowed transitions, guards, hooks, status history and validateTaskUpdate
+ */
+
+const express = require('express');
+const Task = require('./enhanced-task-model');
+const { TaskRepository } = require('./task-repository');
+const { TaskValidator } = require('./validation');
+const { createTaskRouter } = require('./task-api');
+const { TaskController } = require('./task-controller');
+const { StatusWorkflow, WorkflowError, WorkflowGuards } = require('./task-workflow');
+
+const SUPPORT_WORKFLOW = {
+    name: 'support',
+    transitions: {
+        pending: ['in-progress'],
+        'in-progress': ['on-hold', 'completed'],
+        'on-hold': ['in-progress'],
+        completed: ['in-progress']
+    },
+    guards: {
+        completed: [WorkflowGuards.requireActualHours],
+        'on-hold': [WorkflowGuards.requireNote]
+    }
+};
+
+describe('Task Workflow', () => {
+    let repository;
+    let task;
+    const user = { id: 'user_1' };
+
+    beforeEach(async () => {
+        repository = new TaskRepository();
+        task = new Task('Reply to customer', '', 'user_1', { category: 'support' });
+        await repository.create(task);
+    });
+
+    describe('Default workflow', () => {
+        test('should refuse reopening cancelled tasks straight to in-progress', async () => {
+            await repository.update(task.id, { status: 'cancelled' });
+
+            const error = await repository.update(task.id, { status: 'in-progress' }).catch(e => e);
+            expect(error).toBeInstanceOf(WorkflowError);
+            expect(error.code).toBe('TRANSITION_NOT_ALLOWED');
+            expect(task.status).toBe('cancelled');
+
+            await repository.update(task.id, { status: 'pending' });
+            await repository.update(task.id, { status: 'in-progress' });
+            expect(task.status).toBe('in-progress');
+        });
+
+        test('should keep toggling completion working', async () => {
+            await repository.update(task.id, { completed: true });
+            await repository.update(task.id, { completed: false });
+
+            expect(task.statusHistory.map(entry => entry.to)).toEqual(['completed', 'pending']);
+        });
+    });
+
+    describe('Scoped workflows and guards', () => {
+        beforeEach(() => {
+            repository.workflows.register(SUPPORT_WORKFLOW, { category: 'support' });
+        });
+
+        test('should pick the workflow by project before category', () => {
+            const project = repository.workflows.register({ name: 'project' }, { projectId: 'proj_1' });
+
+            expect(repository.workflows.resolve(task).name).toBe('support');
+            expect(repository.workflows.resolve({ projectId: 'proj_1', category: 'support' })).toBe(project);
+            expect(repository.workflows.resolve({ category: 'work' }).name).toBe('default');
+        });
+
+        test('should require actual hours before completion', async () => {
+            await repository.update(task.id, { status: 'in-progress' });
+
+            await expect(repository.update(task.id, { status: 'completed' }))
+                .rejects.toMatchObject({ code: 'GUARD_FAILED', guard: 'requireActualHours' });
+
+            await repository.update(task.id, { status: 'completed', actualHours: 2 });
+            expect(task.completed).toBe(true);
+        });
+
+        test('should require a note for on-hold and keep it in history and notes', async () => {
+            await repository.update(task.id, { status: 'in-progress' }, null, { user });
+
+            await expect(repository.update(task.id, { status: 'on-hold' }))
+                .rejects.toMatchObject({ guard: 'requireNote' });
+
+            await repository.update(task.id, { status: 'on-hold' }, null, { user, note: 'Waiting for logs' });
+
+            const [, last] = task.statusHistory;
+            expect(last).toMatchObject({ from: 'in-progress', to: 'on-hold', changedBy: 'user_1', note: 'Waiting for logs' });
+            expect(last.changedAt).toBeInstanceOf(Date);
+            expect(task.notes.map(n => n.content)).toEqual(['Waiting for logs']);
+        });
+
+        test('should run transition hooks', async () => {
+            const entered = jest.fn();
+            const transitions = jest.fn();
+            repository.workflows.resolve(task).on('enter:in-progress', entered);
+            repository.workflows.on('transition', transitions);
+
+            await repository.update(task.id, { status: 'in-progress' });
+
+            expect(entered).toHaveBeenCalledWith(expect.objectContaining({ from: 'pending', to: 'in-progress' }));
+            expect(transitions).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('validateTaskUpdate', () => {
+        const validator = new TaskValidator();
+
+        test('should validate only the fields being updated', () => {
+            expect(validator.validateTaskUpdate({ priority: 'high' }).isValid).toBe(true);
+        });
+
+        test('should report refused transitions as status errors', () => {
+            const workflow = new StatusWorkflow(SUPPORT_WORKFLOW);
+            const result = validator.validateTaskUpdate({ completed: true }, { task, workflow });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toEqual(['status: Cannot change status from pending to completed']);
+            expect(result.fieldResults.status.code).toBe('TRANSITION_NOT_ALLOWED');
+        });
+
+        test('should check the workflow registered for the task\'s category', () => {
+            repository.workflows.register(SUPPORT_WORKFLOW, { category: 'support' });
+
+            expect(validator.validateTaskUpdate({ completed: true }, { task }).isValid).toBe(true);
+            const result = validator.validateTaskUpdate({ completed: true }, { task, workflows: repository.workflows });
+            expect(result.errors).toEqual(['status: Cannot change status from pending to completed']);
+            expect(new TaskValidator(undefined, repository.workflows).validateTaskUpdate({ status: 'in-progress' }, { task }).isValid)
+                .toBe(true);
+        });
+
+        test('should be checked by TaskController before the update is sent on', async () => {
+            repository.workflows.register(SUPPORT_WORKFLOW, { category: 'support' });
+            const taskService = {
+                taskRepository: repository,
+                getTaskById: async id => repository.findById(id),
+                updateTask: jest.fn((id, updates, options) => repository.update(id, updates, null, options))
+            };
+            const view = { promptTransitionNote: jest.fn(async () => 'Waiting for the customer') };
+            const controller = new TaskController(taskService, null, view);
+            controller.currentUser = user;
+
+            await expect(controller.updateTask(task.id, { completed: true })).rejects.toMatchObject({ code: 'TRANSITION_NOT_ALLOWED' });
+            expect(taskService.updateTask).not.toHaveBeenCalled();
+
+            await controller.updateTask(task.id, { status: 'in-progress' });
+            await controller.updateTask(task.id, { status: 'on-hold' });
+            expect(view.promptTransitionNote).toHaveBeenCalledTimes(1);
+            expect(taskService.updateTask).toHaveBeenCalledTimes(2);
+            expect(task.statusHistory[task.statusHistory.length - 1]).toMatchObject({ to: 'on-hold', note: 'Waiting for the customer' });
+        });
+    });
+
+    describe('REST API', () => {
+        let server;
+        let baseUrl;
+
+        beforeEach(async () => {
+            repository.workflows.register(SUPPORT_WORKFLOW, { category: 'support' });
+            const app = express();
+            app.use('/api/tasks', createTaskRouter(repository));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const changeStatus = (body) => fetch(`${baseUrl}/api/tasks/${task.id}/status`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        test('should change status and expose transitions', async () => {
+            expect((await changeStatus({ status: 'completed' })).status).toBe(409);
+            expect((await changeStatus({ status: 'in-progress' })).status).toBe(200);
+
+            const guarded = await changeStatus({ status: 'on-hold' });
+            expect(guarded.status).toBe(400);
+            expect((await guarded.json()).code).toBe('GUARD_FAILED');
+
+            const response = await fetch(`${baseUrl}/api/tasks/${task.id}/transitions`);
+            const body = await response.json();
+            expect(body.available).toEqual(['on-hold', 'completed']);
+            expect(body.history).toHaveLength(1);
+        });
+    });
+});
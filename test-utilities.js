@@ -196,6 +196,22 @@ class MockFactory {
         };
     }
 
+    // Storage adapter keyed by entity type, as the repositories use it;
+    // values are copied so later changes to them do not leak into storage
+    static createKeyedStorage() {
+        const data = new Map();
+        
+        return {
+            save: jest.fn().mockImplementation((key, value) => {
+                data.set(key, JSON.parse(JSON.stringify(value)));
+                return true;
+            }),
+            load: jest.fn().mockImplementation((key, defaultValue = null) => {
+                return data.has(key) ? data.get(key) : defaultValue;
+            })
+        };
+    }
+
     static createMockEventEmitter() {
         const listeners = new Map();
         
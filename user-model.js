@@ -6,15 +6,31 @@
  * - Validation: Memastikan data user valid
  * - Business Logic: Aturan bisnis terkait user
  */
+
+// Password hashing butuh modul crypto dari Node; di browser fitur ini tidak tersedia
+const PasswordAuth = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./auth-utils')
+    : null;
+
+// Aturan role & permission dipusatkan di permission-policy.js
+const UserPermissionPolicy = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./permission-policy')
+    : window.PermissionPolicy;
+
+// Pesan error diambil dari katalog pesan sesuai locale aktif
+const UserI18n = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./i18n')
+    : window.I18n;
+
 class User {
     constructor(username, email, fullName) {
         // Validasi input - pastikan data yang masuk benar
         if (!username || username.trim() === '') {
-            throw new Error('Username wajib diisi');
+            throw new Error(UserI18n.t('user.usernameRequired'));
         }
         
         if (!email || !this._isValidEmail(email)) {
-            throw new Error('Email tidak valid');
+            throw new Error(UserI18n.t('user.invalidEmail'));
         }
         
         // Properties private (menggunakan konvensi _)
@@ -26,10 +42,13 @@ class User {
         this._isActive = true;
         this._createdAt = new Date();
         this._lastLoginAt = null;
+        this._passwordHash = null; // hanya disimpan dalam bentuk hash
+        this._feedToken = null; // token rahasia untuk URL feed kalender
         this._preferences = {
             theme: 'light',
             defaultCategory: 'personal',
-            emailNotifications: true
+            emailNotifications: true,
+            locale: UserI18n.DEFAULT_LOCALE // bahasa UI & pesan: 'en' atau 'id'
         };
     }
     
@@ -43,6 +62,8 @@ class User {
     get createdAt() { return this._createdAt; }
     get lastLoginAt() { return this._lastLoginAt; }
     get preferences() { return { ...this._preferences }; } // return copy
+    get hasPassword() { return this._passwordHash !== null; }
+    get feedToken() { return this._feedToken; }
 
     get initials() {
         if (!this._fullName) return this._username.charAt(0).toUpperCase();
@@ -53,7 +74,7 @@ class User {
     // Public methods untuk operasi user
     updateProfile(fullName, email) {
         if (email && !this._isValidEmail(email)) {
-            throw new Error('Email tidak valid');
+            throw new Error(UserI18n.t('user.invalidEmail'));
         }
         
         if (fullName) this._fullName = fullName.trim();
@@ -68,6 +89,63 @@ class User {
         };
     }
     
+    // Password management - plain text password tidak pernah disimpan
+    setPassword(password) {
+        if (!PasswordAuth) {
+            throw new Error(UserI18n.t('user.passwordHashingUnavailable'));
+        }
+
+        const result = new PasswordAuth.PasswordValidationStrategy().validate(password, {
+            username: this._username,
+            email: this._email
+        });
+        if (!result.isValid) {
+            throw new Error(UserI18n.t('user.weakPassword', { reasons: result.errors.join(', ') }));
+        }
+
+        this._passwordHash = PasswordAuth.hashPassword(password);
+    }
+    
+    verifyPassword(password) {
+        if (!PasswordAuth || !this._passwordHash) {
+            return false;
+        }
+        return PasswordAuth.verifyPassword(password, this._passwordHash);
+    }
+    
+    // Feed token - token acak, bisa diganti (URL lama tidak berlaku lagi) atau dicabut
+    regenerateFeedToken() {
+        if (!PasswordAuth) {
+            throw new Error(UserI18n.t('user.feedTokenUnavailable'));
+        }
+        this._feedToken = PasswordAuth.generateToken();
+        return this._feedToken;
+    }
+
+    revokeFeedToken() {
+        this._feedToken = null;
+    }
+
+    verifyFeedToken(token) {
+        return Boolean(PasswordAuth) && PasswordAuth.tokensMatch(token, this._feedToken);
+    }
+    
+    // Role & permission - keputusan akses selalu lewat permission policy
+    hasRole(role) {
+        return this._role === role;
+    }
+    
+    setRole(role) {
+        if (!UserPermissionPolicy.isValidRole(role)) {
+            throw new Error(UserI18n.t('user.invalidRole', { role }));
+        }
+        this._role = role;
+    }
+    
+    can(permission, resource = null) {
+        return UserPermissionPolicy.can(this, permission, resource);
+    }
+    
     recordLogin() {
         this._lastLoginAt = new Date();
     }
@@ -80,7 +158,7 @@ class User {
         this._isActive = true;
     }
     
-    // Convert ke JSON untuk penyimpanan
+    // Convert ke JSON untuk view layer - password hash tidak pernah ikut
     toJSON() {
         return {
             id: this._id,
@@ -95,15 +173,26 @@ class User {
         };
     }
     
+    // Convert ke JSON untuk penyimpanan (termasuk password hash dan feed token)
+    toStorageJSON() {
+        return {
+            ...this.toJSON(),
+            passwordHash: this._passwordHash,
+            feedToken: this._feedToken
+        };
+    }
+    
     // Create User dari data JSON
     static fromJSON(data) {
         const user = new User(data.username, data.email, data.fullName);
         user._id = data.id;
-        user._role = data.role;
+        user._role = data.role || 'user';
         user._isActive = data.isActive;
         user._createdAt = new Date(data.createdAt);
         user._lastLoginAt = data.lastLoginAt ? new Date(data.lastLoginAt) : null;
         user._preferences = data.preferences || user._preferences;
+        user._passwordHash = data.passwordHash || null;
+        user._feedToken = data.feedToken || null;
         return user;
     }
     
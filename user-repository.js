@@ -32,6 +32,27 @@ if (typeof BaseRepository === 'undefined') {
     };
 }
 
+// The User model is a global in the browser; in Node it has to be required
+const UserModel = typeof User !== 'undefined'
+    ? User
+    : (typeof require === 'function' ? require('./user-model') : null);
+
+// Role/permission rules are shared with the controller and REST routes
+const UserPolicy = typeof PermissionPolicy !== 'undefined'
+    ? PermissionPolicy
+    : (typeof require === 'function' ? require('./permission-policy') : null);
+
+// AuthenticationError lives in auth-utils.js (Node only); fall back to a plain Error subclass
+const AuthenticationError = (typeof require === 'function' && typeof module !== 'undefined')
+    ? require('./auth-utils').AuthenticationError
+    : class AuthenticationError extends Error {
+        constructor(message = 'Invalid username or password', code = 'INVALID_CREDENTIALS') {
+            super(message);
+            this.name = 'AuthenticationError';
+            this.code = code;
+        }
+    };
+
 /**
  * User Repository
  * Handles all data access operations for User entities
@@ -43,12 +64,20 @@ class UserRepository extends BaseRepository {
         this.entityKey = 'users';
         this._cache = new Map();
         this._cacheExpiry = 10 * 60 * 1000; // 10 minutes
+        this.auditLog = null;
+    }
+    
+    /**
+     * Record every mutation in an audit log (see audit-log.js)
+     */
+    setAuditLog(auditLog) {
+        this.auditLog = auditLog;
     }
     
     /**
      * Create a new user
      */
-    async create(user) {
+    async create(user, actor = null) {
         try {
             this._validateUser(user);
             
@@ -67,8 +96,9 @@ class UserRepository extends BaseRepository {
                 throw new Error(`Email ${user.email} already exists`);
             }
             
-            users.push(user.toJSON ? user.toJSON() : user);
+            users.push(this._serializeUser(user));
             await this._saveUsers(users);
+            this._audit('create', null, this._serializeUser(user), actor);
             
             this._cache.set(user.id, {
                 data: user,
@@ -146,14 +176,29 @@ class UserRepository extends BaseRepository {
     
     /**
      * Update user by ID
+     * When an acting user is given, editing someone else requires user:manage
+     * and changing a role requires user:manage:roles.
      */
-    async update(id, updates) {
+    async update(id, updates, actor = null) {
         try {
             const users = await this._getAllUsers();
             const userIndex = users.findIndex(u => u.id === id);
             
             if (userIndex === -1) return null;
             
+            if (actor) {
+                if (actor.id !== id) {
+                    UserPolicy.assertCan(actor, UserPolicy.PERMISSIONS.USER_MANAGE);
+                }
+                if (updates.role !== undefined) {
+                    UserPolicy.assertCan(actor, UserPolicy.PERMISSIONS.USER_MANAGE_ROLES);
+                }
+            }
+            
+            if (updates.email && !(await this.isEmailAvailable(updates.email, id))) {
+                throw new Error(`Email ${updates.email.trim().toLowerCase()} already exists`);
+            }
+            
             const currentUser = this._hydrateUser(users[userIndex]);
             
             // Apply updates using User model methods
@@ -165,6 +210,14 @@ class UserRepository extends BaseRepository {
                 currentUser.updatePreferences(updates.preferences);
             }
 
+            if (updates.role !== undefined) {
+                currentUser.setRole(updates.role);
+            }
+
+            if (updates.password !== undefined) {
+                currentUser.setPassword(updates.password);
+            }
+
             if (updates.isActive !== undefined) {
                 if (updates.isActive) {
                     currentUser.activate();
@@ -175,7 +228,7 @@ class UserRepository extends BaseRepository {
 
             // For other properties, try direct assignment if they exist
             Object.keys(updates).forEach(key => {
-                if (!['fullName', 'email', 'preferences', 'isActive'].includes(key)) {
+                if (!['fullName', 'email', 'preferences', 'isActive', 'role', 'password', 'passwordHash', 'feedToken'].includes(key)) {
                     if (currentUser.hasOwnProperty(`_${key}`)) {
                         currentUser[`_${key}`] = updates[key];
                     } else if (currentUser.hasOwnProperty(key)) {
@@ -189,8 +242,10 @@ class UserRepository extends BaseRepository {
                 currentUser._updatedAt = new Date();
             }
             
-            users[userIndex] = currentUser.toJSON ? currentUser.toJSON() : currentUser;
+            const before = users[userIndex];
+            users[userIndex] = this._serializeUser(currentUser);
             await this._saveUsers(users);
+            this._audit('update', before, users[userIndex], actor);
             
             this._cache.set(id, {
                 data: currentUser,
@@ -205,18 +260,23 @@ class UserRepository extends BaseRepository {
     }
     
     /**
-     * Delete user by ID
+     * Delete user by ID (requires user:manage when an acting user is given)
      */
-    async delete(id) {
+    async delete(id, actor = null) {
         try {
+            if (actor) {
+                UserPolicy.assertCan(actor, UserPolicy.PERMISSIONS.USER_MANAGE);
+            }
+            
             const users = await this._getAllUsers();
             const userIndex = users.findIndex(u => u.id === id);
             
             if (userIndex === -1) return false;
             
-            users.splice(userIndex, 1);
+            const [removed] = users.splice(userIndex, 1);
             await this._saveUsers(users);
             this._cache.delete(id);
+            this._audit('delete', removed, null, actor);
             
             return true;
         } catch (error) {
@@ -259,6 +319,21 @@ class UserRepository extends BaseRepository {
         return this.findAll({ role });
     }
     
+    /**
+     * Find the members of a workspace, in membership order
+     * options.role keeps only members with that workspace role,
+     * options.isActive filters on the account state
+     */
+    async findMembers(workspace, options = {}) {
+        const members = workspace.members.filter(member => !options.role || member.role === options.role);
+        const users = await this.findAll({ isActive: options.isActive });
+        const byId = new Map(users.map(user => [user.id, user]));
+
+        return members
+            .map(member => byId.get(member.userId))
+            .filter(user => user);
+    }
+
     /**
      * Find verified users
      */
@@ -283,55 +358,96 @@ class UserRepository extends BaseRepository {
     
     /**
      * Authenticate user by username/email and password
-     * Note: In a real application, this would involve proper password hashing
+     * Throws AuthenticationError (code INVALID_CREDENTIALS) for unknown users and
+     * wrong passwords alike, so callers cannot tell which accounts exist.
      */
     async authenticate(usernameOrEmail, password) {
         try {
+            if (!usernameOrEmail || !password) {
+                throw new AuthenticationError();
+            }
+
             // Find user by username or email
             let user = await this.findByUsername(usernameOrEmail);
             if (!user) {
                 user = await this.findByEmail(usernameOrEmail);
             }
             
-            if (!user) {
-                return null; // User not found
+            if (!user || !user.verifyPassword(password)) {
+                throw new AuthenticationError();
             }
             
             if (!user.isActive) {
-                throw new Error('User account is deactivated');
+                throw new AuthenticationError('User account is deactivated', 'ACCOUNT_DEACTIVATED');
             }
             
-            // In a real app, you would verify the password hash here
-            // For demo purposes, we'll assume authentication is successful
-            // if the user exists and is active
-            
             // Update login information
             user.recordLogin();
             await this.update(user.id, {
                 lastLoginAt: user.lastLoginAt
-            });
+            }, user);
             
             return user;
         } catch (error) {
-            console.error('Error authenticating user:', error);
+            // Failed logins are expected; only log unexpected failures
+            if (!(error instanceof AuthenticationError)) {
+                console.error('Error authenticating user:', error);
+            }
             throw error;
         }
     }
     
+    /**
+     * Calendar feed token of a user, issued on first use
+     * @returns {Promise<string|null>} - Null for unknown users
+     */
+    async getFeedToken(userId) {
+        const user = await this.findById(userId);
+        if (!user) return null;
+        return user.feedToken || this.regenerateFeedToken(userId, user);
+    }
+    
+    /**
+     * Issue a new feed token; feed URLs with the old one stop working
+     * @returns {Promise<string|null>} - New token, or null for unknown users
+     */
+    async regenerateFeedToken(userId, actor = null) {
+        return this._changeUser(userId, user => user.regenerateFeedToken(), actor);
+    }
+    
+    /**
+     * Revoke the feed token until a new one is issued
+     * @returns {Promise<boolean>} - Whether the user exists
+     */
+    async revokeFeedToken(userId, actor = null) {
+        const revoked = await this._changeUser(userId, user => {
+            user.revokeFeedToken();
+            return true;
+        }, actor);
+        return revoked === true;
+    }
+    
+    async verifyFeedToken(userId, token) {
+        const user = await this.findById(userId);
+        return Boolean(user) && user.verifyFeedToken(token);
+    }
+    
     /**
      * Check if username is available
+     * exceptUserId: the user being edited, who may keep their own username
      */
-    async isUsernameAvailable(username) {
-        const user = await this.findByUsername(username);
-        return user === null;
+    async isUsernameAvailable(username, exceptUserId = null) {
+        const user = await this.findByUsername(username.trim());
+        return user === null || user.id === exceptUserId;
     }
     
     /**
      * Check if email is available
+     * exceptUserId: the user being edited, who may keep their own email
      */
-    async isEmailAvailable(email) {
-        const user = await this.findByEmail(email);
-        return user === null;
+    async isEmailAvailable(email, exceptUserId = null) {
+        const user = await this.findByEmail(email.trim());
+        return user === null || user.id === exceptUserId;
     }
     
     /**
@@ -343,15 +459,14 @@ class UserRepository extends BaseRepository {
         const stats = {
             total: users.length,
             active: users.filter(u => u.isActive).length,
-            byRole: {
-                user: users.filter(u => u.role === 'user').length,
-                moderator: users.filter(u => u.role === 'moderator').length,
-                admin: users.filter(u => u.role === 'admin').length,
-                'super-admin': users.filter(u => u.role === 'super-admin').length
-            },
+            byRole: {},
             recentlyActive: 0
         };
 
+        UserPolicy.ROLES.forEach(role => {
+            stats.byRole[role] = users.filter(u => u.role === role).length;
+        });
+
         // Count recently active users (active in last 24 hours)
         const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
         stats.recentlyActive = users.filter(user => {
@@ -400,6 +515,34 @@ class UserRepository extends BaseRepository {
         return this.storage.save(this.entityKey, users);
     }
     
+    // Apply a model method to a stored user and save it; null for unknown users
+    async _changeUser(id, change, actor) {
+        const users = await this._getAllUsers();
+        const userIndex = users.findIndex(u => u.id === id);
+        if (userIndex === -1) return null;
+        
+        const user = this._hydrateUser(users[userIndex]);
+        const result = change(user);
+        const before = users[userIndex];
+        users[userIndex] = this._serializeUser(user);
+        await this._saveUsers(users);
+        this._audit('update', before, users[userIndex], actor);
+        this._cache.set(id, { data: user, timestamp: Date.now() });
+        return result;
+    }
+    
+    _audit(operation, before, after, actor) {
+        if (!this.auditLog) return;
+        this.auditLog.record({
+            actor,
+            entityType: 'user',
+            entityId: (after || before).id,
+            operation,
+            before,
+            after
+        });
+    }
+    
     _validateUser(user) {
         if (!user) {
             throw new Error('User is required');
@@ -420,9 +563,14 @@ class UserRepository extends BaseRepository {
         }
     }
     
+    _serializeUser(user) {
+        if (user.toStorageJSON) return user.toStorageJSON();
+        return user.toJSON ? user.toJSON() : user;
+    }
+    
     _hydrateUser(userData) {
-        if (typeof User !== 'undefined' && User.fromJSON) {
-            return User.fromJSON(userData);
+        if (UserModel && UserModel.fromJSON) {
+            return UserModel.fromJSON(userData);
         }
         return userData;
     }
@@ -0,0 +1,567 @@
+/**
+ * Validation Schema - declarative rules for tasks, users, projects and recurrence
+ *
+ * Each entity is described once as a Schema: per field a type, whether it is
+ * required, a default, length and number ranges, allowed values, patterns,
+ * plus cross-field rules that look at the whole record (actualHours needs
+ * estimatedHours, a due date cannot be before the creation date).
+ *
+ * validate() returns { isValid, errors, value }. Every error is
+ * { path, code, message }: path points at the field ('title', 'tags[2]',
+ * 'recurrence.interval') and code is one of SCHEMA_ERROR_CODES or the code
+ * of the cross-field rule. value holds the valid fields, trimmed, normalised
+ * and with defaults applied; fields the schema does not know are left out.
+ *
+ * Messages come from the I18n catalogue (i18n.js): labels, custom messages
+ * and rule messages are catalogue keys, and validate({ locale }) picks the
+ * language (the current locale by default).
+ *
+ * TaskValidator (validation.js) and the TaskFactory creators are built on
+ * these schemas.
+ */
+
+const SchemaWorkflow = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./task-workflow')
+    : window.TaskWorkflow;
+
+const SchemaRecurrenceRule = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./recurrence-engine').RecurrenceRule
+    : window.RecurrenceRule;
+
+const SchemaPermissionPolicy = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./permission-policy')
+    : window.PermissionPolicy;
+
+const SchemaI18n = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./i18n')
+    : window.I18n;
+
+const SCHEMA_ERROR_CODES = {
+    REQUIRED: 'REQUIRED',
+    INVALID_TYPE: 'INVALID_TYPE',
+    TOO_SHORT: 'TOO_SHORT',
+    TOO_LONG: 'TOO_LONG',
+    TOO_SMALL: 'TOO_SMALL',
+    TOO_LARGE: 'TOO_LARGE',
+    NOT_ALLOWED: 'NOT_ALLOWED',
+    PATTERN_MISMATCH: 'PATTERN_MISMATCH',
+    HTML_NOT_ALLOWED: 'HTML_NOT_ALLOWED',
+    DATE_IN_PAST: 'DATE_IN_PAST',
+    TOO_MANY_ITEMS: 'TOO_MANY_ITEMS'
+};
+
+// Catalogue key of the message for each error code
+const ERROR_MESSAGES = {
+    REQUIRED: 'validation.required',
+    INVALID_TYPE: 'validation.invalidType',
+    TOO_SHORT: 'validation.tooShort',
+    TOO_LONG: 'validation.tooLong',
+    TOO_SMALL: 'validation.tooSmall',
+    TOO_LARGE: 'validation.tooLarge',
+    NOT_ALLOWED: 'validation.notAllowed',
+    PATTERN_MISMATCH: 'validation.patternMismatch',
+    HTML_NOT_ALLOWED: 'validation.htmlNotAllowed',
+    DATE_IN_PAST: 'validation.dateInPast',
+    TOO_MANY_ITEMS: 'validation.tooManyItems'
+};
+
+const HTML_TAG = /<[^>]*>/;
+
+class SchemaValidationError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;');
+}
+
+function joinPath(base, field) {
+    return base ? `${base}.${field}` : field;
+}
+
+function startOfToday() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+}
+
+function calendarDay(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+// Type-specific checks; each returns the normalised value and adds errors through
+// `fail(code, params)`, where params fill in the code's catalogue message
+const TYPE_CHECKS = {
+    string(spec, raw, fail) {
+        let value = spec.trim === false ? raw : raw.trim();
+        if (spec.lowercase) value = value.toLowerCase();
+
+        if (spec.minLength !== undefined && value.length < spec.minLength) {
+            fail(SCHEMA_ERROR_CODES.TOO_SHORT, { min: spec.minLength });
+        }
+        if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+            fail(SCHEMA_ERROR_CODES.TOO_LONG, { max: spec.maxLength });
+        }
+        if (spec.noHtml && HTML_TAG.test(value)) {
+            fail(SCHEMA_ERROR_CODES.HTML_NOT_ALLOWED);
+        }
+        if (spec.pattern && !spec.pattern.test(value)) {
+            fail(SCHEMA_ERROR_CODES.PATTERN_MISMATCH);
+        }
+        return spec.escapeHtml ? escapeHtml(value) : value;
+    },
+
+    number(spec, raw, fail) {
+        if (spec.min !== undefined && raw < spec.min) {
+            fail(SCHEMA_ERROR_CODES.TOO_SMALL, { min: spec.min });
+        }
+        if (spec.max !== undefined && raw > spec.max) {
+            fail(SCHEMA_ERROR_CODES.TOO_LARGE, { max: spec.max });
+        }
+        return raw;
+    },
+
+    date(spec, raw, fail) {
+        if (spec.notPast && new Date(raw) < startOfToday()) {
+            fail(SCHEMA_ERROR_CODES.DATE_IN_PAST);
+        }
+        // Dates are kept as given (e.g. 'YYYY-MM-DD' from a form)
+        return raw;
+    },
+
+    boolean(spec, raw) {
+        return raw;
+    },
+
+    array(spec, raw, fail, path, errors, locale) {
+        if (spec.maxItems !== undefined && raw.length > spec.maxItems) {
+            fail(SCHEMA_ERROR_CODES.TOO_MANY_ITEMS, { max: spec.maxItems });
+        }
+        if (!spec.items) {
+            return [...raw];
+        }
+
+        const values = [];
+        raw.forEach((item, index) => {
+            const result = checkValue(spec.items, item, `${path}[${index}]`, locale);
+            errors.push(...result.errors);
+            if (result.errors.length === 0 && !(spec.unique && values.includes(result.value))) {
+                values.push(result.value);
+            }
+        });
+        return values;
+    },
+
+    object(spec, raw, fail, path, errors, locale) {
+        if (!spec.schema) {
+            return { ...raw };
+        }
+
+        const result = spec.schema.validate(raw, { path, locale });
+        errors.push(...result.errors);
+        return result.value;
+    }
+};
+TYPE_CHECKS.integer = TYPE_CHECKS.number;
+
+function hasType(type, value) {
+    if (type === 'string') return typeof value === 'string';
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'boolean') return typeof value === 'boolean';
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'date') {
+        return (typeof value === 'string' || typeof value === 'number' || value instanceof Date) &&
+            !Number.isNaN(new Date(value).getTime());
+    }
+    return true;
+}
+
+/**
+ * Validate one value against a field spec
+ * @param {object} spec - Field spec (see the schemas below)
+ * @param {*} raw - Value to check
+ * @param {string} path - Field path used in errors
+ * @param {string} locale - Locale of the messages (null for the current locale)
+ * @returns {object} - { errors, value }
+ */
+function checkValue(spec, raw, path, locale = null) {
+    const label = spec.label ? SchemaI18n.t(spec.label, {}, locale) : path;
+    const errors = [];
+    const fail = (code, params = {}, key = ERROR_MESSAGES[code]) => {
+        const message = (spec.messages && spec.messages[code]) || key;
+        errors.push({ path, code, message: SchemaI18n.t(message, { label, ...params }, locale) });
+    };
+
+    const blank = spec.type === 'string' && typeof raw === 'string' && raw.trim() === '';
+    if (isEmpty(raw) || blank) {
+        if (spec.required) {
+            fail(SCHEMA_ERROR_CODES.REQUIRED, {}, isEmpty(raw) ? ERROR_MESSAGES.REQUIRED : 'validation.blank');
+            return { errors };
+        }
+        return { errors, value: spec.default !== undefined ? spec.default : (typeof raw === 'string' ? '' : null) };
+    }
+
+    // Numbers often arrive as text from forms and CSV files
+    const value = (spec.type === 'number' || spec.type === 'integer') && typeof raw === 'string' && raw.trim() !== ''
+        ? Number(raw)
+        : raw;
+    if (!hasType(spec.type, value)) {
+        fail(SCHEMA_ERROR_CODES.INVALID_TYPE, { type: SchemaI18n.t(`type.${spec.type}`, {}, locale) });
+        return { errors };
+    }
+
+    const checked = TYPE_CHECKS[spec.type] ? TYPE_CHECKS[spec.type](spec, value, fail, path, errors, locale) : value;
+    if (spec.enum && !spec.enum.includes(checked)) {
+        fail(SCHEMA_ERROR_CODES.NOT_ALLOWED, { values: spec.enum.join(', ') });
+    }
+    return { errors, value: checked };
+}
+
+class Schema {
+    /**
+     * @param {string} name - Entity name, used in error details
+     * @param {object} fields - { field: { type, label, required, default, trim, lowercase,
+     *                           minLength, maxLength, min, max, enum, pattern, noHtml,
+     *                           escapeHtml, notPast, items, unique, maxItems, schema, messages } }.
+     *                           label and messages ({ code: key }) are catalogue keys.
+     * @param {object[]} rules - Cross-field rules: { code, path, fields, message, check(record), whole }.
+     *                            message is a catalogue key. Rules marked `whole` only apply
+     *                            to complete records, not to updates.
+     */
+    constructor(name, fields, rules = []) {
+        this.name = name;
+        this.fields = fields;
+        this.rules = rules;
+    }
+
+    get fieldNames() {
+        return Object.keys(this.fields);
+    }
+
+    /**
+     * A schema with more fields and rules; specs of existing fields are merged
+     * @param {Schema|object} extension - Schema or field specs to add
+     * @param {object} options - { name, rules }
+     * @returns {Schema}
+     */
+    extend(extension, options = {}) {
+        const added = extension instanceof Schema ? extension : new Schema(this.name, extension);
+        const fields = { ...this.fields };
+        Object.entries(added.fields).forEach(([field, spec]) => {
+            fields[field] = { ...(fields[field] || {}), ...spec };
+        });
+        return new Schema(options.name || this.name, fields, [...this.rules, ...added.rules, ...(options.rules || [])]);
+    }
+
+    /**
+     * A schema with only some of the fields, and the rules that apply to them
+     * @param {string[]} fieldNames - Fields to keep
+     * @returns {Schema}
+     */
+    pick(fieldNames) {
+        const fields = {};
+        fieldNames.forEach(field => {
+            if (!this.fields[field]) {
+                throw new Error(`Unknown field: ${field}`);
+            }
+            fields[field] = this.fields[field];
+        });
+        const rules = this.rules.filter(rule => rule.fields.every(field => fieldNames.includes(field)));
+        return new Schema(this.name, fields, rules);
+    }
+
+    /**
+     * Validate a single field on its own (no cross-field rules)
+     * @param {string} field - Field name
+     * @param {*} value - Value to check
+     * @param {object} options - { locale }
+     * @returns {object} - { isValid, errors, value }
+     */
+    validateField(field, value, options = {}) {
+        if (!this.fields[field]) {
+            throw new Error(`Unknown field: ${field}`);
+        }
+        const result = checkValue(this.fields[field], value, field, options.locale);
+        return { isValid: result.errors.length === 0, ...result };
+    }
+
+    /**
+     * Validate a record
+     * @param {object} data - Record to check
+     * @param {object} options - { partial: only check the fields present (updates),
+     *                           current: existing record the cross-field rules see
+     *                           underneath partial data, path: prefix for nested schemas,
+     *                           locale: language of the messages }
+     * @returns {object} - { isValid, errors, value }
+     */
+    validate(data, options = {}) {
+        const { partial = false, current = null, path = '', locale = null } = options;
+        const source = data || {};
+        const errors = [];
+        const value = {};
+        const failed = new Set();
+
+        Object.entries(this.fields).forEach(([field, spec]) => {
+            const present = source[field] !== undefined;
+            if (!present && (partial || (!spec.required && spec.default === undefined))) {
+                return;
+            }
+
+            const result = checkValue(spec, source[field], joinPath(path, field), locale);
+            if (result.errors.length > 0) {
+                errors.push(...result.errors);
+                failed.add(field);
+            } else {
+                value[field] = result.value;
+            }
+        });
+
+        // Updates are only compared across fields when the record they apply to is known
+        if (partial && !current) {
+            return { isValid: errors.length === 0, errors, value };
+        }
+
+        const base = current && typeof current.toJSON === 'function' ? current.toJSON() : current;
+        const record = { ...(base || {}), ...value };
+        this.rules
+            .filter(rule => !rule.fields.some(field => failed.has(field)))
+            .filter(rule => !partial || (!rule.whole && rule.fields.some(field => field in value)))
+            .forEach(rule => {
+                if (!rule.check(record)) {
+                    errors.push({ path: joinPath(path, rule.path), code: rule.code, message: SchemaI18n.t(rule.message, {}, locale) });
+                }
+            });
+
+        return { isValid: errors.length === 0, errors, value };
+    }
+
+    /**
+     * Validate and throw when invalid
+     * @returns {object} - The validated value
+     * @throws {SchemaValidationError} - With the structured errors in `errors`
+     */
+    assert(data, options = {}) {
+        const result = this.validate(data, options);
+        if (!result.isValid) {
+            throw new SchemaValidationError(result.errors.map(error => error.message).join(', '), 'VALIDATION_FAILED', {
+                schema: this.name,
+                errors: result.errors
+            });
+        }
+        return result.value;
+    }
+}
+
+/* ================= SCHEMAS ================= */
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const RECURRENCE_SCHEMA = new Schema('recurrence', {
+    frequency: { type: 'string', label: 'field.frequency', required: true, lowercase: true, enum: SchemaRecurrenceRule.FREQUENCIES },
+    interval: { type: 'integer', label: 'field.interval', min: 1, max: 999, default: 1 },
+    count: { type: 'integer', label: 'field.occurrenceCount', min: 1 },
+    until: { type: 'date', label: 'field.endDate' },
+    byWeekday: {
+        type: 'array',
+        label: 'field.weekdays',
+        unique: true,
+        items: {
+            type: 'string',
+            label: 'field.weekday',
+            pattern: /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/i,
+            messages: { PATTERN_MISMATCH: 'validation.weekdayFormat' }
+        }
+    },
+    byMonthDay: { type: 'array', label: 'field.monthDays', unique: true, items: { type: 'integer', label: 'field.monthDay', min: -31, max: 31 } }
+}, [
+    {
+        code: 'MONTHLY_ONLY',
+        path: 'byWeekday',
+        fields: ['byWeekday', 'frequency'],
+        message: 'validation.monthlyOnly',
+        check: rule => rule.frequency === 'monthly' || !(rule.byWeekday || []).some(day => /^[+-]?\d/.test(day))
+    },
+    {
+        code: 'YEARLY_BY_DAY',
+        path: 'frequency',
+        fields: ['frequency', 'byWeekday', 'byMonthDay'],
+        message: 'validation.yearlyByDay',
+        check: rule => rule.frequency !== 'yearly' ||
+            ((rule.byWeekday || []).length === 0 && (rule.byMonthDay || []).length === 0)
+    },
+    {
+        code: 'INVALID_MONTH_DAY',
+        path: 'byMonthDay',
+        fields: ['byMonthDay'],
+        message: 'validation.invalidMonthDay',
+        check: rule => !(rule.byMonthDay || []).includes(0)
+    }
+]);
+
+const TASK_SCHEMA = new Schema('task', {
+    title: { type: 'string', label: 'field.title', required: true, minLength: 1, maxLength: 100, noHtml: true },
+    description: { type: 'string', label: 'field.description', maxLength: 500, noHtml: true, default: '' },
+    userId: { type: 'string', label: 'field.owner', required: true },
+    assignedTo: { type: 'string', label: 'field.assignee' },
+    priority: { type: 'string', label: 'field.priority', lowercase: true, enum: TASK_PRIORITIES, default: 'medium' },
+    status: { type: 'string', label: 'field.status', lowercase: true, enum: SchemaWorkflow.TASK_STATUSES },
+    completed: { type: 'boolean', label: 'field.completed' },
+    category: {
+        type: 'string',
+        label: 'field.category',
+        lowercase: true,
+        maxLength: 50,
+        pattern: /^[\w -]+$/,
+        messages: { PATTERN_MISMATCH: 'validation.categoryFormat' }
+    },
+    tags: {
+        type: 'array',
+        label: 'field.tags',
+        maxItems: 20,
+        unique: true,
+        items: { type: 'string', label: 'field.tag', required: true, lowercase: true, maxLength: 30, noHtml: true }
+    },
+    createdAt: { type: 'date', label: 'field.createdAt' },
+    dueDate: { type: 'date', label: 'field.dueDate', default: null },
+    estimatedHours: { type: 'number', label: 'field.estimatedHours', min: 0, max: 10000 },
+    actualHours: { type: 'number', label: 'field.actualHours', min: 0, max: 10000 },
+    projectId: { type: 'string', label: 'field.project' },
+    workspaceId: { type: 'string', label: 'field.workspace' },
+    parentTaskId: { type: 'string', label: 'field.parentTask' },
+    recurrence: { type: 'object', label: 'field.recurrence', schema: RECURRENCE_SCHEMA }
+}, [
+    {
+        code: 'ESTIMATE_REQUIRED',
+        path: 'actualHours',
+        fields: ['actualHours', 'estimatedHours'],
+        message: 'validation.estimateRequired',
+        check: task => isEmpty(task.actualHours) || !isEmpty(task.estimatedHours)
+    },
+    {
+        code: 'DUE_BEFORE_CREATED',
+        path: 'dueDate',
+        fields: ['dueDate', 'createdAt'],
+        message: 'validation.dueBeforeCreated',
+        check: task => isEmpty(task.dueDate) || isEmpty(task.createdAt) ||
+            calendarDay(task.dueDate) >= calendarDay(task.createdAt)
+    },
+    {
+        code: 'STATUS_MISMATCH',
+        path: 'status',
+        fields: ['status', 'completed'],
+        message: 'validation.statusMismatch',
+        // An update sets one of the two; the task model derives the other
+        whole: true,
+        check: task => isEmpty(task.status) || isEmpty(task.completed) ||
+            (task.status === 'completed') === task.completed
+    }
+]);
+
+// New tasks and updates coming from forms and imports: no owner yet, and no
+// due dates in the past. Urgent is set through the task model, not the form.
+const TASK_INPUT_SCHEMA = TASK_SCHEMA.extend({
+    userId: { required: false },
+    priority: { enum: ['high', 'medium', 'low'] },
+    dueDate: { notPast: true }
+}, { name: 'taskInput' });
+
+const PROJECT_SCHEMA = new Schema('project', {
+    projectName: { type: 'string', label: 'field.projectName', required: true, maxLength: 100, noHtml: true },
+    milestone: { type: 'string', label: 'field.milestone', maxLength: 100, noHtml: true },
+    estimatedHours: { type: 'number', label: 'field.estimatedHours', min: 0, max: 10000 },
+    dependencies: { type: 'array', label: 'field.dependencies', unique: true, items: { type: 'string', label: 'field.dependency', required: true } },
+    progress: { type: 'number', label: 'field.progress', min: 0, max: 100 }
+});
+
+const PROJECT_TASK_SCHEMA = TASK_INPUT_SCHEMA.extend(PROJECT_SCHEMA, { name: 'projectTask' });
+
+const RECURRING_SCHEMA = new Schema('recurring', {
+    recurrencePattern: { type: 'string', label: 'field.recurrencePattern', required: true, lowercase: true, enum: SchemaRecurrenceRule.FREQUENCIES },
+    recurrenceInterval: { type: 'integer', label: 'field.recurrenceInterval', min: 1, max: 999, default: 1 },
+    maxOccurrences: { type: 'integer', label: 'field.maxOccurrences', min: 1 }
+});
+
+const RECURRING_TASK_SCHEMA = TASK_INPUT_SCHEMA.extend(RECURRING_SCHEMA, { name: 'recurringTask' });
+
+const USER_SCHEMA = new Schema('user', {
+    username: {
+        type: 'string',
+        label: 'field.username',
+        required: true,
+        lowercase: true,
+        minLength: 3,
+        maxLength: 30,
+        pattern: /^[a-z0-9._-]+$/,
+        messages: { PATTERN_MISMATCH: 'validation.usernameFormat' }
+    },
+    email: {
+        type: 'string',
+        label: 'field.email',
+        required: true,
+        lowercase: true,
+        maxLength: 254,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        messages: { PATTERN_MISMATCH: 'validation.emailFormat' }
+    },
+    fullName: { type: 'string', label: 'field.fullName', maxLength: 100, noHtml: true, default: '' },
+    role: { type: 'string', label: 'field.role', enum: SchemaPermissionPolicy.ROLES },
+    isActive: { type: 'boolean', label: 'field.active' },
+    preferences: {
+        type: 'object',
+        label: 'field.preferences',
+        schema: new Schema('preferences', {
+            theme: { type: 'string', label: 'field.theme', enum: ['light', 'dark'] },
+            defaultCategory: { type: 'string', label: 'field.defaultCategory', lowercase: true, maxLength: 50 },
+            emailNotifications: { type: 'boolean', label: 'field.emailNotifications' },
+            locale: { type: 'string', label: 'field.locale', lowercase: true, enum: SchemaI18n.SUPPORTED_LOCALES }
+        })
+    }
+});
+
+const SCHEMAS = {
+    task: TASK_SCHEMA,
+    taskInput: TASK_INPUT_SCHEMA,
+    projectTask: PROJECT_TASK_SCHEMA,
+    recurringTask: RECURRING_TASK_SCHEMA,
+    recurrence: RECURRENCE_SCHEMA,
+    user: USER_SCHEMA
+};
+
+const ValidationSchema = {
+    Schema,
+    SchemaValidationError,
+    SCHEMA_ERROR_CODES,
+    SCHEMAS,
+    TASK_SCHEMA,
+    TASK_INPUT_SCHEMA,
+    PROJECT_SCHEMA,
+    PROJECT_TASK_SCHEMA,
+    RECURRING_SCHEMA,
+    RECURRING_TASK_SCHEMA,
+    RECURRENCE_SCHEMA,
+    USER_SCHEMA,
+    escapeHtml
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ValidationSchema;
+} else {
+    window.ValidationSchema = ValidationSchema;
+}
@@ -0,0 +1,191 @@
+/**
+ * Validation Schema Tests
+ * Field types, ranges, enums and patterns, cross-field rules, structured
+ * errors with paths and codes, and the validators built on the schemas
+ */
+
+const {
+    Schema,
+    SchemaValidationError,
+    TASK_SCHEMA,
+    USER_SCHEMA,
+    RECURRENCE_SCHEMA
+} = require('./validation-schema');
+const { TaskValidator, TitleValidationStrategy } = require('./validation');
+const { TaskFactory, TaskBuilder } = require('./task-factory');
+
+describe('Validation Schema', () => {
+    describe('Fields', () => {
+        test('should report every problem with its path and code', () => {
+            const result = TASK_SCHEMA.validate({
+                title: '<b>Launch</b>',
+                userId: 'user_1',
+                priority: 'critical',
+                status: 'done',
+                category: 'Q3/launch',
+                tags: ['Release', 'release', ''],
+                estimatedHours: -2,
+                recurrence: { frequency: 'weekly', interval: 0, byWeekday: ['MO', 'XX'] }
+            });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors.map(error => [error.path, error.code])).toEqual([
+                ['title', 'HTML_NOT_ALLOWED'],
+                ['priority', 'NOT_ALLOWED'],
+                ['status', 'NOT_ALLOWED'],
+                ['category', 'PATTERN_MISMATCH'],
+                ['tags[2]', 'REQUIRED'],
+                ['estimatedHours', 'TOO_SMALL'],
+                ['recurrence.interval', 'TOO_SMALL'],
+                ['recurrence.byWeekday[1]', 'PATTERN_MISMATCH']
+            ]);
+            expect(result.errors[1].message).toBe('Priority must be one of: low, medium, high, urgent');
+        });
+
+        test('should normalise values and apply defaults', () => {
+            const result = TASK_SCHEMA.validate({
+                title: '  Tom & Jerry ',
+                description: 'Call "Bob" about it',
+                userId: 'user_1',
+                priority: 'HIGH',
+                tags: ['Work', 'work', 'Home'],
+                estimatedHours: '2.5',
+                recurrence: { frequency: 'Monthly', byWeekday: ['2TU'] },
+                unknown: 'dropped'
+            });
+
+            expect(result.isValid).toBe(true);
+            expect(result.value).toEqual({
+                title: 'Tom & Jerry',
+                description: 'Call "Bob" about it',
+                userId: 'user_1',
+                priority: 'high',
+                tags: ['work', 'home'],
+                dueDate: null,
+                estimatedHours: 2.5,
+                recurrence: { frequency: 'monthly', interval: 1, byWeekday: ['2TU'] }
+            });
+        });
+
+        test('should describe users and their preferences', () => {
+            const result = USER_SCHEMA.validate({
+                username: 'Jo',
+                email: 'not-an-email',
+                role: 'superuser',
+                preferences: { theme: 'neon', emailNotifications: 'yes' }
+            });
+
+            expect(result.errors).toEqual([
+                { path: 'username', code: 'TOO_SHORT', message: 'Username must be at least 3 character(s)' },
+                { path: 'email', code: 'PATTERN_MISMATCH', message: 'Email must be a valid email address' },
+                { path: 'role', code: 'NOT_ALLOWED', message: expect.stringContaining('Role must be one of: ') },
+                { path: 'preferences.theme', code: 'NOT_ALLOWED', message: 'Theme must be one of: light, dark' },
+                { path: 'preferences.emailNotifications', code: 'INVALID_TYPE', message: 'Email notifications must be true or false' }
+            ]);
+            expect(USER_SCHEMA.validate({ username: 'Alice.Doe', email: 'Alice@Example.com' }).value)
+                .toEqual({ username: 'alice.doe', email: 'alice@example.com', fullName: '' });
+        });
+    });
+
+    describe('Cross-field rules', () => {
+        test('should check rules once the fields involved are valid', () => {
+            const result = TASK_SCHEMA.validate({
+                title: 'Report',
+                userId: 'user_1',
+                actualHours: 3,
+                createdAt: '2026-05-10T15:00:00.000Z',
+                dueDate: '2026-05-09',
+                status: 'completed',
+                completed: false
+            });
+
+            expect(result.errors.map(error => [error.path, error.code])).toEqual([
+                ['actualHours', 'ESTIMATE_REQUIRED'],
+                ['dueDate', 'DUE_BEFORE_CREATED'],
+                ['status', 'STATUS_MISMATCH']
+            ]);
+            expect(RECURRENCE_SCHEMA.validate({ frequency: 'yearly', byMonthDay: [0] }).errors.map(error => error.code))
+                .toEqual(['YEARLY_BY_DAY', 'INVALID_MONTH_DAY']);
+        });
+
+        test('should apply rules to updates on top of the current record', () => {
+            const current = { title: 'Report', userId: 'user_1', createdAt: '2026-05-10T15:00:00.000Z', status: 'pending', completed: false };
+
+            expect(TASK_SCHEMA.validate({ dueDate: '2026-05-10' }, { partial: true, current }).isValid).toBe(true);
+            expect(TASK_SCHEMA.validate({ dueDate: '2026-05-01' }, { partial: true, current }).errors[0].code).toBe('DUE_BEFORE_CREATED');
+            expect(TASK_SCHEMA.validate({ actualHours: 1 }, { partial: true, current: { ...current, estimatedHours: 2 } }).isValid).toBe(true);
+            // The model derives status from completed, so the pair is only compared on whole records
+            expect(TASK_SCHEMA.validate({ completed: true }, { partial: true, current }).isValid).toBe(true);
+        });
+
+        test('should compose schemas and throw structured errors', () => {
+            const schema = new Schema('sprint', {
+                name: { type: 'string', label: 'Name', required: true },
+                points: { type: 'integer', label: 'Points', min: 0 }
+            }).extend({ points: { max: 40 } }).pick(['name', 'points']);
+
+            expect(() => schema.assert({ points: 41.5 })).toThrow(SchemaValidationError);
+            expect(() => schema.assert({ points: 50 })).toThrow(expect.objectContaining({
+                code: 'VALIDATION_FAILED',
+                schema: 'sprint',
+                message: 'Name is required, Points must be no more than 40',
+                errors: [expect.objectContaining({ path: 'name' }), expect.objectContaining({ path: 'points' })]
+            }));
+            expect(schema.assert({ name: ' Sprint 1 ', points: '8' })).toEqual({ name: 'Sprint 1', points: 8 });
+        });
+    });
+
+    describe('Validators', () => {
+        const validator = new TaskValidator();
+
+        test('should keep the TaskValidator result shape and messages', () => {
+            const result = validator.validateTask({ title: '', priority: 'urgent', dueDate: '2000-01-01' });
+
+            expect(result.errors).toEqual([
+                'title: Title is required',
+                'priority: Priority must be one of: high, medium, low',
+                'dueDate: Due date must be today or in the future'
+            ]);
+            expect(result.details[0]).toEqual({ path: 'title', code: 'REQUIRED', message: 'Title is required' });
+            expect(result.fieldResults.priority).toEqual({ isValid: false, errors: ['Priority must be one of: high, medium, low'] });
+
+            const valid = validator.validateTask({ title: 'Plan', tags: ['A'], estimatedHours: 4, actualHours: 2 });
+            expect(valid.sanitizedData).toEqual({
+                title: 'Plan', description: '', priority: 'medium', tags: ['a'], dueDate: null, estimatedHours: 4, actualHours: 2
+            });
+            expect(validator.validateTaskUpdate({ actualHours: 2 }).errors).toEqual([]);
+            expect(validator.validateTaskUpdate({ actualHours: 2 }, { task: { status: 'pending' } }).errors)
+                .toEqual(['actualHours: Actual hours can only be tracked once estimated hours are set']);
+        });
+
+        test('should validate single fields for forms', () => {
+            expect(new TitleValidationStrategy(1, 5).validate('Too long')).toMatchObject({
+                isValid: false,
+                errors: ['Title must be no more than 5 characters']
+            });
+            expect(validator.validateField('category', ' Work ')).toEqual({ isValid: true, errors: [], sanitizedValue: 'work' });
+        });
+
+        test('should validate project and recurring tasks in the factory', () => {
+            const factory = new TaskFactory(validator);
+
+            expect(() => factory.createTask('project', { title: 'Site', projectName: '  ', milestone: '<i>M1</i>', dependencies: 'task_1' }))
+                .toThrow(expect.objectContaining({
+                    name: 'SchemaValidationError',
+                    errors: [
+                        expect.objectContaining({ path: 'projectName', code: 'REQUIRED' }),
+                        expect.objectContaining({ path: 'milestone', code: 'HTML_NOT_ALLOWED' }),
+                        expect.objectContaining({ path: 'dependencies', code: 'INVALID_TYPE' })
+                    ]
+                }));
+            expect(() => factory.createTask('recurring', { title: 'Standup', recurrencePattern: 'hourly' }))
+                .toThrow('Recurrence pattern must be one of: daily, weekly, monthly, yearly');
+
+            const task = factory.createTask('recurring', { title: 'Standup', userId: 'user_1', recurrencePattern: 'Daily', recurrenceInterval: '2' });
+            expect(task).toMatchObject({ recurrencePattern: 'daily', recurrenceInterval: 2 });
+            expect(() => factory.createTask('basic', { title: 'Orphan', priority: 'high' })).toThrow('Task owner (userId) is required');
+            expect(new TaskBuilder(factory).setTitle('Owned').setOwner('user_1').setPriority('high').build())
+                .toMatchObject({ userId: 'user_1', priority: 'high' });
+        });
+    });
+});
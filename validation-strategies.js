@@ -1,8 +1,17 @@
 /**
  * Day 2: Validation Strategies
  * Implementing Strategy Pattern for input validation
+ *
+ * The title, description, priority and due date strategies and TaskValidator
+ * are built on the declarative schemas in validation-schema.js and live in
+ * validation.js; this file keeps the strategy interface and the real-time
+ * helper for forms.
  */
 
+const StrategyValidation = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./validation')
+    : window.TaskValidation;
+
 /**
  * Base Validation Strategy Interface
  */
@@ -13,288 +22,33 @@ class ValidationStrategy {
 }
 
 /**
- * Title Validation Strategy
- */
-class TitleValidationStrategy extends ValidationStrategy {
-    constructor(minLength = 1, maxLength = 100) {
-        super();
-        this.minLength = minLength;
-        this.maxLength = maxLength;
-    }
-
-    validate(title) {
-        const errors = [];
-        
-        // Check if title exists
-        if (!title) {
-            errors.push('Title is required');
-            return { isValid: false, errors };
-        }
-
-        // Trim and check again
-        const trimmedTitle = title.trim();
-        if (trimmedTitle.length === 0) {
-            errors.push('Title cannot be empty or only whitespace');
-        }
-
-        // Check length
-        if (trimmedTitle.length < this.minLength) {
-            errors.push(`Title must be at least ${this.minLength} character(s)`);
-        }
-
-        if (trimmedTitle.length > this.maxLength) {
-            errors.push(`Title must be no more than ${this.maxLength} characters`);
-        }
-
-        // Check for potentially dangerous content
-        if (this.containsHtml(trimmedTitle)) {
-            errors.push('Title cannot contain HTML tags');
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            sanitizedValue: this.sanitize(trimmedTitle)
-        };
-    }
-
-    containsHtml(text) {
-        const htmlRegex = /<[^>]*>/g;
-        return htmlRegex.test(text);
-    }
-
-    sanitize(text) {
-        // Basic HTML escaping
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#x27;');
-    }
-}
-
-/**
- * Description Validation Strategy
- */
-class DescriptionValidationStrategy extends ValidationStrategy {
-    constructor(maxLength = 500) {
-        super();
-        this.maxLength = maxLength;
-    }
-
-    validate(description) {
-        const errors = [];
-        
-        // Description is optional, so empty is valid
-        if (!description) {
-            return { isValid: true, errors: [], sanitizedValue: '' };
-        }
-
-        const trimmedDescription = description.trim();
-
-        // Check length
-        if (trimmedDescription.length > this.maxLength) {
-            errors.push(`Description must be no more than ${this.maxLength} characters`);
-        }
-
-        // Check for potentially dangerous content
-        if (this.containsHtml(trimmedDescription)) {
-            errors.push('Description cannot contain HTML tags');
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            sanitizedValue: this.sanitize(trimmedDescription)
-        };
-    }
-
-    containsHtml(text) {
-        const htmlRegex = /<[^>]*>/g;
-        return htmlRegex.test(text);
-    }
-
-    sanitize(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#x27;');
-    }
-}
-
-/**
- * Priority Validation Strategy
- */
-class PriorityValidationStrategy extends ValidationStrategy {
-    constructor() {
-        super();
-        this.validPriorities = ['high', 'medium', 'low'];
-    }
-
-    validate(priority) {
-        const errors = [];
-        
-        if (!priority) {
-            // Default to medium if not provided
-            return { isValid: true, errors: [], sanitizedValue: 'medium' };
-        }
-
-        const normalizedPriority = priority.toLowerCase().trim();
-
-        if (!this.validPriorities.includes(normalizedPriority)) {
-            errors.push(`Priority must be one of: ${this.validPriorities.join(', ')}`);
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            sanitizedValue: normalizedPriority
-        };
-    }
-}
-
-/**
- * Due Date Validation Strategy
- */
-class DueDateValidationStrategy extends ValidationStrategy {
-    validate(dueDate) {
-        const errors = [];
-        
-        // Due date is optional
-        if (!dueDate) {
-            return { isValid: true, errors: [], sanitizedValue: null };
-        }
-
-        // Try to parse the date
-        const date = new Date(dueDate);
-        
-        // Check if date is valid
-        if (isNaN(date.getTime())) {
-            errors.push('Due date must be a valid date');
-            return { isValid: false, errors };
-        }
-
-        // Check if date is in the future
-        const now = new Date();
-        now.setHours(0, 0, 0, 0); // Reset time to start of day for comparison
-        
-        if (date < now) {
-            errors.push('Due date must be today or in the future');
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            sanitizedValue: date.toISOString().split('T')[0] // Return YYYY-MM-DD format
-        };
-    }
-}
-
-/**
- * Composite Validator - combines multiple validation strategies
+ * Real-time Validation Helper
+ * Provides immediate feedback as user types
+ *
+ * With an AsyncValidator (async-validation.js), a field that passes the
+ * synchronous checks is also checked against stored data, e.g. whether a
+ * username is taken. Only the result for the latest value of a field is
+ * reported; answers for values typed over in the meantime are dropped.
  */
-class TaskValidator {
-    constructor() {
-        this.titleValidator = new TitleValidationStrategy();
-        this.descriptionValidator = new DescriptionValidationStrategy();
-        this.priorityValidator = new PriorityValidationStrategy();
-        this.dueDateValidator = new DueDateValidationStrategy();
-    }
-
+class RealTimeValidator {
     /**
-     * Validate all task fields
-     * @param {Object} taskData - Object containing task fields
-     * @returns {Object} Validation result with errors and sanitized data
+     * @param {TaskValidator} validator - Synchronous field validator
+     * @param {AsyncValidator} asyncValidator - Optional lookups against stored data
      */
-    validateTask(taskData) {
-        const results = {
-            title: this.titleValidator.validate(taskData.title),
-            description: this.descriptionValidator.validate(taskData.description),
-            priority: this.priorityValidator.validate(taskData.priority),
-            dueDate: this.dueDateValidator.validate(taskData.dueDate)
-        };
-
-        // Collect all errors
-        const allErrors = [];
-        Object.keys(results).forEach(field => {
-            if (!results[field].isValid) {
-                results[field].errors.forEach(error => {
-                    allErrors.push(`${field}: ${error}`);
-                });
-            }
-        });
-
-        // Create sanitized data object
-        const sanitizedData = {};
-        Object.keys(results).forEach(field => {
-            if (results[field].isValid) {
-                sanitizedData[field] = results[field].sanitizedValue;
-            }
-        });
-
-        return {
-            isValid: allErrors.length === 0,
-            errors: allErrors,
-            fieldResults: results,
-            sanitizedData
-        };
+    constructor(validator, asyncValidator = null) {
+        this.validator = validator;
+        this.asyncValidator = asyncValidator;
+        this.context = {};
+        this.debounceTimers = {};
+        this.latestChecks = {};
     }
 
     /**
-     * Validate task update (allows partial updates)
-     * @param {Object} updates - Object containing fields to update
-     * @returns {Object} Validation result
+     * Set what the async rules compare against, e.g. the record being edited
+     * @param {object} context - { current, record, locale }
      */
-    validateTaskUpdate(updates) {
-        const results = {};
-        const allErrors = [];
-        const sanitizedData = {};
-
-        // Only validate fields that are being updated
-        if (updates.hasOwnProperty('title')) {
-            results.title = this.titleValidator.validate(updates.title);
-        }
-        if (updates.hasOwnProperty('description')) {
-            results.description = this.descriptionValidator.validate(updates.description);
-        }
-        if (updates.hasOwnProperty('priority')) {
-            results.priority = this.priorityValidator.validate(updates.priority);
-        }
-        if (updates.hasOwnProperty('dueDate')) {
-            results.dueDate = this.dueDateValidator.validate(updates.dueDate);
-        }
-
-        // Collect errors and sanitized data
-        Object.keys(results).forEach(field => {
-            if (!results[field].isValid) {
-                results[field].errors.forEach(error => {
-                    allErrors.push(`${field}: ${error}`);
-                });
-            } else {
-                sanitizedData[field] = results[field].sanitizedValue;
-            }
-        });
-
-        return {
-            isValid: allErrors.length === 0,
-            errors: allErrors,
-            fieldResults: results,
-            sanitizedData
-        };
-    }
-}
-
-/**
- * Real-time Validation Helper
- * Provides immediate feedback as user types
- */
-class RealTimeValidator {
-    constructor(validator) {
-        this.validator = validator;
-        this.debounceTimers = {};
+    setContext(context = {}) {
+        this.context = context;
     }
 
     /**
@@ -309,32 +63,41 @@ class RealTimeValidator {
         if (this.debounceTimers[fieldName]) {
             clearTimeout(this.debounceTimers[fieldName]);
         }
+        const check = (this.latestChecks[fieldName] || 0) + 1;
+        this.latestChecks[fieldName] = check;
 
         // Set new timer
-        this.debounceTimers[fieldName] = setTimeout(() => {
-            let result;
-            
-            switch (fieldName) {
-                case 'title':
-                    result = this.validator.titleValidator.validate(value);
-                    break;
-                case 'description':
-                    result = this.validator.descriptionValidator.validate(value);
-                    break;
-                case 'priority':
-                    result = this.validator.priorityValidator.validate(value);
-                    break;
-                case 'dueDate':
-                    result = this.validator.dueDateValidator.validate(value);
-                    break;
-                default:
-                    result = { isValid: true, errors: [] };
+        this.debounceTimers[fieldName] = setTimeout(async () => {
+            delete this.debounceTimers[fieldName];
+            const result = await this.checkField(fieldName, value);
+            if (this.latestChecks[fieldName] === check) {
+                callback(fieldName, result);
             }
-
-            callback(fieldName, result);
         }, delay);
     }
 
+    /**
+     * Synchronous checks first, then the async rules on the sanitized value
+     * @returns {Promise<object>} - { isValid, errors, sanitizedValue } or { isValid, errors, details }
+     */
+    async checkField(fieldName, value) {
+        const result = this.validator.validateField(fieldName, value);
+        if (!result.isValid || !this.asyncValidator || !this.asyncValidator.hasRules(fieldName)) {
+            return result;
+        }
+
+        try {
+            const lookup = await this.asyncValidator.validateField(fieldName, result.sanitizedValue, this.context);
+            return lookup.isValid
+                ? result
+                : { isValid: false, errors: lookup.errors.map(error => error.message), details: lookup.errors };
+        } catch (error) {
+            // The lookup failing (e.g. storage offline) is not the user's mistake
+            console.warn(`Could not check ${fieldName}:`, error.message);
+            return result;
+        }
+    }
+
     /**
      * Clear all debounce timers
      */
@@ -343,9 +106,18 @@ class RealTimeValidator {
             clearTimeout(timer);
         });
         this.debounceTimers = {};
+        this.latestChecks = {};
     }
 }
 
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ValidationStrategy, RealTimeValidator, ...StrategyValidation };
+} else {
+    window.ValidationStrategy = ValidationStrategy;
+    window.RealTimeValidator = RealTimeValidator;
+}
+
 // Example usage:
 /*
 const validator = new TaskValidator();
@@ -372,4 +144,11 @@ realTimeValidator.validateField('title', 'My Task', (field, result) => {
         console.log(`${field} errors:`, result.errors);
     }
 });
+
+// Signup form: "Username alice is already taken" while typing
+const signupValidator = new RealTimeValidator(
+    new TaskValidator(USER_SCHEMA),
+    AsyncValidator.forUsers(userRepository)
+);
+signupValidator.validateField('username', 'alice', (field, result) => showErrors(field, result.errors));
 */
\ No newline at end of file
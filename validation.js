@@ -1,225 +1,177 @@
 /**
  * Validation Module - Day 3 Implementation
  * Centralized validation logic for Task management
+ *
+ * The rules themselves live in validation-schema.js; the strategies and
+ * TaskValidator here present them in the { isValid, errors, sanitizedValue }
+ * shape the forms, importers and factories use. Errors are 'field: message'
+ * strings, with the structured { path, code, message } errors in `details`.
  */
 
-class TitleValidationStrategy {
-    constructor(minLength = 1, maxLength = 100) {
-        this.minLength = minLength;
-        this.maxLength = maxLength;
-    }
-
-    validate(title) {
-        const errors = [];
-
-        if (title === null || title === undefined || title === '') {
-            errors.push('Title is required');
-            return { isValid: false, errors };
-        }
+const ValidationWorkflow = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./task-workflow')
+    : window.TaskWorkflow;
 
-        const trimmed = title.trim();
-
-        if (trimmed.length === 0) {
-            errors.push('Title cannot be empty or only whitespace');
-        }
-
-        if (trimmed.length < this.minLength) {
-            errors.push(`Title must be at least ${this.minLength} character(s)`);
-        }
+const TaskValidationSchema = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./validation-schema')
+    : window.ValidationSchema;
 
-        if (trimmed.length > this.maxLength) {
-            errors.push(`Title must be no more than ${this.maxLength} characters`);
-        }
+/**
+ * Validates one field of a schema
+ */
+class SchemaFieldStrategy {
+    constructor(schema, field) {
+        this.schema = schema;
+        this.field = field;
+    }
 
-        if (/<[^>]*>/g.test(trimmed)) {
-            errors.push('Title cannot contain HTML tags');
+    validate(value) {
+        const result = this.schema.validateField(this.field, value);
+        if (!result.isValid) {
+            return { isValid: false, errors: result.errors.map(error => error.message), details: result.errors };
         }
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            sanitizedValue: this.sanitize(trimmed)
-        };
+        return { isValid: true, errors: [], sanitizedValue: result.value };
     }
+}
 
-    sanitize(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '<')
-            .replace(/>/g, '>')
-            .replace(/"/g, '"')
-            .replace(/'/g, '&#x27;');
+class TitleValidationStrategy extends SchemaFieldStrategy {
+    constructor(minLength = 1, maxLength = 100) {
+        super(TaskValidationSchema.TASK_INPUT_SCHEMA.extend({ title: { minLength, maxLength } }), 'title');
     }
 }
 
-class DescriptionValidationStrategy {
+class DescriptionValidationStrategy extends SchemaFieldStrategy {
     constructor(maxLength = 500) {
-        this.maxLength = maxLength;
-    }
-
-    validate(description) {
-        const errors = [];
-
-        if (description === null || description === undefined || description === '') {
-            return { isValid: true, errors: [], sanitizedValue: '' };
-        }
-
-        const trimmed = description.trim();
-
-        if (trimmed.length > this.maxLength) {
-            errors.push(`Description must be no more than ${this.maxLength} characters`);
-        }
-
-        if (/<[^>]*>/g.test(trimmed)) {
-            errors.push('Description cannot contain HTML tags');
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors,
-            sanitizedValue: this.sanitize(trimmed)
-        };
-    }
-
-    sanitize(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '<')
-            .replace(/>/g, '>')
-            .replace(/"/g, '"')
-            .replace(/'/g, '&#x27;');
+        super(TaskValidationSchema.TASK_INPUT_SCHEMA.extend({ description: { maxLength } }), 'description');
     }
 }
 
-class PriorityValidationStrategy {
+class PriorityValidationStrategy extends SchemaFieldStrategy {
     constructor() {
-        this.valid = ['high', 'medium', 'low'];
+        super(TaskValidationSchema.TASK_INPUT_SCHEMA, 'priority');
     }
+}
 
-    validate(priority) {
-        if (!priority) {
-            return { isValid: true, errors: [], sanitizedValue: 'medium' };
-        }
-
-        const normalized = priority.trim().toLowerCase();
-
-        if (!this.valid.includes(normalized)) {
-            return {
-                isValid: false,
-                errors: ['Priority must be one of: high, medium, low']
-            };
-        }
-
-        return {
-            isValid: true,
-            errors: [],
-            sanitizedValue: normalized
-        };
+class DueDateValidationStrategy extends SchemaFieldStrategy {
+    constructor() {
+        super(TaskValidationSchema.TASK_INPUT_SCHEMA, 'dueDate');
     }
 }
 
-class DueDateValidationStrategy {
-    validate(dueDate) {
-        if (!dueDate) {
-            return { isValid: true, errors: [], sanitizedValue: null };
-        }
-
-        const date = new Date(dueDate);
-        if (isNaN(date.getTime())) {
-            return { isValid: false, errors: ['Due date must be a valid date'] };
-        }
-
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        if (date < today) {
-            return { isValid: false, errors: ['Due date must be today or in the future'] };
-        }
-
-        return {
-            isValid: true,
-            errors: [],
-            sanitizedValue: dueDate
-        };
-    }
+// Field a structured error belongs to: 'tags[2]' -> 'tags', 'recurrence.interval' -> 'recurrence'
+function rootField(path) {
+    return path.split(/[.[]/)[0];
 }
 
 class TaskValidator {
-    constructor() {
-        this.title = new TitleValidationStrategy();
-        this.description = new DescriptionValidationStrategy();
-        this.priority = new PriorityValidationStrategy();
-        this.dueDate = new DueDateValidationStrategy();
+    /**
+     * @param {Schema} schema - Task input schema (defaults to TASK_INPUT_SCHEMA)
+     * @param {WorkflowRegistry} workflows - Workflows status changes are checked against
+     */
+    constructor(schema = TaskValidationSchema.TASK_INPUT_SCHEMA, workflows = new ValidationWorkflow.WorkflowRegistry()) {
+        this.schema = schema;
+        this.workflows = workflows;
     }
 
-    validateTask(task) {
-        const errors = [];
-        const sanitizedData = {};
-        const fieldResults = {};
+    /**
+     * Validate a single field, e.g. while the user is typing
+     * @param {string} field - Field name
+     * @param {*} value - Value to check
+     * @returns {object} - { isValid, errors, sanitizedValue }
+     */
+    validateField(field, value) {
+        if (!this.schema.fields[field]) {
+            return { isValid: true, errors: [], sanitizedValue: value };
+        }
+        return new SchemaFieldStrategy(this.schema, field).validate(value);
+    }
 
-        // TITLE (REQUIRED)
-        fieldResults.title = this.title.validate(task.title);
-        if (!fieldResults.title.isValid) {
-            fieldResults.title.errors.forEach(e => errors.push(`title: ${e}`));
-        } else {
-            sanitizedData.title = fieldResults.title.sanitizedValue;
-        }
+    /**
+     * Validate a new task. Title is required; description, priority and
+     * dueDate get their defaults; other known fields are checked when present.
+     * @param {object} task - Task data
+     */
+    validateTask(task) {
+        return this.toResult(this.schema.validate(task || {}));
+    }
 
-        // DESCRIPTION (OPTIONAL)
-        if ('description' in task) {
-            fieldResults.description = this.description.validate(task.description);
-            if (!fieldResults.description.isValid) {
-                fieldResults.description.errors.forEach(e => errors.push(`description: ${e}`));
-            } else {
-                sanitizedData.description = fieldResults.description.sanitizedValue;
+    /**
+     * Validate a partial update. Only the fields being updated are checked.
+     * When context.task is given, cross-field rules see the task underneath
+     * the updates, and a status change (status or completed) is also checked
+     * against the task's workflow: context.workflow, or the one the registry
+     * (context.workflows, else the validator's) has for the task's project or
+     * category after the update.
+     * @param {object} updates - Fields to update
+     * @param {object} context - { task, workflow, workflows, user, note }
+     */
+    validateTaskUpdate(updates, context = {}) {
+        const { task } = context;
+        const result = this.toResult(this.schema.validate(updates, { partial: true, current: task || null }));
+
+        // STATUS (workflow transition)
+        const toStatus = task ? ValidationWorkflow.getTargetStatus(task, updates) : null;
+        if (toStatus && task.status) {
+            const preview = { ...(typeof task.toJSON === 'function' ? task.toJSON() : task), ...updates };
+            const workflow = context.workflow || (context.workflows || this.workflows).resolve(preview);
+            const error = workflow.checkTransition(preview, task.status, toStatus, {
+                user: context.user || null,
+                note: context.note
+            });
+            result.fieldResults.status = error
+                ? { isValid: false, errors: [error.message], code: error.code, error }
+                : { isValid: true, errors: [], sanitizedValue: toStatus };
+            if (error) {
+                result.errors.push(`status: ${error.message}`);
+                result.details.push({ path: 'status', code: error.code, message: error.message });
+                result.isValid = false;
             }
-        } else {
-            sanitizedData.description = '';
         }
 
-        // PRIORITY (OPTIONAL)
-        if ('priority' in task) {
-            fieldResults.priority = this.priority.validate(task.priority);
-            if (!fieldResults.priority.isValid) {
-                fieldResults.priority.errors.forEach(e => errors.push(`priority: ${e}`));
-            } else {
-                sanitizedData.priority = fieldResults.priority.sanitizedValue;
-            }
-        } else {
-            sanitizedData.priority = 'medium';
-        }
+        return result;
+    }
 
-        // DUEDATE (OPTIONAL)
-        if ('dueDate' in task) {
-            fieldResults.dueDate = this.dueDate.validate(task.dueDate);
-            if (!fieldResults.dueDate.isValid) {
-                fieldResults.dueDate.errors.forEach(e => errors.push(`dueDate: ${e}`));
-            } else {
-                sanitizedData.dueDate = fieldResults.dueDate.sanitizedValue;
-            }
-        } else {
-            sanitizedData.dueDate = null;
-        }
+    toResult({ errors, value }) {
+        const fieldResults = {};
+        Object.keys(value).forEach(field => {
+            fieldResults[field] = { isValid: true, errors: [], sanitizedValue: value[field] };
+        });
+        errors.forEach(error => {
+            const field = rootField(error.path);
+            const entry = fieldResults[field] && !fieldResults[field].isValid
+                ? fieldResults[field]
+                : (fieldResults[field] = { isValid: false, errors: [] });
+            entry.errors.push(error.message);
+        });
 
         return {
             isValid: errors.length === 0,
-            errors,
+            errors: errors.map(error => `${error.path}: ${error.message}`),
+            details: errors,
             fieldResults,
-            sanitizedData
+            sanitizedData: value
         };
     }
-
-    validateTaskUpdate(updates) {
-        // For updates, we only validate the fields that are being updated
-        const mockTask = { ...updates };
-        return this.validateTask(mockTask);
-    }
 }
 
-module.exports = {
-    TitleValidationStrategy,
-    DescriptionValidationStrategy,
-    PriorityValidationStrategy,
-    DueDateValidationStrategy,
-    TaskValidator
-};
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SchemaFieldStrategy,
+        TitleValidationStrategy,
+        DescriptionValidationStrategy,
+        PriorityValidationStrategy,
+        DueDateValidationStrategy,
+        TaskValidator
+    };
+} else {
+    window.TaskValidation = {
+        SchemaFieldStrategy,
+        TitleValidationStrategy,
+        DescriptionValidationStrategy,
+        PriorityValidationStrategy,
+        DueDateValidationStrategy,
+        TaskValidator
+    };
+    window.TaskValidator = TaskValidator;
+}
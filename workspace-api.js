@@ -0,0 +1,131 @@
+/**
+ * Workspace API - teams of users sharing tasks (see workspace-repository.js)
+ *
+ *   GET    /api/workspaces                        Workspaces the user belongs to
+ *   POST   /api/workspaces                        Create a workspace ({ name, description }); the user becomes its owner
+ *   GET    /api/workspaces/:id                    Get a workspace with its members
+ *   PATCH  /api/workspaces/:id                    Rename it or change the description (admins)
+ *   DELETE /api/workspaces/:id                    Delete it (owners); its tasks are kept
+ *   GET    /api/workspaces/:id/members            Members (?role=)
+ *   POST   /api/workspaces/:id/members            Add a member ({ userId or username, role })
+ *   PATCH  /api/workspaces/:id/members/:userId    Change a member's role ({ role })
+ *   DELETE /api/workspaces/:id/members/:userId    Remove a member, or leave the workspace
+ *
+ * Every route needs an authenticated user (req.user). Workspaces the user
+ * does not belong to are reported as missing, except to site admins.
+ */
+
+const express = require('express');
+const { Workspace, WorkspaceError } = require('./workspace-model');
+const { PERMISSIONS, can } = require('./permission-policy');
+const { requireAuth } = require('./auth-api');
+const { httpError, asyncHandler, jsonErrorHandler } = require('./task-api');
+
+/**
+ * Create the /api/workspaces router
+ * @param {object} deps - { workspaceRepository, userRepository }
+ * @returns {express.Router} - Configured router
+ */
+function createWorkspaceRouter({ workspaceRepository, userRepository }) {
+    if (!workspaceRepository || !userRepository) {
+        throw new Error('WorkspaceRepository and UserRepository are required');
+    }
+
+    const router = express.Router();
+    router.use(express.json());
+    router.use(requireAuth);
+
+    const loadWorkspace = req => {
+        const workspace = workspaceRepository.getWorkspace(req.params.id);
+        if (!workspace || !(workspace.isMember(req.user.id) || can(req.user, PERMISSIONS.USER_MANAGE))) {
+            throw new WorkspaceError('Workspace not found', 'WORKSPACE_NOT_FOUND', { workspaceId: req.params.id });
+        }
+        return workspace;
+    };
+
+    const describeMembers = async (workspace, role) => {
+        const users = await userRepository.findMembers(workspace, { role });
+        return users.map(user => ({
+            userId: user.id,
+            username: user.username,
+            fullName: user.fullName,
+            role: workspace.getRole(user.id)
+        }));
+    };
+
+    const describe = async (workspace, user) => ({
+        ...workspace.toJSON(),
+        members: await describeMembers(workspace),
+        role: workspace.getRole(user.id)
+    });
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const workspaces = workspaceRepository.findForUser(req.user.id).map(workspace => ({
+            ...workspace.toJSON(),
+            role: workspace.getRole(req.user.id)
+        }));
+        res.json({ workspaces, count: workspaces.length });
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const { name, description } = req.body || {};
+        const workspace = await workspaceRepository.create(new Workspace(name, req.user.id, { description }), req.user);
+        res.status(201).json(await describe(workspace, req.user));
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        res.json(await describe(loadWorkspace(req), req.user));
+    }));
+
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const { name, description } = req.body || {};
+        const workspace = await workspaceRepository.update(loadWorkspace(req).id, { name, description }, req.user);
+        res.json(await describe(workspace, req.user));
+    }));
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        await workspaceRepository.delete(loadWorkspace(req).id, req.user);
+        res.status(204).end();
+    }));
+
+    router.get('/:id/members', asyncHandler(async (req, res) => {
+        const role = typeof req.query.role === 'string' && req.query.role !== '' ? req.query.role : undefined;
+        if (role) {
+            Workspace.assertValidRole(role);
+        }
+        const members = await describeMembers(loadWorkspace(req), role);
+        res.json({ members, count: members.length });
+    }));
+
+    router.post('/:id/members', asyncHandler(async (req, res) => {
+        const workspace = loadWorkspace(req);
+        const { userId, username, role } = req.body || {};
+        const user = userId
+            ? await userRepository.findById(userId)
+            : (typeof username === 'string' && username ? await userRepository.findByUsername(username) : null);
+        if (!user) {
+            throw httpError(400, 'A known userId or username is required');
+        }
+
+        await workspaceRepository.addMember(workspace.id, user.id, role || 'member', req.user);
+        res.status(201).json({ members: await describeMembers(workspace) });
+    }));
+
+    router.patch('/:id/members/:userId', asyncHandler(async (req, res) => {
+        const workspace = loadWorkspace(req);
+        await workspaceRepository.setMemberRole(workspace.id, req.params.userId, (req.body || {}).role, req.user);
+        res.json({ members: await describeMembers(workspace) });
+    }));
+
+    router.delete('/:id/members/:userId', asyncHandler(async (req, res) => {
+        const workspace = loadWorkspace(req);
+        await workspaceRepository.removeMember(workspace.id, req.params.userId, req.user);
+        res.status(204).end();
+    }));
+
+    router.use(jsonErrorHandler('Workspace API'));
+
+    return router;
+}
+
+module.exports = { createWorkspaceRouter };
@@ -0,0 +1,261 @@
+/**
+ * Workspace Model - a team of users sharing a set of tasks
+ *
+ * Tasks with a workspaceId belong to that workspace. Members get a
+ * workspace role on top of their global role (permission-policy.js):
+ * inside a workspace the task permissions apply to every task of the
+ * workspace, not only to the tasks the member owns or is assigned to.
+ *
+ *   viewer  - see the workspace's tasks
+ *   member  - also create, edit and assign them
+ *   admin   - also delete them, rename the workspace and manage members
+ *   owner   - also manage admins and delete the workspace
+ */
+
+// Permission names are shared with the global policy (global in the browser)
+const WorkspacePolicy = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./permission-policy')
+    : window.PermissionPolicy;
+
+const WORKSPACE_PERMISSIONS = {
+    UPDATE: 'workspace:update',
+    MEMBERS_MANAGE: 'workspace:members:manage',
+    ADMINS_MANAGE: 'workspace:admins:manage',
+    DELETE: 'workspace:delete'
+};
+
+// Each role lists what it adds on top of the role it inherits from
+const WORKSPACE_ROLE_DEFINITIONS = {
+    viewer: {
+        inherits: null,
+        permissions: [
+            WorkspacePolicy.PERMISSIONS.TASK_VIEW
+        ]
+    },
+    member: {
+        inherits: 'viewer',
+        permissions: [
+            WorkspacePolicy.PERMISSIONS.TASK_CREATE,
+            WorkspacePolicy.PERMISSIONS.TASK_EDIT,
+            WorkspacePolicy.PERMISSIONS.TASK_ASSIGN
+        ]
+    },
+    admin: {
+        inherits: 'member',
+        permissions: [
+            WorkspacePolicy.PERMISSIONS.TASK_DELETE,
+            WORKSPACE_PERMISSIONS.UPDATE,
+            WORKSPACE_PERMISSIONS.MEMBERS_MANAGE
+        ]
+    },
+    owner: {
+        inherits: 'admin',
+        permissions: [
+            WORKSPACE_PERMISSIONS.ADMINS_MANAGE,
+            WORKSPACE_PERMISSIONS.DELETE
+        ]
+    }
+};
+
+const WORKSPACE_ROLES = Object.keys(WORKSPACE_ROLE_DEFINITIONS);
+
+/**
+ * Raised for invalid workspace operations.
+ * code is one of: INVALID_WORKSPACE, INVALID_ROLE, WORKSPACE_NOT_FOUND,
+ * ALREADY_MEMBER, NOT_A_MEMBER, LAST_OWNER
+ */
+class WorkspaceError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'WorkspaceError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * All permissions of a workspace role, including inherited ones
+ * @param {string} role - Workspace role name
+ * @returns {string[]} - Permission names
+ */
+function getWorkspaceRolePermissions(role) {
+    const permissions = new Set();
+    let current = Object.prototype.hasOwnProperty.call(WORKSPACE_ROLE_DEFINITIONS, role) ? role : null;
+
+    while (current) {
+        WORKSPACE_ROLE_DEFINITIONS[current].permissions.forEach(permission => permissions.add(permission));
+        current = WORKSPACE_ROLE_DEFINITIONS[current].inherits;
+    }
+
+    return Array.from(permissions);
+}
+
+class Workspace {
+    /**
+     * @param {string} name - Workspace name
+     * @param {string} ownerId - User who creates the workspace and becomes its first owner
+     * @param {object} options - { description }
+     */
+    constructor(name, ownerId, options = {}) {
+        if (!ownerId || typeof ownerId !== 'string') {
+            throw new WorkspaceError('Owner ID is required', 'INVALID_WORKSPACE');
+        }
+
+        this.id = this.generateId();
+        this.name = Workspace.validateName(name);
+        this.description = (options.description || '').trim();
+        this.ownerId = ownerId;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+        this._members = [{ userId: ownerId, role: 'owner', joinedAt: new Date() }];
+    }
+
+    generateId() {
+        return 'workspace_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    static validateName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new WorkspaceError('Workspace name is required', 'INVALID_WORKSPACE');
+        }
+        if (name.trim().length > 100) {
+            throw new WorkspaceError('Workspace name must be 100 characters or less', 'INVALID_WORKSPACE');
+        }
+        return name.trim();
+    }
+
+    static assertValidRole(role) {
+        if (!WORKSPACE_ROLES.includes(role)) {
+            throw new WorkspaceError(`Workspace role must be one of: ${WORKSPACE_ROLES.join(', ')}`, 'INVALID_ROLE', { role });
+        }
+    }
+
+    get members() {
+        return this._members.map(member => ({ ...member }));
+    }
+
+    get memberIds() {
+        return this._members.map(member => member.userId);
+    }
+
+    rename(name, description) {
+        this.name = Workspace.validateName(name);
+        if (description !== undefined) {
+            this.description = (description || '').trim();
+        }
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    // Membership
+    isMember(userId) {
+        return this._members.some(member => member.userId === userId);
+    }
+
+    getRole(userId) {
+        const member = this._members.find(entry => entry.userId === userId);
+        return member ? member.role : null;
+    }
+
+    /**
+     * Whether a user's workspace role grants a permission
+     * @param {string} userId - User ID
+     * @param {string} permission - Task or workspace permission name
+     * @returns {boolean}
+     */
+    hasPermission(userId, permission) {
+        const role = this.getRole(userId);
+        return role !== null && getWorkspaceRolePermissions(role).includes(permission);
+    }
+
+    addMember(userId, role = 'member') {
+        Workspace.assertValidRole(role);
+        if (this.isMember(userId)) {
+            throw new WorkspaceError('User is already a member of this workspace', 'ALREADY_MEMBER', { userId });
+        }
+        this._members.push({ userId, role, joinedAt: new Date() });
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    setRole(userId, role) {
+        Workspace.assertValidRole(role);
+        const member = this._requireMember(userId);
+        if (member.role === 'owner' && role !== 'owner') {
+            this._assertAnotherOwner(userId);
+        }
+        member.role = role;
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    removeMember(userId) {
+        const member = this._requireMember(userId);
+        if (member.role === 'owner') {
+            this._assertAnotherOwner(userId);
+        }
+        this._members = this._members.filter(entry => entry.userId !== userId);
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    _requireMember(userId) {
+        const member = this._members.find(entry => entry.userId === userId);
+        if (!member) {
+            throw new WorkspaceError('User is not a member of this workspace', 'NOT_A_MEMBER', { userId });
+        }
+        return member;
+    }
+
+    // A workspace always keeps at least one owner
+    _assertAnotherOwner(userId) {
+        if (!this._members.some(entry => entry.role === 'owner' && entry.userId !== userId)) {
+            throw new WorkspaceError('A workspace needs at least one owner', 'LAST_OWNER', { userId });
+        }
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            ownerId: this.ownerId,
+            members: this.members,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    static fromJSON(json) {
+        const workspace = new Workspace(json.name, json.ownerId, { description: json.description });
+
+        workspace.id = json.id;
+        workspace.createdAt = new Date(json.createdAt);
+        workspace.updatedAt = new Date(json.updatedAt);
+        if (Array.isArray(json.members)) {
+            workspace._members = json.members.map(member => ({
+                userId: member.userId,
+                role: member.role,
+                joinedAt: new Date(member.joinedAt)
+            }));
+        }
+
+        return workspace;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Workspace,
+        WorkspaceError,
+        WORKSPACE_PERMISSIONS,
+        WORKSPACE_ROLES,
+        WORKSPACE_ROLE_DEFINITIONS,
+        getWorkspaceRolePermissions
+    };
+} else {
+    window.Workspace = Workspace;
+    window.WorkspaceError = WorkspaceError;
+    window.WORKSPACE_PERMISSIONS = WORKSPACE_PERMISSIONS;
+}
@@ -0,0 +1,295 @@
+/**
+ * Workspace Repository - data access for workspaces and their members
+ *
+ * Keeps every workspace in memory so permission checks stay synchronous,
+ * and persists them under the 'workspaces' entity key. Mutations take an
+ * optional acting user; when given, the workspace role of the actor is
+ * enforced (site admins with user:manage may manage every workspace).
+ *
+ * can() is the workspace-aware counterpart of PermissionPolicy.can(): the
+ * TaskRepository, TaskController and REST routes use it once a repository
+ * is set, so workspace roles extend the global roles everywhere.
+ */
+
+const WorkspaceRepositoryPolicy = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./permission-policy')
+    : window.PermissionPolicy;
+
+const WorkspaceModel = (typeof module !== 'undefined' && typeof require === 'function')
+    ? require('./workspace-model')
+    : {
+        Workspace: window.Workspace,
+        WorkspaceError: window.WorkspaceError,
+        WORKSPACE_PERMISSIONS: window.WORKSPACE_PERMISSIONS
+    };
+
+// Short names for the model's exports; browser scripts share one global scope
+const { WORKSPACE_PERMISSIONS: WORKSPACE_REPOSITORY_PERMISSIONS } = WorkspaceModel;
+
+class WorkspaceRepository {
+    constructor(storage = null) {
+        this.storage = storage;
+        this.entityKey = 'workspaces';
+        this.workspaces = new Map();
+        this.taskRepository = null;
+    }
+
+    /**
+     * Tasks to keep in step when workspaces are deleted or members leave;
+     * set by TaskRepository.setWorkspaceRepository
+     * @param {TaskRepository} taskRepository - Tasks, or null
+     */
+    setTaskRepository(taskRepository) {
+        this.taskRepository = taskRepository;
+    }
+
+    // Permission checks
+
+    /**
+     * Whether a user may perform an action, counting workspace roles
+     * @param {User|object} user - User (anything with id, role and isActive)
+     * @param {string} permission - Permission name
+     * @param {object} task - Optional task the action targets
+     * @returns {boolean}
+     */
+    can(user, permission, task = null) {
+        if (WorkspaceRepositoryPolicy.can(user, permission, task)) {
+            return true;
+        }
+        return Boolean(task && task.workspaceId) && this.hasWorkspacePermission(user, task.workspaceId, permission);
+    }
+
+    /**
+     * Whether the user's role in one workspace grants a permission
+     * @param {User|object} user - User
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} permission - Task or workspace permission name
+     * @returns {boolean}
+     */
+    hasWorkspacePermission(user, workspaceId, permission) {
+        if (!user || user.isActive === false) {
+            return false;
+        }
+        const workspace = this.workspaces.get(workspaceId);
+        return Boolean(workspace) && workspace.hasPermission(user.id, permission);
+    }
+
+    /**
+     * Throw a PermissionError unless the user's workspace role grants the
+     * permission (or the user is a site admin with user:manage)
+     */
+    assertWorkspacePermission(user, workspaceId, permission) {
+        this.getWorkspaceOrThrow(workspaceId);
+        if (this.hasWorkspacePermission(user, workspaceId, permission) ||
+            WorkspaceRepositoryPolicy.can(user, WorkspaceRepositoryPolicy.PERMISSIONS.USER_MANAGE)) {
+            return;
+        }
+        throw new WorkspaceRepositoryPolicy.PermissionError(`Permission denied: ${permission}`, permission);
+    }
+
+    /**
+     * Throw a WorkspaceError (NOT_A_MEMBER) unless the user belongs to the workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - User ID
+     */
+    assertMember(workspaceId, userId) {
+        if (!this.getWorkspaceOrThrow(workspaceId).isMember(userId)) {
+            throw new WorkspaceModel.WorkspaceError('User is not a member of this workspace', 'NOT_A_MEMBER', { userId, workspaceId });
+        }
+    }
+
+    // Queries
+    getWorkspace(workspaceId) {
+        return this.workspaces.get(workspaceId) || null;
+    }
+
+    getWorkspaceOrThrow(workspaceId) {
+        const workspace = this.workspaces.get(workspaceId);
+        if (!workspace) {
+            throw new WorkspaceModel.WorkspaceError('Workspace not found', 'WORKSPACE_NOT_FOUND', { workspaceId });
+        }
+        return workspace;
+    }
+
+    async findById(workspaceId) {
+        return this.getWorkspace(workspaceId);
+    }
+
+    async findAll() {
+        return Array.from(this.workspaces.values());
+    }
+
+    /**
+     * Workspaces a user belongs to, sorted by name
+     * @param {string} userId - User ID
+     * @returns {Workspace[]}
+     */
+    findForUser(userId) {
+        return Array.from(this.workspaces.values())
+            .filter(workspace => workspace.isMember(userId))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getRole(workspaceId, userId) {
+        const workspace = this.workspaces.get(workspaceId);
+        return workspace ? workspace.getRole(userId) : null;
+    }
+
+    isMember(workspaceId, userId) {
+        const workspace = this.workspaces.get(workspaceId);
+        return Boolean(workspace) && workspace.isMember(userId);
+    }
+
+    // Mutations
+
+    /**
+     * Store a new workspace; the acting user must be its owner unless they are a site admin
+     */
+    async create(workspace, actor = null) {
+        if (!(workspace instanceof WorkspaceModel.Workspace)) {
+            throw new Error('Valid workspace object required');
+        }
+        if (this.workspaces.has(workspace.id)) {
+            throw new Error('Workspace with this ID already exists');
+        }
+        if (actor) {
+            WorkspaceRepositoryPolicy.assertCan(actor, WorkspaceRepositoryPolicy.PERMISSIONS.TASK_CREATE);
+            if (workspace.ownerId !== actor.id) {
+                WorkspaceRepositoryPolicy.assertCan(actor, WorkspaceRepositoryPolicy.PERMISSIONS.USER_MANAGE);
+            }
+        }
+
+        this.workspaces.set(workspace.id, workspace);
+        await this._persist();
+        return workspace;
+    }
+
+    async update(workspaceId, updates = {}, actor = null) {
+        const workspace = this.getWorkspaceOrThrow(workspaceId);
+        if (actor) {
+            this.assertWorkspacePermission(actor, workspaceId, WORKSPACE_REPOSITORY_PERMISSIONS.UPDATE);
+        }
+
+        workspace.rename(updates.name !== undefined ? updates.name : workspace.name, updates.description);
+        await this._persist();
+        return workspace;
+    }
+
+    /**
+     * Delete a workspace. Its tasks are kept but leave the workspace; they
+     * fall back to the global permissions of their owners and assignees.
+     */
+    async delete(workspaceId, actor = null) {
+        this.getWorkspaceOrThrow(workspaceId);
+        if (actor) {
+            this.assertWorkspacePermission(actor, workspaceId, WORKSPACE_REPOSITORY_PERMISSIONS.DELETE);
+        }
+
+        this.workspaces.delete(workspaceId);
+        await this._persist();
+        if (this.taskRepository) {
+            await this.taskRepository.detachWorkspace(workspaceId, actor);
+        }
+        return true;
+    }
+
+    async addMember(workspaceId, userId, role = 'member', actor = null) {
+        const workspace = this.getWorkspaceOrThrow(workspaceId);
+        if (actor) {
+            this.assertWorkspacePermission(actor, workspaceId, this._manageRolePermission(role));
+        }
+
+        workspace.addMember(userId, role);
+        await this._persist();
+        return workspace;
+    }
+
+    async setMemberRole(workspaceId, userId, role, actor = null) {
+        const workspace = this.getWorkspaceOrThrow(workspaceId);
+        if (actor) {
+            // Promoting to, or demoting from, admin/owner needs the stronger permission
+            const current = workspace.getRole(userId);
+            this.assertWorkspacePermission(actor, workspaceId, this._manageRolePermission(role));
+            this.assertWorkspacePermission(actor, workspaceId, this._manageRolePermission(current));
+        }
+
+        workspace.setRole(userId, role);
+        await this._persist();
+        return workspace;
+    }
+
+    /**
+     * Remove a member; members may always leave on their own. Workspace
+     * tasks assigned to them go back to their owners.
+     */
+    async removeMember(workspaceId, userId, actor = null) {
+        const workspace = this.getWorkspaceOrThrow(workspaceId);
+        if (actor && actor.id !== userId) {
+            this.assertWorkspacePermission(actor, workspaceId, this._manageRolePermission(workspace.getRole(userId)));
+        }
+
+        workspace.removeMember(userId);
+        await this._persist();
+        if (this.taskRepository) {
+            await this.taskRepository.releaseMember(workspaceId, userId, actor);
+        }
+        return workspace;
+    }
+
+    _manageRolePermission(role) {
+        return ['admin', 'owner'].includes(role)
+            ? WORKSPACE_REPOSITORY_PERMISSIONS.ADMINS_MANAGE
+            : WORKSPACE_REPOSITORY_PERMISSIONS.MEMBERS_MANAGE;
+    }
+
+    async _persist() {
+        if (this.storage) {
+            await this.saveToStorage();
+        }
+    }
+
+    // Storage operations
+    async loadFromStorage() {
+        if (!this.storage) {
+            throw new Error('No storage configured');
+        }
+
+        try {
+            const data = await this.storage.load(this.entityKey, []);
+            this.workspaces.clear();
+            (Array.isArray(data) ? data : []).forEach(workspaceData => {
+                const workspace = WorkspaceModel.Workspace.fromJSON(workspaceData);
+                this.workspaces.set(workspace.id, workspace);
+            });
+        } catch (error) {
+            throw new Error(`Failed to load from storage: ${error.message}`);
+        }
+    }
+
+    async saveToStorage() {
+        if (!this.storage) {
+            throw new Error('No storage configured');
+        }
+
+        try {
+            const data = Array.from(this.workspaces.values()).map(workspace => workspace.toJSON());
+            const saved = await this.storage.save(this.entityKey, data);
+            if (saved === false) {
+                throw new Error('Storage rejected the write');
+            }
+        } catch (error) {
+            throw new Error(`Failed to save to storage: ${error.message}`);
+        }
+    }
+
+    get size() {
+        return this.workspaces.size;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkspaceRepository };
+} else {
+    window.WorkspaceRepository = WorkspaceRepository;
+}
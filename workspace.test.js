@@ -0,0 +1,254 @@
+/**
+ * Workspace Tests
+ * Membership and roles, workspace-scoped task permissions, assignment rules,
+ * member queries, "my tasks" / "team tasks" filters and the /api/workspaces routes
+ */
+
+const express = require('express');
+const { Workspace, WorkspaceError } = require('./workspace-model');
+const { WorkspaceRepository } = require('./workspace-repository');
+const { createWorkspaceRouter } = require('./workspace-api');
+const { createTaskRouter } = require('./task-api');
+const { TaskRepository } = require('./task-repository');
+const { TaskController } = require('./task-controller');
+const { PermissionError } = require('./permission-policy');
+const UserRepository = require('./user-repository');
+const User = require('./user-model');
+const Task = require('./enhanced-task-model');
+const { MockFactory } = require('./test-utilities');
+
+describe('Workspaces', () => {
+    let storage;
+    let userRepository;
+    let workspaceRepository;
+    let taskRepository;
+    let alice;
+    let bob;
+    let carol;
+    let workspace;
+
+    beforeEach(async () => {
+        storage = MockFactory.createKeyedStorage();
+        userRepository = new UserRepository(storage);
+        workspaceRepository = new WorkspaceRepository(storage);
+        taskRepository = new TaskRepository();
+        taskRepository.setWorkspaceRepository(workspaceRepository);
+
+        alice = await userRepository.create(new User('alice', 'alice@example.com', 'Alice Doe'));
+        bob = await userRepository.create(new User('bob', 'bob@example.com', 'Bob Roe'));
+        carol = await userRepository.create(new User('carol', 'carol@example.com', 'Carol Poe'));
+
+        workspace = await workspaceRepository.create(new Workspace('Platform', alice.id), alice);
+        await workspaceRepository.addMember(workspace.id, bob.id, 'member', alice);
+    });
+
+    describe('Membership', () => {
+        test('should start with the creator as owner and always keep an owner', () => {
+            expect(workspace.getRole(alice.id)).toBe('owner');
+            expect(workspace.getRole(bob.id)).toBe('member');
+            expect(() => workspace.removeMember(alice.id)).toThrow(expect.objectContaining({ code: 'LAST_OWNER' }));
+            expect(() => workspace.addMember(bob.id)).toThrow(expect.objectContaining({ code: 'ALREADY_MEMBER' }));
+            expect(() => workspace.setRole(bob.id, 'boss')).toThrow(WorkspaceError);
+
+            workspace.setRole(bob.id, 'owner');
+            workspace.setRole(alice.id, 'admin');
+            expect(workspace.getRole(alice.id)).toBe('admin');
+        });
+
+        test('should only let admins manage members and owners manage admins', async () => {
+            await expect(workspaceRepository.addMember(workspace.id, carol.id, 'viewer', bob))
+                .rejects.toThrow(PermissionError);
+
+            await workspaceRepository.setMemberRole(workspace.id, bob.id, 'admin', alice);
+            await workspaceRepository.addMember(workspace.id, carol.id, 'viewer', bob);
+            await expect(workspaceRepository.setMemberRole(workspace.id, carol.id, 'admin', bob))
+                .rejects.toThrow(PermissionError);
+
+            // Anyone may leave
+            await workspaceRepository.removeMember(workspace.id, carol.id, carol);
+            expect(workspace.isMember(carol.id)).toBe(false);
+        });
+
+        test('should persist workspaces and their members', async () => {
+            const reloaded = new WorkspaceRepository(storage);
+            await reloaded.loadFromStorage();
+
+            expect(reloaded.findForUser(bob.id).map(entry => entry.name)).toEqual(['Platform']);
+            expect(reloaded.getRole(workspace.id, bob.id)).toBe('member');
+            expect(reloaded.findForUser(carol.id)).toEqual([]);
+        });
+
+        test('should find member users by workspace role', async () => {
+            await workspaceRepository.addMember(workspace.id, carol.id, 'viewer', alice);
+
+            const members = await userRepository.findMembers(workspace);
+            expect(members.map(user => user.username)).toEqual(['alice', 'bob', 'carol']);
+            expect((await userRepository.findMembers(workspace, { role: 'viewer' })).map(user => user.id)).toEqual([carol.id]);
+        });
+    });
+
+    describe('Task permissions', () => {
+        let shared;
+
+        beforeEach(async () => {
+            await workspaceRepository.addMember(workspace.id, carol.id, 'viewer', alice);
+            shared = await taskRepository.create(new Task('Shared', '', alice.id, { workspaceId: workspace.id }), alice);
+        });
+
+        test('should let workspace roles reach every task of the workspace', async () => {
+            const dave = await userRepository.create(new User('dave', 'dave@example.com', 'Dave Moe'));
+
+            expect(taskRepository.can(bob, 'task:edit', shared)).toBe(true);
+            expect(taskRepository.can(carol, 'task:view', shared)).toBe(true);
+            expect(taskRepository.can(carol, 'task:edit', shared)).toBe(false);
+            expect(taskRepository.can(dave, 'task:view', shared)).toBe(false);
+
+            await taskRepository.update(shared.id, { priority: 'high' }, bob);
+            await expect(taskRepository.deleteTask(shared.id, bob)).rejects.toThrow(PermissionError);
+        });
+
+        test('should only create workspace tasks for members who may create them', async () => {
+            await expect(taskRepository.create(new Task('Nope', '', carol.id, { workspaceId: workspace.id }), carol))
+                .rejects.toThrow(PermissionError);
+
+            const task = await taskRepository.create(new Task('Fine', '', bob.id, { workspaceId: workspace.id }), bob);
+            expect(task.workspaceId).toBe(workspace.id);
+        });
+
+        test('should restrict assignment to workspace members', async () => {
+            const dave = await userRepository.create(new User('dave', 'dave@example.com', 'Dave Moe'));
+            const personal = await taskRepository.create(new Task('Personal', '', alice.id, { assignedTo: dave.id }), alice);
+
+            await expect(taskRepository.update(shared.id, { assignedTo: dave.id }, alice))
+                .rejects.toMatchObject({ name: 'WorkspaceError', code: 'NOT_A_MEMBER' });
+            await expect(taskRepository.update(personal.id, { workspaceId: workspace.id }, alice))
+                .rejects.toMatchObject({ code: 'NOT_A_MEMBER' });
+
+            await taskRepository.update(shared.id, { assignedTo: bob.id }, alice);
+            expect(shared.assignedTo).toBe(bob.id);
+        });
+
+        test('should give a removed member\'s tasks back to their owners', async () => {
+            const own = await taskRepository.create(new Task('Bob\'s own', '', bob.id, { workspaceId: workspace.id }), bob);
+            await taskRepository.update(shared.id, { assignedTo: bob.id }, alice);
+
+            await workspaceRepository.removeMember(workspace.id, bob.id, alice);
+
+            expect(shared.assignedTo).toBe(alice.id);
+            expect(own.assignedTo).toBe(bob.id);
+        });
+
+        test('should take tasks out of a deleted workspace', async () => {
+            const dave = await userRepository.create(new User('dave', 'dave@example.com', 'Dave Moe'));
+            await workspaceRepository.delete(workspace.id, alice);
+
+            expect(shared.workspaceId).toBeNull();
+            await taskRepository.update(shared.id, { assignedTo: dave.id }, alice);
+            await taskRepository.update(shared.id, { assignedTo: null }, alice);
+            expect(shared.assignedTo).toBe(alice.id);
+
+            // Tasks saved before the workspace was deleted are not scoped to it either
+            const stale = await taskRepository.create(new Task('Stale', '', alice.id, { workspaceId: 'ws_gone' }));
+            await taskRepository.update(stale.id, { assignedTo: dave.id }, alice);
+            expect(stale.assignedTo).toBe(dave.id);
+        });
+    });
+
+    describe('TaskController', () => {
+        let controller;
+
+        beforeEach(async () => {
+            await taskRepository.create(new Task('Alice only', '', alice.id));
+            await taskRepository.create(new Task('For bob', '', alice.id, { assignedTo: bob.id }));
+            await taskRepository.create(new Task('Team task', '', alice.id, { workspaceId: workspace.id }));
+
+            const taskService = {
+                getTasksByFilter: async filter => taskRepository.getTasksByFilter(filter)
+            };
+            controller = new TaskController(taskService, null, null);
+            controller.setWorkspaceRepository(workspaceRepository);
+            controller.currentUser = bob;
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('should separate my tasks from team tasks', async () => {
+            expect((await controller.filterTasks('mine')).map(task => task.title)).toEqual(['For bob']);
+            expect((await controller.filterTasks('team', workspace.id)).map(task => task.title)).toEqual(['Team task']);
+            expect(controller.describeCurrentFilter()).toEqual({ workspaceId: workspace.id });
+            expect(controller.loadWorkspaces().map(entry => entry.id)).toEqual([workspace.id]);
+        });
+
+        test('should refuse team tasks of workspaces the user is not in', async () => {
+            controller.currentUser = carol;
+
+            await expect(controller.filterTasks('team', workspace.id)).rejects.toMatchObject({ code: 'NOT_A_MEMBER' });
+            expect(TaskController.forUser(carol, workspaceRepository).canViewTask(taskRepository.getTasksByWorkspace(workspace.id)[0])).toBe(false);
+        });
+    });
+
+    describe('API', () => {
+        let server;
+        let baseUrl;
+        let currentUser;
+
+        const request = async (method, path, body) => {
+            const response = await fetch(`${baseUrl}/api${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const text = await response.text();
+            return { status: response.status, body: text ? JSON.parse(text) : null };
+        };
+
+        beforeEach(async () => {
+            currentUser = alice;
+            const app = express();
+            app.use((req, res, next) => {
+                req.user = currentUser;
+                next();
+            });
+            app.use('/api/workspaces', createWorkspaceRouter({ workspaceRepository, userRepository }));
+            app.use('/api/tasks', createTaskRouter(taskRepository));
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should create workspaces and manage members', async () => {
+            const created = await request('POST', '/workspaces', { name: 'Design', description: 'UI work' });
+            expect(created).toMatchObject({ status: 201, body: { name: 'Design', role: 'owner', members: [{ username: 'alice', role: 'owner' }] } });
+
+            const added = await request('POST', `/workspaces/${created.body.id}/members`, { username: 'carol', role: 'viewer' });
+            expect(added.body.members.map(member => member.username)).toEqual(['alice', 'carol']);
+
+            expect((await request('DELETE', `/workspaces/${created.body.id}/members/${alice.id}`)).status).toBe(409);
+            expect((await request('POST', `/workspaces/${created.body.id}/members`, { username: 'nobody' })).status).toBe(400);
+
+            currentUser = bob;
+            expect((await request('GET', `/workspaces/${created.body.id}`)).status).toBe(404);
+            expect((await request('GET', '/workspaces')).body.workspaces.map(entry => entry.name)).toEqual(['Platform']);
+        });
+
+        test('should scope tasks to workspaces and reject non-member assignees', async () => {
+            const created = await request('POST', '/tasks', { title: 'Ship it', workspaceId: workspace.id, assignedTo: bob.id });
+            expect(created.body).toMatchObject({ workspaceId: workspace.id, assignedTo: bob.id });
+
+            const refused = await request('POST', '/tasks', { title: 'Outsourced', workspaceId: workspace.id, assignedTo: carol.id });
+            expect(refused).toMatchObject({ status: 400, body: { code: 'NOT_A_MEMBER' } });
+
+            currentUser = carol;
+            expect((await request('GET', `/tasks?workspaceId=${workspace.id}`)).body.tasks).toEqual([]);
+            expect((await request('POST', '/tasks', { title: 'Sneaky', workspaceId: workspace.id })).status).toBe(403);
+        });
+    });
+});